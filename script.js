@@ -3,49 +3,481 @@
 // Application State
 let transactions = [];
 let filteredTransactions = [];
+let categories = [];
+let budgets = [];
+let recurringRules = [];
+let accounts = [];
+let exchangeRates = [];
+let receipts = [];
+let categoryRules = [];
+let goals = [];
+let bills = [];
+let syncConflicts = [];
+let trash = [];
+let settings = {};
 let db;
 
+// Date range the dashboard is scoped to
+let currentPeriod = { mode: 'month', offset: 0, from: null, to: null };
+
+// Session undo/redo history
+const HISTORY_LIMIT = 50;
+let undoStack = [];
+let redoStack = [];
+
 // DOM Elements
 const transactionForm = document.getElementById('transaction-form');
 const transactionNameInput = document.getElementById('name');
 const transactionAmountInput = document.getElementById('amount');
 const transactionCategoryInput = document.getElementById('category');
+const categorySuggestion = document.getElementById('category-suggestion');
+const transactionDateInput = document.getElementById('date');
+const transactionRepeatInput = document.getElementById('repeat');
+const transactionAccountInput = document.getElementById('account');
+const transactionTransferInput = document.getElementById('transfer-to');
+const transactionCurrencyInput = document.getElementById('transaction-currency');
+const currencySymbol = document.getElementById('currency-symbol');
+const categoryGroup = document.getElementById('category-group');
+const splitButton = document.getElementById('split-btn');
+const splitEditor = document.getElementById('split-editor');
+const formDetails = document.getElementById('form-details');
+const transactionPayeeInput = document.getElementById('payee');
+const payeeOptions = document.getElementById('payee-options');
+const transactionTagsInput = document.getElementById('tags');
+const transactionGoalInput = document.getElementById('goal');
+const transactionNoteInput = document.getElementById('note');
 const transactionsList = document.getElementById('transactions-list');
 const totalBalanceElement = document.getElementById('total-balance');
 const totalIncomeElement = document.getElementById('total-income');
 const totalExpenseElement = document.getElementById('total-expense');
+const openingBalanceElement = document.getElementById('opening-balance');
+const accountBalancesContainer = document.getElementById('account-balances');
+const rateWarning = document.getElementById('rate-warning');
 const searchInput = document.getElementById('search-transactions');
 const clearAllButton = document.getElementById('clear-all-btn');
 const confirmationModal = document.getElementById('confirmation-modal');
 const closeModalButton = document.getElementById('close-modal');
-const cancelClearButton = document.getElementById('cancel-clear');
-const confirmClearButton = document.getElementById('confirm-clear');
+const confirmationTitle = document.getElementById('confirmation-title');
+const confirmationMessage = document.getElementById('confirmation-message');
+const confirmationCancelButton = document.getElementById('confirmation-cancel');
+const confirmationConfirmButton = document.getElementById('confirmation-confirm');
 const categoryBarsContainer = document.getElementById('category-bars');
 const emptyListText = document.getElementById('empty-list-text');
+const listTopSpacer = document.getElementById('list-top-spacer');
+const listBottomSpacer = document.getElementById('list-bottom-spacer');
 const emptySummaryText = document.getElementById('empty-summary-text');
 
+// Quick Add DOM Elements
+const quickAddForm = document.getElementById('quick-add-form');
+const quickAddInput = document.getElementById('quick-add-input');
+const quickAddPreview = document.getElementById('quick-add-preview');
+
+// Import DOM Elements
+const importButton = document.getElementById('import-btn');
+const importFileInput = document.getElementById('import-file-input');
+const importModal = document.getElementById('import-modal');
+const closeImportModalButton = document.getElementById('close-import-modal');
+const cancelImportButton = document.getElementById('cancel-import');
+const confirmImportButton = document.getElementById('confirm-import');
+const importFileName = document.getElementById('import-file-name');
+const importAccountInput = document.getElementById('import-account');
+const importMapping = document.getElementById('import-mapping');
+const importSummary = document.getElementById('import-summary');
+const importPreview = document.getElementById('import-preview');
+const importHasHeaderInput = document.getElementById('import-has-header');
+const importInvertInput = document.getElementById('import-invert-amounts');
+const importAmountModeInput = document.getElementById('import-amount-mode');
+const importDateFormatInput = document.getElementById('import-date-format');
+const importColumnInputs = {
+    date: document.getElementById('import-date-column'),
+    name: document.getElementById('import-name-column'),
+    amount: document.getElementById('import-amount-column'),
+    debit: document.getElementById('import-debit-column'),
+    credit: document.getElementById('import-credit-column')
+};
+
+// Backup DOM Elements
+const backupButton = document.getElementById('backup-btn');
+const backupModal = document.getElementById('backup-modal');
+const closeBackupModalButton = document.getElementById('close-backup-modal');
+const exportJSONButton = document.getElementById('export-json-btn');
+const exportCSVButton = document.getElementById('export-csv-btn');
+const restoreChooseButton = document.getElementById('restore-choose-btn');
+const restoreFileInput = document.getElementById('restore-file-input');
+const restorePreview = document.getElementById('restore-preview');
+const restoreSummary = document.getElementById('restore-summary');
+const cancelRestoreButton = document.getElementById('cancel-restore');
+const confirmRestoreButton = document.getElementById('confirm-restore');
+const snapshotList = document.getElementById('snapshot-list');
+const emptySnapshotsText = document.getElementById('empty-snapshots-text');
+
+// Trash DOM Elements
+const trashButton = document.getElementById('trash-btn');
+const trashModal = document.getElementById('trash-modal');
+const closeTrashModalButton = document.getElementById('close-trash-modal');
+const trashRetentionInput = document.getElementById('trash-retention');
+const trashList = document.getElementById('trash-list');
+const emptyTrashText = document.getElementById('empty-trash-text');
+const restoreAllTrashButton = document.getElementById('restore-all-trash-btn');
+const emptyTrashButton = document.getElementById('empty-trash-btn');
+
+// Sync DOM Elements
+const syncButton = document.getElementById('sync-btn');
+const syncModal = document.getElementById('sync-modal');
+const closeSyncModalButton = document.getElementById('close-sync-modal');
+const syncForm = document.getElementById('sync-form');
+const syncUrlInput = document.getElementById('sync-url');
+const syncTokenInput = document.getElementById('sync-token');
+const syncStatusText = document.getElementById('sync-status');
+const syncNowButton = document.getElementById('sync-now-btn');
+const syncDisconnectButton = document.getElementById('sync-disconnect-btn');
+const syncConflictSection = document.getElementById('sync-conflict-section');
+const syncConflictList = document.getElementById('sync-conflict-list');
+
+// Security DOM Elements
+const securityButton = document.getElementById('security-btn');
+const securityModal = document.getElementById('security-modal');
+const closeSecurityModalButton = document.getElementById('close-security-modal');
+const securityOffSection = document.getElementById('security-off');
+const securityOnSection = document.getElementById('security-on');
+const encryptionForm = document.getElementById('encryption-form');
+const lockAfterInput = document.getElementById('lock-after');
+const lockNowButton = document.getElementById('lock-now-btn');
+const disableEncryptionButton = document.getElementById('disable-encryption-btn');
+const lockScreen = document.getElementById('lock-screen');
+const lockForm = document.getElementById('lock-form');
+const lockPasscodeInput = document.getElementById('lock-passcode');
+const lockErrorText = document.getElementById('lock-error');
+
+// Category DOM Elements
+const manageCategoriesButton = document.getElementById('manage-categories-btn');
+const categoriesModal = document.getElementById('categories-modal');
+const closeCategoriesModalButton = document.getElementById('close-categories-modal');
+const categoryForm = document.getElementById('category-form');
+const newCategoryNameInput = document.getElementById('new-category-name');
+const newCategoryParentInput = document.getElementById('new-category-parent');
+const newCategoryColorInput = document.getElementById('new-category-color');
+const newCategoryIconInput = document.getElementById('new-category-icon');
+const newCategoryIconPreview = document.getElementById('new-category-icon-preview');
+const categoryManagerList = document.getElementById('category-manager-list');
+const showArchivedCategoriesInput = document.getElementById('show-archived-categories');
+
+// Goal DOM Elements
+const addGoalButton = document.getElementById('add-goal-btn');
+const goalsList = document.getElementById('goals-list');
+const emptyGoalsText = document.getElementById('empty-goals-text');
+const goalModal = document.getElementById('goal-modal');
+const goalModalTitle = document.getElementById('goal-modal-title');
+const closeGoalModalButton = document.getElementById('close-goal-modal');
+const goalForm = document.getElementById('goal-form');
+const cancelGoalButton = document.getElementById('cancel-goal');
+const deleteGoalButton = document.getElementById('delete-goal-btn');
+
+// Bill DOM Elements
+const addBillButton = document.getElementById('add-bill-btn');
+const billList = document.getElementById('bill-list');
+const emptyBillsText = document.getElementById('empty-bills-text');
+const billNotificationsInput = document.getElementById('bill-notifications');
+const billReminderStatus = document.getElementById('bill-reminder-status');
+const billModal = document.getElementById('bill-modal');
+const billModalTitle = document.getElementById('bill-modal-title');
+const closeBillModalButton = document.getElementById('close-bill-modal');
+const billForm = document.getElementById('bill-form');
+const cancelBillButton = document.getElementById('cancel-bill');
+const deleteBillButton = document.getElementById('delete-bill-btn');
+
+// Rule DOM Elements
+const manageRulesButton = document.getElementById('manage-rules-btn');
+const rulesModal = document.getElementById('rules-modal');
+const closeRulesModalButton = document.getElementById('close-rules-modal');
+const ruleForm = document.getElementById('rule-form');
+const ruleCategoryInput = document.getElementById('rule-category');
+const saveRuleButton = document.getElementById('save-rule-btn');
+const cancelRuleEditButton = document.getElementById('cancel-rule-edit');
+const ruleList = document.getElementById('rule-list');
+const previewRulesButton = document.getElementById('preview-rules-btn');
+const rulePreview = document.getElementById('rule-preview');
+const rulePreviewSummary = document.getElementById('rule-preview-summary');
+const rulePreviewTable = document.getElementById('rule-preview-table');
+const cancelRulePreviewButton = document.getElementById('cancel-rule-preview');
+const applyRulesButton = document.getElementById('apply-rules-btn');
+
+// Account DOM Elements
+const manageAccountsButton = document.getElementById('manage-accounts-btn');
+const accountsModal = document.getElementById('accounts-modal');
+const closeAccountsModalButton = document.getElementById('close-accounts-modal');
+const accountForm = document.getElementById('account-form');
+const newAccountNameInput = document.getElementById('new-account-name');
+const newAccountTypeInput = document.getElementById('new-account-type');
+const newAccountOpeningInput = document.getElementById('new-account-opening');
+const newAccountCurrencyInput = document.getElementById('new-account-currency');
+const accountManagerList = document.getElementById('account-manager-list');
+const showArchivedAccountsInput = document.getElementById('show-archived-accounts');
+
+// Currency DOM Elements
+const currencyButton = document.getElementById('currency-btn');
+const currencyModal = document.getElementById('currency-modal');
+const closeCurrencyModalButton = document.getElementById('close-currency-modal');
+const baseCurrencyInput = document.getElementById('base-currency');
+const localeInput = document.getElementById('locale-select');
+const rateHelp = document.getElementById('rate-help');
+const rateForm = document.getElementById('rate-form');
+const newRateCurrencyInput = document.getElementById('new-rate-currency');
+const newRateValueInput = document.getElementById('new-rate-value');
+const rateList = document.getElementById('rate-list');
+const importRatesButton = document.getElementById('import-rates-btn');
+const ratesFileInput = document.getElementById('rates-file-input');
+
+// Budget DOM Elements
+const budgetsButton = document.getElementById('budgets-btn');
+const budgetsModal = document.getElementById('budgets-modal');
+const closeBudgetsModalButton = document.getElementById('close-budgets-modal');
+const cancelBudgetsButton = document.getElementById('cancel-budgets');
+const budgetsForm = document.getElementById('budgets-form');
+const budgetList = document.getElementById('budget-list');
+const budgetBarsContainer = document.getElementById('budget-bars');
+
+// Report DOM Elements
+const reportsButton = document.getElementById('reports-btn');
+const reportsModal = document.getElementById('reports-modal');
+const closeReportsModalButton = document.getElementById('close-reports-modal');
+const incomeExpenseChart = document.getElementById('income-expense-chart');
+const cashFlowChart = document.getElementById('cash-flow-chart');
+const reportCategoryInput = document.getElementById('report-category');
+const categoryTrendChart = document.getElementById('category-trend-chart');
+const reportPeriodLabel = document.getElementById('report-period-label');
+const periodDonutChart = document.getElementById('period-donut-chart');
+const pivotTable = document.getElementById('pivot-table');
+const copyPivotButton = document.getElementById('copy-pivot-btn');
+const exportPivotButton = document.getElementById('export-pivot-btn');
+
+// Receipt DOM Elements
+const receiptCameraButton = document.getElementById('receipt-camera-btn');
+const receiptFileButton = document.getElementById('receipt-file-btn');
+const receiptCameraInput = document.getElementById('receipt-camera-input');
+const receiptFileInput = document.getElementById('receipt-file-input');
+const receiptPreview = document.getElementById('receipt-preview');
+const receiptModal = document.getElementById('receipt-modal');
+const closeReceiptModalButton = document.getElementById('close-receipt-modal');
+const receiptTitle = document.getElementById('receipt-title');
+const receiptImage = document.getElementById('receipt-image');
+const receiptCaption = document.getElementById('receipt-caption');
+const receiptPrevButton = document.getElementById('receipt-prev');
+const receiptNextButton = document.getElementById('receipt-next');
+const receiptDownloadLink = document.getElementById('receipt-download');
+const receiptDeleteButton = document.getElementById('receipt-delete');
+
+// Recurring DOM Elements
+const recurrenceOptions = document.getElementById('recurrence-options');
+const repeatEndInput = document.getElementById('repeat-end');
+const repeatEndDateInput = document.getElementById('repeat-end-date');
+const repeatCountInput = document.getElementById('repeat-count');
+const repeatBusinessDaysInput = document.getElementById('repeat-business-days');
+const upcomingList = document.getElementById('upcoming-list');
+const emptyUpcomingText = document.getElementById('empty-upcoming-text');
+const recurringButton = document.getElementById('recurring-btn');
+const recurringModal = document.getElementById('recurring-modal');
+const closeRecurringModalButton = document.getElementById('close-recurring-modal');
+const recurringList = document.getElementById('recurring-list');
+const recurringEditForm = document.getElementById('recurring-edit-form');
+const cancelRecurringEditButton = document.getElementById('cancel-recurring-edit');
+
+// Filter DOM Elements
+const filterToggleButton = document.getElementById('filter-toggle');
+const filterCount = document.getElementById('filter-count');
+const filterPanel = document.getElementById('filter-panel');
+const filterTypeInput = document.getElementById('filter-type');
+const filterAccountInput = document.getElementById('filter-account');
+const filterSortInput = document.getElementById('filter-sort');
+const filterAmountMinInput = document.getElementById('filter-amount-min');
+const filterAmountMaxInput = document.getElementById('filter-amount-max');
+const filterDateFromInput = document.getElementById('filter-date-from');
+const filterDateToInput = document.getElementById('filter-date-to');
+const filterTagsInput = document.getElementById('filter-tags');
+const filterCategoriesContainer = document.getElementById('filter-categories');
+const filterPresetInput = document.getElementById('filter-preset');
+const deletePresetButton = document.getElementById('delete-preset-btn');
+const presetNameInput = document.getElementById('preset-name');
+const savePresetButton = document.getElementById('save-preset-btn');
+const clearFiltersButton = document.getElementById('clear-filters-btn');
+
+// Period DOM Elements
+const periodPrevButton = document.getElementById('period-prev');
+const periodNextButton = document.getElementById('period-next');
+const periodLabel = document.getElementById('period-label');
+const periodSelect = document.getElementById('period-select');
+const periodCustom = document.getElementById('period-custom');
+const periodFromInput = document.getElementById('period-from');
+const periodToInput = document.getElementById('period-to');
+const monthStartDayInput = document.getElementById('month-start-day');
+
 // PWA DOM Elements
 const installPrompt = document.getElementById('install-prompt');
 const installButton = document.getElementById('install-button');
 const offlineIndicator = document.getElementById('offline-indicator');
+const updateBanner = document.getElementById('update-banner');
+const updateReloadButton = document.getElementById('update-reload-btn');
+const updateDismissButton = document.getElementById('update-dismiss-btn');
+const notificationRegion = document.getElementById('notification-region');
 
 // IndexedDB Configuration
 const DB_NAME = 'ZenBudgetDB';
-const DB_VERSION = 1;
+const DB_VERSION = 15;
 const STORE_NAME = 'transactions';
+const CATEGORY_STORE_NAME = 'categories';
+const BUDGET_STORE_NAME = 'budgets';
+const RECURRING_STORE_NAME = 'recurring';
+const SETTINGS_STORE_NAME = 'settings';
+const ACCOUNT_STORE_NAME = 'accounts';
+const RATE_STORE_NAME = 'rates';
+const RECEIPT_STORE_NAME = 'receipts';
+const RULE_STORE_NAME = 'rules';
+const GOAL_STORE_NAME = 'goals';
+const BILL_STORE_NAME = 'bills';
+const SYNC_CHANGE_STORE_NAME = 'syncChanges';
+const SYNC_CONFLICT_STORE_NAME = 'syncConflicts';
+const TRASH_STORE_NAME = 'trash';
+const SNAPSHOT_STORE_NAME = 'snapshots';
+
+// Account created for new users and for the version 6 upgrade
+const DEFAULT_ACCOUNT = {
+    id: 'acct-main',
+    name: 'Checking',
+    type: 'checking',
+    openingBalance: 0,
+    currency: 'USD',
+    order: 0,
+    archived: false
+};
+
+// Kinds of account and how they show in the UI
+const ACCOUNT_TYPES = {
+    checking: { label: 'Checking', icon: 'university' },
+    savings: { label: 'Savings', icon: 'piggy-bank' },
+    credit: { label: 'Credit card', icon: 'credit-card' },
+    cash: { label: 'Cash', icon: 'money-bill-wave' },
+    other: { label: 'Other', icon: 'wallet' }
+};
+
+// Currencies offered for accounts, transactions and exchange rates
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'JPY', 'CNY', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'INR', 'SGD', 'HKD', 'MXN', 'BRL', 'ZAR'];
+
+// Formats offered for numbers and dates; an empty value follows the browser
+const LOCALES = {
+    '': 'Browser default',
+    'en-US': 'English (United States)',
+    'en-GB': 'English (United Kingdom)',
+    'en-CA': 'English (Canada)',
+    'en-AU': 'English (Australia)',
+    'en-IN': 'English (India)',
+    'de-DE': 'Deutsch (Deutschland)',
+    'fr-FR': 'Français (France)',
+    'es-ES': 'Español (España)',
+    'es-MX': 'Español (México)',
+    'it-IT': 'Italiano (Italia)',
+    'nl-NL': 'Nederlands (Nederland)',
+    'pt-BR': 'Português (Brasil)',
+    'sv-SE': 'Svenska (Sverige)',
+    'ja-JP': '日本語 (日本)',
+    'zh-CN': '中文 (中国)'
+};
+
+// Budget record key for the limit on all spending
+const OVERALL_BUDGET_ID = 'overall';
+
+// Share of a budget used before it shows a warning
+const BUDGET_WARNING_RATIO = 0.8;
+
+// Recurrence frequencies and how they read in the UI
+const RECURRING_FREQUENCIES = {
+    daily: 'Daily',
+    weekly: 'Weekly',
+    biweekly: 'Every 2 weeks',
+    monthly: 'Monthly',
+    yearly: 'Yearly'
+};
+
+// How far ahead the Upcoming card looks
+const UPCOMING_DAYS = 45;
+const UPCOMING_LIMIT = 10;
+
+// Categories created for new users and for the version 2 upgrade
+const DEFAULT_CATEGORIES = [
+    { id: 'cat-food', name: 'Food', color: '#10b981', icon: 'utensils' },
+    { id: 'cat-rent', name: 'Rent', color: '#6366f1', icon: 'home' },
+    { id: 'cat-fun', name: 'Fun', color: '#8b5cf6', icon: 'gamepad' },
+    { id: 'cat-income', name: 'Income', color: '#06b6d4', icon: 'money-bill-wave' },
+    { id: 'cat-other', name: 'Other', color: '#f59e0b', icon: 'shopping-bag' }
+];
+
+// Font Awesome icons offered in the category editor
+const CATEGORY_ICONS = [
+    'tag', 'utensils', 'shopping-cart', 'coffee', 'home', 'bolt', 'wifi', 'phone',
+    'car', 'gas-pump', 'bus', 'plane', 'gamepad', 'film', 'music', 'book',
+    'graduation-cap', 'heartbeat', 'dumbbell', 'tshirt', 'gift', 'baby', 'paw',
+    'tools', 'shopping-bag', 'money-bill-wave', 'briefcase', 'piggy-bank', 'hand-holding-usd', 'receipt'
+];
+
+// Backup file format. Bump BACKUP_SCHEMA_VERSION and add a step to
+// BACKUP_MIGRATIONS whenever the shape of a backup changes.
+const BACKUP_SCHEMA_VERSION = 12;
+const BACKUP_STORES = [STORE_NAME, CATEGORY_STORE_NAME, BUDGET_STORE_NAME, RECURRING_STORE_NAME, SETTINGS_STORE_NAME, ACCOUNT_STORE_NAME, RATE_STORE_NAME, RECEIPT_STORE_NAME, RULE_STORE_NAME, GOAL_STORE_NAME, BILL_STORE_NAME];
 
 // Initialize the application
 async function init() {
     // Initialize IndexedDB
     await initIndexedDB();
     
-    // Load transactions from IndexedDB
-    await loadTransactions();
+    // Load settings, accounts, rates, categories and transactions from IndexedDB
+    await loadSettings();
+    
+    // With a passcode set, nothing is decrypted until it is entered
+    setupLockScreen();
+    if (isEncryptionEnabled()) {
+        await waitForUnlock();
+    }
+    
+    await loadAccounts();
+    await loadRates();
+    await loadCategories();
+    await loadBudgets();
+    await loadTransactions(true);
+    transactionsLoaded = loadTransactionHistory();
+    await loadReceipts();
+    await loadTrash();
+    await purgeExpiredTrash();
+    await loadCategoryRules();
+    await loadGoals();
+    await loadBills();
+    await loadSyncConflicts();
+    renderCategoryOptions();
+    renderAccountOptions();
+    renderPayeeOptions();
+    renderGoalOptions();
+    fillCurrencySelect(transactionCurrencyInput, getAccountCurrency(transactionAccountInput.value));
+    updateCurrencySymbol();
+    
+    // Add any scheduled transactions that have come due
+    await loadRecurringRules();
+    const scheduledCount = await materializeRecurringTransactions();
+    
+    // Default the form date to today
+    transactionDateInput.value = getDateKey(new Date());
     
     // Render initial data
-    renderTransactions();
+    setupPeriodControls();
+    renderFilterPresets();
+    filterTransactions();
     updateBalance();
     updateSpendingSummary();
+    renderUpcoming();
+    renderBills();
+    updateBillReminderStatus();
+    updateSyncStatus();
+    
+    if (scheduledCount > 0) {
+        showNotification(`Added ${scheduledCount} scheduled transaction${scheduledCount === 1 ? '' : 's'}.`, 'info');
+    }
     
     // Set current year in footer
     document.getElementById('current-year').textContent = new Date().getFullYear();
@@ -55,6 +487,20 @@ async function init() {
     
     // Initialize PWA features
     initPWA();
+    
+    // Open whatever a shortcut, share, opened file or bill reminder launched the app for
+    await handleLaunch();
+    await payPendingBill();
+    
+    // Once the rest of the history is in, redo everything that totals it
+    await transactionsLoaded;
+    await pruneReceipts();
+    renderPayeeOptions();
+    updateBalance();
+    updateSpendingSummary();
+    
+    // Bring in changes made on other devices while this one was closed
+    syncNow();
 }
 
 // Initialize IndexedDB
@@ -73,60 +519,288 @@ function initIndexedDB() {
             resolve();
         };
         
+        // Another tab upgrading the database needs this connection out of the way
+        request.onblocked = () => {
+            console.warn('IndexedDB upgrade waiting for other connections to close');
+        };
+        
+        // Bring the database up from whatever version it was at, one step at a time
         request.onupgradeneeded = (event) => {
             db = event.target.result;
+            runMigrations(event.target.transaction, event.oldVersion);
+        };
+    });
+}
+
+// Steps that bring the database to DB_VERSION, keyed by the version each one creates.
+// Every step receives the upgrade transaction and calls next() once its work is queued;
+// steps that rewrite records wait for their reads so later steps see what they wrote.
+const DB_MIGRATIONS = {
+    // Version 1: transactions, with indexes for querying
+    1: (upgradeTransaction, next) => {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex('date', 'date', { unique: false });
+        store.createIndex('category', 'category', { unique: false });
+        store.createIndex('type', 'type', { unique: false });
+        store.createIndex('amount', 'amount', { unique: false });
+        next();
+    },
+    
+    // Version 2: user-defined categories, referenced from transactions by id
+    2: (upgradeTransaction, next) => {
+        const categoryStore = db.createObjectStore(CATEGORY_STORE_NAME, { keyPath: 'id' });
+        categoryStore.createIndex('parentId', 'parentId', { unique: false });
+        migrateTransactionCategories(upgradeTransaction, next);
+    },
+    
+    // Version 3: monthly budgets keyed by category id
+    3: (upgradeTransaction, next) => {
+        db.createObjectStore(BUDGET_STORE_NAME, { keyPath: 'categoryId' });
+        next();
+    },
+    
+    // Version 4: recurring transaction rules
+    4: (upgradeTransaction, next) => {
+        db.createObjectStore(RECURRING_STORE_NAME, { keyPath: 'id' });
+        next();
+    },
+    
+    // Version 5: key/value user settings
+    5: (upgradeTransaction, next) => {
+        db.createObjectStore(SETTINGS_STORE_NAME, { keyPath: 'key' });
+        next();
+    },
+    
+    // Version 6: accounts, referenced from transactions and recurring rules by id
+    6: (upgradeTransaction, next) => {
+        db.createObjectStore(ACCOUNT_STORE_NAME, { keyPath: 'id' });
+        migrateTransactionAccounts(upgradeTransaction, next);
+    },
+    
+    // Version 7: exchange rates into the base currency, keyed by currency code
+    7: (upgradeTransaction, next) => {
+        db.createObjectStore(RATE_STORE_NAME, { keyPath: 'currency' });
+        next();
+    },
+    
+    // Version 8: split transactions are also indexed under each part's category
+    8: (upgradeTransaction, next) => {
+        upgradeTransaction.objectStore(STORE_NAME).createIndex('splitCategories', 'splitCategories', { unique: false, multiEntry: true });
+        next();
+    },
+    
+    // Version 9: receipt images, stored as Blobs apart from the transactions they belong to
+    9: (upgradeTransaction, next) => {
+        const receiptStore = db.createObjectStore(RECEIPT_STORE_NAME, { keyPath: 'id' });
+        receiptStore.createIndex('transactionId', 'transactionId', { unique: false });
+        next();
+    },
+    
+    // Version 10: categorization rules, tried in their `order`
+    10: (upgradeTransaction, next) => {
+        db.createObjectStore(RULE_STORE_NAME, { keyPath: 'id' });
+        next();
+    },
+    
+    // Version 11: savings goals; transactions link to them through `goal`
+    11: (upgradeTransaction, next) => {
+        db.createObjectStore(GOAL_STORE_NAME, { keyPath: 'id' });
+        next();
+    },
+    
+    // Version 12: bills to be reminded about; the service worker reads and updates these too
+    12: (upgradeTransaction, next) => {
+        db.createObjectStore(BILL_STORE_NAME, { keyPath: 'id' });
+        next();
+    },
+    
+    // Version 13: sync change log waiting to be pushed, and conflicts waiting for the user.
+    // Both belong to this device and are left out of backups.
+    13: (upgradeTransaction, next) => {
+        db.createObjectStore(SYNC_CHANGE_STORE_NAME, { keyPath: 'queued', autoIncrement: true });
+        db.createObjectStore(SYNC_CONFLICT_STORE_NAME, { keyPath: 'recordId' });
+        next();
+    },
+    
+    // Version 14: deleted transactions kept for a while, and data snapshots taken before clearing
+    14: (upgradeTransaction, next) => {
+        db.createObjectStore(TRASH_STORE_NAME, { keyPath: 'id' });
+        db.createObjectStore(SNAPSHOT_STORE_NAME, { keyPath: 'id' });
+        next();
+    },
+    
+    // Version 15: string ids for transactions and recurring rules, and transaction amounts
+    // in whole minor units, indexed as amountMinor
+    15: (upgradeTransaction, next) => {
+        const transactionStore = upgradeTransaction.objectStore(STORE_NAME);
+        transactionStore.deleteIndex('amount');
+        transactionStore.createIndex('amountMinor', 'amountMinor', { unique: false });
+        
+        // Transactions without a currency of their own use their account's
+        upgradeTransaction.objectStore(ACCOUNT_STORE_NAME).getAll().onsuccess = (event) => {
+            const currencies = new Map(event.target.result.map(account => [account.id, account.currency]));
+            const migrate = record => migrateStoredTransaction(record, currencies);
             
-            // Create object store if it doesn't exist
-            if (!db.objectStoreNames.contains(STORE_NAME)) {
-                const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
-                
-                // Create indexes for efficient querying
-                store.createIndex('date', 'date', { unique: false });
-                store.createIndex('category', 'category', { unique: false });
-                store.createIndex('type', 'type', { unique: false });
-                store.createIndex('amount', 'amount', { unique: false });
-                
-                console.log('Object store created:', STORE_NAME);
-            }
+            rewriteStores(upgradeTransaction, [
+                [STORE_NAME, migrate],
+                [RECURRING_STORE_NAME, rule => ({ ...rule, id: String(rule.id) })],
+                [RECEIPT_STORE_NAME, receipt => ({ ...receipt, transactionId: String(receipt.transactionId) })],
+                [TRASH_STORE_NAME, entry => ({ ...entry, id: String(entry.id), record: migrate(entry.record) })],
+                [SYNC_CHANGE_STORE_NAME, change => ({
+                    ...change,
+                    recordId: String(change.recordId),
+                    record: migrate(change.record),
+                    base: migrate(change.base)
+                })],
+                [SYNC_CONFLICT_STORE_NAME, conflict => ({
+                    ...conflict,
+                    recordId: String(conflict.recordId),
+                    base: migrate(conflict.base),
+                    local: migrate(conflict.local),
+                    remote: migrate(conflict.remote)
+                })]
+            ], next);
         };
+    }
+};
+
+// Run the migration steps after oldVersion in order
+function runMigrations(upgradeTransaction, oldVersion) {
+    const runStep = (version) => {
+        if (version > DB_VERSION) return;
+        
+        console.log(`Upgrading database to version ${version}`);
+        DB_MIGRATIONS[version](upgradeTransaction, () => runStep(version + 1));
+    };
+    
+    runStep(oldVersion + 1);
+}
+
+// Rewrite every record of each store in turn with its transform, then call next.
+// A record whose key changes is deleted under the old key.
+function rewriteStores(upgradeTransaction, transforms, next) {
+    if (transforms.length === 0) {
+        next();
+        return;
+    }
+    
+    const [[storeName, transform], ...rest] = transforms;
+    const store = upgradeTransaction.objectStore(storeName);
+    const request = store.getAll();
+    
+    request.onsuccess = () => {
+        request.result.forEach(record => {
+            const migrated = transform(record);
+            if (migrated[store.keyPath] !== record[store.keyPath]) {
+                store.delete(record[store.keyPath]);
+            }
+            store.put(migrated);
+        });
+        
+        console.log(`Migrated ${request.result.length} ${storeName} records`);
+        rewriteStores(upgradeTransaction, rest, next);
+    };
+}
+
+// A stored transaction from before version 15 in the current stored form. Encrypted ones only get
+// a string key here; their contents are converted when they are next written.
+function migrateStoredTransaction(record, currencies) {
+    if (!record) return record;
+    if (record.encrypted) return { ...record, id: String(record.id) };
+    
+    return toStoredTransaction(record, record.currency || currencies.get(record.account) || DEFAULT_ACCOUNT.currency);
+}
+
+// Seed the category store and swap category names on stored transactions for ids
+function migrateTransactionCategories(upgradeTransaction, next) {
+    const transactionStore = upgradeTransaction.objectStore(STORE_NAME);
+    const categoryStore = upgradeTransaction.objectStore(CATEGORY_STORE_NAME);
+    const request = transactionStore.getAll();
+    
+    request.onsuccess = () => {
+        const migrated = assignCategoryIds(request.result, []);
+        
+        migrated.categories.forEach(category => categoryStore.put(category));
+        migrated.transactions.forEach(transaction => transactionStore.put(transaction));
+        
+        console.log(`Migrated ${migrated.transactions.length} transactions to category ids`);
+        next();
+    };
+}
+
+// Seed the account store and put every stored transaction and recurring rule in the default account
+function migrateTransactionAccounts(upgradeTransaction, next) {
+    upgradeTransaction.objectStore(ACCOUNT_STORE_NAME).put({ ...DEFAULT_ACCOUNT, createdAt: new Date().toISOString() });
+    
+    const assign = record => assignDefaultAccount([record])[0];
+    rewriteStores(upgradeTransaction, [[STORE_NAME, assign], [RECURRING_STORE_NAME, assign]], next);
+}
+
+// Give records without an account the default account
+function assignDefaultAccount(recordList) {
+    return recordList.map(record => record.account ? record : { ...record, account: DEFAULT_ACCOUNT.id });
+}
+
+// Map category names on transactions to category ids, creating categories as needed.
+// Starts from the default categories when no categories exist yet.
+function assignCategoryIds(transactionList, categoryList) {
+    const result = categoryList.length > 0
+        ? categoryList.map(category => ({ ...category }))
+        : DEFAULT_CATEGORIES.map((category, index) => ({ ...category, parentId: null, order: index, archived: false }));
+    const idsByName = new Map(result.map(category => [category.name.toLowerCase(), category.id]));
+    
+    const migratedTransactions = transactionList.map(transaction => {
+        const name = String(transaction.category || 'Other').trim();
+        const key = name.toLowerCase();
+        
+        if (!idsByName.has(key)) {
+            const category = {
+                id: createCategoryId(),
+                name,
+                color: '#94a3b8',
+                icon: 'tag',
+                parentId: null,
+                order: result.length,
+                archived: false
+            };
+            result.push(category);
+            idsByName.set(key, category.id);
+        }
+        
+        return { ...transaction, category: idsByName.get(key) };
     });
+    
+    return { transactions: migratedTransactions, categories: result };
 }
 
-// Load transactions from IndexedDB
-async function loadTransactions() {
+// Load categories from IndexedDB
+async function loadCategories() {
     return new Promise((resolve, reject) => {
         if (!db) {
             console.error('IndexedDB not initialized');
-            transactions = [];
-            filteredTransactions = [];
+            categories = [];
             resolve();
             return;
         }
         
-        const transaction = db.transaction(STORE_NAME, 'readonly');
-        const store = transaction.objectStore(STORE_NAME);
-        const request = store.getAll();
+        const request = db.transaction(CATEGORY_STORE_NAME, 'readonly').objectStore(CATEGORY_STORE_NAME).getAll();
         
         request.onsuccess = (event) => {
-            transactions = event.target.result;
-            // Sort by date (newest first)
-            transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
-            filteredTransactions = [...transactions];
-            console.log(`Loaded ${transactions.length} transactions from IndexedDB`);
+            categories = event.target.result;
+            console.log(`Loaded ${categories.length} categories from IndexedDB`);
             resolve();
         };
         
         request.onerror = (event) => {
-            console.error('Error loading transactions from IndexedDB:', event.target.error);
-            transactions = [];
-            filteredTransactions = [];
+            console.error('Error loading categories from IndexedDB:', event.target.error);
+            categories = [];
             reject(event.target.error);
         };
     });
 }
 
-// Save a transaction to IndexedDB
-async function saveTransaction(transaction) {
+// Save a category to IndexedDB
+async function saveCategory(category) {
     return new Promise((resolve, reject) => {
         if (!db) {
             console.error('IndexedDB not initialized');
@@ -134,24 +808,24 @@ async function saveTransaction(transaction) {
             return;
         }
         
-        const dbTransaction = db.transaction(STORE_NAME, 'readwrite');
-        const store = dbTransaction.objectStore(STORE_NAME);
-        const request = store.put(transaction);
+        const request = db.transaction(CATEGORY_STORE_NAME, 'readwrite').objectStore(CATEGORY_STORE_NAME).put(category);
         
         request.onsuccess = () => {
-            console.log('Transaction saved to IndexedDB:', transaction.id);
+            console.log('Category saved to IndexedDB:', category.id);
             resolve();
         };
         
         request.onerror = (event) => {
-            console.error('Error saving transaction to IndexedDB:', event.target.error);
+            console.error('Error saving category to IndexedDB:', event.target.error);
             reject(event.target.error);
         };
     });
 }
 
-// Delete a transaction from IndexedDB
-async function deleteTransaction(id) {
+// Save categories, delete others and move transactions between categories in one transaction
+async function saveCategories(categoryList, deleteIds, transactionList = []) {
+    const sealedList = await sealRecords(transactionList);
+    
     return new Promise((resolve, reject) => {
         if (!db) {
             console.error('IndexedDB not initialized');
@@ -159,24 +833,56 @@ async function deleteTransaction(id) {
             return;
         }
         
-        const dbTransaction = db.transaction(STORE_NAME, 'readwrite');
-        const store = dbTransaction.objectStore(STORE_NAME);
-        const request = store.delete(id);
+        const dbTransaction = db.transaction([CATEGORY_STORE_NAME, STORE_NAME, SYNC_CHANGE_STORE_NAME], 'readwrite');
+        const categoryStore = dbTransaction.objectStore(CATEGORY_STORE_NAME);
+        const transactionStore = dbTransaction.objectStore(STORE_NAME);
         
-        request.onsuccess = () => {
-            console.log('Transaction deleted from IndexedDB:', id);
+        categoryList.forEach(category => categoryStore.put(category));
+        deleteIds.forEach(id => categoryStore.delete(id));
+        logTransactionChanges(dbTransaction, sealedList);
+        sealedList.forEach(transaction => transactionStore.put(transaction));
+        
+        dbTransaction.oncomplete = () => resolve();
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error saving categories to IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+        
+        dbTransaction.onabort = (event) => {
+            reject(event.target.error || 'Transaction aborted');
+        };
+    });
+}
+
+// Load accounts from IndexedDB
+async function loadAccounts() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            accounts = [];
+            resolve();
+            return;
+        }
+        
+        const request = db.transaction(ACCOUNT_STORE_NAME, 'readonly').objectStore(ACCOUNT_STORE_NAME).getAll();
+        
+        request.onsuccess = (event) => {
+            accounts = event.target.result.sort((a, b) => a.order - b.order);
+            console.log(`Loaded ${accounts.length} accounts from IndexedDB`);
             resolve();
         };
         
         request.onerror = (event) => {
-            console.error('Error deleting transaction from IndexedDB:', event.target.error);
+            console.error('Error loading accounts from IndexedDB:', event.target.error);
+            accounts = [];
             reject(event.target.error);
         };
     });
 }
 
-// Clear all transactions from IndexedDB
-async function clearAllTransactionsFromDB() {
+// Save accounts and delete unused ones in one IndexedDB transaction
+async function saveAccounts(accountList, deleteIds) {
     return new Promise((resolve, reject) => {
         if (!db) {
             console.error('IndexedDB not initialized');
@@ -184,361 +890,10217 @@ async function clearAllTransactionsFromDB() {
             return;
         }
         
-        const dbTransaction = db.transaction(STORE_NAME, 'readwrite');
-        const store = dbTransaction.objectStore(STORE_NAME);
-        const request = store.clear();
+        const dbTransaction = db.transaction(ACCOUNT_STORE_NAME, 'readwrite');
+        const store = dbTransaction.objectStore(ACCOUNT_STORE_NAME);
         
-        request.onsuccess = () => {
-            console.log('All transactions cleared from IndexedDB');
+        accountList.forEach(account => store.put(account));
+        deleteIds.forEach(id => store.delete(id));
+        
+        dbTransaction.oncomplete = () => {
+            console.log('Accounts saved to IndexedDB');
             resolve();
         };
         
-        request.onerror = (event) => {
-            console.error('Error clearing transactions from IndexedDB:', event.target.error);
+        dbTransaction.onerror = (event) => {
+            console.error('Error saving accounts to IndexedDB:', event.target.error);
             reject(event.target.error);
         };
     });
 }
 
-// Setup all event listeners
-function setupEventListeners() {
-    // Form submission
-    transactionForm.addEventListener('submit', addTransaction);
-    
-    // Search functionality
-    searchInput.addEventListener('input', filterTransactions);
-    
-    // Clear all button
-    clearAllButton.addEventListener('click', () => {
-        confirmationModal.classList.add('active');
+// Load exchange rates from IndexedDB
+async function loadRates() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            exchangeRates = [];
+            resolve();
+            return;
+        }
+        
+        const request = db.transaction(RATE_STORE_NAME, 'readonly').objectStore(RATE_STORE_NAME).getAll();
+        
+        request.onsuccess = (event) => {
+            exchangeRates = event.target.result;
+            console.log(`Loaded ${exchangeRates.length} exchange rates from IndexedDB`);
+            resolve();
+        };
+        
+        request.onerror = (event) => {
+            console.error('Error loading exchange rates from IndexedDB:', event.target.error);
+            exchangeRates = [];
+            reject(event.target.error);
+        };
     });
-    
-    // Modal controls
-    closeModalButton.addEventListener('click', closeModal);
-    cancelClearButton.addEventListener('click', closeModal);
-    
-    // Confirm clear all
-    confirmClearButton.addEventListener('click', clearAllTransactions);
-    
-    // Close modal when clicking outside
-    confirmationModal.addEventListener('click', (e) => {
-        if (e.target === confirmationModal) {
-            closeModal();
+}
+
+// Save exchange rates and delete others in one IndexedDB transaction
+async function saveRates(rateList, deleteCurrencies) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
         }
+        
+        const dbTransaction = db.transaction(RATE_STORE_NAME, 'readwrite');
+        const store = dbTransaction.objectStore(RATE_STORE_NAME);
+        
+        rateList.forEach(rate => store.put(rate));
+        deleteCurrencies.forEach(currency => store.delete(currency));
+        
+        dbTransaction.oncomplete = () => {
+            console.log('Exchange rates saved to IndexedDB');
+            resolve();
+        };
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error saving exchange rates to IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
     });
 }
 
-// Close confirmation modal
-function closeModal() {
-    confirmationModal.classList.remove('active');
+// Load categorization rules from IndexedDB
+async function loadCategoryRules() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            categoryRules = [];
+            resolve();
+            return;
+        }
+        
+        const request = db.transaction(RULE_STORE_NAME, 'readonly').objectStore(RULE_STORE_NAME).getAll();
+        
+        request.onsuccess = (event) => {
+            categoryRules = event.target.result;
+            console.log(`Loaded ${categoryRules.length} categorization rules from IndexedDB`);
+            resolve();
+        };
+        
+        request.onerror = (event) => {
+            console.error('Error loading categorization rules from IndexedDB:', event.target.error);
+            categoryRules = [];
+            reject(event.target.error);
+        };
+    });
 }
 
-// Add a new transaction
-async function addTransaction(e) {
-    e.preventDefault();
-    
-    const name = transactionNameInput.value.trim();
-    const amount = parseFloat(transactionAmountInput.value);
-    const category = transactionCategoryInput.value;
-    
-    // Validate inputs
-    if (!name || isNaN(amount) || !category) {
-        alert('Please fill in all fields correctly.');
-        return;
-    }
-    
-    // Create transaction object
-    const transaction = {
-        id: Date.now() + Math.random(), // More unique ID
-        name,
-        amount,
-        category,
-        date: new Date().toISOString(),
-        type: amount >= 0 ? 'income' : 'expense'
-    };
-    
-    try {
-        // Save to IndexedDB
-        await saveTransaction(transaction);
+// Save categorization rules and delete others in one IndexedDB transaction
+async function saveCategoryRules(ruleList, deleteIds) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
         
-        // Add to transactions array (at beginning for newest first)
-        transactions.unshift(transaction);
-        filteredTransactions = [...transactions];
+        const dbTransaction = db.transaction(RULE_STORE_NAME, 'readwrite');
+        const store = dbTransaction.objectStore(RULE_STORE_NAME);
         
-        // Update UI
-        renderTransactions();
-        updateBalance();
-        updateSpendingSummary();
+        ruleList.forEach(rule => store.put(rule));
+        deleteIds.forEach(id => store.delete(id));
         
-        // Reset form
-        transactionForm.reset();
+        dbTransaction.oncomplete = () => {
+            console.log('Categorization rules saved to IndexedDB');
+            resolve();
+        };
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error saving categorization rules to IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+// Load savings goals from IndexedDB
+async function loadGoals() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            goals = [];
+            resolve();
+            return;
+        }
         
-        // Show visual feedback
-        transactionNameInput.focus();
+        const request = db.transaction(GOAL_STORE_NAME, 'readonly').objectStore(GOAL_STORE_NAME).getAll();
         
-        // Show success notification
-        showNotification('Transaction added successfully!', 'success');
+        request.onsuccess = (event) => {
+            goals = event.target.result;
+            console.log(`Loaded ${goals.length} savings goals from IndexedDB`);
+            resolve();
+        };
         
-    } catch (error) {
-        console.error('Error adding transaction:', error);
-        showNotification('Error saving transaction. Please try again.', 'error');
+        request.onerror = (event) => {
+            console.error('Error loading savings goals from IndexedDB:', event.target.error);
+            goals = [];
+            reject(event.target.error);
+        };
+    });
+}
+
+// Save and delete goals, and update the transactions linked to them, in one transaction
+async function saveGoals(goalList, deleteIds, transactionList = []) {
+    const sealedList = await sealRecords(transactionList);
+    
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const dbTransaction = db.transaction([GOAL_STORE_NAME, STORE_NAME, SYNC_CHANGE_STORE_NAME], 'readwrite');
+        const goalStore = dbTransaction.objectStore(GOAL_STORE_NAME);
+        const transactionStore = dbTransaction.objectStore(STORE_NAME);
+        
+        goalList.forEach(goal => goalStore.put(goal));
+        deleteIds.forEach(id => goalStore.delete(id));
+        logTransactionChanges(dbTransaction, sealedList);
+        sealedList.forEach(transaction => transactionStore.put(transaction));
+        
+        dbTransaction.oncomplete = () => {
+            console.log('Savings goals saved to IndexedDB');
+            resolve();
+        };
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error saving savings goals to IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+        
+        dbTransaction.onabort = (event) => {
+            reject(event.target.error || 'Transaction aborted');
+        };
+    });
+}
+
+// Load bills from IndexedDB
+async function loadBills() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            bills = [];
+            resolve();
+            return;
+        }
+        
+        const request = db.transaction(BILL_STORE_NAME, 'readonly').objectStore(BILL_STORE_NAME).getAll();
+        
+        request.onsuccess = (event) => {
+            bills = event.target.result;
+            console.log(`Loaded ${bills.length} bills from IndexedDB`);
+            resolve();
+        };
+        
+        request.onerror = (event) => {
+            console.error('Error loading bills from IndexedDB:', event.target.error);
+            bills = [];
+            reject(event.target.error);
+        };
+    });
+}
+
+// Save and delete bills, and add the expenses of paid ones, in one transaction
+async function saveBills(billList, deleteIds, transactionList = []) {
+    const sealedList = await sealRecords(transactionList);
+    
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const dbTransaction = db.transaction([BILL_STORE_NAME, STORE_NAME, SYNC_CHANGE_STORE_NAME], 'readwrite');
+        const billStore = dbTransaction.objectStore(BILL_STORE_NAME);
+        const transactionStore = dbTransaction.objectStore(STORE_NAME);
+        
+        billList.forEach(bill => billStore.put(bill));
+        deleteIds.forEach(id => billStore.delete(id));
+        logTransactionChanges(dbTransaction, sealedList);
+        sealedList.forEach(transaction => transactionStore.put(transaction));
+        
+        dbTransaction.oncomplete = () => {
+            console.log('Bills saved to IndexedDB');
+            resolve();
+        };
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error saving bills to IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+        
+        dbTransaction.onabort = (event) => {
+            reject(event.target.error || 'Transaction aborted');
+        };
+    });
+}
+
+// Load receipt details from IndexedDB, leaving the images themselves in the store
+async function loadReceipts() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            receipts = [];
+            resolve();
+            return;
+        }
+        
+        const loaded = [];
+        const request = db.transaction(RECEIPT_STORE_NAME, 'readonly').objectStore(RECEIPT_STORE_NAME).openCursor();
+        
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            
+            if (cursor) {
+                const { blob, ...details } = cursor.value;
+                loaded.push(details);
+                cursor.continue();
+                return;
+            }
+            
+            receipts = loaded;
+            console.log(`Loaded ${receipts.length} receipts from IndexedDB`);
+            resolve();
+        };
+        
+        request.onerror = (event) => {
+            console.error('Error loading receipts from IndexedDB:', event.target.error);
+            receipts = [];
+            reject(event.target.error);
+        };
+    });
+}
+
+// Read one receipt, including its image Blob
+async function getReceipt(id) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const request = db.transaction(RECEIPT_STORE_NAME, 'readonly').objectStore(RECEIPT_STORE_NAME).get(id);
+        
+        request.onsuccess = (event) => resolve(event.target.result || null);
+        
+        request.onerror = (event) => {
+            console.error('Error reading receipt from IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+// Save receipts and delete others in one IndexedDB transaction
+async function saveReceipts(receiptList, deleteIds) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const dbTransaction = db.transaction(RECEIPT_STORE_NAME, 'readwrite');
+        const store = dbTransaction.objectStore(RECEIPT_STORE_NAME);
+        
+        receiptList.forEach(receipt => store.put(receipt));
+        deleteIds.forEach(id => store.delete(id));
+        
+        dbTransaction.oncomplete = () => {
+            console.log('Receipts saved to IndexedDB');
+            resolve();
+        };
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error saving receipts to IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+        
+        dbTransaction.onabort = (event) => {
+            reject(event.target.error || 'Transaction aborted');
+        };
+    });
+}
+
+// Load budgets from IndexedDB
+async function loadBudgets() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            budgets = [];
+            resolve();
+            return;
+        }
+        
+        const request = db.transaction(BUDGET_STORE_NAME, 'readonly').objectStore(BUDGET_STORE_NAME).getAll();
+        
+        request.onsuccess = (event) => {
+            budgets = event.target.result;
+            console.log(`Loaded ${budgets.length} budgets from IndexedDB`);
+            resolve();
+        };
+        
+        request.onerror = (event) => {
+            console.error('Error loading budgets from IndexedDB:', event.target.error);
+            budgets = [];
+            reject(event.target.error);
+        };
+    });
+}
+
+// Save and delete budgets in one transaction
+async function saveBudgets(budgetList, deleteIds) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const dbTransaction = db.transaction(BUDGET_STORE_NAME, 'readwrite');
+        const store = dbTransaction.objectStore(BUDGET_STORE_NAME);
+        
+        budgetList.forEach(budget => store.put(budget));
+        deleteIds.forEach(id => store.delete(id));
+        
+        dbTransaction.oncomplete = () => {
+            console.log('Budgets saved to IndexedDB');
+            resolve();
+        };
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error saving budgets to IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+// Load recurring rules from IndexedDB
+async function loadRecurringRules() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            recurringRules = [];
+            resolve();
+            return;
+        }
+        
+        const request = db.transaction(RECURRING_STORE_NAME, 'readonly').objectStore(RECURRING_STORE_NAME).getAll();
+        
+        request.onsuccess = (event) => {
+            recurringRules = event.target.result;
+            console.log(`Loaded ${recurringRules.length} recurring rules from IndexedDB`);
+            resolve();
+        };
+        
+        request.onerror = (event) => {
+            console.error('Error loading recurring rules from IndexedDB:', event.target.error);
+            recurringRules = [];
+            reject(event.target.error);
+        };
+    });
+}
+
+// Save and delete recurring rules, and add their generated transactions, in one transaction
+async function saveRecurringChanges(ruleList, deleteIds, transactionList = []) {
+    const sealedList = await sealRecords(transactionList);
+    
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const dbTransaction = db.transaction([RECURRING_STORE_NAME, STORE_NAME, SYNC_CHANGE_STORE_NAME], 'readwrite');
+        const ruleStore = dbTransaction.objectStore(RECURRING_STORE_NAME);
+        const transactionStore = dbTransaction.objectStore(STORE_NAME);
+        
+        ruleList.forEach(rule => ruleStore.put(rule));
+        deleteIds.forEach(id => ruleStore.delete(id));
+        logTransactionChanges(dbTransaction, sealedList);
+        sealedList.forEach(transaction => transactionStore.put(transaction));
+        
+        dbTransaction.oncomplete = () => {
+            console.log('Recurring rules saved to IndexedDB');
+            resolve();
+        };
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error saving recurring rules to IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+        
+        dbTransaction.onabort = (event) => {
+            reject(event.target.error || 'Transaction aborted');
+        };
+    });
+}
+
+// Load settings from IndexedDB into a key/value object
+async function loadSettings() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            settings = {};
+            resolve();
+            return;
+        }
+        
+        const request = db.transaction(SETTINGS_STORE_NAME, 'readonly').objectStore(SETTINGS_STORE_NAME).getAll();
+        
+        request.onsuccess = (event) => {
+            settings = {};
+            event.target.result.forEach(record => {
+                settings[record.key] = record.value;
+            });
+            console.log('Loaded settings from IndexedDB');
+            resolve();
+        };
+        
+        request.onerror = (event) => {
+            console.error('Error loading settings from IndexedDB:', event.target.error);
+            settings = {};
+            reject(event.target.error);
+        };
+    });
+}
+
+// Save one setting to IndexedDB
+async function saveSetting(key, value) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const request = db.transaction(SETTINGS_STORE_NAME, 'readwrite').objectStore(SETTINGS_STORE_NAME).put({ key, value });
+        
+        request.onsuccess = () => {
+            settings[key] = value;
+            console.log('Setting saved to IndexedDB:', key);
+            resolve();
+        };
+        
+        request.onerror = (event) => {
+            console.error('Error saving setting to IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+// Read a setting, falling back to a default
+function getSetting(key, defaultValue) {
+    return settings[key] !== undefined ? settings[key] : defaultValue;
+}
+
+// A transaction in the form it is stored in: a string id, and amounts as whole minor units
+// with the currency's exponent, so sums and round trips through JSON stay exact
+function toStoredTransaction(transaction, currency) {
+    if (!transaction || transaction.encrypted || transaction.amount === undefined) return transaction;
+    if (!currency) currency = getTransactionCurrency(transaction);
+    
+    const { amount, ...stored } = transaction;
+    stored.id = String(transaction.id);
+    stored.amountMinor = toMinorUnits(amount, currency);
+    stored.currencyExponent = getCurrencyExponent(currency);
+    
+    if (transaction.recurringId !== undefined) {
+        stored.recurringId = String(transaction.recurringId);
+    }
+    
+    if (transaction.splits) {
+        stored.splits = transaction.splits.map(({ amount: splitAmount, ...split }) => ({
+            ...split,
+            amountMinor: toMinorUnits(splitAmount, currency)
+        }));
+    }
+    
+    return stored;
+}
+
+// A stored transaction in the form the app works with, amounts in whole currency units.
+// Records written before version 15 only need their ids made strings.
+function fromStoredTransaction(record) {
+    if (!record || record.encrypted) return record;
+    
+    const { amountMinor, currencyExponent, ...transaction } = record;
+    transaction.id = String(record.id);
+    
+    if (record.recurringId !== undefined) {
+        transaction.recurringId = String(record.recurringId);
+    }
+    
+    if (amountMinor !== undefined) {
+        transaction.amount = amountMinor / 10 ** currencyExponent;
+        
+        if (record.splits) {
+            transaction.splits = record.splits.map(({ amountMinor: splitMinor, ...split }) => ({
+                ...split,
+                amount: splitMinor / 10 ** currencyExponent
+            }));
+        }
+    }
+    
+    return transaction;
+}
+
+// Generate an id for a new transaction or recurring rule
+function createRecordId() {
+    return crypto.randomUUID();
+}
+
+// Transactions read from IndexedDB per page when loading
+const LOAD_PAGE_SIZE = 500;
+
+// Settles once every transaction is in memory. Startup loads just the newest page so the list can show
+// straight away and reads the rest behind it; anything that counts or changes every transaction waits.
+let transactionsLoaded = Promise.resolve();
+
+// Load transactions from IndexedDB, newest first, a page at a time along the date index, or only the
+// first page. Encrypted records have no readable date to index, so they are all read in one go instead.
+async function loadTransactions(firstPageOnly = false) {
+    if (!db) {
+        console.error('IndexedDB not initialized');
+        transactions = [];
+        filteredTransactions = [];
+        return;
+    }
+    
+    try {
+        if (isEncryptionEnabled()) {
+            transactions = await openRecords(await getAllFromStore(STORE_NAME));
+        } else {
+            const loaded = [];
+            let page;
+            let end = null;
+            
+            do {
+                page = await readTransactionPage(null, end, true);
+                end = getPageEnd(page, end);
+                loaded.push(...await openRecords(page));
+            } while (page.length === LOAD_PAGE_SIZE && !firstPageOnly);
+            
+            transactions = loaded;
+        }
+    } catch (error) {
+        console.error('Error loading transactions from IndexedDB:', error);
+        transactions = [];
+        filteredTransactions = [];
+        throw error;
+    }
+    
+    // Sort by date (newest first); also settles dates stored in other formats
+    transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+    console.log(`Loaded ${transactions.length} transactions from IndexedDB`);
+}
+
+// Read every page of transactions into memory behind the first one, for startup. Anything added, changed or
+// removed meanwhile is already up to date in memory, so only transactions not there yet are added.
+async function loadTransactionHistory() {
+    if (isEncryptionEnabled()) return;
+    
+    try {
+        let page;
+        let end = null;
+        
+        do {
+            page = await readTransactionPage(null, end, true);
+            end = getPageEnd(page, end);
+            
+            const known = new Set(transactions.map(transaction => transaction.id));
+            transactions.push(...(await openRecords(page)).filter(transaction => !known.has(transaction.id)));
+            transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+        } while (page.length === LOAD_PAGE_SIZE);
+    } catch (error) {
+        console.error('Error loading transaction history from IndexedDB:', error);
+        showNotification('Error loading older transactions. Totals may be incomplete.', 'error');
+    }
+    
+    console.log(`Loaded ${transactions.length} transactions from IndexedDB`);
+}
+
+// Read up to a page of stored transactions with a cursor on the date index, within an optional key range,
+// newest or oldest first, carrying on from where an earlier page ended (see getPageEnd)
+async function readTransactionPage(range, end, descending, size = LOAD_PAGE_SIZE) {
+    return new Promise((resolve, reject) => {
+        const page = [];
+        const index = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index('date');
+        const request = index.openCursor(getDatePageRange(range, end && end.date, descending), descending ? 'prev' : 'next');
+        
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            
+            if (!cursor || page.length === size) {
+                resolve(page);
+                return;
+            }
+            
+            if (!end || !end.ids.has(cursor.primaryKey)) {
+                page.push(cursor.value);
+            }
+            cursor.continue();
+        };
+        
+        request.onerror = (event) => {
+            reject(event.target.error);
+        };
+    });
+}
+
+// Where reading along the date index carries on after these records: the last date read, which is
+// read again, and the ids already read on it, which are skipped
+function getPageEnd(records, end = null) {
+    let date = end ? end.date : null;
+    let ids = end ? new Set(end.ids) : new Set();
+    
+    records.forEach(record => {
+        if (record.date !== date) {
+            date = record.date;
+            ids = new Set();
+        }
+        ids.add(record.id);
+    });
+    
+    return date === null ? null : { date, ids };
+}
+
+// Key range on the date index from a date (inclusive) onwards in the direction read, kept within a range
+function getDatePageRange(range, fromDate, descending) {
+    if (!fromDate) return range;
+    
+    let lower = range && range.lower !== undefined ? range.lower : null;
+    let upper = range && range.upper !== undefined ? range.upper : null;
+    let lowerOpen = Boolean(range && range.lowerOpen);
+    let upperOpen = Boolean(range && range.upperOpen);
+    
+    if (descending && (upper === null || fromDate < upper)) {
+        upper = fromDate;
+        upperOpen = false;
+    } else if (!descending && (lower === null || fromDate > lower)) {
+        lower = fromDate;
+        lowerOpen = false;
+    }
+    
+    return makeKeyRange(lower, upper, lowerOpen, upperOpen);
+}
+
+// Save a transaction to IndexedDB
+async function saveTransaction(transaction) {
+    const sealed = await sealRecord(transaction);
+    
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const dbTransaction = db.transaction([STORE_NAME, SYNC_CHANGE_STORE_NAME], 'readwrite');
+        const store = dbTransaction.objectStore(STORE_NAME);
+        logTransactionChanges(dbTransaction, [sealed]);
+        const request = store.put(sealed);
+        
+        request.onsuccess = () => {
+            console.log('Transaction saved to IndexedDB:', transaction.id);
+            resolve();
+        };
+        
+        request.onerror = (event) => {
+            console.error('Error saving transaction to IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+// Move a transaction from IndexedDB into the trash
+async function deleteTransaction(id) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const dbTransaction = db.transaction([STORE_NAME, TRASH_STORE_NAME, SYNC_CHANGE_STORE_NAME], 'readwrite');
+        logTransactionChanges(dbTransaction, [], [id]);
+        moveToTrash(dbTransaction, [id]);
+        
+        dbTransaction.oncomplete = () => {
+            console.log('Transaction moved to trash in IndexedDB:', id);
+            resolve();
+        };
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error deleting transaction from IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+        
+        dbTransaction.onabort = (event) => {
+            reject(event.target.error || 'Transaction aborted');
+        };
+    });
+}
+
+// Save many transactions to IndexedDB in a single transaction
+async function saveTransactions(transactionList) {
+    const sealedList = await sealRecords(transactionList);
+    
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const dbTransaction = db.transaction([STORE_NAME, SYNC_CHANGE_STORE_NAME], 'readwrite');
+        const store = dbTransaction.objectStore(STORE_NAME);
+        
+        logTransactionChanges(dbTransaction, sealedList);
+        sealedList.forEach(transaction => store.put(transaction));
+        
+        // Resolve only once every put has been committed together
+        dbTransaction.oncomplete = () => {
+            console.log(`${transactionList.length} transactions saved to IndexedDB`);
+            resolve();
+        };
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error saving transactions to IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+        
+        dbTransaction.onabort = (event) => {
+            reject(event.target.error || 'Transaction aborted');
+        };
+    });
+}
+
+// Put transactions (taking them out of the trash) and move others to the trash in a single IndexedDB transaction
+async function applyTransactionChanges(puts, deleteIds) {
+    const sealedPuts = await sealRecords(puts);
+    
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const dbTransaction = db.transaction([STORE_NAME, TRASH_STORE_NAME, SYNC_CHANGE_STORE_NAME], 'readwrite');
+        const store = dbTransaction.objectStore(STORE_NAME);
+        const trashStore = dbTransaction.objectStore(TRASH_STORE_NAME);
+        
+        logTransactionChanges(dbTransaction, sealedPuts, deleteIds);
+        moveToTrash(dbTransaction, deleteIds);
+        sealedPuts.forEach(transaction => {
+            store.put(transaction);
+            trashStore.delete(transaction.id);
+        });
+        
+        dbTransaction.oncomplete = () => resolve();
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error applying changes to IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+        
+        dbTransaction.onabort = (event) => {
+            reject(event.target.error || 'Transaction aborted');
+        };
+    });
+}
+
+// Read every record from an object store
+async function getAllFromStore(storeName) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+        
+        request.onsuccess = (event) => resolve(event.target.result);
+        
+        request.onerror = (event) => {
+            console.error(`Error reading ${storeName} from IndexedDB:`, event.target.error);
+            reject(event.target.error);
+        };
+    });
+}
+
+// Read transactions matching any of the key ranges on one index, or every transaction without a query.
+// With a page, reads along the date index instead, within the query's date range if it has one, and
+// returns the next transactions passing page.matches in date order after page.end: at least page.limit
+// of them unless there are no more.
+async function queryTransactions(indexQuery, page = null) {
+    if (page) {
+        return queryTransactionPage(indexQuery ? indexQuery.ranges : [null], page);
+    }
+    
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const dbTransaction = db.transaction(STORE_NAME, 'readonly');
+        const store = dbTransaction.objectStore(STORE_NAME);
+        const results = new Map();
+        
+        // A query may search the same ranges in more than one index
+        const requests = indexQuery
+            ? [].concat(indexQuery.index).flatMap(index => indexQuery.ranges.map(range => store.index(index).getAll(range)))
+            : [store.getAll()];
+        
+        // Ranges may overlap, so de-duplicate by id
+        requests.forEach(request => {
+            request.onsuccess = (event) => {
+                event.target.result.forEach(transaction => results.set(transaction.id, transaction));
+            };
+        });
+        
+        dbTransaction.oncomplete = () => openRecords([...results.values()]).then(resolve, reject);
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error querying transactions from IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+        
+        dbTransaction.onabort = (event) => {
+            reject(event.target.error || 'Transaction aborted');
+        };
+    });
+}
+
+// Read stored transactions along the date index until enough of them pass the check, for queryTransactions.
+// The first read is just the size of the page; when the check turns most down, reads grow to a full load page.
+async function queryTransactionPage(ranges, { end, limit, descending, matches }) {
+    const found = [];
+    if (ranges.length === 0) return found;
+    
+    let size = limit;
+    let records;
+    do {
+        records = await readTransactionPage(ranges[0], end, descending, size);
+        end = getPageEnd(records, end);
+        found.push(...(await openRecords(records)).filter(matches));
+        
+        if (records.length < size) break;
+        size = LOAD_PAGE_SIZE;
+    } while (found.length < limit);
+    
+    return found;
+}
+
+// Write backup data into its stores atomically, optionally clearing them first
+async function restoreStores(data, replace) {
+    if (data[STORE_NAME]) {
+        data = { ...data, [STORE_NAME]: await sealRecords(data[STORE_NAME]) };
+    }
+    
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const storeNames = Object.keys(data);
+        const dbTransaction = db.transaction([...storeNames, TRASH_STORE_NAME, SYNC_CHANGE_STORE_NAME], 'readwrite');
+        
+        storeNames.forEach(storeName => {
+            const store = dbTransaction.objectStore(storeName);
+            const write = () => {
+                if (replace) {
+                    store.clear();
+                }
+                data[storeName].forEach(record => store.put(record));
+            };
+            
+            if (storeName !== STORE_NAME || !isSyncEnabled()) {
+                write();
+                return;
+            }
+            
+            // Log the restored transactions, and on replace the ones it removes, before writing
+            store.getAllKeys().onsuccess = (event) => {
+                const restoredIds = new Set(data[storeName].map(transaction => transaction.id));
+                const removedIds = replace ? event.target.result.filter(id => !restoredIds.has(id)) : [];
+                logTransactionChanges(dbTransaction, data[storeName], removedIds);
+                write();
+            };
+        });
+        
+        // Restored transactions are no longer deleted
+        if (data[STORE_NAME]) {
+            const trashStore = dbTransaction.objectStore(TRASH_STORE_NAME);
+            data[STORE_NAME].forEach(transaction => trashStore.delete(transaction.id));
+        }
+        
+        dbTransaction.oncomplete = () => {
+            console.log('Backup restored to IndexedDB:', storeNames.join(', '));
+            resolve();
+        };
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error restoring backup to IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+        
+        dbTransaction.onabort = (event) => {
+            reject(event.target.error || 'Transaction aborted');
+        };
+    });
+}
+
+// Move all transactions from IndexedDB into the trash
+async function clearAllTransactionsFromDB() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const dbTransaction = db.transaction([STORE_NAME, TRASH_STORE_NAME, SYNC_CHANGE_STORE_NAME], 'readwrite');
+        const store = dbTransaction.objectStore(STORE_NAME);
+        
+        // Other devices learn about the clear as a delete for every transaction
+        store.getAllKeys().onsuccess = (event) => {
+            logTransactionChanges(dbTransaction, [], event.target.result);
+            moveToTrash(dbTransaction, event.target.result);
+        };
+        
+        dbTransaction.oncomplete = () => {
+            console.log('All transactions moved to trash in IndexedDB');
+            resolve();
+        };
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error clearing transactions from IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+        
+        dbTransaction.onabort = (event) => {
+            reject(event.target.error || 'Transaction aborted');
+        };
+    });
+}
+
+// Move transactions into the trash, stamped with when they were deleted.
+// The IndexedDB transaction must include the transaction and trash stores.
+function moveToTrash(dbTransaction, ids) {
+    const store = dbTransaction.objectStore(STORE_NAME);
+    const trashStore = dbTransaction.objectStore(TRASH_STORE_NAME);
+    const deletedAt = new Date().toISOString();
+    
+    ids.forEach(id => {
+        // Stored as it is, so encrypted transactions stay encrypted in the trash
+        store.get(id).onsuccess = (event) => {
+            if (event.target.result) {
+                trashStore.put({ id, deletedAt, record: event.target.result });
+            }
+        };
+        store.delete(id);
+    });
+}
+
+// Load the trash from IndexedDB, newest deletions first
+async function loadTrash() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            trash = [];
+            resolve();
+            return;
+        }
+        
+        const request = db.transaction(TRASH_STORE_NAME, 'readonly').objectStore(TRASH_STORE_NAME).getAll();
+        
+        request.onsuccess = async (event) => {
+            try {
+                trash = await Promise.all(event.target.result.map(async entry => ({ ...entry, record: await openRecord(entry.record) })));
+            } catch (error) {
+                console.error('Error decrypting the trash:', error);
+                trash = [];
+                reject(error);
+                return;
+            }
+            
+            trash.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+            console.log(`Loaded ${trash.length} trashed transactions from IndexedDB`);
+            resolve();
+        };
+        
+        request.onerror = (event) => {
+            console.error('Error loading the trash from IndexedDB:', event.target.error);
+            trash = [];
+            reject(event.target.error);
+        };
+    });
+}
+
+// Delete trashed transactions for good
+async function purgeTrash(ids) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const dbTransaction = db.transaction(TRASH_STORE_NAME, 'readwrite');
+        const trashStore = dbTransaction.objectStore(TRASH_STORE_NAME);
+        
+        ids.forEach(id => trashStore.delete(id));
+        
+        dbTransaction.oncomplete = () => {
+            console.log(`${ids.length} trashed transactions deleted from IndexedDB`);
+            resolve();
+        };
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error emptying the trash in IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+        
+        dbTransaction.onabort = (event) => {
+            reject(event.target.error || 'Transaction aborted');
+        };
+    });
+}
+
+// Save and delete data snapshots in one transaction
+async function saveSnapshots(snapshotList, deleteIds) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const dbTransaction = db.transaction(SNAPSHOT_STORE_NAME, 'readwrite');
+        const snapshotStore = dbTransaction.objectStore(SNAPSHOT_STORE_NAME);
+        
+        snapshotList.forEach(snapshot => snapshotStore.put(snapshot));
+        deleteIds.forEach(id => snapshotStore.delete(id));
+        
+        dbTransaction.oncomplete = () => {
+            console.log('Snapshots saved to IndexedDB');
+            resolve();
+        };
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error saving snapshots to IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+        
+        dbTransaction.onabort = (event) => {
+            reject(event.target.error || 'Transaction aborted');
+        };
+    });
+}
+
+// Record transactions about to be put or deleted in an IndexedDB transaction in the sync change log.
+// Call before the writes, in a transaction that includes the change store, so each change captures
+// the version it replaces. Does nothing until sync is set up.
+function logTransactionChanges(dbTransaction, puts, deleteIds = []) {
+    if (!isSyncEnabled()) return;
+    
+    const store = dbTransaction.objectStore(STORE_NAME);
+    const changeStore = dbTransaction.objectStore(SYNC_CHANGE_STORE_NAME);
+    
+    puts.forEach(transaction => {
+        store.get(transaction.id).onsuccess = (event) => {
+            const base = event.target.result || null;
+            changeStore.add(createSyncChange(base ? 'update' : 'create', transaction.id, transaction, base));
+        };
+    });
+    
+    deleteIds.forEach(id => {
+        store.get(id).onsuccess = (event) => {
+            if (event.target.result) {
+                changeStore.add(createSyncChange('delete', id, null, event.target.result));
+            }
+        };
+    });
+    
+    scheduleSync();
+}
+
+// Load unresolved sync conflicts from IndexedDB
+async function loadSyncConflicts() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            syncConflicts = [];
+            resolve();
+            return;
+        }
+        
+        const request = db.transaction(SYNC_CONFLICT_STORE_NAME, 'readonly').objectStore(SYNC_CONFLICT_STORE_NAME).getAll();
+        
+        request.onsuccess = async (event) => {
+            try {
+                syncConflicts = await Promise.all(event.target.result.map(openSyncConflict));
+            } catch (error) {
+                console.error('Error decrypting sync conflicts:', error);
+                syncConflicts = [];
+                reject(error);
+                return;
+            }
+            
+            console.log(`Loaded ${syncConflicts.length} sync conflicts from IndexedDB`);
+            resolve();
+        };
+        
+        request.onerror = (event) => {
+            console.error('Error loading sync conflicts from IndexedDB:', event.target.error);
+            syncConflicts = [];
+            reject(event.target.error);
+        };
+    });
+}
+
+// Apply a sync step in one transaction: write transactions without logging them, queue and dequeue
+// changes, and save or drop conflicts
+async function saveSyncResult({ puts = [], deleteIds = [], queued = [], dequeued = [], conflicts = [], resolvedIds = [] }) {
+    const sealedPuts = await sealRecords(puts);
+    const sealedChanges = await Promise.all(queued.map(sealSyncChange));
+    const sealedConflicts = await Promise.all(conflicts.map(sealSyncConflict));
+    
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const dbTransaction = db.transaction([STORE_NAME, SYNC_CHANGE_STORE_NAME, SYNC_CONFLICT_STORE_NAME], 'readwrite');
+        const transactionStore = dbTransaction.objectStore(STORE_NAME);
+        const changeStore = dbTransaction.objectStore(SYNC_CHANGE_STORE_NAME);
+        const conflictStore = dbTransaction.objectStore(SYNC_CONFLICT_STORE_NAME);
+        
+        sealedPuts.forEach(transaction => transactionStore.put(transaction));
+        deleteIds.forEach(id => transactionStore.delete(id));
+        dequeued.forEach(key => changeStore.delete(key));
+        sealedChanges.forEach(change => changeStore.add(change));
+        sealedConflicts.forEach(conflict => conflictStore.put(conflict));
+        resolvedIds.forEach(id => conflictStore.delete(id));
+        
+        dbTransaction.oncomplete = () => {
+            console.log('Sync changes saved to IndexedDB');
+            resolve();
+        };
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error saving sync changes to IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+        
+        dbTransaction.onabort = (event) => {
+            reject(event.target.error || 'Transaction aborted');
+        };
+    });
+}
+
+// Setup all event listeners
+function setupEventListeners() {
+    // Form submission
+    transactionForm.addEventListener('submit', addTransaction);
+    
+    // Quick add
+    quickAddForm.addEventListener('submit', submitQuickAdd);
+    quickAddInput.addEventListener('input', renderQuickAddPreview);
+    
+    // Search functionality
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(filterTransactions, SEARCH_DELAY);
+    });
+    
+    // One listener serves the edit and delete buttons of every row
+    transactionsList.addEventListener('click', handleTransactionListClick);
+    transactionsList.addEventListener('keydown', handleTransactionListKeydown);
+    
+    // Render the rows that scroll into view, reading more as the end comes near
+    transactionsList.addEventListener('scroll', scheduleListWindow);
+    window.addEventListener('resize', scheduleListWindow);
+    
+    // Filter panel
+    filterToggleButton.addEventListener('click', toggleFilterPanel);
+    [filterAmountMinInput, filterAmountMaxInput, filterTagsInput].forEach(input => {
+        input.addEventListener('input', filterTransactions);
+    });
+    [filterTypeInput, filterAccountInput, filterSortInput, filterDateFromInput, filterDateToInput, filterCategoriesContainer].forEach(input => {
+        input.addEventListener('change', filterTransactions);
+    });
+    filterPresetInput.addEventListener('change', applyFilterPreset);
+    savePresetButton.addEventListener('click', saveFilterPreset);
+    deletePresetButton.addEventListener('click', deleteFilterPreset);
+    clearFiltersButton.addEventListener('click', clearFilters);
+    
+    // Period selection
+    periodSelect.addEventListener('change', handlePeriodSelect);
+    periodPrevButton.addEventListener('click', () => shiftPeriod(-1));
+    periodNextButton.addEventListener('click', () => shiftPeriod(1));
+    [periodFromInput, periodToInput].forEach(input => {
+        input.addEventListener('change', () => {
+            currentPeriod = { mode: 'custom', offset: 0, from: periodFromInput.value || null, to: periodToInput.value || null };
+            refreshPeriodViews();
+        });
+    });
+    monthStartDayInput.addEventListener('change', updateMonthStartDay);
+    
+    // Clear all button
+    clearAllButton.addEventListener('click', confirmClearAll);
+    
+    // Confirmation dialog controls
+    closeModalButton.addEventListener('click', () => closeDialog(false));
+    confirmationCancelButton.addEventListener('click', () => closeDialog(false));
+    confirmationConfirmButton.addEventListener('click', () => closeDialog(true));
+    
+    // Close modal when clicking outside
+    confirmationModal.addEventListener('click', (e) => {
+        if (e.target === confirmationModal) {
+            closeDialog(false);
+        }
+    });
+    
+    // Focus, Tab and Escape handling shared by every modal
+    setupModalKeyboard();
+    
+    // Undo / redo shortcuts (left to the browser while typing in a field)
+    document.addEventListener('keydown', handleHistoryShortcut);
+    
+    // Split transactions
+    splitButton.addEventListener('click', () => toggleSplitMode());
+    setupSplitEditor(splitEditor, () => parseFloat(transactionAmountInput.value) || 0, () => transactionCurrencyInput.value);
+    transactionAmountInput.addEventListener('input', () => {
+        if (isSplittingTransaction()) {
+            splitEditor.dispatchEvent(new Event('input'));
+        }
+    });
+    
+    // Receipts
+    receiptCameraButton.addEventListener('click', () => receiptCameraInput.click());
+    receiptFileButton.addEventListener('click', () => receiptFileInput.click());
+    receiptCameraInput.addEventListener('change', addPendingReceipts);
+    receiptFileInput.addEventListener('change', addPendingReceipts);
+    closeReceiptModalButton.addEventListener('click', closeReceiptViewer);
+    receiptPrevButton.addEventListener('click', () => showReceipt(receiptViewer.index - 1));
+    receiptNextButton.addEventListener('click', () => showReceipt(receiptViewer.index + 1));
+    receiptDeleteButton.addEventListener('click', deleteShownReceipt);
+    receiptModal.addEventListener('click', (e) => {
+        if (e.target === receiptModal) {
+            closeReceiptViewer();
+        }
+    });
+    
+    // Category management
+    manageCategoriesButton.addEventListener('click', openCategoriesModal);
+    closeCategoriesModalButton.addEventListener('click', closeCategoriesModal);
+    categoryForm.addEventListener('submit', addCategory);
+    showArchivedCategoriesInput.addEventListener('change', renderCategoryManager);
+    newCategoryIconInput.addEventListener('change', () => {
+        newCategoryIconPreview.className = `fas fa-${newCategoryIconInput.value}`;
+    });
+    categoriesModal.addEventListener('click', (e) => {
+        if (e.target === categoriesModal) {
+            closeCategoriesModal();
+        }
+    });
+    
+    // Passcode lock
+    securityButton.addEventListener('click', openSecurityModal);
+    closeSecurityModalButton.addEventListener('click', closeSecurityModal);
+    encryptionForm.addEventListener('submit', enableEncryption);
+    lockAfterInput.addEventListener('change', saveLockAfter);
+    lockNowButton.addEventListener('click', lockApp);
+    disableEncryptionButton.addEventListener('click', disableEncryption);
+    securityModal.addEventListener('click', (e) => {
+        if (e.target === securityModal) {
+            closeSecurityModal();
+        }
+    });
+    
+    // Sync
+    syncButton.addEventListener('click', openSyncModal);
+    closeSyncModalButton.addEventListener('click', closeSyncModal);
+    syncForm.addEventListener('submit', connectSync);
+    syncNowButton.addEventListener('click', () => syncNow(true));
+    syncDisconnectButton.addEventListener('click', disconnectSync);
+    syncModal.addEventListener('click', (e) => {
+        if (e.target === syncModal) {
+            closeSyncModal();
+        }
+    });
+    
+    // Bills and reminders
+    addBillButton.addEventListener('click', () => openBillModal());
+    closeBillModalButton.addEventListener('click', closeBillModal);
+    cancelBillButton.addEventListener('click', closeBillModal);
+    deleteBillButton.addEventListener('click', deleteBill);
+    billForm.addEventListener('submit', saveBillFromForm);
+    billNotificationsInput.addEventListener('change', toggleBillReminders);
+    billModal.addEventListener('click', (e) => {
+        if (e.target === billModal) {
+            closeBillModal();
+        }
+    });
+    
+    // Savings goals
+    addGoalButton.addEventListener('click', () => openGoalModal());
+    closeGoalModalButton.addEventListener('click', closeGoalModal);
+    cancelGoalButton.addEventListener('click', closeGoalModal);
+    deleteGoalButton.addEventListener('click', deleteGoal);
+    goalForm.addEventListener('submit', saveGoalFromForm);
+    goalModal.addEventListener('click', (e) => {
+        if (e.target === goalModal) {
+            closeGoalModal();
+        }
+    });
+    
+    // Categorization rules and suggestions
+    [transactionNameInput, transactionPayeeInput, transactionAmountInput].forEach(input => {
+        input.addEventListener('input', suggestFormCategory);
+    });
+    transactionTransferInput.addEventListener('change', suggestFormCategory);
+    transactionCategoryInput.addEventListener('change', () => {
+        // A category picked by hand is never replaced by a suggestion
+        formSuggestion.category = null;
+        categorySuggestion.textContent = '';
+    });
+    manageRulesButton.addEventListener('click', openRulesModal);
+    closeRulesModalButton.addEventListener('click', closeRulesModal);
+    ruleForm.addEventListener('submit', saveRuleFromForm);
+    cancelRuleEditButton.addEventListener('click', resetRuleForm);
+    previewRulesButton.addEventListener('click', previewRuleChanges);
+    cancelRulePreviewButton.addEventListener('click', closeRulePreview);
+    applyRulesButton.addEventListener('click', applyRuleChanges);
+    rulesModal.addEventListener('click', (e) => {
+        if (e.target === rulesModal) {
+            closeRulesModal();
+        }
+    });
+    
+    // Accounts and transfers
+    transactionTransferInput.addEventListener('change', updateTransferOptions);
+    transactionAccountInput.addEventListener('change', () => {
+        transactionCurrencyInput.value = getAccountCurrency(transactionAccountInput.value);
+        updateCurrencySymbol();
+    });
+    manageAccountsButton.addEventListener('click', openAccountsModal);
+    closeAccountsModalButton.addEventListener('click', closeAccountsModal);
+    accountForm.addEventListener('submit', addAccount);
+    showArchivedAccountsInput.addEventListener('change', renderAccountManager);
+    accountsModal.addEventListener('click', (e) => {
+        if (e.target === accountsModal) {
+            closeAccountsModal();
+        }
+    });
+    
+    // Currency and exchange rates
+    transactionCurrencyInput.addEventListener('change', updateCurrencySymbol);
+    currencyButton.addEventListener('click', openCurrencyModal);
+    closeCurrencyModalButton.addEventListener('click', closeCurrencyModal);
+    baseCurrencyInput.addEventListener('change', updateBaseCurrency);
+    localeInput.addEventListener('change', updateLocale);
+    rateForm.addEventListener('submit', addRate);
+    importRatesButton.addEventListener('click', () => ratesFileInput.click());
+    ratesFileInput.addEventListener('change', handleRatesFile);
+    currencyModal.addEventListener('click', (e) => {
+        if (e.target === currencyModal) {
+            closeCurrencyModal();
+        }
+    });
+    
+    // Recurring transactions
+    transactionRepeatInput.addEventListener('change', updateRecurrenceOptions);
+    repeatEndInput.addEventListener('change', updateRecurrenceOptions);
+    recurringButton.addEventListener('click', openRecurringModal);
+    closeRecurringModalButton.addEventListener('click', closeRecurringModal);
+    cancelRecurringEditButton.addEventListener('click', () => {
+        recurringEditForm.style.display = 'none';
+    });
+    recurringEditForm.addEventListener('submit', saveRecurringEdit);
+    recurringModal.addEventListener('click', (e) => {
+        if (e.target === recurringModal) {
+            closeRecurringModal();
+        }
+    });
+    
+    // Catch up on scheduled transactions when returning to the app on a later day
+    document.addEventListener('visibilitychange', async () => {
+        if (document.hidden || checkAutoLock() || isLocked()) return;
+        
+        renderBills();
+        requestBillCheck();
+        syncNow();
+        
+        const scheduledCount = await materializeRecurringTransactions();
+        if (scheduledCount > 0) {
+            filterTransactions();
+            updateBalance();
+            updateSpendingSummary();
+            renderUpcoming();
+            showNotification(`Added ${scheduledCount} scheduled transaction${scheduledCount === 1 ? '' : 's'}.`, 'info');
+        }
+    });
+    
+    // Budgets
+    budgetsButton.addEventListener('click', openBudgetsModal);
+    closeBudgetsModalButton.addEventListener('click', closeBudgetsModal);
+    cancelBudgetsButton.addEventListener('click', closeBudgetsModal);
+    budgetsForm.addEventListener('submit', saveBudgetsFromForm);
+    budgetsModal.addEventListener('click', (e) => {
+        if (e.target === budgetsModal) {
+            closeBudgetsModal();
+        }
+    });
+    
+    // Reports
+    reportsButton.addEventListener('click', openReportsModal);
+    closeReportsModalButton.addEventListener('click', closeReportsModal);
+    reportCategoryInput.addEventListener('change', renderCategoryTrend);
+    copyPivotButton.addEventListener('click', copyPivotTable);
+    exportPivotButton.addEventListener('click', exportPivotCSV);
+    reportsModal.addEventListener('click', (e) => {
+        if (e.target === reportsModal) {
+            closeReportsModal();
+        }
+    });
+    
+    // Statement import
+    importButton.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', handleImportFile);
+    closeImportModalButton.addEventListener('click', closeImportModal);
+    cancelImportButton.addEventListener('click', closeImportModal);
+    confirmImportButton.addEventListener('click', confirmImport);
+    importModal.addEventListener('click', (e) => {
+        if (e.target === importModal) {
+            closeImportModal();
+        }
+    });
+    
+    // Re-map the CSV whenever a mapping option changes
+    [importHasHeaderInput, importInvertInput, importAmountModeInput, importDateFormatInput,
+        ...Object.values(importColumnInputs)].forEach(input => {
+        input.addEventListener('change', updateCSVMapping);
+    });
+    
+    // Backup & restore
+    backupButton.addEventListener('click', openBackupModal);
+    closeBackupModalButton.addEventListener('click', closeBackupModal);
+    exportJSONButton.addEventListener('click', exportBackup);
+    exportCSVButton.addEventListener('click', exportCSV);
+    restoreChooseButton.addEventListener('click', () => restoreFileInput.click());
+    restoreFileInput.addEventListener('change', handleRestoreFile);
+    cancelRestoreButton.addEventListener('click', resetRestore);
+    confirmRestoreButton.addEventListener('click', confirmRestore);
+    backupModal.addEventListener('click', (e) => {
+        if (e.target === backupModal) {
+            closeBackupModal();
+        }
+    });
+    
+    // Trash
+    trashButton.addEventListener('click', openTrashModal);
+    closeTrashModalButton.addEventListener('click', closeTrashModal);
+    trashRetentionInput.addEventListener('change', saveTrashRetention);
+    restoreAllTrashButton.addEventListener('click', () => restoreFromTrash(trash));
+    emptyTrashButton.addEventListener('click', () => purgeFromTrash(trash));
+    trashModal.addEventListener('click', (e) => {
+        if (e.target === trashModal) {
+            closeTrashModal();
+        }
+    });
+}
+
+// Add a new transaction
+async function addTransaction(e) {
+    e.preventDefault();
+    
+    const name = transactionNameInput.value.trim();
+    const account = transactionAccountInput.value;
+    const toAccount = transactionTransferInput.value || null;
+    const currency = transactionCurrencyInput.value;
+    const dateValue = transactionDateInput.value;
+    
+    // Transfers record the amount moved, whatever sign was typed
+    const enteredAmount = parseFloat(transactionAmountInput.value);
+    const amount = toAccount ? Math.abs(enteredAmount) : enteredAmount;
+    
+    // Split amounts are typed without a sign and follow the total
+    const splits = !toAccount && isSplittingTransaction() ? getSplitRows(splitEditor, amount < 0 ? -1 : 1) : null;
+    const category = toAccount ? null : (splits ? splits[0].category : transactionCategoryInput.value);
+    
+    // Validate inputs
+    if (!name || isNaN(amount) || !account || (!toAccount && !splits && !category) || !dateValue) {
+        await alertDialog('Please fill in all fields correctly.');
+        return;
+    }
+    
+    if (splits) {
+        const problem = getSplitProblem(splits, amount);
+        if (problem) {
+            showNotification(problem, 'warning');
+            return;
+        }
+        
+        if (transactionRepeatInput.value) {
+            showNotification('Split transactions cannot repeat yet. Remove the splits or set Repeat to Never.', 'warning');
+            return;
+        }
+    }
+    
+    const details = {
+        payee: transactionPayeeInput.value,
+        tags: transactionTagsInput.value,
+        note: transactionNoteInput.value,
+        goal: transactionGoalInput.value
+    };
+    
+    if (toAccount === account) {
+        showNotification('Choose two different accounts for a transfer.', 'warning');
+        return;
+    }
+    
+    // Repeating entries become a recurring rule that adds the transactions itself
+    if (transactionRepeatInput.value) {
+        if (pendingReceiptFiles.length > 0) {
+            showNotification('Receipts can only be attached to single transactions.', 'warning');
+            return;
+        }
+        
+        await addRecurringRule({ name, amount, category, account, toAccount, currency, details, startDate: dateValue });
+        return;
+    }
+    
+    // Create transaction object
+    const transaction = {
+        id: createRecordId(),
+        name,
+        amount,
+        currency,
+        category,
+        account,
+        date: getDateFromInput(dateValue).toISOString(),
+        type: getTransactionType(amount, toAccount)
+    };
+    
+    if (toAccount) {
+        transaction.toAccount = toAccount;
+    }
+    
+    setTransactionSplits(transaction, splits);
+    setTransactionDetails(transaction, details);
+    
+    const budgetUsageBefore = getBudgetUsage();
+    
+    try {
+        // Save to IndexedDB
+        await saveTransaction(transaction);
+        
+        if (pendingReceiptFiles.length > 0) {
+            await attachReceipts(transaction.id, pendingReceiptFiles);
+        }
+        
+        // Add to transactions array, keeping newest first (the date may be in the past)
+        transactions.unshift(transaction);
+        transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+        
+        // Update UI
+        insertTransactionRow(transaction);
+        updateBalance();
+        updateSpendingSummary();
+        renderPayeeOptions();
+        
+        // Reset form
+        resetTransactionForm();
+        
+        // Show success notification
+        showNotification('Transaction added successfully!', 'success');
+        notifyBudgetThresholds(budgetUsageBefore);
+        
+    } catch (error) {
+        console.error('Error adding transaction:', error);
+        showNotification('Error saving transaction. Please try again.', 'error');
+    }
+}
+
+// Clear the add form for the next entry, keeping the chosen account
+function resetTransactionForm() {
+    const account = transactionAccountInput.value;
+    
+    transactionForm.reset();
+    transactionAccountInput.value = account;
+    transactionCurrencyInput.value = getAccountCurrency(account);
+    updateCurrencySymbol();
+    transactionDateInput.value = getDateKey(new Date());
+    updateRecurrenceOptions();
+    toggleSplitMode(false);
+    resetFormSuggestion();
+    pendingReceiptFiles = [];
+    renderPendingReceipts();
+    transactionAmountInput.placeholder = '0.00';
+    formDetails.open = false;
+    updateTransferOptions();
+    transactionNameInput.focus();
+}
+
+// Type for a signed amount; anything moving to another account is a transfer
+function getTransactionType(amount, toAccount = null) {
+    if (toAccount) return 'transfer';
+    return amount >= 0 ? 'income' : 'expense';
+}
+
+// Filter transactions by the selected period, search query and filter panel
+async function filterTransactions() {
+    const requestId = ++filterRequestId;
+    filterPending = true;
+    listLoading = null;
+    const filter = getActiveFilter();
+    const matches = transaction => matchesFilter(transaction, filter);
+    let query = null;
+    let list;
+    
+    // Let IndexedDB narrow the candidates with an index, then check every condition. In date order,
+    // unless another index narrows them more, just the first page is read and the rest on demand.
+    // Encrypted records have nothing to index, so they are searched in memory.
+    try {
+        if (isEncryptionEnabled()) {
+            list = transactions.filter(matches);
+        } else {
+            const indexQuery = getIndexQuery(filter);
+            if (isListGroupedByDate() && (!indexQuery || indexQuery.index === 'date')) {
+                query = { indexQuery, matches, descending: filterSortInput.value === 'date-desc' };
+            }
+            list = query
+                ? await queryTransactions(indexQuery, { end: null, limit: LIST_PAGE_SIZE, descending: query.descending, matches })
+                : (await queryTransactions(indexQuery)).filter(matches);
+        }
+    } catch (error) {
+        console.error('Error querying transactions, searching in memory instead:', error);
+        query = null;
+        list = transactions.filter(matches);
+    }
+    
+    // A newer search started while this one was waiting on IndexedDB
+    if (requestId !== filterRequestId) return;
+    filterPending = false;
+    
+    listQuery = query;
+    listEnd = query ? getPageEnd(list) : null;
+    listComplete = !query || list.length < LIST_PAGE_SIZE;
+    filteredTransactions = sortTransactionList(list, filterSortInput.value);
+    
+    updateFilterCount();
+    transactionsList.scrollTop = 0;
+    renderTransactions();
+}
+
+// Transactions read into the list at a time; more are read as it scrolls near the end
+const LIST_PAGE_SIZE = 50;
+
+// Heights of list items until they have been rendered and measured, with the space below them
+const LIST_ROW_HEIGHT = 88;
+const LIST_HEADER_HEIGHT = 36;
+
+// Height of the list when it has not been laid out, as its max-height in style.css
+const LIST_VIEW_HEIGHT = 400;
+
+// How far above and below the visible part of the list items are rendered
+const LIST_OVERSCAN = 400;
+
+// Wait after the last keystroke in search before filtering
+const SEARCH_DELAY = 250;
+
+// Paged read of the filtered list along the date index, or null when the whole list was read at once,
+// where the pages read so far end, whether there are none left, and the page being read
+let listQuery = null;
+let listEnd = null;
+let listComplete = true;
+let listLoading = null;
+
+// What the list shows in order: a day header before each day's rows while in date order, and the rows.
+// Only the items in and near view have elements; they are kept while scrolled away so they come back
+// as they were, and their measured heights size the spacers that stand in for the rest.
+let listItems = [];
+let listElements = new Map();
+let listHeights = new Map();
+let listFrame = null;
+let searchTimer = null;
+
+// Render the filtered transactions, with new elements for every row
+function renderTransactions() {
+    listElements = new Map();
+    listHeights = new Map();
+    updateListItems();
+    renderListWindow();
+}
+
+// Turn the filtered transactions into list items
+function updateListItems() {
+    const grouped = isListGroupedByDate();
+    let dateKey = null;
+    listItems = [];
+    
+    filteredTransactions.forEach(transaction => {
+        if (grouped && getDateKey(transaction.date) !== dateKey) {
+            dateKey = getDateKey(transaction.date);
+            listItems.push({ key: `day:${dateKey}`, dateKey });
+        }
+        listItems.push({ key: transaction.id, transaction });
+    });
+}
+
+// Height of a list item as last rendered, or its estimate
+function getListItemHeight(item) {
+    return listHeights.get(item.key) || (item.transaction ? LIST_ROW_HEIGHT : LIST_HEADER_HEIGHT);
+}
+
+// Element of a list item, made the first time it is rendered
+function getListElement(item) {
+    let element = listElements.get(item.key);
+    
+    if (!element) {
+        element = item.transaction ? createTransactionRow(item.transaction) : createDayHeader(item.dateKey);
+        listElements.set(item.key, element);
+    }
+    
+    return element;
+}
+
+// Elements rendered between the spacers
+function getRenderedListElements() {
+    const elements = [];
+    for (let element = listTopSpacer.nextElementSibling; element && element !== listBottomSpacer; element = element.nextElementSibling) {
+        elements.push(element);
+    }
+    return elements;
+}
+
+// Render the list items in and near view, with spacers as tall as the items above and below them
+function renderListWindow() {
+    const viewTop = transactionsList.scrollTop;
+    const viewBottom = viewTop + (transactionsList.clientHeight || LIST_VIEW_HEIGHT);
+    let start = 0;
+    let top = 0;
+    
+    while (start < listItems.length && top + getListItemHeight(listItems[start]) < viewTop - LIST_OVERSCAN) {
+        top += getListItemHeight(listItems[start]);
+        start++;
+    }
+    
+    let end = start;
+    let bottom = top;
+    while (end < listItems.length && bottom < viewBottom + LIST_OVERSCAN) {
+        bottom += getListItemHeight(listItems[end]);
+        end++;
+    }
+    
+    let below = 0;
+    for (let i = end; i < listItems.length; i++) {
+        below += getListItemHeight(listItems[i]);
+    }
+    
+    // Elements that stay rendered are left where they are, so a focused row keeps its focus
+    const elements = listItems.slice(start, end).map(getListElement);
+    const wanted = new Set(elements);
+    getRenderedListElements().filter(element => !wanted.has(element)).forEach(element => element.remove());
+    
+    let next = listTopSpacer.nextElementSibling;
+    elements.forEach(element => {
+        if (element === next) {
+            next = next.nextElementSibling;
+        } else {
+            transactionsList.insertBefore(element, next);
+        }
+    });
+    
+    listTopSpacer.style.height = `${top}px`;
+    listBottomSpacer.style.height = `${below}px`;
+    emptyListText.style.display = listItems.length === 0 && listComplete ? 'block' : 'none';
+    
+    // Measure what was rendered; nothing has a height while the list is hidden
+    elements.forEach((element, i) => {
+        if (element.offsetHeight > 0) {
+            listHeights.set(listItems[start + i].key, element.offsetHeight + (parseFloat(getComputedStyle(element).marginBottom) || 0));
+        }
+    });
+    
+    // Read the next page once the end of what has been read comes near
+    if (end === listItems.length) {
+        loadMoreTransactions();
+    }
+}
+
+// Re-render the list window at most once a frame while the list scrolls or resizes
+function scheduleListWindow() {
+    if (listFrame !== null) return;
+    
+    listFrame = requestAnimationFrame(() => {
+        listFrame = null;
+        renderListWindow();
+    });
+}
+
+// Read the next page of the filtered list and add it. Resolves once it is in the list.
+function loadMoreTransactions() {
+    if (listComplete || filterPending) return Promise.resolve();
+    if (listLoading) return listLoading;
+    
+    const requestId = filterRequestId;
+    const { indexQuery, matches, descending } = listQuery;
+    
+    listLoading = queryTransactions(indexQuery, { end: listEnd, limit: LIST_PAGE_SIZE, descending, matches }).then(page => {
+        // A newer filter run has started over
+        if (requestId !== filterRequestId) return;
+        listLoading = null;
+        
+        listEnd = getPageEnd(page, listEnd);
+        listComplete = page.length < LIST_PAGE_SIZE;
+        
+        // Rows added in place since may already be in the list
+        const listedIds = new Set(filteredTransactions.map(transaction => transaction.id));
+        filteredTransactions = sortTransactionList([...filteredTransactions, ...page.filter(transaction => !listedIds.has(transaction.id))], filterSortInput.value);
+        
+        updateListItems();
+        renderListWindow();
+    }, error => {
+        console.error('Error reading more transactions from IndexedDB:', error);
+        if (requestId === filterRequestId) {
+            listLoading = null;
+        }
+    });
+    
+    return listLoading;
+}
+
+// Whether a transaction belongs after the pages of the list read so far, where its own page will bring it
+function isPastListEnd(transaction) {
+    if (listComplete || !listEnd) return false;
+    
+    const date = new Date(transaction.date);
+    const end = new Date(listEnd.date);
+    return listQuery.descending ? date < end : date > end;
+}
+
+// Rows are grouped under a header per day while the list is in date order
+function isListGroupedByDate() {
+    return filterSortInput.value.startsWith('date');
+}
+
+// Transaction row with its edit and delete buttons
+function createTransactionRow(transaction) {
+    const transactionElement = createTransactionElement(transaction);
+    const actions = document.createElement('div');
+    actions.className = 'transaction-actions';
+    actions.innerHTML = `
+        <button class="edit-transaction" title="Edit transaction"><i class="fas fa-pen" aria-hidden="true"></i></button>
+        <button class="delete-transaction" title="Delete transaction"><i class="fas fa-trash" aria-hidden="true"></i></button>
+    `;
+    
+    // Screen readers say which transaction a button acts on
+    actions.querySelector('.edit-transaction').setAttribute('aria-label', `Edit ${transaction.name}`);
+    actions.querySelector('.delete-transaction').setAttribute('aria-label', `Delete ${transaction.name}`);
+    
+    // Rows take focus for the arrow keys, Enter and Delete
+    transactionElement.tabIndex = 0;
+    transactionElement.appendChild(actions);
+    return transactionElement;
+}
+
+// Header above a day's rows; it sticks to the top of the list while they scroll past
+function createDayHeader(dateKey) {
+    const header = document.createElement('div');
+    header.className = 'transaction-group-header';
+    header.textContent = formatGroupDate(dateKey);
+    return header;
+}
+
+// Find the row of a transaction, if it is rendered
+function findTransactionRow(id) {
+    const row = listElements.get(id);
+    return row && row.isConnected ? row : null;
+}
+
+// Scroll a transaction's row into view, rendering it if need be, and focus it
+function focusTransactionRow(id) {
+    const index = listItems.findIndex(item => item.key === id);
+    if (index === -1) return;
+    
+    let top = 0;
+    for (let i = 0; i < index; i++) {
+        top += getListItemHeight(listItems[i]);
+    }
+    
+    // Keep the row clear of the day header stuck over the top of the list
+    const headerHeight = isListGroupedByDate() ? LIST_HEADER_HEIGHT : 0;
+    const bottom = top + getListItemHeight(listItems[index]);
+    const viewHeight = transactionsList.clientHeight || LIST_VIEW_HEIGHT;
+    
+    if (top - headerHeight < transactionsList.scrollTop) {
+        transactionsList.scrollTop = Math.max(0, top - headerHeight);
+    } else if (bottom > transactionsList.scrollTop + viewHeight) {
+        transactionsList.scrollTop = bottom - viewHeight;
+    }
+    
+    renderListWindow();
+    const row = findTransactionRow(id);
+    if (row) {
+        row.focus({ preventScroll: true });
+    }
+}
+
+// Day header, with the year only when it is not this year
+function formatGroupDate(dateKey) {
+    const date = getDateFromInput(dateKey);
+    
+    return date.toLocaleDateString(getLocale(), {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        year: date.getFullYear() === new Date().getFullYear() ? undefined : 'numeric'
+    });
+}
+
+// Add a new or changed transaction to the list in place, if it matches the current filter
+function insertTransactionRow(transaction) {
+    // A filter still waiting on IndexedDB would overwrite the list, so let it start over instead
+    if (filterPending) {
+        filterTransactions();
+        return;
+    }
+    
+    // Drop the earlier version, or a copy a finished filter run already read back
+    dropListTransaction(transaction.id);
+    
+    // Past the pages read so far it simply waits for its page
+    if (matchesFilter(transaction, getActiveFilter()) && !isPastListEnd(transaction)) {
+        filteredTransactions = sortTransactionList([...filteredTransactions, transaction], filterSortInput.value);
+    }
+    
+    updateListItems();
+    renderListWindow();
+}
+
+// Take a transaction out of the list in place
+function removeTransactionRow(id) {
+    if (filterPending) {
+        filterTransactions();
+        return;
+    }
+    
+    dropListTransaction(id);
+    updateListItems();
+    renderListWindow();
+}
+
+// Forget a transaction in the list along with its row; the next render takes the row out
+function dropListTransaction(id) {
+    filteredTransactions = filteredTransactions.filter(t => t.id !== id);
+    listElements.delete(id);
+    listHeights.delete(id);
+}
+
+// Edit or delete the transaction whose row button was clicked
+function handleTransactionListClick(e) {
+    const button = e.target.closest('.edit-transaction, .delete-transaction');
+    if (!button) return;
+    
+    const transactionElement = button.closest('.transaction-item');
+    const transaction = filteredTransactions.find(t => t.id === transactionElement.dataset.id);
+    if (!transaction) return;
+    
+    if (button.classList.contains('edit-transaction')) {
+        startEditingTransaction(transaction, transactionElement);
+    } else {
+        deleteTransactionFromList(transaction);
+    }
+}
+
+// Keyboard use of a focused row: arrows move between rows, Enter edits and Delete moves it to the trash
+function handleTransactionListKeydown(e) {
+    const row = e.target;
+    if (!row.classList.contains('transaction-item') || row.classList.contains('editing')) return;
+    
+    // Rows out of view have no elements, so move through the list itself
+    const index = filteredTransactions.findIndex(t => t.id === row.dataset.id);
+    const transaction = filteredTransactions[index];
+    if (!transaction) return;
+    let next = null;
+    
+    switch (e.key) {
+        case 'ArrowDown':
+            // Going past the last row read so far waits for the next page
+            if (index === filteredTransactions.length - 1 && !listComplete) {
+                e.preventDefault();
+                loadMoreTransactions().then(() => {
+                    if (filteredTransactions[index + 1]) {
+                        focusTransactionRow(filteredTransactions[index + 1].id);
+                    }
+                });
+                return;
+            }
+            next = filteredTransactions[index + 1];
+            break;
+        case 'ArrowUp':
+            next = filteredTransactions[index - 1];
+            break;
+        case 'Home':
+            next = filteredTransactions[0];
+            break;
+        case 'End':
+            next = filteredTransactions[filteredTransactions.length - 1];
+            break;
+        case 'Enter':
+            e.preventDefault();
+            startEditingTransaction(transaction, row);
+            return;
+        case 'Delete': {
+            e.preventDefault();
+            const neighbour = filteredTransactions[index + 1] || filteredTransactions[index - 1];
+            
+            // Carry on from a neighbouring row once this one is gone
+            deleteTransactionFromList(transaction).then(() => {
+                if (!row.isConnected && neighbour) {
+                    focusTransactionRow(neighbour.id);
+                }
+            });
+            return;
+        }
+        default:
+            return;
+    }
+    
+    e.preventDefault();
+    if (next) {
+        focusTransactionRow(next.id);
+    }
+}
+
+// Move a transaction to the trash after confirming
+async function deleteTransactionFromList(transaction) {
+    if (!await confirmDialog('Move this transaction to the trash?', { title: 'Delete Transaction', confirmLabel: 'Move to Trash' })) {
+        return;
+    }
+    
+    try {
+        await deleteTransaction(transaction.id);
+        
+        // Remove from arrays
+        transactions = transactions.filter(t => t.id !== transaction.id);
+        removeTransactionRow(transaction.id);
+        
+        // Update UI
+        updateBalance();
+        updateSpendingSummary();
+        
+        recordHistory('Delete', [transaction], []);
+        showNotification('Transaction moved to the trash.', 'success', getUndoAction());
+    } catch (error) {
+        console.error('Error deleting transaction:', error);
+        showNotification('Error deleting transaction. Please try again.', 'error');
+    }
+}
+
+// Replace a transaction row with an inline edit form
+function startEditingTransaction(transaction, transactionElement) {
+    const form = document.createElement('form');
+    form.className = 'transaction-edit-form';
+    form.innerHTML = `
+        <input type="text" name="name" aria-label="Name" required>
+        <input type="number" name="amount" aria-label="Amount" step="0.01" min="0.01" required>
+        <select name="currency" aria-label="Currency"></select>
+        <select name="type" aria-label="Type">
+            <option value="expense">Expense</option>
+            <option value="income">Income</option>
+            <option value="transfer">Transfer</option>
+        </select>
+        <select name="category" aria-label="Category"></select>
+        <select name="account" aria-label="Account"></select>
+        <select name="toAccount" aria-label="Transfer to"></select>
+        <input type="date" name="date" aria-label="Date" required>
+        <input type="text" name="payee" list="payee-options" aria-label="Payee" placeholder="Payee" autocomplete="off">
+        <input type="text" name="tags" aria-label="Tags" placeholder="Tags, comma separated">
+        <select name="goal" aria-label="Savings goal"></select>
+        <textarea name="note" aria-label="Note" rows="2" placeholder="Note"></textarea>
+        <div class="split-editor" style="display: none;">
+            <div class="split-rows"></div>
+            <div class="split-footer">
+                <button type="button" class="btn-link split-add"><i class="fas fa-plus" aria-hidden="true"></i> Add split</button>
+                <span class="split-remaining"></span>
+            </div>
+        </div>
+        <div class="transaction-edit-actions">
+            <button type="button" class="btn-link split-toggle">Split</button>
+            <label class="btn-link receipt-attach">
+                <i class="fas fa-paperclip" aria-hidden="true"></i> <span>Attach receipt</span>
+                <input type="file" name="receipts" accept="image/*" multiple hidden>
+            </label>
+            <button type="submit" class="btn-primary">Save</button>
+            <button type="button" class="btn-cancel">Cancel</button>
+        </div>
+    `;
+    
+    fillCategorySelect(form.elements.category, transaction.category);
+    fillAccountSelect(form.elements.account, transaction.account);
+    fillAccountSelect(form.elements.toAccount, transaction.toAccount);
+    fillCurrencySelect(form.elements.currency, getTransactionCurrency(transaction));
+    fillGoalSelect(form.elements.goal, transaction.goal);
+    
+    form.elements.name.value = transaction.name;
+    form.elements.amount.value = Math.abs(transaction.amount);
+    form.elements.type.value = transaction.type;
+    form.elements.category.value = transaction.category || getFallbackCategoryId(-1);
+    form.elements.account.value = transaction.account;
+    form.elements.date.value = getDateKey(transaction.date);
+    form.elements.payee.value = transaction.payee || '';
+    form.elements.tags.value = (transaction.tags || []).join(', ');
+    form.elements.note.value = transaction.note || '';
+    
+    // Show how many images will be attached on save
+    form.elements.receipts.addEventListener('change', () => {
+        const count = form.elements.receipts.files.length;
+        form.querySelector('.receipt-attach span').textContent = count > 0
+            ? `${count} receipt${count === 1 ? '' : 's'} to attach`
+            : 'Attach receipt';
+    });
+    
+    // Splits replace the single category; transfers have neither
+    const editSplitEditor = form.querySelector('.split-editor');
+    const splitToggle = form.querySelector('.split-toggle');
+    const getEditAmount = () => Math.abs(parseFloat(form.elements.amount.value)) || 0;
+    let splitting = Boolean(transaction.splits);
+    
+    setupSplitEditor(editSplitEditor, getEditAmount, () => form.elements.currency.value);
+    form.elements.amount.addEventListener('input', () => editSplitEditor.dispatchEvent(new Event('input')));
+    setSplitRows(editSplitEditor, transaction.splits || []);
+    
+    // Transfers pick a destination account instead of a category
+    const updateTypeFields = () => {
+        const isTransfer = form.elements.type.value === 'transfer';
+        form.elements.category.style.display = isTransfer || splitting ? 'none' : '';
+        form.elements.toAccount.style.display = isTransfer ? '' : 'none';
+        editSplitEditor.style.display = !isTransfer && splitting ? 'block' : 'none';
+        splitToggle.style.display = isTransfer ? 'none' : '';
+        splitToggle.textContent = splitting ? 'Don\'t split' : 'Split';
+        updateSplitRemaining(editSplitEditor, getEditAmount(), form.elements.currency.value);
+    };
+    form.elements.type.addEventListener('change', updateTypeFields);
+    updateTypeFields();
+    
+    splitToggle.addEventListener('click', () => {
+        splitting = !splitting;
+        setSplitRows(editSplitEditor, splitting ? [{ category: form.elements.category.value, amount: getEditAmount() }, {}] : []);
+        updateTypeFields();
+    });
+    
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const name = form.elements.name.value.trim();
+        const amount = Math.abs(parseFloat(form.elements.amount.value));
+        const type = form.elements.type.value;
+        const account = form.elements.account.value;
+        const toAccount = form.elements.toAccount.value;
+        const dateValue = form.elements.date.value;
+        
+        if (!name || isNaN(amount) || amount === 0 || !dateValue) {
+            showNotification('Please fill in all fields correctly.', 'warning');
+            return;
+        }
+        
+        if (type === 'transfer' && toAccount === account) {
+            showNotification('Choose two different accounts for a transfer.', 'warning');
+            return;
+        }
+        
+        const sign = type === 'expense' ? -1 : 1;
+        const splits = type !== 'transfer' && splitting ? getSplitRows(editSplitEditor, sign) : null;
+        const splitProblem = splits && getSplitProblem(splits, sign * amount);
+        
+        if (splitProblem) {
+            showNotification(splitProblem, 'warning');
+            return;
+        }
+        
+        // Keep the original time of day unless the date itself changed
+        const date = dateValue === getDateKey(transaction.date)
+            ? transaction.date
+            : getDateFromInput(dateValue).toISOString();
+        
+        const updated = {
+            ...transaction,
+            name,
+            amount: sign * amount,
+            currency: form.elements.currency.value,
+            category: type === 'transfer' ? null : form.elements.category.value,
+            account,
+            date,
+            type
+        };
+        
+        if (type === 'transfer') {
+            updated.toAccount = toAccount;
+        } else {
+            delete updated.toAccount;
+        }
+        
+        setTransactionSplits(updated, splits);
+        setTransactionDetails(updated, {
+            payee: form.elements.payee.value,
+            tags: form.elements.tags.value,
+            note: form.elements.note.value,
+            goal: form.elements.goal.value
+        });
+        
+        const files = [...form.elements.receipts.files].filter(file => file.type.startsWith('image/'));
+        if (files.length > 0) {
+            try {
+                await attachReceipts(transaction.id, files);
+            } catch (error) {
+                console.error('Error attaching receipts:', error);
+                showNotification('Error saving receipts. Please try again.', 'error');
+                return;
+            }
+        }
+        
+        await updateTransaction(transaction, updated);
+        renderPayeeOptions();
+        
+        // Keyboard users carry on from the saved row, if it is still in the list
+        const savedRow = findTransactionRow(transaction.id);
+        if (savedRow && !savedRow.contains(document.activeElement)) {
+            savedRow.focus();
+        }
+    });
+    
+    // Cancelling puts the row back as it was
+    const cancelEditing = () => {
+        const row = createTransactionRow(transaction);
+        transactionElement.replaceWith(row);
+        if (listElements.get(transaction.id) === transactionElement) {
+            listElements.set(transaction.id, row);
+        }
+        row.focus();
+    };
+    form.querySelector('.btn-cancel').addEventListener('click', cancelEditing);
+    form.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            cancelEditing();
+        }
+    });
+    
+    transactionElement.classList.add('editing');
+    transactionElement.innerHTML = '';
+    transactionElement.appendChild(form);
+    form.elements.name.focus();
+}
+
+// Save an edited transaction over the original
+async function updateTransaction(original, updated) {
+    const budgetUsageBefore = getBudgetUsage();
+    
+    try {
+        await saveTransaction(updated);
+        
+        transactions = transactions.map(t => t.id === original.id ? updated : t);
+        transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+        
+        // Move the row to wherever the change puts it, or out of the list if it no longer matches
+        insertTransactionRow(updated);
+        updateBalance();
+        updateSpendingSummary();
+        
+        recordHistory('Edit', [original], [updated]);
+        showNotification('Transaction updated.', 'success', getUndoAction());
+        notifyBudgetThresholds(budgetUsageBefore);
+    } catch (error) {
+        console.error('Error updating transaction:', error);
+        showNotification('Error updating transaction. Please try again.', 'error');
+    }
+}
+
+// Create a transaction element
+function createTransactionElement(transaction) {
+    const transactionElement = document.createElement('div');
+    transactionElement.className = `transaction-item ${transaction.type}`;
+    transactionElement.dataset.id = transaction.id;
+    
+    // Format date
+    const date = new Date(transaction.date);
+    const formattedDate = date.toLocaleDateString(getLocale(), {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+    
+    
+    // Rows keep their own currency, with the base currency value alongside
+    const currency = getTransactionCurrency(transaction);
+    
+    // Transfers show where the money went; other entries name their account once there is a choice
+    let details;
+    if (transaction.type === 'transfer') {
+        details = `<i class="fas fa-exchange-alt" aria-hidden="true"></i> ${escapeHTML(getAccountName(transaction.account))} → ${escapeHTML(getAccountName(transaction.toAccount))}`;
+    } else {
+        details = transaction.splits
+            ? `<i class="fas fa-code-branch" aria-hidden="true"></i> Split: ${escapeHTML([...new Set(transaction.splits.map(split => getCategoryName(split.category)))].join(', '))}`
+            : `<i class="fas fa-${escapeHTML(getCategoryIcon(transaction.category))}" aria-hidden="true"></i> ${escapeHTML(getCategoryLabel(transaction.category))}`;
+        details += accounts.length > 1 ? ` · ${escapeHTML(getAccountName(transaction.account))}` : '';
+    }
+    
+    if (transaction.payee) {
+        details += ` · <i class="fas fa-store" aria-hidden="true"></i> ${escapeHTML(transaction.payee)}`;
+    }
+    
+    if (transaction.goal) {
+        details += ` · <i class="fas fa-flag-checkered" aria-hidden="true"></i> ${escapeHTML(getGoalName(transaction.goal))}`;
+    }
+    
+    // Tags, note and receipt thumbnails
+    const receiptList = getTransactionReceipts(transaction.id);
+    const tagButtons = (transaction.tags || [])
+        .map(tag => `<button type="button" class="transaction-tag" title="Show transactions tagged ${escapeHTML(tag)}">#${escapeHTML(tag)}</button>`)
+        .join('');
+    const receiptButtons = receiptList
+        .map(receipt => `<button type="button" class="receipt-thumb" title="View ${escapeHTML(receipt.name)}" aria-label="View ${escapeHTML(receipt.name)}">${receipt.thumbnail
+            ? `<img src="${escapeHTML(receipt.thumbnail)}" alt="">`
+            : '<i class="fas fa-receipt" aria-hidden="true"></i>'}</button>`)
+        .join('');
+    const extras = tagButtons || receiptButtons
+        ? `<div class="transaction-extras">${tagButtons}${receiptButtons}</div>`
+        : '';
+    
+    // Each split's share, with its note
+    const splitDetails = transaction.splits
+        ? `<div class="transaction-splits">${transaction.splits.map(split =>
+            `<span>${escapeHTML(getCategoryLabel(split.category))} ${formatCurrency(Math.abs(split.amount), currency)}${split.note ? ` (${escapeHTML(split.note)})` : ''}</span>`
+        ).join('')}</div>`
+        : '';
+    
+    transactionElement.innerHTML = `
+        <div class="transaction-info">
+            <div class="transaction-name">${escapeHTML(transaction.name)}</div>
+            <div class="transaction-category">
+                ${details}
+                ${transaction.recurringId ? '<i class="fas fa-sync-alt recurring-badge" title="Recurring" role="img" aria-label="Recurring"></i>' : ''}
+            </div>
+            ${splitDetails}
+            ${transaction.note ? '<div class="transaction-note"></div>' : ''}
+            ${extras}
+            <div class="transaction-date">${formattedDate}</div>
+        </div>
+        <div class="transaction-amount ${escapeHTML(transaction.type)}">
+            ${formatTransactionAmount(transaction.amount, transaction.type, currency)}
+            ${currency !== getBaseCurrency() ? `<span class="transaction-converted">≈ ${formatCurrency(Math.abs(toBaseCurrency(transaction.amount, currency)))}</span>` : ''}
+        </div>
+    `;
+    
+    // Notes are free text and may span lines
+    if (transaction.note) {
+        transactionElement.querySelector('.transaction-note').textContent = transaction.note;
+    }
+    
+    // Clicking a tag searches for it
+    transactionElement.querySelectorAll('.transaction-tag').forEach((button, index) => {
+        button.addEventListener('click', () => {
+            const tag = transaction.tags[index];
+            searchInput.value = /\s/.test(tag) ? `tag:"${tag}"` : `tag:${tag}`;
+            filterTransactions();
+        });
+    });
+    
+    transactionElement.querySelectorAll('.receipt-thumb').forEach((button, index) => {
+        button.addEventListener('click', () => openReceiptViewer(transaction, index));
+    });
+    
+    return transactionElement;
+}
+
+// Update balance and totals
+function updateBalance() {
+    const range = getPeriodRange();
+    const baseCurrency = getBaseCurrency();
+    const startingBalance = accounts.reduce((sum, account) => sum + toBaseMinorUnits(account.openingBalance, account.currency), 0);
+    
+    // Everything before the period rolls into the opening balance.
+    // Transfers only move money between accounts, so net worth ignores them.
+    const minorTotals = transactions.reduce((acc, transaction) => {
+        const date = new Date(transaction.date);
+        
+        if (transaction.type === 'transfer') {
+            return acc;
+        }
+        
+        // Totals are kept in the base currency's minor units, so they add up to the cent
+        const amount = toBaseMinorUnits(transaction.amount, getTransactionCurrency(transaction));
+        
+        if (range && date < range.start) {
+            acc.opening += amount;
+        } else if (!range || date < range.end) {
+            if (transaction.type === 'income') {
+                acc.income += amount;
+            } else {
+                acc.expense += Math.abs(amount);
+            }
+        }
+        return acc;
+    }, { opening: startingBalance, income: 0, expense: 0 });
+    
+    const totals = {
+        opening: fromMinorUnits(minorTotals.opening, baseCurrency),
+        income: fromMinorUnits(minorTotals.income, baseCurrency),
+        expense: fromMinorUnits(minorTotals.expense, baseCurrency)
+    };
+    const totalBalance = fromMinorUnits(minorTotals.opening + minorTotals.income - minorTotals.expense, baseCurrency);
+    
+    // Update DOM elements
+    totalBalanceElement.textContent = formatCurrency(totalBalance);
+    openingBalanceElement.textContent = formatCurrency(totals.opening);
+    totalIncomeElement.textContent = formatCurrency(totals.income);
+    totalExpenseElement.textContent = formatCurrency(totals.expense);
+    
+    // Add color class to balance based on value
+    totalBalanceElement.className = 'balance-amount';
+    if (totalBalance > 0) {
+        totalBalanceElement.classList.add('positive');
+    } else if (totalBalance < 0) {
+        totalBalanceElement.classList.add('negative');
+    }
+    
+    renderAccountBalances(range);
+    updateRateWarning();
+    renderGoals();
+}
+
+// Update spending summary with progress bars
+function updateSpendingSummary() {
+    // Budgets are shown even before there is any spending
+    renderBudgetBars();
+    
+    // Clear the summary
+    categoryBarsContainer.innerHTML = '';
+    
+    // Get expense transactions in the selected period only
+    const expenseTransactions = getPeriodTransactions().filter(t => t.type === 'expense');
+    
+    if (expenseTransactions.length === 0) {
+        emptySummaryText.style.display = 'block';
+        categoryBarsContainer.appendChild(emptySummaryText);
+        return;
+    }
+    
+    emptySummaryText.style.display = 'none';
+    
+    // Calculate total expenses, in minor units of the base currency so the parts add up exactly
+    const baseCurrency = getBaseCurrency();
+    const totalExpenses = expenseTransactions.reduce((sum, transaction) => {
+        return sum + Math.abs(toBaseMinorUnits(transaction.amount, getTransactionCurrency(transaction)));
+    }, 0);
+    
+    // Group expenses by top-level category, rolling subcategories up into their parent.
+    // Split transactions count each part under its own category.
+    const groups = {};
+    expenseTransactions.forEach(transaction => getTransactionSplits(transaction).forEach(split => {
+        const category = getCategory(split.category);
+        const rootId = category ? getRootCategoryId(category.id) : split.category;
+        const amount = Math.abs(toBaseMinorUnits(split.amount, getTransactionCurrency(transaction)));
+        
+        if (!groups[rootId]) {
+            groups[rootId] = { amount: 0, children: {} };
+        }
+        
+        groups[rootId].amount += amount;
+        
+        if (category && category.id !== rootId) {
+            groups[rootId].children[category.id] = (groups[rootId].children[category.id] || 0) + amount;
+        }
+    }));
+    
+    // Create progress bars for each category
+    Object.entries(groups).forEach(([categoryId, group]) => {
+        const amount = group.amount;
+        const percentage = totalExpenses > 0 ? (amount / totalExpenses) * 100 : 0;
+        
+        const categoryElement = document.createElement('div');
+        categoryElement.className = 'category-item';
+        
+        // Assign color based on category
+        const color = getCategoryColor(categoryId);
+        
+        // List subcategory amounts under the parent bar
+        const breakdown = Object.entries(group.children)
+            .map(([childId, childAmount]) => `${getCategoryName(childId)} ${formatCurrency(fromMinorUnits(childAmount, baseCurrency))}`)
+            .join(' · ');
+        
+        categoryElement.innerHTML = `
+            <div class="category-header">
+                <div class="category-name">
+                    <i class="fas fa-${escapeHTML(getCategoryIcon(categoryId))}" aria-hidden="true"></i>
+                    ${escapeHTML(getCategoryName(categoryId))}
+                </div>
+                <div class="category-amount">${formatCurrency(fromMinorUnits(amount, baseCurrency))}</div>
+            </div>
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: ${percentage}%; background: ${escapeHTML(color)};"></div>
+                <span class="category-percentage">${percentage.toFixed(1)}%</span>
+            </div>
+            ${breakdown ? `<div class="category-breakdown">${escapeHTML(breakdown)}</div>` : ''}
+        `;
+        
+        categoryBarsContainer.appendChild(categoryElement);
+    });
+}
+
+// Get color for a category
+function getCategoryColor(categoryId) {
+    const category = getCategory(categoryId);
+    return category ? category.color : '#94a3b8';
+}
+
+// Get icon for a category
+function getCategoryIcon(categoryId) {
+    const category = getCategory(categoryId);
+    return category ? category.icon : 'tag';
+}
+
+// Amount with + for income and - for expenses; transfers are neither
+function formatTransactionAmount(amount, type, currency) {
+    const sign = { income: '+', expense: '-' }[type] || '';
+    return `${sign}${formatCurrency(Math.abs(amount), currency)}`;
+}
+
+// Format currency in the chosen locale, in the base currency unless told otherwise
+function formatCurrency(amount, currency = getBaseCurrency()) {
+    return new Intl.NumberFormat(getLocale(), {
+        style: 'currency',
+        currency
+    }).format(amount);
+}
+
+// Text made safe to put into innerHTML. Names, notes and tags may come from imported
+// statements, other devices or shared text, so they are never trusted as markup.
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Local calendar day as YYYY-MM-DD
+function getDateKey(date) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+}
+
+// Turn a date input value into a Date: now for today, noon for any other day
+function getDateFromInput(value) {
+    if (value === getDateKey(new Date())) {
+        return new Date();
+    }
+    
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day, 12);
+}
+
+// Ask before clearing all transactions
+async function confirmClearAll() {
+    const confirmed = await confirmDialog(
+        'Are you sure you want to clear all transactions? They are moved to the trash, and a snapshot of all your data is saved first so you can restore it from Backup & Restore.',
+        { title: 'Clear All Transactions', confirmLabel: 'Clear All' }
+    );
+    
+    if (confirmed) {
+        await clearAllTransactions();
+    }
+}
+
+// Clear all transactions
+async function clearAllTransactions() {
+    await transactionsLoaded;
+    
+    const clearedTransactions = [...transactions];
+    
+    try {
+        // Keep a copy of everything first; it can be restored from Backup & Restore
+        await saveSnapshot('Before clearing all transactions');
+        
+        // Clear from IndexedDB
+        await clearAllTransactionsFromDB();
+        
+        // Clear transactions array
+        transactions = [];
+        filteredTransactions = [];
+        
+        // Update UI
+        renderTransactions();
+        updateBalance();
+        updateSpendingSummary();
+        
+        // Show confirmation message
+        recordHistory('Clear all', clearedTransactions, []);
+        showNotification('All transactions were moved to the trash.', 'success', getUndoAction());
+    } catch (error) {
+        console.error('Error clearing transactions:', error);
+        showNotification('Error clearing transactions. Please try again.', 'error');
+    }
+}
+
+// =============== Category Functions ===============
+
+// Find a category by id
+function getCategory(categoryId) {
+    return categories.find(category => category.id === categoryId) || null;
+}
+
+// Display name of a category
+function getCategoryName(categoryId) {
+    const category = getCategory(categoryId);
+    return category ? category.name : 'Uncategorized';
+}
+
+// Name including the parent, e.g. "Food › Groceries"
+function getCategoryLabel(categoryId) {
+    const category = getCategory(categoryId);
+    if (!category) return 'Uncategorized';
+    
+    const parent = category.parentId ? getCategory(category.parentId) : null;
+    return parent ? `${parent.name} › ${category.name}` : category.name;
+}
+
+// Top-level category a category rolls up into
+function getRootCategoryId(categoryId) {
+    const category = getCategory(categoryId);
+    return category && category.parentId && getCategory(category.parentId) ? category.parentId : categoryId;
+}
+
+// Children of a category (or top-level categories for null), in display order
+function getChildCategories(parentId, includeArchived = false) {
+    return categories
+        .filter(category => (category.parentId || null) === parentId && (includeArchived || !category.archived))
+        .sort((a, b) => a.order - b.order);
+}
+
+// Categories as a flat list with each parent followed by its children
+function getOrderedCategories(includeArchived = false) {
+    const ordered = [];
+    
+    getChildCategories(null, includeArchived).forEach(parent => {
+        ordered.push({ category: parent, depth: 0 });
+        getChildCategories(parent.id, includeArchived).forEach(child => {
+            ordered.push({ category: child, depth: 1 });
+        });
+    });
+    
+    return ordered;
+}
+
+// Active categories for pickers, with subcategories indented
+function getCategoryOptions() {
+    return getOrderedCategories().map(({ category, depth }) => ({
+        id: category.id,
+        label: depth ? `\u00A0\u00A0\u00A0\u00A0${category.name}` : category.name
+    }));
+}
+
+// Category to use when nothing better is known
+function getFallbackCategoryId(amount) {
+    const options = getCategoryOptions();
+    const preferred = amount >= 0 ? 'income' : 'other';
+    const match = options.find(option => getCategoryName(option.id).toLowerCase() === preferred);
+    
+    return match ? match.id : (options[0] ? options[0].id : '');
+}
+
+// Fill a select with the active categories, keeping an archived current value selectable
+function fillCategorySelect(select, selectedId) {
+    const options = getCategoryOptions();
+    
+    if (selectedId && !options.some(option => option.id === selectedId) && getCategory(selectedId)) {
+        options.push({ id: selectedId, label: `${getCategoryLabel(selectedId)} (archived)` });
+    }
+    
+    options.forEach(option => select.appendChild(new Option(option.label, option.id)));
+    
+    if (selectedId) {
+        select.value = selectedId;
+    }
+}
+
+// Rebuild the transaction form's category select
+function renderCategoryOptions() {
+    const selectedId = transactionCategoryInput.value;
+    
+    transactionCategoryInput.innerHTML = '<option value="" disabled selected>Select a category</option>';
+    fillCategorySelect(transactionCategoryInput);
+    
+    if (getCategoryOptions().some(option => option.id === selectedId)) {
+        transactionCategoryInput.value = selectedId;
+    }
+    
+    renderFilterCategories();
+}
+
+// Generate an id for a new category
+function createCategoryId() {
+    return `cat-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Fill an icon select with the available icons
+function fillIconSelect(select, selectedIcon) {
+    const icons = CATEGORY_ICONS.includes(selectedIcon) ? CATEGORY_ICONS : [selectedIcon, ...CATEGORY_ICONS];
+    
+    icons.forEach(icon => select.appendChild(new Option(icon.replace(/-/g, ' '), icon)));
+    select.value = selectedIcon;
+}
+
+// Open the category manager
+async function openCategoriesModal() {
+    // Rows show how many transactions use each category
+    await transactionsLoaded;
+    
+    newCategoryIconInput.innerHTML = '';
+    fillIconSelect(newCategoryIconInput, 'tag');
+    newCategoryIconPreview.className = 'fas fa-tag';
+    
+    renderCategoryManager();
+    categoriesModal.classList.add('active');
+    newCategoryNameInput.focus();
+}
+
+// Close the category manager
+function closeCategoriesModal() {
+    categoriesModal.classList.remove('active');
+    categoryForm.reset();
+}
+
+// Render the editable list of categories
+function renderCategoryManager() {
+    categoryManagerList.innerHTML = '';
+    
+    // Only top-level categories can be parents (one level of nesting)
+    newCategoryParentInput.innerHTML = '<option value="">No parent</option>';
+    getChildCategories(null).forEach(parent => {
+        newCategoryParentInput.appendChild(new Option(`Inside ${parent.name}`, parent.id));
+    });
+    
+    getOrderedCategories(showArchivedCategoriesInput.checked).forEach(({ category, depth }) => {
+        categoryManagerList.appendChild(createCategoryRow(category, depth));
+    });
+}
+
+// Build one row of the category manager
+function createCategoryRow(category, depth) {
+    const hasChildren = getChildCategories(category.id, true).length > 0;
+    const usage = transactions.filter(t => usesCategory(t, category.id)).length;
+    const siblings = getChildCategories(category.parentId || null, true);
+    const position = siblings.findIndex(sibling => sibling.id === category.id);
+    
+    const row = document.createElement('div');
+    row.className = `category-row${depth ? ' child' : ''}${category.archived ? ' archived' : ''}`;
+    row.innerHTML = `
+        <i class="fas fa-${escapeHTML(category.icon)} category-row-icon" style="color: ${escapeHTML(category.color)};" aria-hidden="true"></i>
+        <input type="text" class="category-row-name" aria-label="Category name">
+        <input type="color" class="category-row-color" aria-label="Color">
+        <select class="category-row-icon-select" aria-label="Icon"></select>
+        <select class="category-row-parent" aria-label="Parent category"></select>
+        <span class="category-row-count">${usage} ${usage === 1 ? 'entry' : 'entries'}</span>
+        <div class="category-row-actions">
+            <button type="button" class="category-move-up" title="Move up" aria-label="Move up"><i class="fas fa-arrow-up" aria-hidden="true"></i></button>
+            <button type="button" class="category-move-down" title="Move down" aria-label="Move down"><i class="fas fa-arrow-down" aria-hidden="true"></i></button>
+            <select class="category-row-merge" aria-label="Merge into another category"></select>
+            <button type="button" class="category-archive" title="${category.archived ? 'Restore' : 'Archive'}" aria-label="${category.archived ? 'Restore' : 'Archive'}">
+                <i class="fas fa-${category.archived ? 'box-open' : 'archive'}" aria-hidden="true"></i>
+            </button>
+        </div>
+    `;
+    
+    const nameInput = row.querySelector('.category-row-name');
+    nameInput.value = category.name;
+    nameInput.addEventListener('change', () => {
+        const name = nameInput.value.trim();
+        
+        if (!name) {
+            nameInput.value = category.name;
+            return;
+        }
+        
+        updateCategory(category, { name });
+    });
+    
+    const colorInput = row.querySelector('.category-row-color');
+    colorInput.value = category.color;
+    colorInput.addEventListener('change', () => updateCategory(category, { color: colorInput.value }));
+    
+    const iconSelect = row.querySelector('.category-row-icon-select');
+    fillIconSelect(iconSelect, category.icon);
+    iconSelect.addEventListener('change', () => updateCategory(category, { icon: iconSelect.value }));
+    
+    // A category with subcategories stays top-level
+    const parentSelect = row.querySelector('.category-row-parent');
+    parentSelect.appendChild(new Option('Top level', ''));
+    getChildCategories(null, true)
+        .filter(parent => parent.id !== category.id)
+        .forEach(parent => parentSelect.appendChild(new Option(`Inside ${parent.name}`, parent.id)));
+    parentSelect.value = category.parentId || '';
+    parentSelect.disabled = hasChildren;
+    parentSelect.addEventListener('change', () => {
+        const parentId = parentSelect.value || null;
+        updateCategory(category, { parentId, order: getChildCategories(parentId, true).length });
+    });
+    
+    const moveUpButton = row.querySelector('.category-move-up');
+    const moveDownButton = row.querySelector('.category-move-down');
+    moveUpButton.disabled = position <= 0;
+    moveDownButton.disabled = position === siblings.length - 1;
+    moveUpButton.addEventListener('click', () => moveCategory(category, -1));
+    moveDownButton.addEventListener('click', () => moveCategory(category, 1));
+    
+    // Any category except this one and its own subcategories can absorb it
+    const mergeSelect = row.querySelector('.category-row-merge');
+    mergeSelect.appendChild(new Option('Merge into…', ''));
+    getOrderedCategories(true)
+        .filter(({ category: target }) => target.id !== category.id && target.parentId !== category.id)
+        .forEach(({ category: target }) => mergeSelect.appendChild(new Option(getCategoryLabel(target.id), target.id)));
+    mergeSelect.addEventListener('change', () => {
+        if (mergeSelect.value) {
+            mergeCategory(category, mergeSelect.value);
+            mergeSelect.value = '';
+        }
+    });
+    
+    row.querySelector('.category-archive').addEventListener('click', () => {
+        updateCategory(category, { archived: !category.archived });
+    });
+    
+    return row;
+}
+
+// Create a category from the manager form
+async function addCategory(e) {
+    e.preventDefault();
+    
+    const name = newCategoryNameInput.value.trim();
+    const parentId = newCategoryParentInput.value || null;
+    
+    if (!name) return;
+    
+    const category = {
+        id: createCategoryId(),
+        name,
+        color: newCategoryColorInput.value,
+        icon: newCategoryIconInput.value,
+        parentId,
+        order: getChildCategories(parentId, true).length,
+        archived: false
+    };
+    
+    try {
+        await saveCategory(category);
+        categories.push(category);
+        
+        categoryForm.reset();
+        newCategoryIconPreview.className = 'fas fa-tag';
+        refreshCategoryViews();
+        newCategoryNameInput.focus();
+        
+        showNotification(`Category "${name}" added.`, 'success');
+    } catch (error) {
+        console.error('Error adding category:', error);
+        showNotification('Error saving category. Please try again.', 'error');
+    }
+}
+
+// Save changes to a category
+async function updateCategory(category, changes) {
+    const updated = { ...category, ...changes };
+    
+    try {
+        await saveCategory(updated);
+        categories = categories.map(c => c.id === category.id ? updated : c);
+        refreshCategoryViews();
+    } catch (error) {
+        console.error('Error updating category:', error);
+        showNotification('Error saving category. Please try again.', 'error');
+    }
+}
+
+// Move a category up or down among its siblings
+async function moveCategory(category, direction) {
+    const siblings = getChildCategories(category.parentId || null, true);
+    const index = siblings.findIndex(sibling => sibling.id === category.id);
+    const target = index + direction;
+    
+    if (target < 0 || target >= siblings.length) return;
+    
+    [siblings[index], siblings[target]] = [siblings[target], siblings[index]];
+    
+    // Renumber so orders stay contiguous
+    const reordered = siblings.map((sibling, order) => ({ ...sibling, order }));
+    
+    try {
+        await saveCategories(reordered, []);
+        categories = categories.map(c => reordered.find(r => r.id === c.id) || c);
+        refreshCategoryViews();
+    } catch (error) {
+        console.error('Error reordering categories:', error);
+        showNotification('Error reordering categories. Please try again.', 'error');
+    }
+}
+
+// Move every transaction and subcategory of one category into another, then remove it
+async function mergeCategory(source, targetId) {
+    await transactionsLoaded;
+    
+    const target = getCategory(targetId);
+    const affected = transactions.filter(t => usesCategory(t, source.id));
+    const moveCategory = (id) => id === source.id ? targetId : id;
+    
+    if (!target || !await confirmDialog(
+        `Merge "${source.name}" into "${getCategoryLabel(targetId)}"? ${affected.length} transactions will be moved.`,
+        { title: 'Merge Categories', confirmLabel: 'Merge' }
+    )) {
+        renderCategoryManager();
+        return;
+    }
+    
+    const movedTransactions = affected.map(t => mapTransactionCategories(t, moveCategory));
+    
+    // Subcategories follow into the target, or up a level if the target is itself a subcategory
+    const newParentId = target.parentId ? target.parentId : target.id;
+    const reparented = getChildCategories(source.id, true).map((child, index) => ({
+        ...child,
+        parentId: newParentId,
+        order: getChildCategories(newParentId, true).length + index
+    }));
+    
+    try {
+        await saveCategories(reparented, [source.id], movedTransactions);
+        
+        // Future occurrences land in the target category too
+        const movedRules = recurringRules
+            .filter(rule => rule.category === source.id)
+            .map(rule => ({ ...rule, category: targetId }));
+        
+        if (movedRules.length > 0) {
+            await saveRecurringChanges(movedRules, []);
+            recurringRules = recurringRules.map(rule => movedRules.find(r => r.id === rule.id) || rule);
+        }
+        
+        // Bills are paid into the target from now on
+        const movedBills = bills
+            .filter(bill => bill.category === source.id)
+            .map(bill => ({ ...bill, category: targetId }));
+        
+        if (movedBills.length > 0) {
+            await saveBills(movedBills, []);
+            bills = bills.map(bill => movedBills.find(b => b.id === bill.id) || bill);
+        }
+        
+        // Categorization rules assign the target from now on
+        const redirectedRules = categoryRules
+            .filter(rule => rule.category === source.id)
+            .map(rule => ({ ...rule, category: targetId }));
+        
+        if (redirectedRules.length > 0) {
+            await saveCategoryRules(redirectedRules, []);
+            categoryRules = categoryRules.map(rule => redirectedRules.find(r => r.id === rule.id) || rule);
+        }
+        
+        // The target's own budget (if any) now covers the merged spending
+        if (getBudget(source.id)) {
+            await saveBudgets([], [source.id]);
+            budgets = budgets.filter(b => b.categoryId !== source.id);
+        }
+        
+        categories = categories
+            .filter(c => c.id !== source.id)
+            .map(c => reparented.find(r => r.id === c.id) || c);
+        transactions = transactions.map(t => movedTransactions.find(moved => moved.id === t.id) || t);
+        
+        filterTransactions();
+        refreshCategoryViews();
+        
+        showNotification(`Merged "${source.name}" into "${target.name}".`, 'success');
+    } catch (error) {
+        console.error('Error merging categories:', error);
+        showNotification('Error merging categories. Nothing was changed.', 'error');
+    }
+}
+
+// Redraw everything that shows category names, colors or icons
+function refreshCategoryViews() {
+    renderCategoryOptions();
+    renderCategoryManager();
+    renderTransactions();
+    updateSpendingSummary();
+}
+
+// =============== Rule Functions ===============
+
+// Suggestion last written into the add form; null once the user picks a category themselves
+let formSuggestion = { category: '', tags: '' };
+
+// Transactions the re-run preview would change
+let ruleChanges = null;
+
+// Generate an id for a new rule
+function createRuleId() {
+    return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Rules in the order they are tried
+function getOrderedRules() {
+    return [...categoryRules].sort((a, b) => a.order - b.order);
+}
+
+// Case-insensitive pattern of a regex rule, or null if it does not compile
+function getRuleRegex(pattern) {
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (error) {
+        return null;
+    }
+}
+
+// Whether a rule's conditions all hold for a name, payee and signed amount
+function matchesRule(rule, { name, payee, amount }) {
+    if (rule.pattern) {
+        if (rule.match === 'regex') {
+            const regex = getRuleRegex(rule.pattern);
+            if (!regex || !regex.test(name)) return false;
+        } else if (!name.toLowerCase().includes(rule.pattern.toLowerCase())) {
+            return false;
+        }
+    }
+    
+    if (rule.payee && !(payee || '').toLowerCase().includes(rule.payee.toLowerCase())) {
+        return false;
+    }
+    
+    // Amount limits ignore the sign, so "up to 20" covers a -15 expense
+    if (rule.minAmount !== null || rule.maxAmount !== null) {
+        if (isNaN(amount)) return false;
+        if (rule.minAmount !== null && Math.abs(amount) < rule.minAmount) return false;
+        if (rule.maxAmount !== null && Math.abs(amount) > rule.maxAmount) return false;
+    }
+    
+    return true;
+}
+
+// First rule that matches, or null
+function findMatchingRule(record) {
+    return getOrderedRules().find(rule => matchesRule(rule, record)) || null;
+}
+
+// Category a rule assigns, skipping archived or deleted ones
+function getRuleCategory(rule) {
+    return rule.category && getCategoryOptions().some(option => option.id === rule.category) ? rule.category : null;
+}
+
+// Category used most often for earlier transactions with the same name, or null
+function getLearnedCategory(name) {
+    const key = name.trim().toLowerCase();
+    if (!key) return null;
+    
+    const counts = new Map();
+    transactions.forEach(transaction => {
+        if (transaction.type !== 'transfer' && !transaction.splits && transaction.name.trim().toLowerCase() === key) {
+            counts.set(transaction.category, (counts.get(transaction.category) || 0) + 1);
+        }
+    });
+    
+    // The list is newest first, so on a tie the most recently used category wins
+    let best = null;
+    counts.forEach((count, categoryId) => {
+        if ((!best || count > best.count) && getCategoryOptions().some(option => option.id === categoryId)) {
+            best = { categoryId, count };
+        }
+    });
+    
+    return best ? best.categoryId : null;
+}
+
+// Category and tags for a new entry: a matching rule first, then what earlier entries used
+function getCategorySuggestion(record) {
+    const rule = findMatchingRule(record);
+    const category = (rule && getRuleCategory(rule)) || getLearnedCategory(record.name);
+    const tags = rule ? rule.tags : [];
+    
+    if (!category && tags.length === 0) return null;
+    
+    return { category, tags, rule: rule && (getRuleCategory(rule) || tags.length > 0) ? rule : null };
+}
+
+// Plain-language conditions of a rule
+function describeRuleConditions(rule) {
+    const parts = [];
+    
+    if (rule.pattern) {
+        parts.push(rule.match === 'regex' ? `name matches /${rule.pattern}/` : `name contains "${rule.pattern}"`);
+    }
+    if (rule.payee) {
+        parts.push(`payee contains "${rule.payee}"`);
+    }
+    if (rule.minAmount !== null && rule.maxAmount !== null) {
+        parts.push(`amount ${formatCurrency(rule.minAmount)}–${formatCurrency(rule.maxAmount)}`);
+    } else if (rule.minAmount !== null) {
+        parts.push(`amount at least ${formatCurrency(rule.minAmount)}`);
+    } else if (rule.maxAmount !== null) {
+        parts.push(`amount up to ${formatCurrency(rule.maxAmount)}`);
+    }
+    
+    const text = parts.join(', ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Plain-language result of a rule
+function describeRuleActions(rule) {
+    const parts = [];
+    
+    if (rule.category) {
+        parts.push(getCategoryLabel(rule.category));
+    }
+    if (rule.tags.length > 0) {
+        parts.push(rule.tags.map(tag => `#${tag}`).join(' '));
+    }
+    
+    return parts.join(' · ');
+}
+
+// Fill in the add form's category and tags from the name, payee and amount typed so far.
+// Only fields that are empty or still hold an earlier suggestion are changed.
+function suggestFormCategory() {
+    const suggestion = transactionTransferInput.value || isSplittingTransaction()
+        ? null
+        : getCategorySuggestion({
+            name: transactionNameInput.value,
+            payee: transactionPayeeInput.value,
+            amount: parseFloat(transactionAmountInput.value)
+        });
+    
+    if (formSuggestion.category !== null &&
+        (transactionCategoryInput.value === '' || transactionCategoryInput.value === formSuggestion.category)) {
+        formSuggestion.category = suggestion && suggestion.category ? suggestion.category : '';
+        transactionCategoryInput.value = formSuggestion.category;
+    }
+    
+    if (transactionTagsInput.value === '' || transactionTagsInput.value === formSuggestion.tags) {
+        formSuggestion.tags = suggestion ? suggestion.tags.join(', ') : '';
+        transactionTagsInput.value = formSuggestion.tags;
+    }
+    
+    const applied = suggestion && (
+        (suggestion.category && transactionCategoryInput.value === suggestion.category) ||
+        (suggestion.tags.length > 0 && transactionTagsInput.value === formSuggestion.tags)
+    );
+    
+    if (!applied) {
+        categorySuggestion.textContent = '';
+    } else if (suggestion.rule) {
+        categorySuggestion.innerHTML = '<i class="fas fa-magic" aria-hidden="true"></i> ';
+        categorySuggestion.append(`From rule: ${describeRuleConditions(suggestion.rule)}`);
+    } else {
+        categorySuggestion.innerHTML = '<i class="fas fa-history" aria-hidden="true"></i> ';
+        categorySuggestion.append(`Used before for "${transactionNameInput.value.trim()}"`);
+    }
+}
+
+// Forget the add form's suggestion so the next entry starts fresh
+function resetFormSuggestion() {
+    formSuggestion = { category: '', tags: '' };
+    categorySuggestion.textContent = '';
+}
+
+// Open the rule manager
+function openRulesModal() {
+    resetRuleForm();
+    renderRuleList();
+    closeRulePreview();
+    rulesModal.classList.add('active');
+}
+
+// Close the rule manager
+function closeRulesModal() {
+    rulesModal.classList.remove('active');
+    closeRulePreview();
+}
+
+// Render every rule in the order it is tried
+function renderRuleList() {
+    ruleList.innerHTML = '';
+    
+    const ordered = getOrderedRules();
+    
+    if (ordered.length === 0) {
+        ruleList.innerHTML = '<p class="empty-summary">No rules yet.</p>';
+        return;
+    }
+    
+    ordered.forEach((rule, index) => {
+        const row = document.createElement('div');
+        row.className = 'rule-row';
+        row.innerHTML = `
+            <span class="rule-row-position">${index + 1}</span>
+            <div class="rule-row-info">
+                <div class="rule-row-conditions"></div>
+                <div class="rule-row-actions"><i class="fas fa-arrow-right" aria-hidden="true"></i> <span></span></div>
+            </div>
+            <div class="transaction-actions">
+                <button class="edit-transaction rule-move-up" title="Try earlier" aria-label="Try earlier"><i class="fas fa-arrow-up" aria-hidden="true"></i></button>
+                <button class="edit-transaction rule-edit" title="Edit rule" aria-label="Edit rule"><i class="fas fa-pen" aria-hidden="true"></i></button>
+                <button class="delete-transaction rule-delete" title="Delete rule" aria-label="Delete rule"><i class="fas fa-trash" aria-hidden="true"></i></button>
+            </div>
+        `;
+        row.querySelector('.rule-row-conditions').textContent = describeRuleConditions(rule);
+        row.querySelector('.rule-row-actions span').textContent = describeRuleActions(rule);
+        
+        const moveUpButton = row.querySelector('.rule-move-up');
+        moveUpButton.disabled = index === 0;
+        moveUpButton.addEventListener('click', () => moveRuleUp(rule));
+        row.querySelector('.rule-edit').addEventListener('click', () => startEditingRule(rule));
+        row.querySelector('.rule-delete').addEventListener('click', () => deleteRule(rule));
+        
+        ruleList.appendChild(row);
+    });
+}
+
+// Empty the rule form for a new rule
+function resetRuleForm() {
+    ruleForm.reset();
+    delete ruleForm.dataset.ruleId;
+    
+    ruleCategoryInput.innerHTML = '<option value="">Leave unchanged</option>';
+    fillCategorySelect(ruleCategoryInput);
+    ruleCategoryInput.value = '';
+    
+    saveRuleButton.innerHTML = '<i class="fas fa-plus" aria-hidden="true"></i> Add Rule';
+    cancelRuleEditButton.style.display = 'none';
+}
+
+// Fill the rule form with an existing rule
+function startEditingRule(rule) {
+    const elements = ruleForm.elements;
+    
+    resetRuleForm();
+    ruleForm.dataset.ruleId = rule.id;
+    elements['rule-match'].value = rule.match;
+    elements['rule-pattern'].value = rule.pattern;
+    elements['rule-payee'].value = rule.payee;
+    elements['rule-amount-min'].value = rule.minAmount === null ? '' : rule.minAmount;
+    elements['rule-amount-max'].value = rule.maxAmount === null ? '' : rule.maxAmount;
+    ruleCategoryInput.innerHTML = '<option value="">Leave unchanged</option>';
+    fillCategorySelect(ruleCategoryInput, rule.category);
+    ruleCategoryInput.value = rule.category || '';
+    elements['rule-tags'].value = rule.tags.join(', ');
+    
+    saveRuleButton.innerHTML = '<i class="fas fa-check" aria-hidden="true"></i> Save Rule';
+    cancelRuleEditButton.style.display = '';
+    elements['rule-pattern'].focus();
+}
+
+// Create or update a rule from the form
+async function saveRuleFromForm(e) {
+    e.preventDefault();
+    
+    const elements = ruleForm.elements;
+    const existing = categoryRules.find(rule => rule.id === ruleForm.dataset.ruleId);
+    const minValue = elements['rule-amount-min'].value;
+    const maxValue = elements['rule-amount-max'].value;
+    
+    const rule = {
+        ...(existing || {
+            id: createRuleId(),
+            order: categoryRules.reduce((max, r) => Math.max(max, r.order + 1), 0),
+            createdAt: new Date().toISOString()
+        }),
+        match: elements['rule-match'].value,
+        pattern: elements['rule-pattern'].value.trim(),
+        payee: elements['rule-payee'].value.trim(),
+        minAmount: minValue === '' ? null : Math.abs(parseFloat(minValue)),
+        maxAmount: maxValue === '' ? null : Math.abs(parseFloat(maxValue)),
+        category: ruleCategoryInput.value || null,
+        tags: parseTags(elements['rule-tags'].value)
+    };
+    
+    if (!rule.pattern && !rule.payee && rule.minAmount === null && rule.maxAmount === null) {
+        showNotification('Give the rule a name, payee or amount to match.', 'warning');
+        return;
+    }
+    
+    if (!rule.category && rule.tags.length === 0) {
+        showNotification('Choose a category or tags for the rule to set.', 'warning');
+        return;
+    }
+    
+    if (rule.match === 'regex' && rule.pattern && !getRuleRegex(rule.pattern)) {
+        showNotification('That pattern is not a valid regular expression.', 'warning');
+        return;
+    }
+    
+    if (rule.minAmount !== null && rule.maxAmount !== null && rule.minAmount > rule.maxAmount) {
+        showNotification('The lowest amount is above the highest.', 'warning');
+        return;
+    }
+    
+    try {
+        await saveCategoryRules([rule], []);
+        categoryRules = [...categoryRules.filter(r => r.id !== rule.id), rule];
+        
+        resetRuleForm();
+        renderRuleList();
+        closeRulePreview();
+        showNotification(existing ? 'Rule updated.' : 'Rule added.', 'success');
+    } catch (error) {
+        console.error('Error saving rule:', error);
+        showNotification('Error saving rule. Please try again.', 'error');
+    }
+}
+
+// Try a rule one place earlier
+async function moveRuleUp(rule) {
+    const ordered = getOrderedRules();
+    const index = ordered.findIndex(r => r.id === rule.id);
+    
+    if (index <= 0) return;
+    
+    [ordered[index - 1], ordered[index]] = [ordered[index], ordered[index - 1]];
+    
+    // Renumber so orders stay contiguous
+    const reordered = ordered.map((r, order) => ({ ...r, order }));
+    
+    try {
+        await saveCategoryRules(reordered, []);
+        categoryRules = reordered;
+        renderRuleList();
+        closeRulePreview();
+    } catch (error) {
+        console.error('Error reordering rules:', error);
+        showNotification('Error reordering rules. Please try again.', 'error');
+    }
+}
+
+// Delete a rule; transactions it already categorized keep their category
+async function deleteRule(rule) {
+    if (!await confirmDialog(
+        `Delete the rule "${describeRuleConditions(rule)}"? Transactions it already categorized are kept as they are.`,
+        { title: 'Delete Rule', confirmLabel: 'Delete' }
+    )) {
+        return;
+    }
+    
+    try {
+        await saveCategoryRules([], [rule.id]);
+        categoryRules = categoryRules.filter(r => r.id !== rule.id);
+        
+        if (ruleForm.dataset.ruleId === rule.id) {
+            resetRuleForm();
+        }
+        
+        renderRuleList();
+        closeRulePreview();
+        showNotification('Rule deleted.', 'success');
+    } catch (error) {
+        console.error('Error deleting rule:', error);
+        showNotification('Error deleting rule. Please try again.', 'error');
+    }
+}
+
+// What the rules would change on stored transactions. Transfers and split transactions are left alone.
+function getRuleChanges() {
+    const changes = [];
+    
+    transactions.forEach(transaction => {
+        if (transaction.type === 'transfer' || transaction.splits) return;
+        
+        const rule = findMatchingRule(transaction);
+        if (!rule) return;
+        
+        const category = getRuleCategory(rule) || transaction.category;
+        const tags = transaction.tags || [];
+        const addedTags = rule.tags.filter(tag => !tags.some(existing => existing.toLowerCase() === tag.toLowerCase()));
+        
+        if (category === transaction.category && addedTags.length === 0) return;
+        
+        const after = { ...transaction, category };
+        if (addedTags.length > 0) {
+            after.tags = [...tags, ...addedTags];
+        }
+        
+        changes.push({ before: transaction, after, addedTags, selected: true });
+    });
+    
+    return changes;
+}
+
+// Show which transactions re-running the rules would change
+async function previewRuleChanges() {
+    await transactionsLoaded;
+    
+    ruleChanges = getRuleChanges();
+    rulePreviewTable.innerHTML = '';
+    rulePreview.style.display = 'block';
+    
+    if (ruleChanges.length === 0) {
+        rulePreviewSummary.textContent = 'Every transaction already matches the rules. Nothing would change.';
+        rulePreviewTable.style.display = 'none';
+        applyRulesButton.style.display = 'none';
+        return;
+    }
+    
+    rulePreviewTable.style.display = '';
+    applyRulesButton.style.display = '';
+    
+    const table = document.createElement('table');
+    table.className = 'import-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th></th>
+                <th>Date</th>
+                <th>Description</th>
+                <th>Category</th>
+                <th>Tags added</th>
+            </tr>
+        </thead>
+    `;
+    
+    const body = document.createElement('tbody');
+    
+    ruleChanges.forEach(change => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td><input type="checkbox" checked></td>
+            <td>${new Date(change.before.date).toLocaleDateString(getLocale())}</td>
+            <td></td>
+            <td></td>
+            <td></td>
+        `;
+        
+        const cells = tr.querySelectorAll('td');
+        cells[2].textContent = change.before.name;
+        cells[3].textContent = change.after.category === change.before.category
+            ? getCategoryLabel(change.before.category)
+            : `${getCategoryLabel(change.before.category)} → ${getCategoryLabel(change.after.category)}`;
+        cells[4].textContent = change.addedTags.map(tag => `#${tag}`).join(' ');
+        
+        const checkbox = tr.querySelector('input');
+        checkbox.addEventListener('change', () => {
+            change.selected = checkbox.checked;
+            updateRulePreviewSummary();
+        });
+        
+        body.appendChild(tr);
+    });
+    
+    table.appendChild(body);
+    rulePreviewTable.appendChild(table);
+    updateRulePreviewSummary();
+}
+
+// Update the preview's count and the apply button
+function updateRulePreviewSummary() {
+    const selectedCount = ruleChanges.filter(change => change.selected).length;
+    
+    rulePreviewSummary.textContent = `${ruleChanges.length} transaction${ruleChanges.length === 1 ? '' : 's'} would change. Untick any to leave as they are.`;
+    applyRulesButton.textContent = `Apply ${selectedCount} change${selectedCount === 1 ? '' : 's'}`;
+    applyRulesButton.disabled = selectedCount === 0;
+}
+
+// Hide the re-run preview and drop its changes
+function closeRulePreview() {
+    ruleChanges = null;
+    rulePreview.style.display = 'none';
+    rulePreviewTable.innerHTML = '';
+}
+
+// Save the ticked changes from the re-run preview as one undoable step
+async function applyRuleChanges() {
+    if (!ruleChanges) return;
+    
+    const selected = ruleChanges.filter(change => change.selected);
+    if (selected.length === 0) return;
+    
+    const before = selected.map(change => change.before);
+    const after = selected.map(change => change.after);
+    
+    try {
+        await saveTransactions(after);
+        
+        transactions = transactions.map(t => after.find(updated => updated.id === t.id) || t);
+        
+        filterTransactions();
+        updateBalance();
+        updateSpendingSummary();
+        
+        recordHistory('Re-run rules', before, after);
+        closeRulePreview();
+        showNotification(`Updated ${after.length} transaction${after.length === 1 ? '' : 's'} from your rules.`, 'success', getUndoAction());
+    } catch (error) {
+        console.error('Error applying rules:', error);
+        showNotification('Error applying rules. Nothing was changed.', 'error');
+    }
+}
+
+// =============== Split Functions ===============
+
+// Category and amount parts of a transaction; unsplit transactions are a single part
+function getTransactionSplits(transaction) {
+    if (transaction.splits && transaction.splits.length > 0) {
+        return transaction.splits;
+    }
+    
+    return transaction.type === 'transfer' ? [] : [{ category: transaction.category, amount: transaction.amount }];
+}
+
+// Whether any part of a transaction is in a category
+function usesCategory(transaction, categoryId) {
+    return getTransactionSplits(transaction).some(split => split.category === categoryId);
+}
+
+// Store splits on a transaction, or remove them when there are fewer than two.
+// The largest part becomes the main category, and splitCategories feeds the IndexedDB index.
+function setTransactionSplits(transaction, splits) {
+    if (splits && splits.length > 1) {
+        transaction.splits = splits;
+        transaction.splitCategories = [...new Set(splits.map(split => split.category))];
+        transaction.category = splits.reduce((largest, split) =>
+            Math.abs(split.amount) > Math.abs(largest.amount) ? split : largest
+        ).category;
+    } else {
+        delete transaction.splits;
+        delete transaction.splitCategories;
+    }
+    
+    return transaction;
+}
+
+// Copy of a transaction with every category id passed through mapId
+function mapTransactionCategories(transaction, mapId) {
+    const updated = { ...transaction, category: transaction.category && mapId(transaction.category) };
+    
+    if (transaction.splits) {
+        setTransactionSplits(updated, transaction.splits.map(split => ({ ...split, category: mapId(split.category) })));
+    }
+    
+    return updated;
+}
+
+// Describe what is wrong with a list of splits for an amount, or return null if they add up
+function getSplitProblem(splits, amount) {
+    if (splits.some(split => !split.category || !(Math.abs(split.amount) > 0))) {
+        return 'Give every split a category and an amount.';
+    }
+    
+    const total = splits.reduce((sum, split) => sum + split.amount, 0);
+    if (Math.abs(total - amount) >= 0.005) {
+        return `The splits add up to ${formatCurrency(Math.abs(total))}, not ${formatCurrency(Math.abs(amount))}.`;
+    }
+    
+    return null;
+}
+
+// Add a category, amount and note row to a split editor
+function addSplitRow(editor, split = {}) {
+    const row = document.createElement('div');
+    row.className = 'split-row';
+    row.innerHTML = `
+        <select class="split-category" aria-label="Split category"></select>
+        <input type="number" class="split-amount" step="0.01" min="0" placeholder="0.00" aria-label="Split amount">
+        <input type="text" class="split-note" placeholder="Note (optional)" aria-label="Split note">
+        <button type="button" class="split-remove" title="Remove split" aria-label="Remove split"><i class="fas fa-times" aria-hidden="true"></i></button>
+    `;
+    
+    const categorySelect = row.querySelector('.split-category');
+    categorySelect.appendChild(new Option('Category', ''));
+    fillCategorySelect(categorySelect, split.category);
+    categorySelect.value = split.category || '';
+    
+    row.querySelector('.split-amount').value = split.amount ? Math.abs(split.amount) : '';
+    row.querySelector('.split-note').value = split.note || '';
+    
+    row.querySelector('.split-remove').addEventListener('click', () => {
+        row.remove();
+        editor.dispatchEvent(new Event('input'));
+    });
+    
+    editor.querySelector('.split-rows').appendChild(row);
+    return row;
+}
+
+// Fill a split editor with existing splits
+function setSplitRows(editor, splits) {
+    editor.querySelector('.split-rows').innerHTML = '';
+    splits.forEach(split => addSplitRow(editor, split));
+}
+
+// Read a split editor; amounts are typed unsigned and take the sign of the total
+function getSplitRows(editor, sign) {
+    return [...editor.querySelectorAll('.split-row')].map(row => {
+        const amount = Math.abs(parseFloat(row.querySelector('.split-amount').value)) || 0;
+        const note = row.querySelector('.split-note').value.trim();
+        const split = { category: row.querySelector('.split-category').value, amount: sign * Math.round(amount * 100) / 100 };
+        
+        if (note) {
+            split.note = note;
+        }
+        
+        return split;
+    });
+}
+
+// Show how much of the total is still to be split
+function updateSplitRemaining(editor, total, currency) {
+    const splitTotal = getSplitRows(editor, 1).reduce((sum, split) => sum + split.amount, 0);
+    const remaining = Math.abs(total) - splitTotal;
+    const label = editor.querySelector('.split-remaining');
+    
+    label.textContent = Math.abs(remaining) < 0.005
+        ? 'Splits add up'
+        : `${formatCurrency(Math.abs(remaining), currency)} ${remaining > 0 ? 'left to split' : 'too much'}`;
+    label.classList.toggle('unbalanced', Math.abs(remaining) >= 0.005);
+}
+
+// Wire up an editor's add button and remaining total
+function setupSplitEditor(editor, getTotal, getCurrency) {
+    const refresh = () => updateSplitRemaining(editor, getTotal(), getCurrency());
+    
+    editor.querySelector('.split-add').addEventListener('click', () => {
+        // A new row offers whatever is left to split
+        const remaining = Math.abs(getTotal()) - getSplitRows(editor, 1).reduce((sum, split) => sum + split.amount, 0);
+        addSplitRow(editor, { amount: remaining > 0 ? remaining : null }).querySelector('.split-category').focus();
+        refresh();
+    });
+    
+    editor.addEventListener('input', refresh);
+    editor.addEventListener('change', refresh);
+}
+
+// Whether the add form is splitting its amount
+function isSplittingTransaction() {
+    return splitEditor.style.display !== 'none';
+}
+
+// Switch the add form between one category and several splits
+function toggleSplitMode(splitting = !isSplittingTransaction()) {
+    splitEditor.style.display = splitting ? 'block' : 'none';
+    transactionCategoryInput.style.display = splitting ? 'none' : '';
+    transactionCategoryInput.required = !splitting && !transactionTransferInput.value;
+    splitButton.textContent = splitting ? 'Don\'t split' : 'Split';
+    
+    if (splitting) {
+        // Start with the whole amount in the chosen category and an empty second part
+        const amount = parseFloat(transactionAmountInput.value) || 0;
+        setSplitRows(splitEditor, [{ category: transactionCategoryInput.value, amount }, {}]);
+        updateSplitRemaining(splitEditor, amount, transactionCurrencyInput.value);
+        splitEditor.querySelectorAll('.split-amount')[1].focus();
+    } else {
+        setSplitRows(splitEditor, []);
+    }
+}
+
+// =============== Detail Functions ===============
+
+// Longest side of a receipt thumbnail, in pixels
+const THUMBNAIL_SIZE = 96;
+
+// Images picked in the add form, saved once the transaction is
+let pendingReceiptFiles = [];
+
+// Receipts open in the viewer and which one is showing
+let receiptViewer = null;
+
+// Split a comma-separated tag list, dropping "#" prefixes and duplicates
+function parseTags(text) {
+    const tags = [];
+    
+    text.split(',').forEach(part => {
+        const tag = part.trim().replace(/^#/, '');
+        if (tag && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+            tags.push(tag);
+        }
+    });
+    
+    return tags;
+}
+
+// Store payee, tags, note and savings goal on a transaction or rule, removing the ones left empty
+function setTransactionDetails(record, { payee, tags, note, goal = '' }) {
+    const details = { payee: payee.trim(), tags: parseTags(tags), note: note.trim(), goal };
+    
+    Object.entries(details).forEach(([key, value]) => {
+        if (value.length > 0) {
+            record[key] = value;
+        } else {
+            delete record[key];
+        }
+    });
+    
+    return record;
+}
+
+// Offer past payees in the payee fields, most used first
+function renderPayeeOptions() {
+    const counts = {};
+    transactions.forEach(transaction => {
+        if (transaction.payee) {
+            counts[transaction.payee] = (counts[transaction.payee] || 0) + 1;
+        }
+    });
+    
+    payeeOptions.innerHTML = '';
+    Object.keys(counts)
+        .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+        .forEach(payee => payeeOptions.appendChild(new Option(payee)));
+}
+
+// Receipts attached to a transaction, oldest first
+function getTransactionReceipts(transactionId) {
+    return receipts
+        .filter(receipt => receipt.transactionId === transactionId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Generate an id for a new receipt
+function createReceiptId() {
+    return `rcpt-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Small JPEG data URL of an image for the transaction list, or null if it cannot be drawn
+async function createThumbnail(blob) {
+    try {
+        const image = await createImageBitmap(blob);
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        image.close();
+        
+        return canvas.toDataURL('image/jpeg', 0.7);
+    } catch (error) {
+        console.error('Error creating receipt thumbnail:', error);
+        return null;
+    }
+}
+
+// Store image files as receipts of a transaction
+async function attachReceipts(transactionId, files) {
+    const created = [];
+    
+    for (const file of files) {
+        created.push({
+            id: createReceiptId(),
+            transactionId,
+            name: file.name || 'Receipt',
+            type: file.type,
+            size: file.size,
+            thumbnail: await createThumbnail(file),
+            createdAt: new Date().toISOString(),
+            blob: file
+        });
+    }
+    
+    await saveReceipts(created, []);
+    receipts.push(...created.map(({ blob, ...details }) => details));
+}
+
+// Drop receipts whose transaction is gone. Deleting a transaction keeps its receipts
+// while it is in the trash; once purged, they are removed on the next start.
+async function pruneReceipts() {
+    const ids = new Set([...transactions, ...trash.map(entry => entry.record)].map(transaction => transaction.id));
+    const orphaned = receipts.filter(receipt => !ids.has(receipt.transactionId));
+    
+    if (orphaned.length === 0) return;
+    
+    try {
+        await saveReceipts([], orphaned.map(receipt => receipt.id));
+        receipts = receipts.filter(receipt => ids.has(receipt.transactionId));
+    } catch (error) {
+        console.error('Error removing orphaned receipts:', error);
+    }
+}
+
+// Queue images picked in the add form
+function addPendingReceipts(e) {
+    pendingReceiptFiles.push(...[...e.target.files].filter(file => file.type.startsWith('image/')));
+    e.target.value = '';
+    renderPendingReceipts();
+}
+
+// List the queued images with a way to drop each one
+function renderPendingReceipts() {
+    receiptPreview.innerHTML = '';
+    
+    pendingReceiptFiles.forEach((file, index) => {
+        const chip = document.createElement('span');
+        chip.className = 'receipt-chip';
+        chip.innerHTML = `<i class="fas fa-image" aria-hidden="true"></i> <span></span> <button type="button" title="Remove" aria-label="Remove"><i class="fas fa-times" aria-hidden="true"></i></button>`;
+        chip.querySelector('span').textContent = file.name || 'Photo';
+        chip.querySelector('button').addEventListener('click', () => {
+            pendingReceiptFiles.splice(index, 1);
+            renderPendingReceipts();
+        });
+        
+        receiptPreview.appendChild(chip);
+    });
+}
+
+// Open the viewer on one of a transaction's receipts
+function openReceiptViewer(transaction, index = 0) {
+    receiptViewer = { transaction, index: 0, url: null };
+    receiptModal.classList.add('active');
+    showReceipt(index);
+}
+
+// Load and show a receipt image
+async function showReceipt(index) {
+    const list = getTransactionReceipts(receiptViewer.transaction.id);
+    
+    if (list.length === 0) {
+        closeReceiptViewer();
+        return;
+    }
+    
+    receiptViewer.index = (index + list.length) % list.length;
+    const details = list[receiptViewer.index];
+    
+    try {
+        const receipt = await getReceipt(details.id);
+        
+        if (receiptViewer.url) {
+            URL.revokeObjectURL(receiptViewer.url);
+        }
+        receiptViewer.url = URL.createObjectURL(receipt.blob);
+        
+        receiptImage.src = receiptViewer.url;
+        receiptDownloadLink.href = receiptViewer.url;
+        receiptDownloadLink.download = details.name;
+    } catch (error) {
+        console.error('Error opening receipt:', error);
+        showNotification('Could not open this receipt.', 'error');
+        return;
+    }
+    
+    receiptTitle.textContent = receiptViewer.transaction.name;
+    receiptCaption.textContent = `${details.name} · ${receiptViewer.index + 1} of ${list.length} · added ${formatShortDate(new Date(details.createdAt))}`;
+    receiptPrevButton.style.visibility = list.length > 1 ? 'visible' : 'hidden';
+    receiptNextButton.style.visibility = list.length > 1 ? 'visible' : 'hidden';
+}
+
+// Close the viewer and release the image
+function closeReceiptViewer() {
+    receiptModal.classList.remove('active');
+    
+    if (receiptViewer && receiptViewer.url) {
+        URL.revokeObjectURL(receiptViewer.url);
+    }
+    
+    receiptViewer = null;
+    receiptImage.removeAttribute('src');
+}
+
+// Delete the receipt showing in the viewer
+async function deleteShownReceipt() {
+    const details = getTransactionReceipts(receiptViewer.transaction.id)[receiptViewer.index];
+    
+    if (!details || !await confirmDialog(`Delete the receipt "${details.name}"?`, { title: 'Delete Receipt', confirmLabel: 'Delete' })) {
+        return;
+    }
+    
+    try {
+        await saveReceipts([], [details.id]);
+        receipts = receipts.filter(receipt => receipt.id !== details.id);
+        
+        renderTransactions();
+        showReceipt(receiptViewer.index);
+        showNotification('Receipt deleted.', 'success');
+    } catch (error) {
+        console.error('Error deleting receipt:', error);
+        showNotification('Error deleting receipt. Please try again.', 'error');
+    }
+}
+
+// Read a Blob as a data URL so it can go into a JSON backup
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Turn a backup's data URL back into a Blob
+function dataURLToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const type = (header.match(/^data:([^;,]+)/) || [])[1] || '';
+    const bytes = header.includes(';base64') ? atob(data) : decodeURIComponent(data);
+    
+    const buffer = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) {
+        buffer[i] = bytes.charCodeAt(i);
+    }
+    
+    return new Blob([buffer], { type });
+}
+
+// =============== Account Functions ===============
+
+// Find an account by id
+function getAccount(accountId) {
+    return accounts.find(account => account.id === accountId) || null;
+}
+
+// Display name of an account
+function getAccountName(accountId) {
+    const account = getAccount(accountId);
+    return account ? account.name : 'Unknown account';
+}
+
+// Currency an account is kept in
+function getAccountCurrency(accountId) {
+    const account = getAccount(accountId);
+    return account ? account.currency : DEFAULT_ACCOUNT.currency;
+}
+
+// Open accounts for pickers, in display order
+function getActiveAccounts() {
+    return accounts.filter(account => !account.archived);
+}
+
+// Fill a select with the open accounts, keeping a closed current value selectable
+function fillAccountSelect(select, selectedId) {
+    select.innerHTML = '';
+    
+    const options = getActiveAccounts();
+    const selected = getAccount(selectedId);
+    if (selected && selected.archived) {
+        options.push(selected);
+    }
+    
+    options.forEach(account => {
+        select.appendChild(new Option(account.archived ? `${account.name} (closed)` : account.name, account.id));
+    });
+    
+    if (selected) {
+        select.value = selected.id;
+    }
+}
+
+// Refresh every account picker, keeping current selections where possible
+function renderAccountOptions() {
+    const selectedAccount = transactionAccountInput.value;
+    const selectedTransfer = transactionTransferInput.value;
+    const selectedImport = importAccountInput.value;
+    const selectedFilter = filterAccountInput.value;
+    
+    fillAccountSelect(transactionAccountInput, selectedAccount);
+    fillAccountSelect(importAccountInput, selectedImport || transactionAccountInput.value);
+    
+    transactionTransferInput.innerHTML = '<option value="">Not a transfer</option>';
+    getActiveAccounts().forEach(account => transactionTransferInput.appendChild(new Option(account.name, account.id)));
+    transactionTransferInput.value = getActiveAccounts().some(a => a.id === selectedTransfer) ? selectedTransfer : '';
+    
+    // Closed accounts stay searchable
+    filterAccountInput.innerHTML = '<option value="">All accounts</option>';
+    accounts.forEach(account => filterAccountInput.appendChild(new Option(account.name, account.id)));
+    filterAccountInput.value = getAccount(selectedFilter) ? selectedFilter : '';
+    
+    updateTransferOptions();
+}
+
+// Transfers move money between accounts and have no category
+function updateTransferOptions() {
+    const isTransfer = Boolean(transactionTransferInput.value);
+    
+    categoryGroup.style.display = isTransfer ? 'none' : 'block';
+    transactionCategoryInput.required = !isTransfer && !isSplittingTransaction();
+}
+
+// How a transaction changes one account's balance, in the account's currency
+function getAccountChange(transaction, account) {
+    let change = 0;
+    
+    if (transaction.type === 'transfer') {
+        if (transaction.account === account.id) change = -transaction.amount;
+        if (transaction.toAccount === account.id) change = transaction.amount;
+    } else if (transaction.account === account.id) {
+        change = transaction.amount;
+    }
+    
+    return change && convertCurrency(change, getTransactionCurrency(transaction), account.currency);
+}
+
+// Balance of an account, optionally only counting transactions before a date
+function getAccountBalance(account, end = null) {
+    const balance = transactions.reduce((sum, transaction) => {
+        if (end && new Date(transaction.date) >= end) return sum;
+        return sum + toMinorUnits(getAccountChange(transaction, account), account.currency);
+    }, toMinorUnits(account.openingBalance, account.currency));
+    
+    return fromMinorUnits(balance, account.currency);
+}
+
+// Per-account balances at the end of the selected period
+function renderAccountBalances(range) {
+    accountBalancesContainer.innerHTML = '';
+    
+    const shown = getActiveAccounts();
+    if (shown.length < 2) return;
+    
+    shown.forEach(account => {
+        const balance = getAccountBalance(account, range ? range.end : null);
+        const type = ACCOUNT_TYPES[account.type] || ACCOUNT_TYPES.other;
+        
+        // Clicking an account shows only its transactions
+        const row = document.createElement('button');
+        row.type = 'button';
+        row.className = 'account-balance';
+        row.title = `Show ${account.name} transactions`;
+        row.innerHTML = `
+            <i class="fas fa-${type.icon}" aria-hidden="true"></i>
+            <span class="account-balance-name">${escapeHTML(account.name)}</span>
+            <span class="account-balance-type">${type.label}</span>
+            <span class="account-balance-amount ${balance < 0 ? 'negative' : ''}">${formatCurrency(balance, account.currency)}</span>
+        `;
+        row.addEventListener('click', () => {
+            filterAccountInput.value = account.id;
+            filterTransactions();
+        });
+        
+        accountBalancesContainer.appendChild(row);
+    });
+}
+
+// Generate an id for a new account
+function createAccountId() {
+    return `acct-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Fill an account type picker
+function fillAccountTypeSelect(select, selectedType) {
+    Object.entries(ACCOUNT_TYPES).forEach(([type, { label }]) => select.appendChild(new Option(label, type)));
+    select.value = selectedType;
+}
+
+// Fill a currency picker, keeping an unlisted current currency selectable
+function fillCurrencySelect(select, selectedCurrency) {
+    const currencies = CURRENCIES.includes(selectedCurrency) ? CURRENCIES : [selectedCurrency, ...CURRENCIES];
+    currencies.forEach(currency => select.appendChild(new Option(currency, currency)));
+    select.value = selectedCurrency;
+}
+
+// Open the account manager
+async function openAccountsModal() {
+    // Accounts in use can't be deleted, so every transaction has to be counted
+    await transactionsLoaded;
+    
+    newAccountTypeInput.innerHTML = '';
+    fillAccountTypeSelect(newAccountTypeInput, 'checking');
+    newAccountCurrencyInput.innerHTML = '';
+    fillCurrencySelect(newAccountCurrencyInput, getAccountCurrency(transactionAccountInput.value));
+    
+    renderAccountManager();
+    accountsModal.classList.add('active');
+    newAccountNameInput.focus();
+}
+
+// Close the account manager
+function closeAccountsModal() {
+    accountsModal.classList.remove('active');
+    accountForm.reset();
+}
+
+// Render the editable list of accounts
+function renderAccountManager() {
+    accountManagerList.innerHTML = '';
+    
+    accounts
+        .filter(account => showArchivedAccountsInput.checked || !account.archived)
+        .forEach(account => accountManagerList.appendChild(createAccountRow(account)));
+}
+
+// Build one row of the account manager
+function createAccountRow(account) {
+    const usage = transactions.filter(t => t.account === account.id || t.toAccount === account.id).length;
+    const inUse = usage > 0 || recurringRules.some(rule => rule.account === account.id || rule.toAccount === account.id) ||
+        bills.some(bill => bill.account === account.id);
+    
+    const row = document.createElement('div');
+    row.className = `account-row${account.archived ? ' archived' : ''}`;
+    row.innerHTML = `
+        <i class="fas fa-${(ACCOUNT_TYPES[account.type] || ACCOUNT_TYPES.other).icon} account-row-icon" aria-hidden="true"></i>
+        <input type="text" class="account-row-name" aria-label="Account name">
+        <select class="account-row-type" aria-label="Account type"></select>
+        <input type="number" class="account-row-opening" step="0.01" aria-label="Opening balance">
+        <select class="account-row-currency" aria-label="Currency"></select>
+        <span class="account-row-count">${usage} ${usage === 1 ? 'entry' : 'entries'}</span>
+        <div class="account-row-actions">
+            <button type="button" class="account-archive" title="${account.archived ? 'Reopen' : 'Close account'}" aria-label="${account.archived ? 'Reopen' : 'Close account'}">
+                <i class="fas fa-${account.archived ? 'box-open' : 'archive'}" aria-hidden="true"></i>
+            </button>
+            <button type="button" class="account-delete" title="${inUse ? 'Accounts with transactions can only be closed' : 'Delete account'}" aria-label="Delete account">
+                <i class="fas fa-trash" aria-hidden="true"></i>
+            </button>
+        </div>
+    `;
+    
+    const nameInput = row.querySelector('.account-row-name');
+    nameInput.value = account.name;
+    nameInput.addEventListener('change', () => {
+        const name = nameInput.value.trim();
+        
+        if (!name) {
+            nameInput.value = account.name;
+            return;
+        }
+        
+        updateAccount(account, { name });
+    });
+    
+    const typeSelect = row.querySelector('.account-row-type');
+    fillAccountTypeSelect(typeSelect, account.type);
+    typeSelect.addEventListener('change', () => updateAccount(account, { type: typeSelect.value }));
+    
+    const openingInput = row.querySelector('.account-row-opening');
+    openingInput.value = account.openingBalance;
+    openingInput.addEventListener('change', () => {
+        const openingBalance = parseFloat(openingInput.value);
+        updateAccount(account, { openingBalance: isNaN(openingBalance) ? 0 : openingBalance });
+    });
+    
+    const currencySelect = row.querySelector('.account-row-currency');
+    fillCurrencySelect(currencySelect, account.currency);
+    currencySelect.addEventListener('change', () => updateAccount(account, { currency: currencySelect.value }));
+    
+    row.querySelector('.account-archive').addEventListener('click', () => {
+        // There must always be an account to add transactions to
+        if (!account.archived && getActiveAccounts().length === 1) {
+            showNotification('Add another account before closing this one.', 'warning');
+            return;
+        }
+        
+        updateAccount(account, { archived: !account.archived });
+    });
+    
+    const deleteButton = row.querySelector('.account-delete');
+    deleteButton.disabled = inUse || (!account.archived && getActiveAccounts().length === 1);
+    deleteButton.addEventListener('click', () => deleteAccount(account));
+    
+    return row;
+}
+
+// Create an account from the manager form
+async function addAccount(e) {
+    e.preventDefault();
+    
+    const name = newAccountNameInput.value.trim();
+    const openingBalance = parseFloat(newAccountOpeningInput.value);
+    
+    if (!name) return;
+    
+    const account = {
+        id: createAccountId(),
+        name,
+        type: newAccountTypeInput.value,
+        openingBalance: isNaN(openingBalance) ? 0 : openingBalance,
+        currency: newAccountCurrencyInput.value,
+        order: accounts.length ? Math.max(...accounts.map(a => a.order)) + 1 : 0,
+        archived: false,
+        createdAt: new Date().toISOString()
+    };
+    
+    try {
+        await saveAccounts([account], []);
+        accounts.push(account);
+        
+        newAccountNameInput.value = '';
+        newAccountOpeningInput.value = '';
+        refreshAccountViews();
+        newAccountNameInput.focus();
+        
+        showNotification(`Account "${name}" added.`, 'success');
+    } catch (error) {
+        console.error('Error adding account:', error);
+        showNotification('Error saving account. Please try again.', 'error');
+    }
+}
+
+// Save changes to an account
+async function updateAccount(account, changes) {
+    const updated = { ...account, ...changes };
+    
+    try {
+        await saveAccounts([updated], []);
+        accounts = accounts.map(a => a.id === account.id ? updated : a);
+        refreshAccountViews();
+    } catch (error) {
+        console.error('Error updating account:', error);
+        showNotification('Error saving account. Please try again.', 'error');
+    }
+}
+
+// Delete an account that nothing refers to
+async function deleteAccount(account) {
+    if (!await confirmDialog(`Delete the account "${account.name}"?`, { title: 'Delete Account', confirmLabel: 'Delete' })) {
+        return;
+    }
+    
+    try {
+        await saveAccounts([], [account.id]);
+        accounts = accounts.filter(a => a.id !== account.id);
+        refreshAccountViews();
+        
+        showNotification(`Account "${account.name}" deleted.`, 'success');
+    } catch (error) {
+        console.error('Error deleting account:', error);
+        showNotification('Error deleting account. Please try again.', 'error');
+    }
+}
+
+// Redraw everything that shows account names or balances
+function refreshAccountViews() {
+    renderAccountOptions();
+    renderAccountManager();
+    renderTransactions();
+    updateBalance();
+}
+
+// =============== Currency Functions ===============
+
+// Currency that totals, budgets and summaries are reported in
+function getBaseCurrency() {
+    return getSetting('baseCurrency', DEFAULT_ACCOUNT.currency);
+}
+
+// Locale used for numbers and dates
+function getLocale() {
+    return getSetting('locale', '') || navigator.language || 'en-US';
+}
+
+// How many base currency units one unit of a currency is worth, or null if no rate is stored
+function getExchangeRate(currency) {
+    if (currency === getBaseCurrency()) return 1;
+    
+    const record = exchangeRates.find(rate => rate.currency === currency);
+    return record ? record.rate : null;
+}
+
+// Convert an amount between currencies through the base currency; missing rates count as 1:1
+function convertCurrency(amount, from, to) {
+    if (from === to) return amount;
+    return amount * (getExchangeRate(from) || 1) / (getExchangeRate(to) || 1);
+}
+
+// Convert an amount into the base currency
+function toBaseCurrency(amount, currency) {
+    return convertCurrency(amount, currency, getBaseCurrency());
+}
+
+// Minor unit exponents already looked up, by currency code
+const currencyExponents = new Map();
+
+// Digits after the decimal point in a currency's minor unit, e.g. 2 for USD and 0 for JPY
+function getCurrencyExponent(currency) {
+    if (!currencyExponents.has(currency)) {
+        let exponent = 2;
+        try {
+            exponent = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+        } catch (error) {
+            console.warn('Unknown currency, assuming cents:', currency);
+        }
+        currencyExponents.set(currency, exponent);
+    }
+    
+    return currencyExponents.get(currency);
+}
+
+// An amount multiplied by 10 to the exponent, not yet rounded.
+// Trimming to 15 significant digits keeps 1.005 from scaling to 100.49999... and 1.1 to 110.00000000000001
+function scaleToMinorUnits(amount, exponent) {
+    return Number((amount * 10 ** exponent).toPrecision(15));
+}
+
+// Whole minor units (e.g. cents) in an amount, rounding half away from zero
+function toMinorUnits(amount, currency) {
+    return Math.sign(amount) * Math.round(scaleToMinorUnits(Math.abs(amount), getCurrencyExponent(currency)));
+}
+
+// Amount in whole currency units for a number of minor units
+function fromMinorUnits(minor, currency) {
+    return minor / 10 ** getCurrencyExponent(currency);
+}
+
+// An amount converted into the base currency, in its minor units, so totals can be summed exactly
+function toBaseMinorUnits(amount, currency) {
+    return toMinorUnits(toBaseCurrency(amount, currency), getBaseCurrency());
+}
+
+// Currency of a transaction or recurring rule; older records use their account's
+function getTransactionCurrency(record) {
+    return record.currency || getAccountCurrency(record.account);
+}
+
+// Short symbol for a currency in the current locale, e.g. "$" or "€"
+function getCurrencySymbol(currency) {
+    try {
+        const parts = new Intl.NumberFormat(getLocale(), {
+            style: 'currency',
+            currency,
+            currencyDisplay: 'narrowSymbol'
+        }).formatToParts(0);
+        
+        return parts.find(part => part.type === 'currency').value;
+    } catch (error) {
+        return currency;
+    }
+}
+
+// Show the chosen currency's symbol inside the amount field
+function updateCurrencySymbol() {
+    currencySymbol.textContent = getCurrencySymbol(transactionCurrencyInput.value || getBaseCurrency());
+    
+    // Longer symbols like "CHF" need more room
+    transactionAmountInput.style.paddingLeft = `${Math.max(36, currencySymbol.offsetWidth + 24)}px`;
+}
+
+// Currencies in use that have no exchange rate to the base currency
+function getMissingRateCurrencies() {
+    const used = new Set([
+        ...accounts.map(account => account.currency),
+        ...transactions.map(getTransactionCurrency),
+        ...recurringRules.map(getTransactionCurrency)
+    ]);
+    
+    return [...used].filter(currency => getExchangeRate(currency) === null).sort();
+}
+
+// Warn when totals include amounts that could not be converted
+function updateRateWarning() {
+    const missing = getMissingRateCurrencies();
+    
+    if (missing.length === 0) {
+        rateWarning.style.display = 'none';
+        return;
+    }
+    
+    rateWarning.innerHTML = `<i class="fas fa-exclamation-triangle" aria-hidden="true"></i> No exchange rate for ${missing.join(', ')}; ` +
+        `counted 1:1 in ${getBaseCurrency()} totals. <button type="button" class="btn-link">Set rates</button>`;
+    rateWarning.querySelector('button').addEventListener('click', openCurrencyModal);
+    rateWarning.style.display = 'block';
+}
+
+// Open the currency settings
+function openCurrencyModal() {
+    const base = getBaseCurrency();
+    
+    baseCurrencyInput.innerHTML = '';
+    fillCurrencySelect(baseCurrencyInput, base);
+    
+    localeInput.innerHTML = '';
+    Object.entries(LOCALES).forEach(([locale, label]) => localeInput.appendChild(new Option(label, locale)));
+    localeInput.value = getSetting('locale', '');
+    
+    renderRateList();
+    currencyModal.classList.add('active');
+}
+
+// Close the currency settings
+function closeCurrencyModal() {
+    currencyModal.classList.remove('active');
+    rateForm.reset();
+}
+
+// Render the stored rates and the currencies that can still be added
+function renderRateList() {
+    const base = getBaseCurrency();
+    
+    rateHelp.textContent = `Enter how many ${base} one unit of each currency is worth. ` +
+        `Totals, budgets and summaries are shown in ${base}.`;
+    
+    newRateCurrencyInput.innerHTML = '';
+    CURRENCIES
+        .filter(currency => currency !== base && !exchangeRates.some(rate => rate.currency === currency))
+        .forEach(currency => newRateCurrencyInput.appendChild(new Option(currency, currency)));
+    
+    rateList.innerHTML = '';
+    
+    if (exchangeRates.length === 0) {
+        rateList.innerHTML = '<p class="empty-summary">No exchange rates yet.</p>';
+        return;
+    }
+    
+    [...exchangeRates]
+        .sort((a, b) => a.currency.localeCompare(b.currency))
+        .forEach(rate => rateList.appendChild(createRateRow(rate)));
+}
+
+// Build one row of the rate list
+function createRateRow(rate) {
+    const row = document.createElement('div');
+    row.className = 'rate-row';
+    row.innerHTML = `
+        <span class="rate-row-currency">1 ${rate.currency} =</span>
+        <input type="number" class="rate-row-value" min="0" step="any" aria-label="${rate.currency} rate">
+        <span class="rate-row-base">${getBaseCurrency()}</span>
+        <span class="rate-row-updated">${rate.updatedAt ? `Updated ${formatShortDate(new Date(rate.updatedAt))}` : ''}</span>
+        <button type="button" class="rate-delete" title="Delete rate" aria-label="Delete rate"><i class="fas fa-trash" aria-hidden="true"></i></button>
+    `;
+    
+    const valueInput = row.querySelector('.rate-row-value');
+    valueInput.value = rate.rate;
+    valueInput.addEventListener('change', () => {
+        const value = parseFloat(valueInput.value);
+        
+        if (!(value > 0)) {
+            valueInput.value = rate.rate;
+            return;
+        }
+        
+        updateRates([{ currency: rate.currency, rate: value }]);
+    });
+    
+    row.querySelector('.rate-delete').addEventListener('click', () => deleteRate(rate));
+    
+    return row;
+}
+
+// Add a rate from the form
+async function addRate(e) {
+    e.preventDefault();
+    
+    const currency = newRateCurrencyInput.value;
+    const value = parseFloat(newRateValueInput.value);
+    
+    if (!currency || !(value > 0)) {
+        showNotification('Enter a rate above zero.', 'warning');
+        return;
+    }
+    
+    if (await updateRates([{ currency, rate: value }])) {
+        newRateValueInput.value = '';
+        showNotification(`Exchange rate for ${currency} saved.`, 'success');
+    }
+}
+
+// Save new or changed rates; returns whether they were stored
+async function updateRates(changes) {
+    const updatedAt = new Date().toISOString();
+    const updated = changes.map(change => ({ ...change, updatedAt }));
+    
+    try {
+        await saveRates(updated, []);
+        exchangeRates = [
+            ...exchangeRates.filter(rate => !updated.some(change => change.currency === rate.currency)),
+            ...updated
+        ];
+        refreshCurrencyViews();
+        return true;
+    } catch (error) {
+        console.error('Error saving exchange rates:', error);
+        showNotification('Error saving exchange rates. Please try again.', 'error');
+        return false;
+    }
+}
+
+// Remove a stored rate; amounts in that currency then count 1:1
+async function deleteRate(rate) {
+    try {
+        await saveRates([], [rate.currency]);
+        exchangeRates = exchangeRates.filter(r => r.currency !== rate.currency);
+        refreshCurrencyViews();
+    } catch (error) {
+        console.error('Error deleting exchange rate:', error);
+        showNotification('Error deleting exchange rate. Please try again.', 'error');
+    }
+}
+
+// Change the base currency, restating every stored rate against it
+async function updateBaseCurrency() {
+    const oldBase = getBaseCurrency();
+    const newBase = baseCurrencyInput.value;
+    const newBaseRate = getExchangeRate(newBase);
+    
+    if (exchangeRates.length > 0 && newBaseRate === null) {
+        showNotification(`Add a rate for ${newBase} first so the other rates can be converted.`, 'warning');
+        baseCurrencyInput.value = oldBase;
+        return;
+    }
+    
+    // A rate of r means one unit is worth r of the old base, so divide by the new base's rate
+    const updatedAt = new Date().toISOString();
+    const rebased = exchangeRates
+        .filter(rate => rate.currency !== newBase)
+        .map(rate => ({ ...rate, rate: rate.rate / newBaseRate, updatedAt }));
+    
+    if (exchangeRates.length > 0) {
+        rebased.push({ currency: oldBase, rate: 1 / newBaseRate, updatedAt });
+    }
+    
+    try {
+        await saveRates(rebased, exchangeRates.length > 0 ? [newBase] : []);
+        await saveSetting('baseCurrency', newBase);
+        exchangeRates = rebased;
+    } catch (error) {
+        console.error('Error changing base currency:', error);
+        showNotification('Could not change the base currency.', 'error');
+        await loadRates();
+        baseCurrencyInput.value = getBaseCurrency();
+        return;
+    }
+    
+    refreshCurrencyViews();
+    showNotification(`Totals are now shown in ${newBase}.`, 'success');
+}
+
+// Save the number and date format
+async function updateLocale() {
+    try {
+        await saveSetting('locale', localeInput.value);
+    } catch (error) {
+        console.error('Error saving locale:', error);
+        showNotification('Could not save the number format.', 'error');
+        localeInput.value = getSetting('locale', '');
+        return;
+    }
+    
+    refreshCurrencyViews();
+}
+
+// Read exchange rates from a CSV or JSON file
+async function handleRatesFile(e) {
+    const file = e.target.files[0];
+    ratesFileInput.value = '';
+    if (!file) return;
+    
+    let imported;
+    
+    try {
+        imported = parseRatesFile(file.name, (await file.text()).replace(/^\uFEFF/, ''));
+    } catch (error) {
+        console.error('Invalid rates file:', error);
+        showNotification(`Cannot import this file: ${error.message}`, 'error');
+        return;
+    }
+    
+    if (await updateRates(imported)) {
+        showNotification(`Imported ${imported.length} exchange rate${imported.length === 1 ? '' : 's'}.`, 'success');
+    }
+}
+
+// Turn a rates file into rate records against the base currency
+function parseRatesFile(fileName, text) {
+    const base = getBaseCurrency();
+    const rates = [];
+    
+    if (fileName.toLowerCase().endsWith('.json') || text.trim().startsWith('{')) {
+        // JSON rates are per one unit of the file's base, the opposite of how they are stored
+        const parsed = JSON.parse(text);
+        if (!parsed || typeof parsed.rates !== 'object') {
+            throw new Error('no "rates" section');
+        }
+        
+        const fileBase = String(parsed.base || base).toUpperCase();
+        const fileBaseValue = fileBase === base ? 1 : (parsed.rates[base] || getExchangeRate(fileBase));
+        if (!(fileBaseValue > 0)) {
+            throw new Error(`it is based on ${fileBase}, which has no rate to ${base}`);
+        }
+        
+        if (fileBase !== base) {
+            rates.push({ currency: fileBase, rate: fileBaseValue });
+        }
+        
+        Object.entries(parsed.rates).forEach(([currency, value]) => {
+            currency = currency.toUpperCase();
+            if (currency !== base && currency !== fileBase && /^[A-Z]{3}$/.test(currency) && value > 0) {
+                rates.push({ currency, rate: fileBaseValue / value });
+            }
+        });
+    } else {
+        // CSV rows are already in base currency units; header and malformed rows are skipped
+        parseCSV(text).forEach(([currency = '', value]) => {
+            currency = currency.trim().toUpperCase();
+            const rate = parseFloat(value);
+            
+            if (currency !== base && /^[A-Z]{3}$/.test(currency) && rate > 0) {
+                rates.push({ currency, rate });
+            }
+        });
+    }
+    
+    if (rates.length === 0) {
+        throw new Error('no exchange rates found');
+    }
+    
+    return rates;
+}
+
+// Redraw everything that shows amounts, dates or rates
+function refreshCurrencyViews() {
+    updateCurrencySymbol();
+    renderRateList();
+    renderUpcoming();
+    refreshPeriodViews();
+}
+
+// =============== Goal Functions ===============
+
+// Days of recent contributions used to estimate how fast a goal fills up
+const GOAL_RATE_DAYS = 90;
+
+// Length of a day, and of an average month in days, for rates and projections
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AVERAGE_MONTH_DAYS = 365.25 / 12;
+
+// Generate an id for a new goal
+function createGoalId() {
+    return `goal-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Find a goal by id
+function getGoal(goalId) {
+    return goals.find(goal => goal.id === goalId) || null;
+}
+
+// Display name of a goal
+function getGoalName(goalId) {
+    const goal = getGoal(goalId);
+    return goal ? goal.name : 'Deleted goal';
+}
+
+// Goals in display order
+function getOrderedGoals() {
+    return [...goals].sort((a, b) => a.order - b.order);
+}
+
+// Fill a select with the goals, led by a "none" option
+function fillGoalSelect(select, selectedId) {
+    select.innerHTML = '<option value="">No savings goal</option>';
+    getOrderedGoals().forEach(goal => select.appendChild(new Option(goal.name, goal.id)));
+    select.value = getGoal(selectedId) ? selectedId : '';
+}
+
+// Rebuild the transaction form's goal select
+function renderGoalOptions() {
+    fillGoalSelect(transactionGoalInput, transactionGoalInput.value);
+}
+
+// Progress of a goal from its starting amount and linked transactions, in the goal's currency.
+// Income and transfers linked to a goal add to it; spending linked to it takes from it.
+function getGoalProgress(goal, today = new Date()) {
+    const contributions = transactions.filter(transaction => transaction.goal === goal.id);
+    const toGoalCurrency = (transaction) => convertCurrency(transaction.amount, getTransactionCurrency(transaction), goal.currency);
+    
+    const saved = goal.startingAmount + contributions.reduce((sum, transaction) => sum + toGoalCurrency(transaction), 0);
+    const remaining = Math.max(goal.target - saved, 0);
+    
+    // Monthly rate over the recent window, or since the first contribution for newer goals
+    // (never less than a month, so one early deposit does not promise an instant finish)
+    const windowStart = today.getTime() - GOAL_RATE_DAYS * DAY_MS;
+    const firstTime = contributions.reduce((first, transaction) => Math.min(first, new Date(transaction.date).getTime()), today.getTime());
+    const windowDays = Math.max(Math.min(GOAL_RATE_DAYS, (today.getTime() - firstTime) / DAY_MS), AVERAGE_MONTH_DAYS);
+    const recentTotal = contributions
+        .filter(transaction => {
+            const time = new Date(transaction.date).getTime();
+            return time >= windowStart && time <= today.getTime();
+        })
+        .reduce((sum, transaction) => sum + toGoalCurrency(transaction), 0);
+    const monthlyRate = recentTotal / (windowDays / AVERAGE_MONTH_DAYS);
+    
+    const projectedDate = remaining > 0 && monthlyRate > 0
+        ? new Date(today.getTime() + (remaining / monthlyRate) * AVERAGE_MONTH_DAYS * DAY_MS)
+        : null;
+    
+    // The deadline counts up to the end of its day
+    let deadline = null;
+    let monthlyNeeded = null;
+    if (goal.deadline) {
+        const [year, month, day] = goal.deadline.split('-').map(Number);
+        deadline = new Date(year, month - 1, day + 1);
+        
+        const monthsLeft = (deadline - today) / DAY_MS / AVERAGE_MONTH_DAYS;
+        if (remaining > 0 && monthsLeft > 0) {
+            monthlyNeeded = remaining / Math.max(monthsLeft, 1);
+        }
+    }
+    
+    let state = '';
+    if (remaining === 0) {
+        state = 'complete';
+    } else if (deadline && deadline <= today) {
+        state = 'overdue';
+    } else if (deadline) {
+        state = projectedDate && projectedDate <= deadline ? 'on-track' : 'behind';
+    }
+    
+    return {
+        saved,
+        remaining,
+        ratio: goal.target > 0 ? Math.max(saved, 0) / goal.target : 0,
+        monthlyRate,
+        monthlyNeeded,
+        projectedDate,
+        deadline,
+        contributionCount: contributions.length,
+        state
+    };
+}
+
+// Render a card for every goal
+function renderGoals() {
+    goalsList.innerHTML = '';
+    emptyGoalsText.style.display = goals.length === 0 ? 'block' : 'none';
+    
+    getOrderedGoals().forEach(goal => {
+        const progress = getGoalProgress(goal);
+        const lines = [];
+        
+        if (progress.state === 'complete') {
+            lines.push('<i class="fas fa-check-circle" aria-hidden="true"></i> Goal reached');
+        } else {
+            if (progress.state === 'overdue') {
+                lines.push(`<i class="fas fa-exclamation-circle" aria-hidden="true"></i> Deadline passed on ${formatShortDate(new Date(progress.deadline - DAY_MS))}`);
+            } else if (progress.monthlyNeeded !== null) {
+                lines.push(`<i class="fas fa-bullseye" aria-hidden="true"></i> ${formatCurrency(progress.monthlyNeeded, goal.currency)}/month needed to finish by ${formatShortDate(new Date(progress.deadline - DAY_MS))}`);
+            }
+            
+            if (progress.projectedDate) {
+                lines.push(`<i class="fas fa-chart-line" aria-hidden="true"></i> Saving ${formatCurrency(progress.monthlyRate, goal.currency)}/month · done around ${formatShortDate(progress.projectedDate)}`);
+            } else {
+                lines.push(`<i class="fas fa-chart-line" aria-hidden="true"></i> ${progress.contributionCount > 0 ? `No net contributions in the last ${GOAL_RATE_DAYS} days` : 'No contributions yet'}`);
+            }
+        }
+        
+        const goalElement = document.createElement('div');
+        goalElement.className = `goal-item ${progress.state}`;
+        goalElement.title = 'Edit goal';
+        goalElement.innerHTML = `
+            <div class="category-header">
+                <div class="category-name">
+                    <i class="fas fa-flag" aria-hidden="true"></i>
+                    ${escapeHTML(goal.name)}
+                </div>
+                <div class="category-amount">
+                    ${formatCurrency(progress.saved, goal.currency)} <span class="budget-limit">of ${formatCurrency(goal.target, goal.currency)}</span>
+                </div>
+            </div>
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: ${Math.min(progress.ratio, 1) * 100}%;"></div>
+                <span class="category-percentage">${(progress.ratio * 100).toFixed(0)}%</span>
+            </div>
+            <div class="goal-details">${lines.map(line => `<div>${line}</div>`).join('')}</div>
+        `;
+        
+        goalElement.tabIndex = 0;
+        goalElement.setAttribute('role', 'button');
+        goalElement.addEventListener('click', () => openGoalModal(goal));
+        goalElement.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                openGoalModal(goal);
+            }
+        });
+        goalsList.appendChild(goalElement);
+    });
+}
+
+// Open the goal form, empty for a new goal or filled in for an existing one
+function openGoalModal(goal = null) {
+    const elements = goalForm.elements;
+    
+    goalForm.reset();
+    goalForm.dataset.goalId = goal ? goal.id : '';
+    goalModalTitle.textContent = goal ? goal.name : 'New Savings Goal';
+    elements['goal-currency'].innerHTML = '';
+    fillCurrencySelect(elements['goal-currency'], goal ? goal.currency : getBaseCurrency());
+    
+    if (goal) {
+        elements['goal-name'].value = goal.name;
+        elements['goal-target'].value = goal.target;
+        elements['goal-starting'].value = goal.startingAmount || '';
+        elements['goal-deadline'].value = goal.deadline || '';
+    }
+    
+    deleteGoalButton.style.display = goal ? '' : 'none';
+    goalModal.classList.add('active');
+    elements['goal-name'].focus();
+}
+
+// Close the goal form
+function closeGoalModal() {
+    goalModal.classList.remove('active');
+    goalForm.reset();
+}
+
+// Create or update a goal from the form
+async function saveGoalFromForm(e) {
+    e.preventDefault();
+    
+    const elements = goalForm.elements;
+    const existing = getGoal(goalForm.dataset.goalId);
+    const name = elements['goal-name'].value.trim();
+    const target = parseFloat(elements['goal-target'].value);
+    const startingAmount = parseFloat(elements['goal-starting'].value) || 0;
+    
+    if (!name || !(target > 0) || startingAmount < 0) {
+        showNotification('Enter a name and a target above zero.', 'warning');
+        return;
+    }
+    
+    const goal = {
+        ...(existing || {
+            id: createGoalId(),
+            order: goals.reduce((max, g) => Math.max(max, g.order + 1), 0),
+            createdAt: new Date().toISOString()
+        }),
+        name,
+        target,
+        currency: elements['goal-currency'].value,
+        startingAmount,
+        deadline: elements['goal-deadline'].value || null
+    };
+    
+    try {
+        await saveGoals([goal], []);
+        goals = [...goals.filter(g => g.id !== goal.id), goal];
+        
+        renderGoals();
+        renderGoalOptions();
+        renderTransactions();
+        closeGoalModal();
+        showNotification(existing ? `Goal "${name}" updated.` : `Goal "${name}" added.`, 'success');
+    } catch (error) {
+        console.error('Error saving goal:', error);
+        showNotification('Error saving goal. Please try again.', 'error');
+    }
+}
+
+// Delete the goal in the form; its transactions and recurring series are kept but unlinked
+async function deleteGoal() {
+    const goal = getGoal(goalForm.dataset.goalId);
+    if (!goal) return;
+    
+    await transactionsLoaded;
+    const linked = transactions.filter(t => t.goal === goal.id);
+    
+    if (!await confirmDialog(
+        `Delete the goal "${goal.name}"? ${linked.length} linked transactions are kept but no longer count toward a goal.`,
+        { title: 'Delete Goal', confirmLabel: 'Delete' }
+    )) {
+        return;
+    }
+    
+    const unlink = (record) => {
+        const updated = { ...record };
+        delete updated.goal;
+        return updated;
+    };
+    const unlinkedTransactions = linked.map(unlink);
+    const unlinkedRules = recurringRules.filter(rule => rule.goal === goal.id).map(unlink);
+    
+    try {
+        await saveGoals([], [goal.id], unlinkedTransactions);
+        
+        if (unlinkedRules.length > 0) {
+            await saveRecurringChanges(unlinkedRules, []);
+            recurringRules = recurringRules.map(rule => unlinkedRules.find(r => r.id === rule.id) || rule);
+        }
+        
+        goals = goals.filter(g => g.id !== goal.id);
+        transactions = transactions.map(t => unlinkedTransactions.find(unlinked => unlinked.id === t.id) || t);
+        
+        renderGoals();
+        renderGoalOptions();
+        filterTransactions();
+        closeGoalModal();
+        showNotification(`Goal "${goal.name}" deleted.`, 'success');
+    } catch (error) {
+        console.error('Error deleting goal:', error);
+        showNotification('Error deleting goal. Nothing was changed.', 'error');
+    }
+}
+
+// =============== Bill Functions ===============
+
+// Service worker tag for the periodic bill reminder check
+const BILL_SYNC_TAG = 'bill-reminders';
+
+// Shortest gap the browser is asked to leave between background checks
+const BILL_SYNC_INTERVAL = 12 * 60 * 60 * 1000;
+
+// Generate an id for a new bill
+function createBillId() {
+    return `bill-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Find a bill by id
+function getBill(billId) {
+    return bills.find(bill => bill.id === billId) || null;
+}
+
+// Date the bill is next due. Repeating bills count occurrences from their start date
+// like recurring rules; a one-off bill is due on its start date.
+function getBillDueDate(bill) {
+    return bill.frequency
+        ? getOccurrenceBaseDate(bill, bill.nextIndex)
+        : getOccurrenceBaseDate({ startDate: bill.startDate, frequency: 'daily' }, 0);
+}
+
+// Whole days from today until a date; negative once it has passed
+function getDaysUntil(date) {
+    const today = new Date();
+    today.setHours(12, 0, 0, 0);
+    
+    const day = new Date(date);
+    day.setHours(12, 0, 0, 0);
+    
+    return Math.round((day - today) / DAY_MS);
+}
+
+// "due today", "due in 3 days" or "3 days overdue"
+function describeDueDays(days) {
+    if (days === 0) return 'due today';
+    if (days === 1) return 'due tomorrow';
+    if (days > 1) return `due in ${days} days`;
+    return `${-days} day${days === -1 ? '' : 's'} overdue`;
+}
+
+// Render the bills, soonest due first
+function renderBills() {
+    billList.innerHTML = '';
+    emptyBillsText.style.display = bills.length === 0 ? 'block' : 'none';
+    
+    [...bills]
+        .map(bill => ({ bill, due: getBillDueDate(bill) }))
+        .sort((a, b) => a.due - b.due)
+        .forEach(({ bill, due }) => {
+            const days = getDaysUntil(due);
+            const state = days < 0 ? 'overdue' : (days <= bill.remindDays ? 'due-soon' : '');
+            
+            const item = document.createElement('div');
+            item.className = `upcoming-item expense bill-item ${state}`;
+            item.innerHTML = `
+                <div class="upcoming-info">
+                    <div class="transaction-name"></div>
+                    <div class="transaction-date">
+                        <i class="fas fa-${bill.frequency ? 'sync-alt' : 'calendar-day'}" aria-hidden="true"></i>
+                        ${due.toLocaleDateString(getLocale(), { weekday: 'short', month: 'short', day: 'numeric' })}
+                        <span class="bill-due">${describeDueDays(days)}</span>
+                    </div>
+                </div>
+                <div class="transaction-amount expense">${formatCurrency(bill.amount, bill.currency)}</div>
+                <div class="transaction-actions">
+                    <button class="edit-transaction bill-pay" title="Mark paid and add the expense" aria-label="Mark paid and add the expense"><i class="fas fa-check" aria-hidden="true"></i></button>
+                    <button class="edit-transaction bill-edit" title="Edit bill" aria-label="Edit bill"><i class="fas fa-pen" aria-hidden="true"></i></button>
+                </div>
+            `;
+            item.querySelector('.transaction-name').textContent = bill.name;
+            
+            item.querySelector('.bill-pay').addEventListener('click', () => payBill(bill));
+            item.querySelector('.bill-edit').addEventListener('click', () => openBillModal(bill));
+            
+            billList.appendChild(item);
+        });
+}
+
+// Open the bill form, empty for a new bill or filled in for an existing one
+function openBillModal(bill = null) {
+    const elements = billForm.elements;
+    const account = bill ? bill.account : transactionAccountInput.value;
+    
+    billForm.reset();
+    billForm.dataset.billId = bill ? bill.id : '';
+    billModalTitle.textContent = bill ? bill.name : 'New Bill';
+    
+    elements['bill-category'].innerHTML = '';
+    fillCategorySelect(elements['bill-category'], bill ? bill.category : getFallbackCategoryId(-1));
+    fillAccountSelect(elements['bill-account'], account);
+    elements['bill-currency'].innerHTML = '';
+    fillCurrencySelect(elements['bill-currency'], bill ? bill.currency : getAccountCurrency(account));
+    
+    if (bill) {
+        elements['bill-name'].value = bill.name;
+        elements['bill-amount'].value = bill.amount;
+        elements['bill-due-date'].value = getDateKey(getBillDueDate(bill));
+        elements['bill-frequency'].value = bill.frequency;
+        elements['bill-remind-days'].value = bill.remindDays;
+    } else {
+        elements['bill-due-date'].value = getDateKey(new Date());
+    }
+    
+    deleteBillButton.style.display = bill ? '' : 'none';
+    billModal.classList.add('active');
+    elements['bill-name'].focus();
+}
+
+// Close the bill form
+function closeBillModal() {
+    billModal.classList.remove('active');
+    billForm.reset();
+}
+
+// Create or update a bill from the form. Saving restarts the schedule from the due date shown.
+async function saveBillFromForm(e) {
+    e.preventDefault();
+    
+    const elements = billForm.elements;
+    const existing = getBill(billForm.dataset.billId);
+    const name = elements['bill-name'].value.trim();
+    const amount = Math.abs(parseFloat(elements['bill-amount'].value));
+    const remindDays = parseInt(elements['bill-remind-days'].value, 10);
+    const startDate = elements['bill-due-date'].value;
+    
+    if (!name || !(amount > 0) || !startDate || !(remindDays >= 0)) {
+        showNotification('Please fill in all fields correctly.', 'warning');
+        return;
+    }
+    
+    const bill = {
+        ...(existing || { id: createBillId(), createdAt: new Date().toISOString() }),
+        name,
+        amount,
+        currency: elements['bill-currency'].value,
+        category: elements['bill-category'].value,
+        account: elements['bill-account'].value,
+        startDate,
+        frequency: elements['bill-frequency'].value,
+        nextIndex: 0,
+        remindDays
+    };
+    
+    // A new due date deserves a new reminder
+    if (!existing || getDateKey(getBillDueDate(existing)) !== startDate) {
+        bill.notifiedFor = null;
+    }
+    
+    try {
+        await saveBills([bill], []);
+        bills = [...bills.filter(b => b.id !== bill.id), bill];
+        
+        renderBills();
+        closeBillModal();
+        requestBillCheck();
+        showNotification(existing ? `Bill "${name}" updated.` : `Bill "${name}" added.`, 'success');
+    } catch (error) {
+        console.error('Error saving bill:', error);
+        showNotification('Error saving bill. Please try again.', 'error');
+    }
+}
+
+// Delete the bill in the form; expenses already added for it are kept
+async function deleteBill() {
+    const bill = getBill(billForm.dataset.billId);
+    if (!bill || !await confirmDialog(`Delete the bill "${bill.name}"? Expenses already added for it are kept.`, { title: 'Delete Bill', confirmLabel: 'Delete' })) {
+        return;
+    }
+    
+    try {
+        await saveBills([], [bill.id]);
+        bills = bills.filter(b => b.id !== bill.id);
+        
+        closeBillNotification(bill);
+        renderBills();
+        closeBillModal();
+        showNotification(`Bill "${bill.name}" deleted.`, 'success');
+    } catch (error) {
+        console.error('Error deleting bill:', error);
+        showNotification('Error deleting bill. Please try again.', 'error');
+    }
+}
+
+// Expense recorded when a bill is paid
+function createBillTransaction(bill) {
+    return {
+        id: createRecordId(),
+        name: bill.name,
+        amount: -bill.amount,
+        currency: bill.currency,
+        category: bill.category,
+        account: bill.account,
+        date: new Date().toISOString(),
+        type: 'expense',
+        billId: bill.id
+    };
+}
+
+// Add the bill's expense and move it to its next due date (one-off bills are removed)
+async function payBill(bill) {
+    const transaction = createBillTransaction(bill);
+    const next = bill.frequency ? { ...bill, nextIndex: bill.nextIndex + 1, notifiedFor: null } : null;
+    const budgetUsageBefore = getBudgetUsage();
+    
+    try {
+        await saveBills(next ? [next] : [], next ? [] : [bill.id], [transaction]);
+        
+        bills = next ? bills.map(b => b.id === bill.id ? next : b) : bills.filter(b => b.id !== bill.id);
+        transactions.unshift(transaction);
+        transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+        
+        closeBillNotification(bill);
+        filterTransactions();
+        updateBalance();
+        updateSpendingSummary();
+        renderBills();
+        
+        showNotification(next
+            ? `${bill.name} paid. Next due ${formatShortDate(getBillDueDate(next))}.`
+            : `${bill.name} paid.`, 'success');
+        notifyBudgetThresholds(budgetUsageBefore);
+    } catch (error) {
+        console.error('Error paying bill:', error);
+        showNotification('Error saving the payment. Please try again.', 'error');
+    }
+}
+
+// Bill payment asked for from a reminder while the app was locked, made once it is unlocked
+let pendingBillPayment = null;
+
+// Pay a bill marked paid on its reminder, unless it was paid or changed since
+async function payBillFromReminder(billId, dueKey) {
+    if (isLocked()) {
+        pendingBillPayment = { billId, dueKey };
+        return;
+    }
+    
+    const bill = getBill(billId);
+    if (bill && getDateKey(getBillDueDate(bill)) === dueKey) {
+        await payBill(bill);
+    }
+}
+
+// Make the payment a reminder asked for while the app was locked
+async function payPendingBill() {
+    if (!pendingBillPayment) return;
+    
+    const { billId, dueKey } = pendingBillPayment;
+    pendingBillPayment = null;
+    await payBillFromReminder(billId, dueKey);
+}
+
+// Remove a bill's reminder from the notification tray
+async function closeBillNotification(bill) {
+    if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+    
+    const registration = await navigator.serviceWorker.ready;
+    const shown = await registration.getNotifications({ tag: `bill-${bill.id}` });
+    shown.forEach(notification => notification.close());
+}
+
+// Show whether reminders are on and why they might not work
+function updateBillReminderStatus() {
+    const supported = 'Notification' in window && 'serviceWorker' in navigator;
+    const permission = supported ? Notification.permission : 'unsupported';
+    
+    billNotificationsInput.checked = getSetting('billReminders', false) && permission === 'granted';
+    billNotificationsInput.disabled = permission === 'unsupported';
+    
+    if (permission === 'unsupported') {
+        billReminderStatus.textContent = 'This browser cannot show notifications.';
+    } else if (permission === 'denied') {
+        billReminderStatus.textContent = 'Notifications are blocked in your browser settings.';
+    } else {
+        billReminderStatus.textContent = '';
+    }
+}
+
+// Turn bill notifications on (asking for permission) or off
+async function toggleBillReminders() {
+    const enabled = billNotificationsInput.checked && await requestNotificationPermission() === 'granted';
+    
+    try {
+        await saveSetting('billReminders', enabled);
+        await registerBillReminderSync(enabled);
+    } catch (error) {
+        console.error('Error saving reminder setting:', error);
+        showNotification('Error saving reminder setting. Please try again.', 'error');
+    }
+    
+    updateBillReminderStatus();
+    requestBillCheck();
+}
+
+// Ask the browser to wake the service worker now and then to check bills, where periodic sync exists
+async function registerBillReminderSync(enabled) {
+    if (!('serviceWorker' in navigator)) return;
+    
+    const registration = await navigator.serviceWorker.ready;
+    if (!('periodicSync' in registration)) return;
+    
+    try {
+        if (enabled) {
+            await registration.periodicSync.register(BILL_SYNC_TAG, { minInterval: BILL_SYNC_INTERVAL });
+        } else {
+            await registration.periodicSync.unregister(BILL_SYNC_TAG);
+        }
+    } catch (error) {
+        // Browsers only allow periodic sync for installed apps; the check on open still runs
+        console.log('Periodic background sync unavailable:', error.message);
+    }
+}
+
+// Have the service worker check for bills to remind about, e.g. when the app opens
+function requestBillCheck() {
+    if (!getSetting('billReminders', false) || !('serviceWorker' in navigator) || !navigator.serviceWorker.controller) {
+        return;
+    }
+    
+    navigator.serviceWorker.controller.postMessage({ type: 'check-bills' });
+}
+
+// Reload what the service worker changed after a bill was marked paid from a notification,
+// or record the payment here when the worker can't because transactions are encrypted
+async function handleServiceWorkerMessage(event) {
+    if (event.data && event.data.type === 'sync-pushed') {
+        updateSyncStatus();
+        return;
+    }
+    
+    if (event.data && event.data.type === 'pay-bill') {
+        await payBillFromReminder(event.data.billId, event.data.dueKey);
+        return;
+    }
+    
+    // Everything is reloaded on unlock anyway
+    if (!event.data || event.data.type !== 'bill-paid' || isLocked()) return;
+    
+    try {
+        await loadBills();
+        await loadTransactions();
+        
+        filterTransactions();
+        updateBalance();
+        updateSpendingSummary();
+        renderBills();
+        showNotification(`${event.data.name} marked paid.`, 'success');
+    } catch (error) {
+        console.error('Error reloading after a bill payment:', error);
+    }
+}
+
+// =============== Budget Functions ===============
+
+// Find the budget for a category id (or OVERALL_BUDGET_ID)
+function getBudget(categoryId) {
+    return budgets.find(budget => budget.categoryId === categoryId) || null;
+}
+
+// Display name for a budget
+function getBudgetName(budget) {
+    return budget.categoryId === OVERALL_BUDGET_ID ? 'Overall' : getCategoryLabel(budget.categoryId);
+}
+
+// Budgets that still point at a category, overall first and then in category order
+function getSortedBudgets() {
+    const order = getOrderedCategories(true).map(({ category }) => category.id);
+    
+    return budgets
+        .filter(budget => budget.categoryId === OVERALL_BUDGET_ID || getCategory(budget.categoryId))
+        .sort((a, b) => {
+            const indexA = a.categoryId === OVERALL_BUDGET_ID ? -1 : order.indexOf(a.categoryId);
+            const indexB = b.categoryId === OVERALL_BUDGET_ID ? -1 : order.indexOf(b.categoryId);
+            return indexA - indexB;
+        });
+}
+
+// Calendar month containing a date
+function getBudgetPeriod(date = new Date()) {
+    return getMonthRange(date);
+}
+
+// Expenses counted against a budget in [start, end); parent budgets include their subcategories
+// and split transactions only count the parts in the budget's category
+function getBudgetSpent(budget, start, end) {
+    return transactions.reduce((sum, transaction) => {
+        const date = new Date(transaction.date);
+        
+        if (transaction.type !== 'expense' || date < start || date >= end) {
+            return sum;
+        }
+        
+        const spent = getTransactionSplits(transaction)
+            .filter(split => budget.categoryId === OVERALL_BUDGET_ID ||
+                split.category === budget.categoryId ||
+                getRootCategoryId(split.category) === budget.categoryId)
+            .reduce((total, split) => total + split.amount, 0);
+        
+        return sum + Math.abs(toBaseCurrency(spent, getTransactionCurrency(transaction)));
+    }, 0);
+}
+
+// Unspent money carried into a period, walking forward month by month from when carry over was enabled
+function getBudgetCarryOver(budget, period) {
+    if (!budget.carryOver) return 0;
+    
+    let carry = 0;
+    let month = getBudgetPeriod(new Date(budget.createdAt));
+    
+    while (month.start < period.start) {
+        carry = Math.max(0, budget.limit + carry - getBudgetSpent(budget, month.start, month.end));
+        month = getBudgetPeriod(month.end);
+    }
+    
+    return carry;
+}
+
+// Spending against a budget for a period, with its warning state
+function getBudgetStatus(budget, period = getBudgetPeriod()) {
+    const spent = getBudgetSpent(budget, period.start, period.end);
+    const carry = getBudgetCarryOver(budget, period);
+    const available = budget.limit + carry;
+    const ratio = available > 0 ? spent / available : 1;
+    
+    let state = 'ok';
+    if (ratio >= 1) {
+        state = 'over';
+    } else if (ratio >= BUDGET_WARNING_RATIO) {
+        state = 'warning';
+    }
+    
+    return { spent, carry, available, ratio, state };
+}
+
+// Share of each budget used this month, keyed by category id
+function getBudgetUsage() {
+    const period = getBudgetPeriod();
+    return new Map(budgets.map(budget => [budget.categoryId, getBudgetStatus(budget, period).ratio]));
+}
+
+// Alert when a change pushed a budget past the warning level or over its limit
+function notifyBudgetThresholds(previousUsage) {
+    const period = getBudgetPeriod();
+    
+    getSortedBudgets().forEach(budget => {
+        const status = getBudgetStatus(budget, period);
+        const previous = previousUsage.get(budget.categoryId) || 0;
+        const name = getBudgetName(budget);
+        
+        if (previous < 1 && status.ratio >= 1) {
+            showNotification(`${name} budget exceeded: ${formatCurrency(status.spent)} of ${formatCurrency(status.available)} spent this month.`, 'error');
+        } else if (previous < BUDGET_WARNING_RATIO && status.ratio >= BUDGET_WARNING_RATIO) {
+            showNotification(`${name} budget is ${Math.round(status.ratio * 100)}% used this month.`, 'warning');
+        }
+    });
+}
+
+// Render spent-vs-budget bars for the current month
+function renderBudgetBars() {
+    budgetBarsContainer.innerHTML = '';
+    
+    const sortedBudgets = getSortedBudgets();
+    if (sortedBudgets.length === 0) return;
+    
+    // Follow the selected month; other periods show the current budget month
+    const period = currentPeriod.mode === 'month' ? getPeriodRange() : getBudgetPeriod();
+    
+    const heading = document.createElement('div');
+    heading.className = 'budget-heading';
+    heading.textContent = `Budgets for ${formatMonthRange(period)}`;
+    budgetBarsContainer.appendChild(heading);
+    
+    sortedBudgets.forEach(budget => {
+        const status = getBudgetStatus(budget, period);
+        const remaining = status.available - status.spent;
+        const icon = budget.categoryId === OVERALL_BUDGET_ID ? 'wallet' : getCategoryIcon(budget.categoryId);
+        
+        const budgetElement = document.createElement('div');
+        budgetElement.className = `category-item budget-item ${status.state}`;
+        budgetElement.innerHTML = `
+            <div class="category-header">
+                <div class="category-name">
+                    <i class="fas fa-${escapeHTML(icon)}" aria-hidden="true"></i>
+                    ${escapeHTML(getBudgetName(budget))}
+                </div>
+                <div class="category-amount">
+                    ${formatCurrency(status.spent)} <span class="budget-limit">of ${formatCurrency(status.available)}</span>
+                </div>
+            </div>
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: ${Math.min(status.ratio, 1) * 100}%;"></div>
+                <span class="category-percentage">${(status.ratio * 100).toFixed(0)}%</span>
+            </div>
+            <div class="budget-remaining">
+                ${remaining >= 0 ? `${formatCurrency(remaining)} left` : `${formatCurrency(-remaining)} over budget`}
+                ${status.carry > 0 ? ` · includes ${formatCurrency(status.carry)} carried over` : ''}
+            </div>
+        `;
+        
+        budgetBarsContainer.appendChild(budgetElement);
+    });
+}
+
+// Open the budget editor
+function openBudgetsModal() {
+    budgetList.innerHTML = '';
+    
+    const rows = [{ id: OVERALL_BUDGET_ID, label: 'All spending', icon: 'wallet', depth: 0 }]
+        .concat(getOrderedCategories().map(({ category, depth }) => ({
+            id: category.id,
+            label: category.name,
+            icon: category.icon,
+            depth
+        })));
+    
+    rows.forEach(row => {
+        const budget = getBudget(row.id);
+        
+        const rowElement = document.createElement('div');
+        rowElement.className = `budget-row${row.depth ? ' child' : ''}${row.id === OVERALL_BUDGET_ID ? ' overall' : ''}`;
+        rowElement.dataset.categoryId = row.id;
+        rowElement.innerHTML = `
+            <label class="budget-row-name" for="budget-limit-${escapeHTML(row.id)}">
+                <i class="fas fa-${escapeHTML(row.icon)}" aria-hidden="true"></i> <span></span>
+            </label>
+            <div class="amount-input">
+                <span class="currency-symbol">${getCurrencySymbol(getBaseCurrency())}</span>
+                <input type="number" id="budget-limit-${escapeHTML(row.id)}" class="budget-limit-input" min="0" step="0.01" placeholder="No limit">
+            </div>
+            <label class="budget-carry">
+                <input type="checkbox" class="budget-carry-input"> Carry over
+            </label>
+        `;
+        
+        rowElement.querySelector('.budget-row-name span').textContent = row.label;
+        rowElement.querySelector('.budget-limit-input').value = budget ? budget.limit : '';
+        rowElement.querySelector('.budget-carry-input').checked = budget ? Boolean(budget.carryOver) : false;
+        
+        budgetList.appendChild(rowElement);
+    });
+    
+    budgetsModal.classList.add('active');
+}
+
+// Close the budget editor
+function closeBudgetsModal() {
+    budgetsModal.classList.remove('active');
+}
+
+// Save the limits entered in the budget editor
+async function saveBudgetsFromForm(e) {
+    e.preventDefault();
+    
+    const puts = [];
+    const deleteIds = [];
+    
+    budgetList.querySelectorAll('.budget-row').forEach(row => {
+        const categoryId = row.dataset.categoryId;
+        const limit = parseFloat(row.querySelector('.budget-limit-input').value);
+        const carryOver = row.querySelector('.budget-carry-input').checked;
+        const existing = getBudget(categoryId);
+        
+        if (limit > 0) {
+            // Carry over starts counting from the month it is switched on
+            const createdAt = existing && (existing.carryOver || !carryOver)
+                ? existing.createdAt
+                : new Date().toISOString();
+            
+            puts.push({ categoryId, limit, carryOver, createdAt });
+        } else if (existing) {
+            deleteIds.push(categoryId);
+        }
+    });
+    
+    try {
+        await saveBudgets(puts, deleteIds);
+        await loadBudgets();
+        
+        updateSpendingSummary();
+        closeBudgetsModal();
+        
+        showNotification('Budgets saved.', 'success');
+    } catch (error) {
+        console.error('Error saving budgets:', error);
+        showNotification('Error saving budgets. Please try again.', 'error');
+    }
+}
+
+// =============== Report Functions ===============
+
+// Size of the SVG drawing area; charts scale to their container
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 12, right: 12, bottom: 28, left: 64 };
+
+// Number of months shown in the trend charts
+const REPORT_MONTHS = 12;
+
+// Open the reports view
+function openReportsModal() {
+    renderReportCategoryOptions();
+    renderReports();
+    reportsModal.classList.add('active');
+}
+
+// Close the reports view
+function closeReportsModal() {
+    reportsModal.classList.remove('active');
+}
+
+// The months shown in the trend charts, ending with the selected month (or the current one)
+function getReportMonths() {
+    const anchor = currentPeriod.mode === 'month' ? getPeriodRange().start : new Date();
+    const months = [];
+    
+    for (let offset = 1 - REPORT_MONTHS; offset <= 0; offset++) {
+        const range = getMonthRange(anchor, offset);
+        months.push({
+            ...range,
+            label: getLastDay(range).toLocaleDateString(getLocale(), { month: 'short', year: '2-digit' })
+        });
+    }
+    
+    return months;
+}
+
+// Income, expenses and net amount per top-level category for each month, in the base currency
+function getMonthlyTotals(months) {
+    const totals = months.map(() => ({ income: 0, expense: 0, categories: {} }));
+    
+    transactions.forEach(transaction => {
+        if (transaction.type === 'transfer') return;
+        
+        const date = new Date(transaction.date);
+        const index = months.findIndex(month => date >= month.start && date < month.end);
+        if (index === -1) return;
+        
+        const currency = getTransactionCurrency(transaction);
+        const amount = toBaseCurrency(transaction.amount, currency);
+        const month = totals[index];
+        
+        if (transaction.type === 'income') {
+            month.income += amount;
+        } else {
+            month.expense += Math.abs(amount);
+        }
+        
+        getTransactionSplits(transaction).forEach(split => {
+            const rootId = getRootCategoryId(split.category);
+            month.categories[rootId] = (month.categories[rootId] || 0) + toBaseCurrency(split.amount, currency);
+        });
+    });
+    
+    return totals;
+}
+
+// Net worth at the end of each month
+function getMonthEndBalances(months, totals) {
+    const opening = accounts.reduce((sum, account) => sum + toBaseCurrency(account.openingBalance, account.currency), 0);
+    
+    let balance = transactions.reduce((sum, transaction) => {
+        if (transaction.type === 'transfer' || new Date(transaction.date) >= months[0].start) return sum;
+        return sum + toBaseCurrency(transaction.amount, getTransactionCurrency(transaction));
+    }, opening);
+    
+    return totals.map(month => {
+        balance += month.income - month.expense;
+        return balance;
+    });
+}
+
+// Top-level categories with activity in the given months, largest first
+function getReportCategoryIds(totals) {
+    const sums = {};
+    totals.forEach(month => {
+        Object.entries(month.categories).forEach(([categoryId, amount]) => {
+            sums[categoryId] = (sums[categoryId] || 0) + Math.abs(amount);
+        });
+    });
+    
+    return Object.keys(sums).sort((a, b) => sums[b] - sums[a]);
+}
+
+// Fill the category trend picker, keeping the current choice
+function renderReportCategoryOptions() {
+    const selected = reportCategoryInput.value;
+    
+    reportCategoryInput.innerHTML = '<option value="">All spending</option>';
+    getChildCategories(null).forEach(category => {
+        reportCategoryInput.appendChild(new Option(category.name, category.id));
+    });
+    
+    reportCategoryInput.value = getCategory(selected) ? selected : '';
+}
+
+// Redraw every chart and the pivot table
+function renderReports() {
+    const months = getReportMonths();
+    const totals = getMonthlyTotals(months);
+    const labels = months.map(month => month.label);
+    
+    renderBarChart(incomeExpenseChart, labels, [
+        { name: 'Income', className: 'income', values: totals.map(month => month.income) },
+        { name: 'Expenses', className: 'expense', values: totals.map(month => month.expense) }
+    ]);
+    
+    renderLineChart(cashFlowChart, labels, getMonthEndBalances(months, totals), 'var(--primary-color)');
+    
+    renderCategoryTrend();
+    renderPeriodDonut();
+    renderPivotTable(getPivotRows(months, totals));
+}
+
+// Line of monthly spending for the chosen category
+function renderCategoryTrend() {
+    const months = getReportMonths();
+    const totals = getMonthlyTotals(months);
+    const categoryId = reportCategoryInput.value;
+    
+    const values = totals.map(month => categoryId ? Math.abs(month.categories[categoryId] || 0) : month.expense);
+    const color = categoryId ? escapeHTML(getCategoryColor(categoryId)) : 'var(--danger-color)';
+    
+    renderLineChart(categoryTrendChart, months.map(month => month.label), values, color);
+}
+
+// Donut of spending by top-level category for the selected period
+function renderPeriodDonut() {
+    const groups = {};
+    
+    getPeriodTransactions()
+        .filter(transaction => transaction.type === 'expense')
+        .forEach(transaction => getTransactionSplits(transaction).forEach(split => {
+            const rootId = getRootCategoryId(split.category);
+            groups[rootId] = (groups[rootId] || 0) + Math.abs(toBaseCurrency(split.amount, getTransactionCurrency(transaction)));
+        }));
+    
+    const slices = Object.entries(groups)
+        .sort((a, b) => b[1] - a[1])
+        .map(([categoryId, value]) => ({ label: getCategoryName(categoryId), value, color: getCategoryColor(categoryId) }));
+    
+    reportPeriodLabel.textContent = getPeriodLabel();
+    renderDonutChart(periodDonutChart, slices);
+}
+
+// Short axis label, e.g. "$1.2K"
+function formatChartValue(value) {
+    return new Intl.NumberFormat(getLocale(), {
+        style: 'currency',
+        currency: getBaseCurrency(),
+        notation: 'compact',
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 1
+    }).format(value);
+}
+
+// Evenly spaced round values covering min..max
+function getChartTicks(min, max) {
+    const range = (max - min) || Math.abs(max) || 1;
+    const rough = range / 4;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+    
+    const first = Math.floor(min / step);
+    const last = Math.ceil(max / step);
+    
+    const ticks = [];
+    for (let i = first; i <= last; i++) {
+        ticks.push(i * step);
+    }
+    
+    return ticks.length > 1 ? ticks : [ticks[0], ticks[0] + step];
+}
+
+// Map a value onto the chart's vertical axis
+function getChartY(value, ticks) {
+    const low = ticks[0];
+    const high = ticks[ticks.length - 1];
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    
+    return CHART_PADDING.top + plotHeight * (1 - (value - low) / (high - low));
+}
+
+// Grid lines, value labels and month labels shared by the bar and line charts
+function getChartFrame(labels, ticks, slotWidth) {
+    const grid = ticks.map(tick => {
+        const y = getChartY(tick, ticks);
+        return `
+            <line class="chart-grid${tick === 0 ? ' zero' : ''}" x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${y}" y2="${y}"></line>
+            <text class="chart-label" x="${CHART_PADDING.left - 8}" y="${y + 4}" text-anchor="end">${formatChartValue(tick)}</text>
+        `;
+    }).join('');
+    
+    const monthLabels = labels.map((label, index) => `
+        <text class="chart-label" x="${CHART_PADDING.left + slotWidth * (index + 0.5)}" y="${CHART_HEIGHT - 8}" text-anchor="middle">${label}</text>
+    `).join('');
+    
+    return grid + monthLabels;
+}
+
+// Wrap chart contents in a scalable SVG
+function getChartSVG(content, label) {
+    return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${label}" preserveAspectRatio="xMidYMid meet">${content}</svg>`;
+}
+
+// Grouped bar chart, one group per month
+function renderBarChart(container, labels, series) {
+    const values = series.flatMap(s => s.values);
+    
+    if (values.every(value => value === 0)) {
+        container.innerHTML = '<p class="empty-summary">No transactions in these months.</p>';
+        return;
+    }
+    
+    const ticks = getChartTicks(Math.min(0, ...values), Math.max(0, ...values));
+    const slotWidth = (CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right) / labels.length;
+    const barWidth = slotWidth * 0.7 / series.length;
+    const zeroY = getChartY(0, ticks);
+    
+    const bars = series.map((s, seriesIndex) => s.values.map((value, index) => {
+        const x = CHART_PADDING.left + slotWidth * index + slotWidth * 0.15 + barWidth * seriesIndex;
+        const y = getChartY(Math.max(value, 0), ticks);
+        const height = Math.abs(getChartY(value, ticks) - zeroY);
+        
+        return `
+            <rect class="chart-bar ${s.className}" x="${x}" y="${y}" width="${barWidth}" height="${height}" rx="2">
+                <title>${s.name}, ${labels[index]}: ${formatCurrency(value)}</title>
+            </rect>
+        `;
+    }).join('')).join('');
+    
+    const legend = series.map(s => `<span class="chart-legend-item ${s.className}">${s.name}</span>`).join('');
+    
+    container.innerHTML = getChartSVG(getChartFrame(labels, ticks, slotWidth) + bars, series.map(s => s.name).join(' and ')) +
+        `<div class="chart-legend">${legend}</div>`;
+}
+
+// Line chart with a point per month
+function renderLineChart(container, labels, values, color) {
+    if (values.every(value => value === 0)) {
+        container.innerHTML = '<p class="empty-summary">No transactions in these months.</p>';
+        return;
+    }
+    
+    const ticks = getChartTicks(Math.min(0, ...values), Math.max(0, ...values));
+    const slotWidth = (CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right) / labels.length;
+    const points = values.map((value, index) => ({
+        x: CHART_PADDING.left + slotWidth * (index + 0.5),
+        y: getChartY(value, ticks),
+        value
+    }));
+    
+    const path = points.map(point => `${point.x},${point.y}`).join(' ');
+    const dots = points.map((point, index) => `
+        <circle class="chart-point" cx="${point.x}" cy="${point.y}" r="4" style="fill: ${color};">
+            <title>${labels[index]}: ${formatCurrency(point.value)}</title>
+        </circle>
+    `).join('');
+    
+    container.innerHTML = getChartSVG(
+        getChartFrame(labels, ticks, slotWidth) + `<polyline class="chart-line" points="${path}" style="stroke: ${color};"></polyline>` + dots,
+        'Monthly trend'
+    );
+}
+
+// Donut chart with a legend of each slice's share
+function renderDonutChart(container, slices) {
+    const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+    
+    if (total === 0) {
+        container.innerHTML = '<p class="empty-summary">No spending in this period.</p>';
+        return;
+    }
+    
+    // Each slice is a dashed stroke on the same circle, starting where the previous one ended
+    const radius = 70;
+    const circumference = 2 * Math.PI * radius;
+    let offset = 0;
+    
+    const rings = slices.map(slice => {
+        const length = circumference * slice.value / total;
+        const ring = `
+            <circle cx="100" cy="100" r="${radius}" fill="none" stroke="${escapeHTML(slice.color)}" stroke-width="28"
+                stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}" transform="rotate(-90 100 100)">
+                <title>${escapeHTML(slice.label)}: ${formatCurrency(slice.value)}</title>
+            </circle>
+        `;
+        offset += length;
+        return ring;
+    }).join('');
+    
+    const legend = slices.map(slice => `
+        <li>
+            <span class="donut-swatch" style="background: ${escapeHTML(slice.color)};"></span>
+            <span class="donut-name">${escapeHTML(slice.label)}</span>
+            <span class="donut-value">${formatCurrency(slice.value)} · ${(slice.value / total * 100).toFixed(1)}%</span>
+        </li>
+    `).join('');
+    
+    container.innerHTML = `
+        <svg class="donut-chart" viewBox="0 0 200 200" role="img" aria-label="Spending by category">
+            ${rings}
+            <text class="donut-total" x="100" y="106" text-anchor="middle">${formatChartValue(total)}</text>
+        </svg>
+        <ul class="donut-legend">${legend}</ul>
+    `;
+}
+
+// Net amount per top-level category and month, with a total per row and per month
+function getPivotRows(months, totals) {
+    const header = ['Category', ...months.map(month => month.label), 'Total'];
+    
+    const rows = getReportCategoryIds(totals).map(categoryId => {
+        const values = totals.map(month => month.categories[categoryId] || 0);
+        return [getCategoryName(categoryId), ...values, values.reduce((sum, value) => sum + value, 0)];
+    });
+    
+    const net = totals.map(month => month.income - month.expense);
+    rows.push(['Net', ...net, net.reduce((sum, value) => sum + value, 0)]);
+    
+    return [header, ...rows];
+}
+
+// Render the pivot as an HTML table
+function renderPivotTable(rows) {
+    const [header, ...body] = rows;
+    
+    pivotTable.innerHTML = `
+        <thead><tr>${header.map(cell => `<th>${escapeHTML(cell)}</th>`).join('')}</tr></thead>
+        <tbody>
+            ${body.map((row, index) => `
+                <tr class="${index === body.length - 1 ? 'pivot-total' : ''}">
+                    <th>${escapeHTML(row[0])}</th>
+                    ${row.slice(1).map(value => `<td class="${value < 0 ? 'expense' : value > 0 ? 'income' : ''}">${value ? formatCurrency(value) : '—'}</td>`).join('')}
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+}
+
+// Pivot rows with plain numbers to the base currency's decimals, for spreadsheets
+function getPivotExportRows() {
+    const months = getReportMonths();
+    const decimals = getCurrencyExponent(getBaseCurrency());
+    
+    return getPivotRows(months, getMonthlyTotals(months))
+        .map((row, index) => index === 0 ? row : [row[0], ...row.slice(1).map(value => value.toFixed(decimals))]);
+}
+
+// Copy the pivot as tab-separated text, which pastes into spreadsheet cells
+async function copyPivotTable() {
+    const text = getPivotExportRows().map(row => row.join('\t')).join('\n');
+    
+    try {
+        await navigator.clipboard.writeText(text);
+        showNotification('Report copied. Paste it into a spreadsheet.', 'success');
+    } catch (error) {
+        console.error('Error copying report:', error);
+        showNotification('Could not copy the report. Try Export CSV instead.', 'error');
+    }
+}
+
+// Download the pivot as CSV
+function exportPivotCSV() {
+    const csv = getPivotExportRows()
+        .map(row => row.map(escapeCSVField).join(','))
+        .join('\r\n');
+    
+    downloadFile(csv, `zenbudget-report-${getDateKey(new Date())}.csv`, 'text/csv');
+    showNotification('Report exported.', 'success');
+}
+
+// =============== Period Functions ===============
+
+// Budget month containing a date, shifted by offset months; months begin on the configured start day
+function getMonthRange(date = new Date(), offset = 0) {
+    const startDay = getSetting('monthStartDay', 1);
+    const d = new Date(date);
+    const month = d.getMonth() - (d.getDate() < startDay ? 1 : 0) + offset;
+    
+    return {
+        start: new Date(d.getFullYear(), month, startDay),
+        end: new Date(d.getFullYear(), month + 1, startDay)
+    };
+}
+
+// Date range [start, end) for the selected period, or null for all time
+function getPeriodRange(period = currentPeriod) {
+    const now = new Date();
+    
+    switch (period.mode) {
+        case 'month':
+            return getMonthRange(now, period.offset);
+        case 'year':
+            return {
+                start: new Date(now.getFullYear() + period.offset, 0, 1),
+                end: new Date(now.getFullYear() + period.offset + 1, 0, 1)
+            };
+        case 'ytd':
+            return {
+                start: new Date(now.getFullYear(), 0, 1),
+                end: new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1)
+            };
+        case 'custom': {
+            if (!period.from && !period.to) return null;
+            
+            // Open-ended on whichever side is left blank
+            const [fromYear, fromMonth, fromDay] = (period.from || '').split('-').map(Number);
+            const [toYear, toMonth, toDay] = (period.to || '').split('-').map(Number);
+            return {
+                start: period.from ? new Date(fromYear, fromMonth - 1, fromDay) : new Date(1900, 0, 1),
+                end: period.to ? new Date(toYear, toMonth - 1, toDay + 1) : new Date(9999, 11, 31)
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+// Transactions dated inside the selected period
+function getPeriodTransactions() {
+    const range = getPeriodRange();
+    if (!range) return [...transactions];
+    
+    return transactions.filter(transaction => {
+        const date = new Date(transaction.date);
+        return date >= range.start && date < range.end;
+    });
+}
+
+// "October 2026" for calendar months, otherwise the first and last day
+function formatMonthRange(range) {
+    if (range.start.getDate() === 1) {
+        return range.start.toLocaleDateString(getLocale(), { month: 'long', year: 'numeric' });
+    }
+    
+    return formatDateRange(range);
+}
+
+// "Oct 5, 2026 – Nov 4, 2026" with an inclusive last day
+function formatDateRange(range) {
+    return `${formatShortDate(range.start)} – ${formatShortDate(getLastDay(range))}`;
+}
+
+// Last day inside a [start, end) range
+function getLastDay(range) {
+    return new Date(range.end.getFullYear(), range.end.getMonth(), range.end.getDate() - 1);
+}
+
+// "Oct 5, 2026"
+function formatShortDate(date) {
+    return date.toLocaleDateString(getLocale(), { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+// Human-readable label for the selected period
+function getPeriodLabel() {
+    const range = getPeriodRange();
+    
+    switch (currentPeriod.mode) {
+        case 'month':
+            return formatMonthRange(range);
+        case 'year':
+            return String(range.start.getFullYear());
+        case 'ytd':
+            return `${range.start.getFullYear()} to date`;
+        case 'custom':
+            if (!range) return 'All time';
+            if (!currentPeriod.from) return `Until ${formatShortDate(getLastDay(range))}`;
+            if (!currentPeriod.to) return `From ${formatShortDate(range.start)}`;
+            return formatDateRange(range);
+        default:
+            return 'All time';
+    }
+}
+
+// Fill the month start day picker and show the current period
+function setupPeriodControls() {
+    monthStartDayInput.innerHTML = '';
+    
+    // Capped at 28 so every month has the start day
+    for (let day = 1; day <= 28; day++) {
+        const option = document.createElement('option');
+        option.value = day;
+        option.textContent = day;
+        monthStartDayInput.appendChild(option);
+    }
+    
+    monthStartDayInput.value = getSetting('monthStartDay', 1);
+    updatePeriodControls();
+}
+
+// Sync the period bar with the selected period
+function updatePeriodControls() {
+    const { mode, offset } = currentPeriod;
+    
+    if (mode === 'month') {
+        periodSelect.value = offset === 0 ? 'this-month' : offset === -1 ? 'last-month' : 'month';
+    } else {
+        periodSelect.value = mode;
+    }
+    
+    periodLabel.textContent = getPeriodLabel();
+    periodCustom.style.display = mode === 'custom' ? 'flex' : 'none';
+    
+    // Only whole months and years can be stepped through
+    const canShift = mode === 'month' || mode === 'year' || mode === 'ytd';
+    periodPrevButton.disabled = !canShift;
+    periodNextButton.disabled = !canShift;
+}
+
+// Switch to the period picked in the dropdown
+function handlePeriodSelect() {
+    switch (periodSelect.value) {
+        case 'this-month':
+            currentPeriod = { mode: 'month', offset: 0, from: null, to: null };
+            break;
+        case 'last-month':
+            currentPeriod = { mode: 'month', offset: -1, from: null, to: null };
+            break;
+        case 'ytd':
+            currentPeriod = { mode: 'ytd', offset: 0, from: null, to: null };
+            break;
+        case 'custom': {
+            // Start from whatever range was showing
+            const range = getPeriodRange() || getMonthRange();
+            if (!periodFromInput.value) periodFromInput.value = getDateKey(range.start);
+            if (!periodToInput.value) periodToInput.value = getDateKey(getLastDay(range));
+            currentPeriod = { mode: 'custom', offset: 0, from: periodFromInput.value, to: periodToInput.value };
+            break;
+        }
+        default:
+            currentPeriod = { mode: 'all', offset: 0, from: null, to: null };
+    }
+    
+    refreshPeriodViews();
+}
+
+// Step the selected month or year backwards or forwards
+function shiftPeriod(direction) {
+    if (currentPeriod.mode === 'month') {
+        currentPeriod = { ...currentPeriod, offset: currentPeriod.offset + direction };
+    } else if (currentPeriod.mode === 'year' || currentPeriod.mode === 'ytd') {
+        // Year to date steps into whole calendar years
+        const offset = currentPeriod.mode === 'ytd' ? direction : currentPeriod.offset + direction;
+        currentPeriod = offset === 0
+            ? { mode: 'ytd', offset: 0, from: null, to: null }
+            : { mode: 'year', offset, from: null, to: null };
+    } else {
+        return;
+    }
+    
+    refreshPeriodViews();
+}
+
+// Save a new month start day for payday cycles
+async function updateMonthStartDay() {
+    const day = parseInt(monthStartDayInput.value, 10);
+    
+    try {
+        await saveSetting('monthStartDay', day);
+    } catch (error) {
+        console.error('Error saving month start day:', error);
+        showNotification('Could not save the month start day.', 'error');
+        monthStartDayInput.value = getSetting('monthStartDay', 1);
+        return;
+    }
+    
+    refreshPeriodViews();
+}
+
+// Re-render everything scoped to the selected period
+function refreshPeriodViews() {
+    updatePeriodControls();
+    filterTransactions();
+    updateBalance();
+    updateSpendingSummary();
+}
+
+// =============== Filter Functions ===============
+
+// Bumped on every filter run so a slow, stale query can't overwrite newer results;
+// pending while the latest run is still waiting on IndexedDB
+let filterRequestId = 0;
+let filterPending = false;
+
+// Filter with no conditions; every condition below must hold for a transaction to match
+function createEmptyFilter() {
+    return {
+        terms: [],
+        excludeTerms: [],
+        categorySets: [],
+        excludeCategoryIds: new Set(),
+        accountSets: [],
+        excludeAccountIds: new Set(),
+        type: null,
+        excludeTypes: [],
+        amountRanges: [],
+        from: null,
+        to: null,
+        tags: [],
+        excludeTags: []
+    };
+}
+
+// Split a search into tokens, keeping "quoted phrases" and key:"quoted values" together
+function tokenizeQuery(text) {
+    const tokens = [];
+    const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+    let match;
+    
+    while ((match = pattern.exec(text)) !== null) {
+        const value = match[3] !== undefined ? match[3] : match[4];
+        if (!value || value === '-') continue;
+        
+        tokens.push({
+            negate: match[1] === '-',
+            key: match[2] ? match[2].toLowerCase() : null,
+            value
+        });
+    }
+    
+    return tokens;
+}
+
+// Parse search syntax such as: category:Food amount:>50 after:2026-01-01 -coffee
+function parseFilterQuery(text, filter = createEmptyFilter()) {
+    const categoryIds = new Set();
+    const accountIds = new Set();
+    let hasCategory = false;
+    let hasAccount = false;
+    
+    tokenizeQuery(text).forEach(({ negate, key, value }) => {
+        const lowerValue = value.toLowerCase();
+        
+        switch (key) {
+            case 'category':
+            case 'cat': {
+                const ids = findCategoryIds(value);
+                if (negate) {
+                    ids.forEach(id => filter.excludeCategoryIds.add(id));
+                } else {
+                    // Several categories widen the search rather than narrowing it
+                    hasCategory = true;
+                    ids.forEach(id => categoryIds.add(id));
+                }
+                return;
+            }
+            case 'account':
+            case 'acct': {
+                const ids = findAccountIds(value);
+                if (negate) {
+                    ids.forEach(id => filter.excludeAccountIds.add(id));
+                } else {
+                    hasAccount = true;
+                    ids.forEach(id => accountIds.add(id));
+                }
+                return;
+            }
+            case 'type':
+            case 'is':
+                if (['income', 'expense', 'transfer'].includes(lowerValue)) {
+                    if (negate) {
+                        filter.excludeTypes.push(lowerValue);
+                    } else {
+                        filter.type = lowerValue;
+                    }
+                    return;
+                }
+                break;
+            case 'amount': {
+                const range = parseAmountFilter(value);
+                if (range) {
+                    filter.amountRanges.push(range);
+                    return;
+                }
+                break;
+            }
+            case 'after':
+            case 'before':
+            case 'on': {
+                const date = parseFilterDate(value);
+                if (date) {
+                    const nextDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+                    if (key !== 'before') narrowDateRange(filter, date, null);
+                    if (key !== 'after') narrowDateRange(filter, null, key === 'on' ? nextDay : date);
+                    return;
+                }
+                break;
+            }
+            case 'tag':
+                (negate ? filter.excludeTags : filter.tags).push(lowerValue);
+                return;
+            case null:
+                (negate ? filter.excludeTerms : filter.terms).push(lowerValue);
+                return;
+        }
+        
+        // Unknown keys and unreadable values are searched as plain text
+        const term = key ? `${key}:${lowerValue}` : lowerValue;
+        (negate ? filter.excludeTerms : filter.terms).push(term);
+    });
+    
+    if (hasCategory) {
+        filter.categorySets.push(categoryIds);
+    }
+    
+    if (hasAccount) {
+        filter.accountSets.push(accountIds);
+    }
+    
+    return filter;
+}
+
+// Accounts whose name matches, falling back to partial names
+function findAccountIds(value) {
+    const search = value.toLowerCase();
+    let matches = accounts.filter(account => account.name.toLowerCase() === search);
+    
+    if (matches.length === 0) {
+        matches = accounts.filter(account => account.name.toLowerCase().includes(search));
+    }
+    
+    return new Set(matches.map(account => account.id));
+}
+
+// Categories whose name or full label matches, falling back to partial names, plus their subcategories
+function findCategoryIds(value) {
+    const search = value.toLowerCase();
+    let matches = categories.filter(category =>
+        category.name.toLowerCase() === search || getCategoryLabel(category.id).toLowerCase() === search
+    );
+    
+    if (matches.length === 0) {
+        matches = categories.filter(category => category.name.toLowerCase().includes(search));
+    }
+    
+    const ids = new Set();
+    matches.forEach(category => {
+        ids.add(category.id);
+        getChildCategories(category.id, true).forEach(child => ids.add(child.id));
+    });
+    
+    return ids;
+}
+
+// Amount conditions compare the size of a transaction: >50, >=50, <20, 10..100 or an exact 42.50
+function parseAmountFilter(value) {
+    const between = value.match(/^(\d+(?:\.\d+)?)\.\.(\d+(?:\.\d+)?)$/);
+    if (between) {
+        return { min: parseFloat(between[1]), max: parseFloat(between[2]), minOpen: false, maxOpen: false };
+    }
+    
+    const compare = value.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/);
+    if (!compare) return null;
+    
+    const amount = parseFloat(compare[2]);
+    switch (compare[1]) {
+        case '>': return { min: amount, max: null, minOpen: true, maxOpen: false };
+        case '>=': return { min: amount, max: null, minOpen: false, maxOpen: false };
+        case '<': return { min: null, max: amount, minOpen: false, maxOpen: true };
+        case '<=': return { min: null, max: amount, minOpen: false, maxOpen: false };
+        default: return { min: amount, max: amount, minOpen: false, maxOpen: false };
+    }
+}
+
+// Local midnight for a YYYY-MM-DD value
+function parseFilterDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 ? date : null;
+}
+
+// Tighten the filter's [from, to) date range
+function narrowDateRange(filter, from, to) {
+    if (from && (!filter.from || from > filter.from)) filter.from = from;
+    if (to && (!filter.to || to < filter.to)) filter.to = to;
+}
+
+// Add the filter panel's conditions to a filter
+function applyPanelFilter(filter, state = getFilterPanelState()) {
+    if (state.type) {
+        filter.type = state.type;
+    }
+    
+    if (state.account) {
+        filter.accountSets.push(new Set([state.account]));
+    }
+    
+    const min = parseFloat(state.amountMin);
+    const max = parseFloat(state.amountMax);
+    if (!isNaN(min) || !isNaN(max)) {
+        filter.amountRanges.push({ min: isNaN(min) ? null : min, max: isNaN(max) ? null : max, minOpen: false, maxOpen: false });
+    }
+    
+    const from = parseFilterDate(state.dateFrom);
+    const to = parseFilterDate(state.dateTo);
+    narrowDateRange(filter, from, to ? new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1) : null);
+    
+    state.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean).forEach(tag => filter.tags.push(tag));
+    
+    if (state.categories.length > 0) {
+        const ids = new Set();
+        state.categories.forEach(id => {
+            ids.add(id);
+            getChildCategories(id, true).forEach(child => ids.add(child.id));
+        });
+        filter.categorySets.push(ids);
+    }
+    
+    return filter;
+}
+
+// Combined filter from the selected period, the search box and the filter panel
+function getActiveFilter() {
+    const filter = applyPanelFilter(parseFilterQuery(searchInput.value));
+    
+    const range = getPeriodRange();
+    if (range) {
+        narrowDateRange(filter, range.start, range.end);
+    }
+    
+    return filter;
+}
+
+// Pick one index to read candidates from: dates, then categories, then amounts, then type
+function getIndexQuery(filter) {
+    if (filter.from || filter.to) {
+        // Nothing can match an empty or inverted range
+        if (filter.from && filter.to && filter.from >= filter.to) {
+            return { index: 'date', ranges: [] };
+        }
+        
+        // Dates are stored as ISO strings, which sort chronologically
+        return {
+            index: 'date',
+            ranges: [makeKeyRange(filter.from && filter.from.toISOString(), filter.to && filter.to.toISOString(), false, true)]
+        };
+    }
+    
+    if (filter.categorySets.length > 0) {
+        // Split transactions are also found through each of their parts' categories
+        return { index: ['category', 'splitCategories'], ranges: [...filter.categorySets[0]].map(id => IDBKeyRange.only(id)) };
+    }
+    
+    if (filter.amountRanges.length > 0) {
+        // Amounts are signed, so a size range covers income above zero and expenses below it
+        const { min, max, minOpen, maxOpen } = filter.amountRanges[0];
+        if (min !== null && max !== null && (min > max || (min === max && (minOpen || maxOpen)))) {
+            return { index: 'amountMinor', ranges: [] };
+        }
+        
+        // Minor units differ between currencies, so widen the bounds to fit every currency in use,
+        // including those of accounts and rates for transactions not read into memory yet.
+        // Stored amounts are whole numbers: a bound that falls between two of them is rounded
+        // inwards and includes the number it lands on.
+        const currencies = [getBaseCurrency(), ...accounts.map(account => account.currency), ...exchangeRates.map(rate => rate.currency), ...transactions.map(getTransactionCurrency)];
+        const exponents = [...new Set(currencies)].map(getCurrencyExponent);
+        const scaledLow = min === null ? 0 : scaleToMinorUnits(min, Math.min(...exponents));
+        const scaledHigh = max === null ? null : scaleToMinorUnits(max, Math.max(...exponents));
+        const low = Math.ceil(scaledLow);
+        const high = scaledHigh === null ? null : Math.floor(scaledHigh);
+        const lowOpen = minOpen && low === scaledLow;
+        const highOpen = maxOpen && high === scaledHigh;
+        
+        if (high !== null && (low > high || (low === high && (lowOpen || highOpen)))) {
+            return { index: 'amountMinor', ranges: [] };
+        }
+        
+        const ranges = [];
+        if (filter.type !== 'expense') ranges.push(makeKeyRange(low, high, lowOpen, highOpen));
+        if (!filter.type || filter.type === 'expense') ranges.push(makeKeyRange(high === null ? null : -high, -low, highOpen, lowOpen));
+        return { index: 'amountMinor', ranges };
+    }
+    
+    if (filter.type) {
+        return { index: 'type', ranges: [IDBKeyRange.only(filter.type)] };
+    }
+    
+    return null;
+}
+
+// IDBKeyRange with either side optional
+function makeKeyRange(lower, upper, lowerOpen, upperOpen) {
+    if (lower !== null && upper !== null) return IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen);
+    if (lower !== null) return IDBKeyRange.lowerBound(lower, lowerOpen);
+    if (upper !== null) return IDBKeyRange.upperBound(upper, upperOpen);
+    return null;
+}
+
+// Text a plain search term is matched against
+function getTransactionSearchText(transaction) {
+    const accountNames = [transaction.account, transaction.toAccount].filter(Boolean).map(getAccountName);
+    const splitText = getTransactionSplits(transaction).map(split => [getCategoryLabel(split.category), split.note || ''].join(' '));
+    return [
+        transaction.name,
+        getCategoryLabel(transaction.category),
+        ...splitText,
+        transaction.type,
+        ...accountNames,
+        transaction.payee || '',
+        transaction.note || '',
+        ...(transaction.tags || []).map(tag => `#${tag}`)
+    ].join(' ').toLowerCase();
+}
+
+// Check a transaction against every condition in a filter
+function matchesFilter(transaction, filter) {
+    const date = new Date(transaction.date);
+    if (filter.from && date < filter.from) return false;
+    if (filter.to && date >= filter.to) return false;
+    
+    if (filter.type && transaction.type !== filter.type) return false;
+    if (filter.excludeTypes.includes(transaction.type)) return false;
+    
+    // A transfer belongs to both the account it leaves and the one it reaches
+    const transactionAccounts = [transaction.account, transaction.toAccount].filter(Boolean);
+    if (!filter.accountSets.every(ids => transactionAccounts.some(id => ids.has(id)))) return false;
+    if (transactionAccounts.some(id => filter.excludeAccountIds.has(id))) return false;
+
+    // Any part of a split transaction can match a category
+    const transactionCategories = transaction.splits ? transaction.splits.map(split => split.category) : [transaction.category];
+    if (!filter.categorySets.every(ids => transactionCategories.some(id => ids.has(id)))) return false;
+    if (transactionCategories.some(id => filter.excludeCategoryIds.has(id))) return false;
+    
+    const amount = Math.abs(transaction.amount);
+    const inRanges = filter.amountRanges.every(({ min, max, minOpen, maxOpen }) =>
+        (min === null || (minOpen ? amount > min : amount >= min)) &&
+        (max === null || (maxOpen ? amount < max : amount <= max))
+    );
+    if (!inRanges) return false;
+    
+    const tags = (transaction.tags || []).map(tag => tag.toLowerCase());
+    if (!filter.tags.every(tag => tags.includes(tag))) return false;
+    if (filter.excludeTags.some(tag => tags.includes(tag))) return false;
+    
+    const text = getTransactionSearchText(transaction);
+    return filter.terms.every(term => text.includes(term)) &&
+        !filter.excludeTerms.some(term => text.includes(term));
+}
+
+// Sort a copy of a list by one of the filter panel's sort options
+function sortTransactionList(list, sort = 'date-desc') {
+    const [field, direction] = sort.split('-');
+    const sign = direction === 'asc' ? 1 : -1;
+    
+    const compare = {
+        date: (a, b) => new Date(a.date) - new Date(b.date),
+        amount: (a, b) => Math.abs(a.amount) - Math.abs(b.amount),
+        name: (a, b) => a.name.localeCompare(b.name)
+    }[field] || ((a, b) => new Date(a.date) - new Date(b.date));
+    
+    return [...list].sort((a, b) => sign * compare(a, b));
+}
+
+// Current values of the filter panel
+function getFilterPanelState() {
+    return {
+        type: filterTypeInput.value,
+        account: filterAccountInput.value,
+        sort: filterSortInput.value,
+        amountMin: filterAmountMinInput.value,
+        amountMax: filterAmountMaxInput.value,
+        dateFrom: filterDateFromInput.value,
+        dateTo: filterDateToInput.value,
+        tags: filterTagsInput.value,
+        categories: [...filterCategoriesContainer.querySelectorAll('input:checked')].map(input => input.value)
+    };
+}
+
+// Put saved values back into the filter panel
+function setFilterPanelState(state) {
+    filterTypeInput.value = state.type || '';
+    filterAccountInput.value = getAccount(state.account) ? state.account : '';
+    filterSortInput.value = state.sort || 'date-desc';
+    filterAmountMinInput.value = state.amountMin || '';
+    filterAmountMaxInput.value = state.amountMax || '';
+    filterDateFromInput.value = state.dateFrom || '';
+    filterDateToInput.value = state.dateTo || '';
+    filterTagsInput.value = state.tags || '';
+    
+    const selected = state.categories || [];
+    filterCategoriesContainer.querySelectorAll('input').forEach(input => {
+        input.checked = selected.includes(input.value);
+    });
+}
+
+// Category checkboxes for the filter panel, including archived categories that old transactions use
+function renderFilterCategories() {
+    const selected = getFilterPanelState().categories;
+    filterCategoriesContainer.innerHTML = '';
+    
+    getOrderedCategories(true).forEach(({ category, depth }) => {
+        const label = document.createElement('label');
+        label.className = `filter-category${depth ? ' subcategory' : ''}`;
+        
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = category.id;
+        input.checked = selected.includes(category.id);
+        
+        const name = document.createElement('span');
+        name.textContent = category.archived ? `${category.name} (archived)` : category.name;
+        
+        label.append(input, name);
+        filterCategoriesContainer.appendChild(label);
+    });
+}
+
+// Show or hide the filter panel
+function toggleFilterPanel() {
+    const isOpen = filterPanel.style.display === 'none';
+    filterPanel.style.display = isOpen ? 'block' : 'none';
+    filterToggleButton.setAttribute('aria-expanded', String(isOpen));
+}
+
+// Badge with the number of filter panel conditions in use
+function updateFilterCount() {
+    const state = getFilterPanelState();
+    const count = [
+        state.type,
+        state.account,
+        state.amountMin || state.amountMax,
+        state.dateFrom || state.dateTo,
+        state.tags.trim(),
+        state.categories.length > 0
+    ].filter(Boolean).length;
+    
+    filterCount.textContent = count;
+    filterCount.style.display = count > 0 ? 'inline-block' : 'none';
+    filterToggleButton.classList.toggle('active', count > 0);
+}
+
+// Reset the search box and filter panel
+function clearFilters() {
+    searchInput.value = '';
+    filterPresetInput.value = '';
+    setFilterPanelState({});
+    filterTransactions();
+}
+
+// Saved filter presets, stored as a setting
+function getFilterPresets() {
+    return getSetting('filterPresets', []);
+}
+
+// Fill the saved filter picker
+function renderFilterPresets() {
+    const selectedId = filterPresetInput.value;
+    filterPresetInput.innerHTML = '<option value="">Saved filters...</option>';
+    
+    getFilterPresets().forEach(preset => {
+        filterPresetInput.appendChild(new Option(preset.name, preset.id));
+    });
+    
+    if (getFilterPresets().some(preset => preset.id === selectedId)) {
+        filterPresetInput.value = selectedId;
+    }
+}
+
+// Save the current search and panel under a name, replacing a preset with the same name
+async function saveFilterPreset() {
+    const name = presetNameInput.value.trim();
+    if (!name) {
+        showNotification('Give the filter a name first.', 'error');
+        presetNameInput.focus();
+        return;
+    }
+    
+    const existing = getFilterPresets().find(preset => preset.name.toLowerCase() === name.toLowerCase());
+    const preset = {
+        id: existing ? existing.id : `preset-${Date.now().toString(36)}`,
+        name,
+        query: searchInput.value.trim(),
+        panel: getFilterPanelState()
+    };
+    
+    try {
+        await saveSetting('filterPresets', [...getFilterPresets().filter(p => p.id !== preset.id), preset]);
+        
+        renderFilterPresets();
+        filterPresetInput.value = preset.id;
+        presetNameInput.value = '';
+        showNotification(`Saved filter "${name}".`, 'success');
+    } catch (error) {
+        console.error('Error saving filter preset:', error);
+        showNotification('Error saving filter. Please try again.', 'error');
+    }
+}
+
+// Load the chosen preset into the search box and panel
+function applyFilterPreset() {
+    const preset = getFilterPresets().find(p => p.id === filterPresetInput.value);
+    if (!preset) return;
+    
+    searchInput.value = preset.query;
+    setFilterPanelState(preset.panel);
+    filterTransactions();
+}
+
+// Remove the chosen preset
+async function deleteFilterPreset() {
+    const preset = getFilterPresets().find(p => p.id === filterPresetInput.value);
+    if (!preset) return;
+    
+    try {
+        await saveSetting('filterPresets', getFilterPresets().filter(p => p.id !== preset.id));
+        
+        filterPresetInput.value = '';
+        renderFilterPresets();
+        showNotification(`Deleted filter "${preset.name}".`, 'success');
+    } catch (error) {
+        console.error('Error deleting filter preset:', error);
+        showNotification('Error deleting filter. Please try again.', 'error');
+    }
+}
+
+// =============== Recurring Transaction Functions ===============
+
+// Show the end and weekend options only for repeating entries
+function updateRecurrenceOptions() {
+    recurrenceOptions.style.display = transactionRepeatInput.value ? 'block' : 'none';
+    document.getElementById('repeat-end-date-group').style.display = repeatEndInput.value === 'date' ? 'block' : 'none';
+    document.getElementById('repeat-count-group').style.display = repeatEndInput.value === 'count' ? 'block' : 'none';
+}
+
+// Create a recurring rule from the transaction form
+async function addRecurringRule({ name, amount, category, account, toAccount, currency, details, startDate }) {
+    const count = parseInt(repeatCountInput.value, 10);
+    
+    if (repeatEndInput.value === 'date' && !(repeatEndDateInput.value >= startDate)) {
+        showNotification('The last date must be on or after the first date.', 'warning');
+        return;
+    }
+    
+    if (repeatEndInput.value === 'count' && !(count > 0)) {
+        showNotification('Enter how many times the transaction repeats.', 'warning');
+        return;
+    }
+    
+    const rule = {
+        id: createRecordId(),
+        name,
+        amount,
+        category,
+        account,
+        toAccount,
+        currency,
+        frequency: transactionRepeatInput.value,
+        startDate,
+        endDate: repeatEndInput.value === 'date' ? repeatEndDateInput.value : null,
+        count: repeatEndInput.value === 'count' ? count : null,
+        businessDays: repeatBusinessDaysInput.value,
+        nextIndex: 0,
+        exceptions: {},
+        createdAt: new Date().toISOString()
+    };
+    
+    setTransactionDetails(rule, details);
+    
+    try {
+        await saveRecurringChanges([rule], []);
+        recurringRules.push(rule);
+        
+        // The first occurrences may already be due
+        const scheduledCount = await materializeRecurringTransactions();
+        
+        filterTransactions();
+        updateBalance();
+        updateSpendingSummary();
+        renderUpcoming();
+        
+        resetTransactionForm();
+        
+        showNotification(scheduledCount > 0
+            ? `Recurring transaction created and ${scheduledCount} added.`
+            : 'Recurring transaction scheduled.', 'success');
+    } catch (error) {
+        console.error('Error creating recurring transaction:', error);
+        showNotification('Error saving recurring transaction. Please try again.', 'error');
+    }
+}
+
+// Scheduled date of an occurrence before weekend adjustment.
+// Always counted from the start date so month-end dates don't drift (Jan 31 -> Feb 28 -> Mar 31).
+function getOccurrenceBaseDate(rule, index) {
+    const [year, month, day] = rule.startDate.split('-').map(Number);
+    
+    switch (rule.frequency) {
+        case 'daily':
+            return new Date(year, month - 1, day + index, 12);
+        case 'weekly':
+            return new Date(year, month - 1, day + 7 * index, 12);
+        case 'biweekly':
+            return new Date(year, month - 1, day + 14 * index, 12);
+        case 'monthly': {
+            const lastDay = new Date(year, month - 1 + index + 1, 0).getDate();
+            return new Date(year, month - 1 + index, Math.min(day, lastDay), 12);
+        }
+        case 'yearly': {
+            const lastDay = new Date(year + index, month, 0).getDate();
+            return new Date(year + index, month - 1, Math.min(day, lastDay), 12);
+        }
+        default:
+            throw new Error(`Unknown frequency: ${rule.frequency}`);
+    }
+}
+
+// Scheduled date of an occurrence, moved off weekends if the rule asks for it
+function getOccurrenceDate(rule, index) {
+    const date = getOccurrenceBaseDate(rule, index);
+    
+    if (rule.businessDays === 'previous' || rule.businessDays === 'next') {
+        const step = rule.businessDays === 'previous' ? -1 : 1;
+        while (date.getDay() === 0 || date.getDay() === 6) {
+            date.setDate(date.getDate() + step);
+        }
+    }
+    
+    return date;
+}
+
+// Whether an occurrence is within the rule's end date or count
+function isOccurrenceInRange(rule, index) {
+    if (typeof rule.count === 'number' && index >= rule.count) return false;
+    if (rule.endDate && getDateKey(getOccurrenceBaseDate(rule, index)) > rule.endDate) return false;
+    return true;
+}
+
+// Build the transaction for one occurrence, applying any single-occurrence edit
+function createRecurringTransaction(rule, index, exception = {}) {
+    const amount = exception.amount !== undefined ? exception.amount : rule.amount;
+    const date = exception.date ? getDateFromInput(exception.date) : getOccurrenceDate(rule, index);
+    
+    // Scheduled entries always land at noon so they sort consistently within the day
+    date.setHours(12, 0, 0, 0);
+    
+    const transaction = {
+        id: createRecordId(),
+        name: rule.name,
+        amount,
+        currency: getTransactionCurrency(rule),
+        category: rule.category,
+        account: rule.account,
+        date: date.toISOString(),
+        type: getTransactionType(amount, rule.toAccount),
+        recurringId: rule.id,
+        occurrence: index
+    };
+    
+    if (rule.toAccount) {
+        transaction.toAccount = rule.toAccount;
+    }
+    
+    // Payee, tags, note and goal carry over to every occurrence
+    ['payee', 'tags', 'note', 'goal'].forEach(key => {
+        if (rule[key]) {
+            transaction[key] = rule[key];
+        }
+    });
+    
+    return transaction;
+}
+
+// Add every occurrence that is due by today to the transactions store. Returns how many were added.
+async function materializeRecurringTransactions() {
+    const todayKey = getDateKey(new Date());
+    const created = [];
+    const updatedRules = [];
+    
+    recurringRules.forEach(rule => {
+        const updated = { ...rule, exceptions: { ...rule.exceptions } };
+        let changed = false;
+        
+        // Occurrences moved to another date are added once that date arrives
+        Object.entries(updated.exceptions).forEach(([key, exception]) => {
+            const index = Number(key);
+            
+            if (exception.skip || exception.done || !exception.date || exception.date > todayKey ||
+                !isOccurrenceInRange(updated, index)) {
+                return;
+            }
+            
+            created.push(createRecurringTransaction(updated, index, exception));
+            updated.exceptions[key] = { ...exception, done: true };
+            changed = true;
+        });
+        
+        // Regular occurrences, in order, up to today
+        while (isOccurrenceInRange(updated, updated.nextIndex) &&
+            getDateKey(getOccurrenceDate(updated, updated.nextIndex)) <= todayKey) {
+            const exception = updated.exceptions[updated.nextIndex];
+            
+            // Skipped, already added, or moved (handled above when its date comes)
+            if (!exception || (!exception.skip && !exception.done && !exception.date)) {
+                created.push(createRecurringTransaction(updated, updated.nextIndex, exception));
+            }
+            
+            updated.nextIndex++;
+            changed = true;
+        }
+        
+        if (changed) {
+            updatedRules.push(updated);
+        }
+    });
+    
+    if (updatedRules.length === 0) return 0;
+    
+    try {
+        await saveRecurringChanges(updatedRules, [], created);
+    } catch (error) {
+        console.error('Error adding scheduled transactions:', error);
+        return 0;
+    }
+    
+    recurringRules = recurringRules.map(rule => updatedRules.find(r => r.id === rule.id) || rule);
+    transactions.push(...created);
+    transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+    
+    return created.length;
+}
+
+// Occurrences that have not been added yet, soonest first
+function getUpcomingOccurrences(days = UPCOMING_DAYS, limit = UPCOMING_LIMIT) {
+    const horizon = new Date();
+    horizon.setDate(horizon.getDate() + days);
+    const horizonKey = getDateKey(horizon);
+    const upcoming = [];
+    
+    recurringRules.forEach(rule => {
+        // Moved occurrences that are still waiting
+        Object.entries(rule.exceptions).forEach(([key, exception]) => {
+            const index = Number(key);
+            if (index < rule.nextIndex && exception.date && !exception.skip && !exception.done && exception.date <= horizonKey) {
+                upcoming.push({ rule, index, exception, date: getDateFromInput(exception.date) });
+            }
+        });
+        
+        for (let index = rule.nextIndex; isOccurrenceInRange(rule, index); index++) {
+            const scheduled = getOccurrenceDate(rule, index);
+            if (getDateKey(scheduled) > horizonKey) break;
+            
+            const exception = rule.exceptions[index] || {};
+            if (exception.skip || exception.done) continue;
+            
+            const date = exception.date ? getDateFromInput(exception.date) : scheduled;
+            if (getDateKey(date) <= horizonKey) {
+                upcoming.push({ rule, index, exception, date });
+            }
+        }
+    });
+    
+    return upcoming
+        .sort((a, b) => a.date - b.date)
+        .slice(0, limit);
+}
+
+// Render the Upcoming card
+function renderUpcoming() {
+    upcomingList.innerHTML = '';
+    
+    const upcoming = getUpcomingOccurrences();
+    
+    if (upcoming.length === 0) {
+        emptyUpcomingText.style.display = 'block';
+        upcomingList.appendChild(emptyUpcomingText);
+        return;
+    }
+    
+    emptyUpcomingText.style.display = 'none';
+    
+    upcoming.forEach(({ rule, index, exception, date }) => {
+        const amount = exception.amount !== undefined ? exception.amount : rule.amount;
+        const type = getTransactionType(amount, rule.toAccount);
+        
+        const item = document.createElement('div');
+        item.className = `upcoming-item ${type}`;
+        item.innerHTML = `
+            <div class="upcoming-info">
+                <div class="transaction-name"></div>
+                <div class="transaction-date">
+                    <i class="fas fa-sync-alt" aria-hidden="true"></i> ${date.toLocaleDateString(getLocale(), { weekday: 'short', month: 'short', day: 'numeric' })}
+                    ${exception.date || exception.amount !== undefined ? '<span class="upcoming-edited">edited</span>' : ''}
+                </div>
+            </div>
+            <div class="transaction-amount ${type}">${formatTransactionAmount(amount, type, getTransactionCurrency(rule))}</div>
+            <div class="transaction-actions">
+                <button class="edit-transaction" title="Edit this occurrence" aria-label="Edit this occurrence"><i class="fas fa-pen" aria-hidden="true"></i></button>
+                <button class="delete-transaction" title="Skip this occurrence" aria-label="Skip this occurrence"><i class="fas fa-forward" aria-hidden="true"></i></button>
+            </div>
+        `;
+        item.querySelector('.transaction-name').textContent = rule.name;
+        
+        item.querySelector('.edit-transaction').addEventListener('click', () => {
+            startEditingOccurrence(item, rule, index, date, amount);
+        });
+        item.querySelector('.delete-transaction').addEventListener('click', () => {
+            updateOccurrence(rule, index, { skip: true }, `Skipped ${rule.name} on ${date.toLocaleDateString(getLocale())}.`);
+        });
+        
+        upcomingList.appendChild(item);
+    });
+}
+
+// Inline form to change the date or amount of one occurrence
+function startEditingOccurrence(item, rule, index, date, amount) {
+    const form = document.createElement('form');
+    form.className = 'transaction-edit-form occurrence-edit-form';
+    form.innerHTML = `
+        <input type="date" name="date" aria-label="Date" required>
+        <input type="number" name="amount" aria-label="Amount" step="0.01" required>
+        <div class="transaction-edit-actions">
+            <button type="submit" class="btn-primary">Save</button>
+            <button type="button" class="btn-cancel">Cancel</button>
+        </div>
+    `;
+    
+    form.elements.date.value = getDateKey(date);
+    form.elements.amount.value = amount;
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        // Transfers always move a positive amount
+        const enteredAmount = parseFloat(form.elements.amount.value);
+        const newAmount = rule.toAccount ? Math.abs(enteredAmount) : enteredAmount;
+        if (isNaN(newAmount) || newAmount === 0 || !form.elements.date.value) {
+            showNotification('Please fill in all fields correctly.', 'warning');
+            return;
+        }
+        
+        const changes = {};
+        if (form.elements.date.value !== getDateKey(getOccurrenceDate(rule, index))) {
+            changes.date = form.elements.date.value;
+        }
+        if (newAmount !== rule.amount) {
+            changes.amount = newAmount;
+        }
+        
+        updateOccurrence(rule, index, changes, `Updated ${rule.name} on ${form.elements.date.value}.`, true);
+    });
+    form.querySelector('.btn-cancel').addEventListener('click', renderUpcoming);
+    
+    item.classList.add('editing');
+    item.innerHTML = '';
+    item.appendChild(form);
+    form.elements.date.focus();
+}
+
+// Store a skip or edit for a single occurrence without touching the rest of the series
+async function updateOccurrence(rule, index, changes, message, replace = false) {
+    const previous = rule.exceptions[index] || {};
+    const exception = replace ? changes : { ...previous, ...changes };
+    const exceptions = { ...rule.exceptions };
+    
+    if (Object.keys(exception).length > 0) {
+        exceptions[index] = exception;
+    } else {
+        delete exceptions[index];
+    }
+    
+    const updated = { ...rule, exceptions };
+    
+    try {
+        await saveRecurringChanges([updated], []);
+        recurringRules = recurringRules.map(r => r.id === rule.id ? updated : r);
+        
+        // An occurrence moved to today or earlier is due straight away
+        if (await materializeRecurringTransactions() > 0) {
+            filterTransactions();
+            updateBalance();
+            updateSpendingSummary();
+        }
+        
+        renderUpcoming();
+        showNotification(message, 'success');
+    } catch (error) {
+        console.error('Error updating occurrence:', error);
+        showNotification('Error updating scheduled transaction. Please try again.', 'error');
+    }
+}
+
+// Describe a rule's schedule, e.g. "Monthly until 2026-12-31"
+function describeRecurringRule(rule) {
+    let description = RECURRING_FREQUENCIES[rule.frequency];
+    
+    if (typeof rule.count === 'number') {
+        description += `, ${rule.count} times`;
+    } else if (rule.endDate) {
+        description += ` until ${rule.endDate}`;
+    }
+    
+    if (rule.businessDays === 'previous') {
+        description += ', weekends moved earlier';
+    } else if (rule.businessDays === 'next') {
+        description += ', weekends moved later';
+    }
+    
+    return description;
+}
+
+// Open the list of recurring series
+function openRecurringModal() {
+    renderRecurringList();
+    recurringEditForm.style.display = 'none';
+    recurringModal.classList.add('active');
+}
+
+// Close the list of recurring series
+function closeRecurringModal() {
+    recurringModal.classList.remove('active');
+    recurringEditForm.style.display = 'none';
+}
+
+// Render every recurring series with edit and delete actions
+function renderRecurringList() {
+    recurringList.innerHTML = '';
+    
+    if (recurringRules.length === 0) {
+        recurringList.innerHTML = '<p class="empty-summary">No recurring transactions yet.</p>';
+        return;
+    }
+    
+    const upcoming = getUpcomingOccurrences(3650, Infinity);
+    
+    recurringRules.forEach(rule => {
+        const next = upcoming.find(occurrence => occurrence.rule.id === rule.id);
+        
+        const type = getTransactionType(rule.amount, rule.toAccount);
+        const target = rule.toAccount
+            ? `<i class="fas fa-exchange-alt" aria-hidden="true"></i> ${escapeHTML(getAccountName(rule.account))} → ${escapeHTML(getAccountName(rule.toAccount))}`
+            : `<i class="fas fa-${escapeHTML(getCategoryIcon(rule.category))}" aria-hidden="true"></i> ${escapeHTML(getCategoryLabel(rule.category))}`;
+        
+        const row = document.createElement('div');
+        row.className = `recurring-row ${type}`;
+        row.innerHTML = `
+            <div class="upcoming-info">
+                <div class="transaction-name"></div>
+                <div class="transaction-category">
+                    ${target} · ${describeRecurringRule(rule)}
+                </div>
+                <div class="transaction-date">${next ? `Next: ${next.date.toLocaleDateString(getLocale())}` : 'Finished'}</div>
+            </div>
+            <div class="transaction-amount ${type}">${formatTransactionAmount(rule.amount, type, getTransactionCurrency(rule))}</div>
+            <div class="transaction-actions">
+                <button class="edit-transaction" title="Edit series" aria-label="Edit series"><i class="fas fa-pen" aria-hidden="true"></i></button>
+                <button class="delete-transaction" title="Delete series" aria-label="Delete series"><i class="fas fa-trash" aria-hidden="true"></i></button>
+            </div>
+        `;
+        row.querySelector('.transaction-name').textContent = rule.name;
+        
+        row.querySelector('.edit-transaction').addEventListener('click', () => startEditingRecurringRule(rule));
+        row.querySelector('.delete-transaction').addEventListener('click', () => deleteRecurringRule(rule));
+        
+        recurringList.appendChild(row);
+    });
+}
+
+// Fill the series form with a rule
+function startEditingRecurringRule(rule) {
+    const elements = recurringEditForm.elements;
+    
+    recurringEditForm.dataset.ruleId = rule.id;
+    elements['recurring-name'].value = rule.name;
+    elements['recurring-amount'].value = rule.amount;
+    elements['recurring-category'].innerHTML = '';
+    fillCategorySelect(elements['recurring-category'], rule.category);
+    elements['recurring-category'].value = rule.category || getFallbackCategoryId(-1);
+    elements['recurring-currency'].innerHTML = '';
+    fillCurrencySelect(elements['recurring-currency'], getTransactionCurrency(rule));
+    fillAccountSelect(elements['recurring-account'], rule.account);
+    fillAccountSelect(elements['recurring-to-account'], rule.toAccount);
+    elements['recurring-to-account'].insertBefore(new Option('Not a transfer', ''), elements['recurring-to-account'].firstChild);
+    elements['recurring-to-account'].value = rule.toAccount || '';
+    elements['recurring-frequency'].value = rule.frequency;
+    elements['recurring-end-date'].value = rule.endDate || '';
+    elements['recurring-business-days'].value = rule.businessDays;
+    
+    recurringEditForm.style.display = 'block';
+    elements['recurring-name'].focus();
+}
+
+// Save the series form. Changing the schedule restarts the series from its next occurrence.
+async function saveRecurringEdit(e) {
+    e.preventDefault();
+    
+    const rule = recurringRules.find(r => String(r.id) === recurringEditForm.dataset.ruleId);
+    if (!rule) return;
+    
+    const elements = recurringEditForm.elements;
+    const name = elements['recurring-name'].value.trim();
+    const account = elements['recurring-account'].value;
+    const toAccount = elements['recurring-to-account'].value || null;
+    const enteredAmount = parseFloat(elements['recurring-amount'].value);
+    const amount = toAccount ? Math.abs(enteredAmount) : enteredAmount;
+    const frequency = elements['recurring-frequency'].value;
+    const businessDays = elements['recurring-business-days'].value;
+    const endDate = elements['recurring-end-date'].value || null;
+    
+    if (!name || isNaN(amount) || amount === 0) {
+        showNotification('Please fill in all fields correctly.', 'warning');
+        return;
+    }
+    
+    if (toAccount === account) {
+        showNotification('Choose two different accounts for a transfer.', 'warning');
+        return;
+    }
+    
+    let updated = {
+        ...rule,
+        name,
+        amount,
+        currency: elements['recurring-currency'].value,
+        category: toAccount ? null : elements['recurring-category'].value,
+        account,
+        toAccount,
+        endDate
+    };
+    
+    if (frequency !== rule.frequency || businessDays !== rule.businessDays) {
+        // Occurrence numbers mean something else under the new schedule, so start a fresh run
+        // from the next occurrence still to come, keeping the remaining count
+        let nextIndex = rule.nextIndex;
+        while (rule.exceptions[nextIndex] && (rule.exceptions[nextIndex].done || rule.exceptions[nextIndex].skip)) {
+            nextIndex++;
+        }
+        
+        updated = {
+            ...updated,
+            frequency,
+            businessDays,
+            startDate: getDateKey(getOccurrenceBaseDate(rule, nextIndex)),
+            count: typeof rule.count === 'number' ? Math.max(rule.count - nextIndex, 0) : null,
+            nextIndex: 0,
+            exceptions: {}
+        };
+    }
+    
+    try {
+        await saveRecurringChanges([updated], []);
+        recurringRules = recurringRules.map(r => r.id === rule.id ? updated : r);
+        
+        if (await materializeRecurringTransactions() > 0) {
+            filterTransactions();
+            updateBalance();
+            updateSpendingSummary();
+        }
+        
+        recurringEditForm.style.display = 'none';
+        renderRecurringList();
+        renderUpcoming();
+        showNotification('Recurring series updated.', 'success');
+    } catch (error) {
+        console.error('Error updating recurring series:', error);
+        showNotification('Error saving recurring series. Please try again.', 'error');
+    }
+}
+
+// Stop a series; transactions it already added are kept
+async function deleteRecurringRule(rule) {
+    if (!await confirmDialog(`Stop repeating "${rule.name}"? Transactions already added are kept.`, { title: 'Stop Repeating', confirmLabel: 'Stop Repeating' })) {
+        return;
+    }
+    
+    try {
+        await saveRecurringChanges([], [rule.id]);
+        recurringRules = recurringRules.filter(r => r.id !== rule.id);
+        
+        recurringEditForm.style.display = 'none';
+        renderRecurringList();
+        renderUpcoming();
+        showNotification(`"${rule.name}" will no longer repeat.`, 'success');
+    } catch (error) {
+        console.error('Error deleting recurring series:', error);
+        showNotification('Error deleting recurring series. Please try again.', 'error');
+    }
+}
+
+// =============== Undo History Functions ===============
+
+// Remember a change as the transactions before and after it
+function recordHistory(label, before, after) {
+    undoStack.push({ label, before, after });
+    
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    
+    // A new change invalidates anything that was undone
+    redoStack = [];
+}
+
+// Forget the whole history
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+}
+
+// Toast action that undoes the latest change
+function getUndoAction() {
+    return { label: 'Undo', handler: undoLastChange };
+}
+
+// Undo the latest change
+async function undoLastChange() {
+    const entry = undoStack.pop();
+    
+    if (!entry) {
+        showNotification('Nothing to undo.', 'info');
+        return;
+    }
+    
+    try {
+        await applyHistoryState(entry.after, entry.before);
+        redoStack.push(entry);
+        showNotification(`${entry.label} undone.`, 'info', { label: 'Redo', handler: redoLastChange });
+    } catch (error) {
+        undoStack.push(entry);
+        console.error('Error undoing change:', error);
+        showNotification('Could not undo. Please try again.', 'error');
+    }
+}
+
+// Redo the latest undone change
+async function redoLastChange() {
+    const entry = redoStack.pop();
+    
+    if (!entry) {
+        showNotification('Nothing to redo.', 'info');
+        return;
+    }
+    
+    try {
+        await applyHistoryState(entry.before, entry.after);
+        undoStack.push(entry);
+        showNotification(`${entry.label} redone.`, 'info', getUndoAction());
+    } catch (error) {
+        redoStack.push(entry);
+        console.error('Error redoing change:', error);
+        showNotification('Could not redo. Please try again.', 'error');
+    }
+}
+
+// Swap the `from` versions of the affected transactions for the `to` versions
+async function applyHistoryState(from, to) {
+    const toIds = new Set(to.map(t => t.id));
+    const deleteIds = from.filter(t => !toIds.has(t.id)).map(t => t.id);
+    
+    await applyTransactionChanges(to, deleteIds);
+    
+    const affectedIds = new Set([...from, ...to].map(t => t.id));
+    transactions = transactions.filter(t => !affectedIds.has(t.id)).concat(to);
+    transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+    
+    filterTransactions();
+    updateBalance();
+    updateSpendingSummary();
+}
+
+// Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y to redo
+function handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select')) {
+        return;
+    }
+    
+    const key = e.key.toLowerCase();
+    
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoLastChange();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redoLastChange();
+    }
+}
+
+// =============== Import Functions ===============
+
+// State of the statement currently being previewed
+let importState = null;
+
+// Open the import preview for the selected statement file
+async function handleImportFile(e) {
+    const file = e.target.files[0];
+    // Reset so picking the same file again still fires a change event
+    importFileInput.value = '';
+    if (!file) return;
+    
+    await openImportFile(file);
+}
+
+// Read a statement file and show its import preview
+async function openImportFile(file) {
+    // Duplicates are looked for among every transaction
+    await transactionsLoaded;
+    
+    try {
+        const text = (await file.text()).replace(/^\uFEFF/, '');
+        const format = detectImportFormat(file.name, text);
+        
+        importState = { fileName: file.name, format, rows: [] };
+        
+        if (format === 'csv') {
+            importState.csvRows = parseCSV(text);
+            
+            if (importState.csvRows.length === 0) {
+                showNotification('That file does not contain any rows.', 'warning');
+                return;
+            }
+            
+            setupCSVMapping();
+        } else {
+            const records = format === 'ofx' ? parseOFX(text) : parseQIF(text);
+            const dateFormat = format === 'ofx' ? 'ymd' : detectDateFormat(records.map(r => r.date));
+            importState.rows = buildImportRows(records, dateFormat);
+        }
+        
+        importMapping.style.display = format === 'csv' ? 'block' : 'none';
+        importFileName.textContent = `${file.name} (${format.toUpperCase()})`;
+        renderImportPreview();
+        importModal.classList.add('active');
+    } catch (error) {
+        console.error('Error reading import file:', error);
+        showNotification('Could not read that file. Please check the format.', 'error');
+    }
+}
+
+// Work out the statement format from the extension, falling back to the content
+function detectImportFormat(fileName, text) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    
+    if (extension === 'ofx' || extension === 'qfx' || /<OFX>/i.test(text)) {
+        return 'ofx';
+    }
+    
+    if (extension === 'qif' || /^!Type:/im.test(text)) {
+        return 'qif';
+    }
+    
+    return 'csv';
+}
+
+// Parse CSV text into an array of rows (handles quoted fields and embedded newlines)
+function parseCSV(text) {
+    const delimiter = detectCSVDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    // Drop blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Pick the delimiter that splits the first line into the most columns
+function detectCSVDelimiter(text) {
+    const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+    let delimiter = ',';
+    let bestCount = 0;
+    
+    [',', ';', '\t', '|'].forEach(candidate => {
+        const count = firstLine.split(candidate).length - 1;
+        if (count > bestCount) {
+            delimiter = candidate;
+            bestCount = count;
+        }
+    });
+    
+    return delimiter;
+}
+
+// Fill the column selects and guess a mapping from the header row
+function setupCSVMapping() {
+    const columnCount = Math.max(...importState.csvRows.map(row => row.length));
+    const headers = importState.csvRows[0];
+    
+    Object.entries(importColumnInputs).forEach(([key, select]) => {
+        select.innerHTML = '';
+        
+        // Optional columns can be left unmapped
+        if (key === 'debit' || key === 'credit') {
+            select.appendChild(new Option('None', '-1'));
+        }
+        
+        for (let i = 0; i < columnCount; i++) {
+            const header = (headers[i] || '').trim();
+            select.appendChild(new Option(header ? `${i + 1}: ${header}` : `Column ${i + 1}`, String(i)));
+        }
+    });
+    
+    const mapping = guessCSVMapping(headers);
+    
+    importColumnInputs.date.value = String(mapping.date);
+    importColumnInputs.name.value = String(mapping.name);
+    importColumnInputs.amount.value = String(mapping.amount);
+    importColumnInputs.debit.value = String(mapping.debit);
+    importColumnInputs.credit.value = String(mapping.credit);
+    importAmountModeInput.value = mapping.mode;
+    importHasHeaderInput.checked = mapping.hasHeader;
+    importInvertInput.checked = false;
+    
+    const dataRows = mapping.hasHeader ? importState.csvRows.slice(1) : importState.csvRows;
+    importDateFormatInput.value = detectDateFormat(dataRows.map(row => row[mapping.date]));
+    
+    updateCSVMapping();
+}
+
+// Guess which columns hold the date, description and amounts
+function guessCSVMapping(headers) {
+    const find = (patterns) => headers.findIndex(header => patterns.some(pattern => pattern.test(header)));
+    
+    const mapping = {
+        date: find([/date/i, /posted/i, /^time/i]),
+        name: find([/desc/i, /payee/i, /merchant/i, /narrative/i, /details/i, /name/i, /memo/i]),
+        amount: find([/amount/i, /^value$/i, /^sum$/i]),
+        debit: find([/debit/i, /withdrawal/i, /paid out/i, /money out/i]),
+        credit: find([/credit/i, /deposit/i, /paid in/i, /money in/i])
+    };
+    
+    // If no header matched, assume the first row is data in a date/description/amount layout
+    mapping.hasHeader = Object.values(mapping).some(index => index !== -1);
+    mapping.mode = mapping.amount === -1 && mapping.debit !== -1 ? 'split' : 'single';
+    
+    if (mapping.date === -1) mapping.date = 0;
+    if (mapping.name === -1) mapping.name = Math.min(1, headers.length - 1);
+    if (mapping.amount === -1) mapping.amount = headers.length - 1;
+    
+    return mapping;
+}
+
+// Rebuild the preview rows from the current CSV mapping
+function updateCSVMapping() {
+    if (!importState || importState.format !== 'csv') return;
+    
+    const split = importAmountModeInput.value === 'split';
+    document.getElementById('import-amount-group').style.display = split ? 'none' : 'block';
+    document.getElementById('import-debit-group').style.display = split ? 'block' : 'none';
+    document.getElementById('import-credit-group').style.display = split ? 'block' : 'none';
+    
+    const column = (key) => parseInt(importColumnInputs[key].value, 10);
+    const dataRows = importHasHeaderInput.checked ? importState.csvRows.slice(1) : importState.csvRows;
+    
+    const records = dataRows.map(row => {
+        let amount;
+        
+        if (split) {
+            const debit = column('debit') >= 0 ? parseImportAmount(row[column('debit')]) : NaN;
+            const credit = column('credit') >= 0 ? parseImportAmount(row[column('credit')]) : NaN;
+            amount = isNaN(debit) && isNaN(credit)
+                ? NaN
+                : (isNaN(credit) ? 0 : Math.abs(credit)) - (isNaN(debit) ? 0 : Math.abs(debit));
+        } else {
+            amount = parseImportAmount(row[column('amount')]);
+        }
+        
+        if (importInvertInput.checked) {
+            amount = -amount;
+        }
+        
+        return {
+            date: row[column('date')],
+            name: row[column('name')],
+            amount
+        };
+    });
+    
+    importState.rows = buildImportRows(records, importDateFormatInput.value);
+    renderImportPreview();
+}
+
+// Parse OFX/QFX statements (both SGML and XML flavours)
+function parseOFX(text) {
+    return text.split(/<STMTTRN>/i).slice(1).map(chunk => {
+        const block = chunk.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0];
+        const field = (tag) => {
+            const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+            return match ? decodeOFXText(match[1].trim()) : '';
+        };
+        
+        return {
+            date: field('DTPOSTED'),
+            name: field('NAME') || field('MEMO') || field('PAYEE'),
+            amount: parseImportAmount(field('TRNAMT'))
+        };
+    });
+}
+
+// Decode the few entities OFX files escape
+function decodeOFXText(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Parse QIF statements; each record ends with a ^ line
+function parseQIF(text) {
+    const records = [];
+    let current = {};
+    
+    text.split(/\r?\n/).forEach(line => {
+        if (!line.trim() || line.startsWith('!')) return;
+        
+        const value = line.slice(1).trim();
+        
+        switch (line[0]) {
+            case 'D':
+                current.date = value.replace(/\s/g, '');
+                break;
+            case 'T':
+            case 'U':
+                if (current.amount === undefined) {
+                    current.amount = parseImportAmount(value);
+                }
+                break;
+            case 'P':
+                current.name = value;
+                break;
+            case 'M':
+                current.memo = value;
+                break;
+            case 'L':
+                current.category = value;
+                break;
+            case '^':
+                records.push({ ...current, name: current.name || current.memo });
+                current = {};
+                break;
+        }
+    });
+    
+    // Tolerate a missing terminator on the last record
+    if (current.date || current.amount !== undefined) {
+        records.push({ ...current, name: current.name || current.memo });
+    }
+    
+    return records;
+}
+
+// Parse an amount like "$1,234.56", "(12.00)", "12,50", "45.00 DR" or "12.00-"
+function parseImportAmount(value) {
+    let text = String(value === undefined || value === null ? '' : value).trim();
+    if (!text) return NaN;
+    
+    let negative = false;
+    
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    
+    if (/\bDR$/i.test(text) || /-$/.test(text)) {
+        negative = true;
+    }
+    
+    text = text.replace(/\b(CR|DR)$/i, '').replace(/-$/, '').replace(/[^\d.,-]/g, '');
+    
+    if (text.startsWith('-')) {
+        negative = !negative;
+        text = text.slice(1);
+    }
+    
+    // Treat a trailing comma with one or two digits as a decimal comma ("1.234,56")
+    if (text.lastIndexOf(',') > text.lastIndexOf('.') && /,\d{1,2}$/.test(text)) {
+        text = text.replace(/\./g, '').replace(',', '.');
+    } else {
+        text = text.replace(/,/g, '');
+    }
+    
+    const amount = parseFloat(text);
+    if (isNaN(amount)) return NaN;
+    
+    return negative ? -amount : amount;
+}
+
+// Decide between day-first and month-first by looking for values above 12
+function detectDateFormat(values) {
+    for (const value of values) {
+        const text = String(value || '').trim();
+        
+        if (/^\d{4}[-/.]?\d{2}/.test(text)) {
+            return 'ymd';
+        }
+        
+        const match = text.match(/^(\d{1,2})[-/.]/);
+        if (match && parseInt(match[1], 10) > 12) {
+            return 'dmy';
+        }
+    }
+    
+    // Ambiguous dates default to month-first
+    return 'mdy';
+}
+
+// Parse a statement date into a local Date at noon (so timezones never shift the day)
+function parseImportDate(value, format = 'mdy') {
+    const text = String(value || '').trim();
+    let match;
+    
+    // OFX style: 20260115 or 20260115120000[-5:EST]
+    match = text.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (match) {
+        return makeImportDate(+match[1], +match[2], +match[3]);
+    }
+    
+    match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    if (match) {
+        return makeImportDate(+match[1], +match[2], +match[3]);
+    }
+    
+    // QIF uses an apostrophe before two-digit years, e.g. 1/15'26
+    match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.'](\d{2,4})/);
+    if (match) {
+        let year = +match[3];
+        if (year < 100) {
+            year += year < 70 ? 2000 : 1900;
+        }
+        
+        return format === 'dmy'
+            ? makeImportDate(year, +match[2], +match[1])
+            : makeImportDate(year, +match[1], +match[2]);
+    }
+    
+    // Last resort for things like "15 Jan 2026"
+    const parsed = new Date(text);
+    return isNaN(parsed) ? null : makeImportDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+}
+
+// Build a validated local date
+function makeImportDate(year, month, day) {
+    const date = new Date(year, month - 1, day, 12);
+    
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+    
+    return date;
+}
+
+// Turn parsed records into preview rows with validation and duplicate flags
+function buildImportRows(records, dateFormat) {
+    return records.map(record => {
+        const date = parseImportDate(record.date, dateFormat);
+        const amount = typeof record.amount === 'number' ? record.amount : parseImportAmount(record.amount);
+        const name = String(record.name || '').trim() || 'Imported transaction';
+        const valid = date !== null && !isNaN(amount) && amount !== 0;
+        const row = { date, name, amount, valid, duplicate: null };
+        
+        // A matching rule beats the statement's own category
+        const rule = findMatchingRule({ name, amount });
+        row.category = (rule && getRuleCategory(rule)) || guessImportCategory(record.category, name, amount);
+        row.tags = rule ? [...rule.tags] : [];
+        
+        if (valid) {
+            row.duplicate = findDuplicateTransaction(row);
+        }
+        
+        // Likely duplicates start unticked so they are only imported on purpose
+        row.selected = valid && !row.duplicate;
+        
+        return row;
+    });
+}
+
+// Use the statement's category when it matches one of ours, otherwise what earlier entries
+// with the same name used, and finally fall back on the sign
+function guessImportCategory(statementCategory, name, amount) {
+    if (statementCategory) {
+        // QIF categories look like "Food:Groceries"; prefer the most specific match
+        const parts = statementCategory.split(':').map(part => part.trim().toLowerCase()).filter(Boolean);
+        const options = getCategoryOptions();
+        
+        for (const part of parts.reverse()) {
+            const match = options.find(option => getCategoryName(option.id).toLowerCase() === part);
+            if (match) return match.id;
+        }
+    }
+    
+    return getLearnedCategory(name) || getFallbackCategoryId(amount);
+}
+
+// Find an existing transaction on the same day with the same amount and a similar name
+function findDuplicateTransaction(row) {
+    const dayKey = getDateKey(row.date);
+    
+    return transactions.find(transaction =>
+        getDateKey(transaction.date) === dayKey &&
+        Math.abs(transaction.amount - row.amount) < 0.005 &&
+        getNameSimilarity(transaction.name, row.name) >= 0.6
+    ) || null;
+}
+
+// Similarity between two names from 0 to 1 (Dice coefficient over character pairs)
+function getNameSimilarity(a, b) {
+    const normalize = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const first = normalize(a);
+    const second = normalize(b);
+    
+    if (!first || !second) return 0;
+    if (first === second) return 1;
+    
+    // Bank descriptions often wrap the merchant name in extra reference text
+    const shorter = first.length < second.length ? first : second;
+    const longer = shorter === first ? second : first;
+    if (shorter.length >= 4 && longer.includes(shorter)) return 1;
+    
+    const pairs = (text) => {
+        const list = [];
+        for (let i = 0; i < text.length - 1; i++) {
+            list.push(text.slice(i, i + 2));
+        }
+        return list;
+    };
+    
+    const firstPairs = pairs(first);
+    const secondPairs = pairs(second);
+    const counts = new Map();
+    let matches = 0;
+    
+    firstPairs.forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+    secondPairs.forEach(pair => {
+        const count = counts.get(pair);
+        if (count) {
+            matches++;
+            counts.set(pair, count - 1);
+        }
+    });
+    
+    return (2 * matches) / (firstPairs.length + secondPairs.length || 1);
+}
+
+// Render the preview table of rows to import
+function renderImportPreview() {
+    const rows = importState.rows;
+    const validCount = rows.filter(row => row.valid).length;
+    const duplicateCount = rows.filter(row => row.duplicate).length;
+    
+    importPreview.innerHTML = '';
+    
+    const table = document.createElement('table');
+    table.className = 'import-table';
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th><input type="checkbox" id="import-select-all" title="Select all"></th>
+                <th>Date</th>
+                <th>Description</th>
+                <th>Amount</th>
+                <th>Category</th>
+                <th>Status</th>
+            </tr>
+        </thead>
+    `;
+    
+    const body = document.createElement('tbody');
+    
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        tr.className = row.valid ? (row.duplicate ? 'duplicate' : '') : 'invalid';
+        
+        const checkboxCell = document.createElement('td');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = row.selected;
+        checkbox.disabled = !row.valid;
+        checkbox.addEventListener('change', () => {
+            row.selected = checkbox.checked;
+            updateImportSummary();
+        });
+        checkboxCell.appendChild(checkbox);
+        
+        const dateCell = document.createElement('td');
+        dateCell.textContent = row.date ? row.date.toLocaleDateString(getLocale()) : '—';
+        
+        const nameCell = document.createElement('td');
+        nameCell.textContent = row.name;
+        if (row.tags.length > 0) {
+            const tags = document.createElement('span');
+            tags.className = 'import-tags';
+            tags.textContent = row.tags.map(tag => `#${tag}`).join(' ');
+            nameCell.appendChild(tags);
+        }
+        
+        const amountCell = document.createElement('td');
+        amountCell.className = row.amount >= 0 ? 'income' : 'expense';
+        amountCell.textContent = isNaN(row.amount) ? '—' : formatCurrency(row.amount);
+        
+        const categoryCell = document.createElement('td');
+        const categorySelect = document.createElement('select');
+        fillCategorySelect(categorySelect, row.category);
+        categorySelect.addEventListener('change', () => {
+            row.category = categorySelect.value;
+        });
+        categoryCell.appendChild(categorySelect);
+        
+        const statusCell = document.createElement('td');
+        if (!row.valid) {
+            statusCell.innerHTML = '<span class="import-badge invalid">Invalid</span>';
+        } else if (row.duplicate) {
+            statusCell.innerHTML = '<span class="import-badge duplicate">Possible duplicate</span>';
+            statusCell.title = `Matches "${row.duplicate.name}" on ${new Date(row.duplicate.date).toLocaleDateString(getLocale())}`;
+        } else {
+            statusCell.innerHTML = '<span class="import-badge new">New</span>';
+        }
+        
+        tr.append(checkboxCell, dateCell, nameCell, amountCell, categoryCell, statusCell);
+        body.appendChild(tr);
+    });
+    
+    table.appendChild(body);
+    importPreview.appendChild(table);
+    
+    // Select all toggles every valid row
+    const selectAll = table.querySelector('#import-select-all');
+    selectAll.checked = validCount > 0 && rows.every(row => !row.valid || row.selected);
+    selectAll.addEventListener('change', () => {
+        rows.forEach(row => {
+            if (row.valid) row.selected = selectAll.checked;
+        });
+        renderImportPreview();
+    });
+    
+    importState.summary = `${rows.length} rows found, ${validCount} valid, ${duplicateCount} possible duplicates.`;
+    updateImportSummary();
+}
+
+// Update the summary line and the confirm button count
+function updateImportSummary() {
+    const selectedCount = importState.rows.filter(row => row.selected).length;
+    importSummary.textContent = importState.summary;
+    confirmImportButton.textContent = `Import ${selectedCount} transaction${selectedCount === 1 ? '' : 's'}`;
+    confirmImportButton.disabled = selectedCount === 0;
+}
+
+// Write the accepted rows to IndexedDB in one go
+async function confirmImport() {
+    if (!importState) return;
+    
+    const accepted = importState.rows.filter(row => row.valid && row.selected);
+    
+    if (accepted.length === 0) {
+        showNotification('No transactions selected for import.', 'warning');
+        return;
+    }
+    
+    const newTransactions = accepted.map(row => {
+        const transaction = {
+            id: createRecordId(),
+            name: row.name,
+            amount: row.amount,
+            currency: getAccountCurrency(importAccountInput.value),
+            category: row.category,
+            account: importAccountInput.value,
+            date: row.date.toISOString(),
+            type: getTransactionType(row.amount)
+        };
+        
+        if (row.tags.length > 0) {
+            transaction.tags = [...row.tags];
+        }
+        
+        return transaction;
+    });
+    
+    const budgetUsageBefore = getBudgetUsage();
+    
+    try {
+        await saveTransactions(newTransactions);
+        
+        transactions.push(...newTransactions);
+        transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+        
+        // Re-apply the current search to the updated list
+        filterTransactions();
+        updateBalance();
+        updateSpendingSummary();
+        
+        closeImportModal();
+        showNotification(`Imported ${newTransactions.length} transactions.`, 'success');
+        notifyBudgetThresholds(budgetUsageBefore);
+    } catch (error) {
+        console.error('Error importing transactions:', error);
+        showNotification('Error importing transactions. Nothing was saved.', 'error');
+    }
+}
+
+// Close import modal and drop the preview
+function closeImportModal() {
+    importModal.classList.remove('active');
+    importState = null;
+}
+
+// =============== Backup & Restore Functions ===============
+
+// Backup waiting for the user to pick merge or replace
+let pendingRestore = null;
+
+// Upgrade steps keyed by the schema version they upgrade FROM
+const BACKUP_MIGRATIONS = {
+    // Version 0: a bare array of transactions (hand-made or pre-versioning exports)
+    0: (backup) => ({
+        app: 'ZenBudget',
+        schemaVersion: 1,
+        exportedAt: null,
+        data: {
+            [STORE_NAME]: backup.map(transaction => {
+                const amount = parseFloat(transaction.amount);
+                return {
+                    ...transaction,
+                    id: transaction.id !== undefined ? transaction.id : Date.now() + Math.random(),
+                    amount,
+                    category: transaction.category || 'Other',
+                    date: transaction.date || new Date().toISOString(),
+                    type: transaction.type || (amount >= 0 ? 'income' : 'expense')
+                };
+            })
+        }
+    }),
+    
+    // Version 1: transactions carried category names; version 2 stores categories and references them by id
+    1: (backup) => {
+        const migrated = assignCategoryIds(backup.data[STORE_NAME] || [], []);
+        
+        return {
+            ...backup,
+            schemaVersion: 2,
+            data: {
+                ...backup.data,
+                [STORE_NAME]: migrated.transactions,
+                [CATEGORY_STORE_NAME]: migrated.categories
+            }
+        };
+    },
+    
+    // Version 2 had no budgets
+    2: (backup) => ({
+        ...backup,
+        schemaVersion: 3,
+        data: { ...backup.data, [BUDGET_STORE_NAME]: [] }
+    }),
+    
+    // Version 3 had no recurring rules
+    3: (backup) => ({
+        ...backup,
+        schemaVersion: 4,
+        data: { ...backup.data, [RECURRING_STORE_NAME]: [] }
+    }),
+    
+    // Version 4 had no settings
+    4: (backup) => ({
+        ...backup,
+        schemaVersion: 5,
+        data: { ...backup.data, [SETTINGS_STORE_NAME]: [] }
+    }),
+    
+    // Version 5 had no accounts; everything lived in one
+    5: (backup) => ({
+        ...backup,
+        schemaVersion: 6,
+        data: {
+            ...backup.data,
+            [ACCOUNT_STORE_NAME]: [{ ...DEFAULT_ACCOUNT, createdAt: backup.exportedAt || new Date().toISOString() }],
+            [STORE_NAME]: assignDefaultAccount(backup.data[STORE_NAME] || []),
+            [RECURRING_STORE_NAME]: assignDefaultAccount(backup.data[RECURRING_STORE_NAME] || [])
+        }
+    }),
+    
+    // Version 6 had no exchange rates; amounts without a currency use their account's
+    6: (backup) => ({
+        ...backup,
+        schemaVersion: 7,
+        data: { ...backup.data, [RATE_STORE_NAME]: [] }
+    }),
+    
+    // Version 7 had no receipts
+    7: (backup) => ({
+        ...backup,
+        schemaVersion: 8,
+        data: { ...backup.data, [RECEIPT_STORE_NAME]: [] }
+    }),
+    
+    // Version 8 had no categorization rules
+    8: (backup) => ({
+        ...backup,
+        schemaVersion: 9,
+        data: { ...backup.data, [RULE_STORE_NAME]: [] }
+    }),
+    
+    // Version 9 had no savings goals
+    9: (backup) => ({
+        ...backup,
+        schemaVersion: 10,
+        data: { ...backup.data, [GOAL_STORE_NAME]: [] }
+    }),
+    
+    // Version 10 had no bills
+    10: (backup) => ({
+        ...backup,
+        schemaVersion: 11,
+        data: { ...backup.data, [BILL_STORE_NAME]: [] }
+    }),
+    
+    // Version 11 could have numeric transaction and recurring rule ids
+    11: (backup) => ({
+        ...backup,
+        schemaVersion: 12,
+        data: {
+            ...backup.data,
+            [STORE_NAME]: (backup.data[STORE_NAME] || []).map(transaction => {
+                const migrated = { ...transaction, id: String(transaction.id) };
+                if (transaction.recurringId !== undefined) {
+                    migrated.recurringId = String(transaction.recurringId);
+                }
+                return migrated;
+            }),
+            [RECURRING_STORE_NAME]: (backup.data[RECURRING_STORE_NAME] || []).map(rule => ({ ...rule, id: String(rule.id) })),
+            [RECEIPT_STORE_NAME]: (backup.data[RECEIPT_STORE_NAME] || []).map(receipt => ({ ...receipt, transactionId: String(receipt.transactionId) }))
+        }
+    })
+};
+
+// Collect every backed-up store into a backup object
+async function createBackup() {
+    const data = {};
+    for (const storeName of BACKUP_STORES) {
+        data[storeName] = await getAllFromStore(storeName);
+    }
+    
+    // The sync connection and passcode belong to this device, and the backup is not encrypted
+    data[SETTINGS_STORE_NAME] = data[SETTINGS_STORE_NAME].filter(setting => !DEVICE_SETTING_KEYS.includes(setting.key));
+    data[STORE_NAME] = await openRecords(data[STORE_NAME]);
+    
+    // Receipt images go into the JSON as data URLs
+    data[RECEIPT_STORE_NAME] = await Promise.all(data[RECEIPT_STORE_NAME].map(async ({ blob, ...receipt }) => ({
+        ...receipt,
+        dataUrl: await blobToDataURL(blob)
+    })));
+    
+    return {
+        app: 'ZenBudget',
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        data
+    };
+}
+
+// Download the full JSON backup
+async function exportBackup() {
+    try {
+        const backup = await createBackup();
+        
+        downloadFile(JSON.stringify(backup, null, 2), `zenbudget-backup-${getDateKey(new Date())}.json`, 'application/json');
+        showNotification('Backup downloaded.', 'success');
+    } catch (error) {
+        console.error('Error exporting backup:', error);
+        showNotification('Error creating backup. Please try again.', 'error');
+    }
+}
+
+// Download transactions as CSV for spreadsheets
+async function exportCSV() {
+    await transactionsLoaded;
+    
+    const header = ['Date', 'Name', 'Category', 'Account', 'To Account', 'Type', 'Amount', 'Currency', 'Splits', 'Payee', 'Tags', 'Note', 'Goal'];
+    const rows = transactions.map(transaction => {
+        // Amounts keep as many decimals as their currency has: none for JPY, three for KWD
+        const currency = getTransactionCurrency(transaction);
+        const decimals = getCurrencyExponent(currency);
+        
+        return [
+            getDateKey(transaction.date),
+            transaction.name,
+            transaction.type === 'transfer' ? '' : getCategoryLabel(transaction.category),
+            getAccountName(transaction.account),
+            transaction.toAccount ? getAccountName(transaction.toAccount) : '',
+            transaction.type,
+            transaction.amount.toFixed(decimals),
+            currency,
+            (transaction.splits || [])
+                .map(split => `${getCategoryLabel(split.category)} ${split.amount.toFixed(decimals)}${split.note ? ` (${split.note})` : ''}`)
+                .join('; '),
+            transaction.payee || '',
+            (transaction.tags || []).join(', '),
+            transaction.note || '',
+            transaction.goal ? getGoalName(transaction.goal) : ''
+        ];
+    });
+    
+    const csv = [header, ...rows]
+        .map(row => row.map(escapeCSVField).join(','))
+        .join('\r\n');
+    
+    downloadFile(csv, `zenbudget-transactions-${getDateKey(new Date())}.csv`, 'text/csv');
+    showNotification('CSV exported.', 'success');
+}
+
+// Quote a CSV field when it contains a delimiter, quote or newline
+function escapeCSVField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Trigger a browser download for generated content
+function downloadFile(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Restore from the backup file picked in the backup modal
+async function handleRestoreFile(e) {
+    const file = e.target.files[0];
+    restoreFileInput.value = '';
+    if (!file) return;
+    
+    await readRestoreFile(file);
+}
+
+// Read, migrate and validate a backup file, then ask how to restore it
+async function readRestoreFile(file) {
+    let backup;
+    
+    try {
+        backup = migrateBackup(JSON.parse(await file.text()));
+        validateBackup(backup);
+    } catch (error) {
+        console.error('Invalid backup file:', error);
+        resetRestore();
+        showNotification(`Cannot restore this file: ${error.message}`, 'error');
+        return;
+    }
+    
+    previewRestore(backup, file.name);
+}
+
+// Summarize a migrated backup and ask how to restore it
+function previewRestore(backup, sourceName) {
+    const restoredTransactions = backup.data[STORE_NAME] || [];
+    const restoredCategories = backup.data[CATEGORY_STORE_NAME] || [];
+    const existingIds = new Set(transactions.map(t => t.id));
+    const overlapCount = restoredTransactions.filter(t => existingIds.has(t.id)).length;
+    const exportedAt = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString(getLocale()) : 'an unknown date';
+    
+    pendingRestore = backup;
+    restoreSummary.textContent = `${sourceName}: ${restoredTransactions.length} transactions and ` +
+        `${restoredCategories.length} categories exported on ${exportedAt}` +
+        (overlapCount ? ` (${overlapCount} already in ZenBudget).` : '.');
+    restorePreview.style.display = 'block';
+}
+
+// Bring an older backup up to the current schema version
+function migrateBackup(backup) {
+    if (!Array.isArray(backup) && (!backup || backup.app !== 'ZenBudget')) {
+        throw new Error('not a ZenBudget backup');
+    }
+    
+    let current = backup;
+    let version = Array.isArray(backup) ? 0 : backup.schemaVersion;
+    
+    if (typeof version !== 'number' || version < 0) {
+        throw new Error('missing schema version');
+    }
+    
+    if (version > BACKUP_SCHEMA_VERSION) {
+        throw new Error('it was made by a newer version of ZenBudget');
+    }
+    
+    while (version < BACKUP_SCHEMA_VERSION) {
+        console.log(`Migrating backup from schema version ${version}`);
+        current = BACKUP_MIGRATIONS[version](current);
+        version = current.schemaVersion;
+    }
+    
+    return current;
+}
+
+// Throw with a readable message if the backup would put bad data in IndexedDB
+function validateBackup(backup) {
+    if (!backup.data || typeof backup.data !== 'object') {
+        throw new Error('no data section');
+    }
+    
+    Object.keys(backup.data).forEach(storeName => {
+        if (!BACKUP_STORES.includes(storeName)) {
+            throw new Error(`unknown section "${storeName}"`);
+        }
+        
+        if (!Array.isArray(backup.data[storeName])) {
+            throw new Error(`"${storeName}" is not a list`);
+        }
+    });
+    
+    (backup.data[STORE_NAME] || []).forEach((transaction, index) => {
+        const problem = getTransactionProblem(transaction);
+        if (problem) {
+            throw new Error(`transaction ${index + 1} ${problem}`);
+        }
+    });
+    
+    (backup.data[CATEGORY_STORE_NAME] || []).forEach((category, index) => {
+        if (!category || typeof category.id !== 'string' || typeof category.name !== 'string' || !category.name.trim()) {
+            throw new Error(`category ${index + 1} is missing an id or name`);
+        }
+    });
+    
+    (backup.data[BUDGET_STORE_NAME] || []).forEach((budget, index) => {
+        if (!budget || typeof budget.categoryId !== 'string' || typeof budget.limit !== 'number' || !(budget.limit > 0)) {
+            throw new Error(`budget ${index + 1} is missing a category or limit`);
+        }
+    });
+    
+    (backup.data[RECURRING_STORE_NAME] || []).forEach((rule, index) => {
+        if (!rule || typeof rule.id !== 'string' || typeof rule.name !== 'string' || typeof rule.amount !== 'number' ||
+            !RECURRING_FREQUENCIES[rule.frequency] || !/^\d{4}-\d{2}-\d{2}$/.test(rule.startDate)) {
+            throw new Error(`recurring rule ${index + 1} is incomplete`);
+        }
+    });
+    
+    (backup.data[ACCOUNT_STORE_NAME] || []).forEach((account, index) => {
+        if (!account || typeof account.id !== 'string' || typeof account.name !== 'string' || !account.name.trim() ||
+            typeof account.openingBalance !== 'number' || typeof account.currency !== 'string') {
+            throw new Error(`account ${index + 1} is incomplete`);
+        }
+    });
+    
+    (backup.data[RATE_STORE_NAME] || []).forEach((rate, index) => {
+        if (!rate || typeof rate.currency !== 'string' || !/^[A-Z]{3}$/.test(rate.currency) ||
+            typeof rate.rate !== 'number' || !(rate.rate > 0)) {
+            throw new Error(`exchange rate ${index + 1} is incomplete`);
+        }
+    });
+    
+    (backup.data[RECEIPT_STORE_NAME] || []).forEach((receipt, index) => {
+        if (!receipt || typeof receipt.id !== 'string' || typeof receipt.transactionId !== 'string' ||
+            typeof receipt.dataUrl !== 'string' || !receipt.dataUrl.startsWith('data:')) {
+            throw new Error(`receipt ${index + 1} is incomplete`);
+        }
+    });
+    
+    (backup.data[RULE_STORE_NAME] || []).forEach((rule, index) => {
+        if (!rule || typeof rule.id !== 'string' || typeof rule.order !== 'number' || !['contains', 'regex'].includes(rule.match) ||
+            typeof rule.pattern !== 'string' || typeof rule.payee !== 'string' || !Array.isArray(rule.tags)) {
+            throw new Error(`rule ${index + 1} is incomplete`);
+        }
+    });
+    
+    (backup.data[GOAL_STORE_NAME] || []).forEach((goal, index) => {
+        if (!goal || typeof goal.id !== 'string' || typeof goal.name !== 'string' || !goal.name.trim() ||
+            typeof goal.target !== 'number' || !(goal.target > 0) || typeof goal.startingAmount !== 'number' ||
+            typeof goal.currency !== 'string' || (goal.deadline !== null && !/^\d{4}-\d{2}-\d{2}$/.test(goal.deadline))) {
+            throw new Error(`goal ${index + 1} is incomplete`);
+        }
+    });
+    
+    (backup.data[BILL_STORE_NAME] || []).forEach((bill, index) => {
+        if (!bill || typeof bill.id !== 'string' || typeof bill.name !== 'string' || !bill.name.trim() ||
+            typeof bill.amount !== 'number' || !(bill.amount > 0) || typeof bill.account !== 'string' ||
+            typeof bill.category !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(bill.startDate) ||
+            (bill.frequency !== '' && !RECURRING_FREQUENCIES[bill.frequency]) || typeof bill.nextIndex !== 'number') {
+            throw new Error(`bill ${index + 1} is incomplete`);
+        }
+    });
+    
+    (backup.data[SETTINGS_STORE_NAME] || []).forEach((setting, index) => {
+        if (!setting || typeof setting.key !== 'string') {
+            throw new Error(`setting ${index + 1} is missing a key`);
+        }
+    });
+}
+
+// On merge, keep existing categories with the same id or name and point the backup's transactions at them
+function reconcileBackupCategories(data) {
+    const remap = new Map();
+    const added = [];
+    
+    // Parents first so subcategories can follow their parent's remapping
+    const backupCategories = [...(data[CATEGORY_STORE_NAME] || [])]
+        .sort((a, b) => (a.parentId ? 1 : 0) - (b.parentId ? 1 : 0));
+    
+    backupCategories.forEach(category => {
+        const parentId = category.parentId ? (remap.get(category.parentId) || category.parentId) : null;
+        const existing = categories.find(c => c.id === category.id) ||
+            categories.find(c => c.name.toLowerCase() === category.name.toLowerCase() && (c.parentId || null) === parentId);
+        
+        if (existing) {
+            remap.set(category.id, existing.id);
+        } else {
+            added.push({ ...category, parentId });
+        }
+    });
+    
+    return {
+        ...data,
+        [CATEGORY_STORE_NAME]: added,
+        [STORE_NAME]: (data[STORE_NAME] || []).map(transaction =>
+            mapTransactionCategories(transaction, id => remap.get(id) || id)
+        ),
+        [BUDGET_STORE_NAME]: (data[BUDGET_STORE_NAME] || []).map(budget =>
+            remap.has(budget.categoryId) ? { ...budget, categoryId: remap.get(budget.categoryId) } : budget
+        ),
+        [RECURRING_STORE_NAME]: (data[RECURRING_STORE_NAME] || []).map(rule =>
+            remap.has(rule.category) ? { ...rule, category: remap.get(rule.category) } : rule
+        ),
+        [RULE_STORE_NAME]: (data[RULE_STORE_NAME] || []).map(rule =>
+            remap.has(rule.category) ? { ...rule, category: remap.get(rule.category) } : rule
+        ),
+        [BILL_STORE_NAME]: (data[BILL_STORE_NAME] || []).map(bill =>
+            remap.has(bill.category) ? { ...bill, category: remap.get(bill.category) } : bill
+        ),
+        // This device's settings win over the backup's when merging
+        [SETTINGS_STORE_NAME]: (data[SETTINGS_STORE_NAME] || []).filter(setting => settings[setting.key] === undefined)
+    };
+}
+
+// Describe what is wrong with a stored transaction, or return null if it is valid
+function getTransactionProblem(transaction) {
+    if (!transaction || typeof transaction !== 'object') return 'is not an object';
+    if (typeof transaction.id !== 'string' || !transaction.id) return 'has no id';
+    if (typeof transaction.name !== 'string' || !transaction.name.trim()) return 'has no name';
+    if (typeof transaction.amount !== 'number' || !isFinite(transaction.amount)) return 'has an invalid amount';
+    if (transaction.type !== 'transfer' && (typeof transaction.category !== 'string' || !transaction.category)) return 'has no category';
+    if (typeof transaction.account !== 'string' || !transaction.account) return 'has no account';
+    if (transaction.currency !== undefined && !/^[A-Z]{3}$/.test(transaction.currency)) return 'has an invalid currency';
+    if (isNaN(new Date(transaction.date))) return 'has an invalid date';
+    if (!['income', 'expense', 'transfer'].includes(transaction.type)) return 'has an invalid type';
+    if (transaction.type === 'transfer' && (typeof transaction.toAccount !== 'string' || !transaction.toAccount)) return 'is a transfer with no destination account';
+    if (transaction.splits !== undefined) {
+        if (!Array.isArray(transaction.splits) || transaction.splits.some(split => !split || typeof split.category !== 'string' || typeof split.amount !== 'number')) {
+            return 'has invalid splits';
+        }
+        if (Math.abs(transaction.splits.reduce((sum, split) => sum + split.amount, 0) - transaction.amount) >= 0.005) {
+            return 'has splits that do not add up to its amount';
+        }
+    }
+    if (transaction.tags !== undefined && (!Array.isArray(transaction.tags) || transaction.tags.some(tag => typeof tag !== 'string'))) return 'has invalid tags';
+    if (transaction.goal !== undefined && typeof transaction.goal !== 'string') return 'has an invalid goal';
+    return null;
+}
+
+// On merge, keep existing accounts with the same id or name and point the backup's records at them
+function reconcileBackupAccounts(data) {
+    const remap = new Map();
+    const added = [];
+    
+    (data[ACCOUNT_STORE_NAME] || []).forEach(account => {
+        const existing = accounts.find(a => a.id === account.id) ||
+            accounts.find(a => a.name.toLowerCase() === account.name.toLowerCase());
+        
+        if (existing) {
+            remap.set(account.id, existing.id);
+        } else {
+            added.push(account);
+        }
+    });
+    
+    const remapAccounts = (record) => {
+        const updated = { ...record, account: remap.get(record.account) || record.account };
+        if (record.toAccount) {
+            updated.toAccount = remap.get(record.toAccount) || record.toAccount;
+        }
+        return updated;
+    };
+    
+    return {
+        ...data,
+        [ACCOUNT_STORE_NAME]: added,
+        [STORE_NAME]: (data[STORE_NAME] || []).map(remapAccounts),
+        [RECURRING_STORE_NAME]: (data[RECURRING_STORE_NAME] || []).map(remapAccounts),
+        [BILL_STORE_NAME]: (data[BILL_STORE_NAME] || []).map(remapAccounts)
+    };
+}
+
+// On merge, keep this device's rates and only add currencies it has no rate for.
+// Rates are relative to a base currency, so a backup made with a different base brings none.
+function reconcileBackupRates(data) {
+    const backupBase = (data[SETTINGS_STORE_NAME] || []).find(setting => setting.key === 'baseCurrency');
+    const sameBase = (backupBase ? backupBase.value : DEFAULT_ACCOUNT.currency) === getBaseCurrency();
+    
+    return {
+        ...data,
+        [RATE_STORE_NAME]: sameBase
+            ? (data[RATE_STORE_NAME] || []).filter(rate => !exchangeRates.some(r => r.currency === rate.currency))
+            : []
+    };
+}
+
+// Write the pending backup to IndexedDB using the chosen mode
+async function confirmRestore() {
+    if (!pendingRestore) return;
+    
+    const mode = document.querySelector('input[name="restore-mode"]:checked').value;
+    
+    try {
+        const data = mode === 'replace'
+            ? { ...pendingRestore.data }
+            : reconcileBackupAccounts(reconcileBackupCategories(reconcileBackupRates(pendingRestore.data)));
+        
+        if (data[SETTINGS_STORE_NAME]) {
+            data[SETTINGS_STORE_NAME] = keepDeviceSettings(data[SETTINGS_STORE_NAME]);
+        }
+        
+        if (data[RECEIPT_STORE_NAME]) {
+            data[RECEIPT_STORE_NAME] = data[RECEIPT_STORE_NAME].map(({ dataUrl, ...receipt }) => ({
+                ...receipt,
+                blob: dataURLToBlob(dataUrl)
+            }));
+        }
+        
+        await restoreStores(data, mode === 'replace');
+        await loadSettings();
+        await loadAccounts();
+        await loadRates();
+        await loadCategories();
+        await loadBudgets();
+        await loadRecurringRules();
+        await loadTransactions();
+        await loadReceipts();
+        await loadCategoryRules();
+        await loadGoals();
+        await loadBills();
+        renderCategoryOptions();
+        renderAccountOptions();
+        renderPayeeOptions();
+        renderGoalOptions();
+        renderBills();
+        updateBillReminderStatus();
+        
+        // Earlier history no longer matches what is stored
+        clearHistory();
+        
+        // Re-apply the current period and search to the restored list
+        monthStartDayInput.value = getSetting('monthStartDay', 1);
+        renderFilterPresets();
+        refreshCurrencyViews();
+        
+        closeBackupModal();
+        showNotification(mode === 'replace' ? 'Backup restored.' : 'Backup merged into your data.', 'success');
+    } catch (error) {
+        console.error('Error restoring backup:', error);
+        showNotification('Error restoring backup. Your data was not changed.', 'error');
+    }
+}
+
+// Forget the pending backup and hide the restore options
+function resetRestore() {
+    pendingRestore = null;
+    restorePreview.style.display = 'none';
+    document.querySelector('input[name="restore-mode"][value="merge"]').checked = true;
+}
+
+// Open the backup modal with the snapshots kept on this device
+async function openBackupModal() {
+    backupModal.classList.add('active');
+    
+    try {
+        await renderSnapshots();
+    } catch (error) {
+        console.error('Error loading snapshots:', error);
+    }
+}
+
+// Close backup modal
+function closeBackupModal() {
+    backupModal.classList.remove('active');
+    resetRestore();
+}
+
+// =============== Trash Functions ===============
+
+// Days deleted transactions stay in the trash, unless changed; 0 keeps them until emptied
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Snapshots kept on this device; older ones are dropped as new ones are taken
+const SNAPSHOT_LIMIT = 5;
+
+// Open the trash
+async function openTrashModal() {
+    trashRetentionInput.value = getSetting('trashRetentionDays', DEFAULT_TRASH_RETENTION_DAYS);
+    
+    try {
+        await loadTrash();
+    } catch (error) {
+        showNotification('Error loading the trash. Please try again.', 'error');
+        return;
+    }
+    
+    renderTrash();
+    trashModal.classList.add('active');
+}
+
+// Close the trash
+function closeTrashModal() {
+    trashModal.classList.remove('active');
+}
+
+// List trashed transactions, newest deletions first
+function renderTrash() {
+    trashList.innerHTML = '';
+    emptyTrashText.style.display = trash.length === 0 ? 'block' : 'none';
+    restoreAllTrashButton.disabled = trash.length === 0;
+    emptyTrashButton.disabled = trash.length === 0;
+    
+    const retentionDays = getSetting('trashRetentionDays', DEFAULT_TRASH_RETENTION_DAYS);
+    
+    trash.forEach(entry => {
+        const { record } = entry;
+        const deletedAt = new Date(entry.deletedAt);
+        
+        const item = document.createElement('div');
+        item.className = `trash-item ${record.type}`;
+        item.innerHTML = `
+            <div class="trash-details">
+                <strong class="trash-name"></strong>
+                <span class="trash-meta"></span>
+            </div>
+            <span class="transaction-amount ${escapeHTML(record.type)}">${formatCurrency(Math.abs(record.amount), getTransactionCurrency(record))}</span>
+            <div class="trash-actions">
+                <button class="btn-icon neutral trash-restore" title="Restore" aria-label="Restore"><i class="fas fa-undo" aria-hidden="true"></i></button>
+                <button class="btn-icon trash-purge" title="Delete forever" aria-label="Delete forever"><i class="fas fa-times" aria-hidden="true"></i></button>
+            </div>
+        `;
+        
+        let meta = `${new Date(record.date).toLocaleDateString(getLocale())} · deleted ${deletedAt.toLocaleDateString(getLocale())}`;
+        if (retentionDays > 0) {
+            const purgeDate = new Date(deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+            meta += `, removed for good on ${purgeDate.toLocaleDateString(getLocale())}`;
+        }
+        
+        item.querySelector('.trash-name').textContent = record.name;
+        item.querySelector('.trash-meta').textContent = meta;
+        item.querySelector('.trash-restore').addEventListener('click', () => restoreFromTrash([entry]));
+        item.querySelector('.trash-purge').addEventListener('click', () => purgeFromTrash([entry]));
+        
+        trashList.appendChild(item);
+    });
+}
+
+// Put trashed transactions back in the list
+async function restoreFromTrash(entries) {
+    if (entries.length === 0) return;
+    
+    const records = entries.map(entry => entry.record);
+    
+    try {
+        await applyHistoryState([], records);
+        
+        const restoredIds = new Set(records.map(record => record.id));
+        trash = trash.filter(entry => !restoredIds.has(entry.id));
+        
+        renderPayeeOptions();
+        renderTrash();
+        
+        recordHistory('Restore', [], records);
+        showNotification(`Restored ${records.length} transaction${records.length === 1 ? '' : 's'}.`, 'success', getUndoAction());
+    } catch (error) {
+        console.error('Error restoring from the trash:', error);
+        showNotification('Error restoring transactions. Please try again.', 'error');
+    }
+}
+
+// Delete trashed transactions and their receipts for good
+async function purgeFromTrash(entries) {
+    if (entries.length === 0) return;
+    
+    const message = entries.length === 1
+        ? `Delete "${entries[0].record.name}" forever? This cannot be undone.`
+        : `Delete all ${entries.length} transactions in the trash forever? This cannot be undone.`;
+    
+    if (!await confirmDialog(message, { title: 'Delete Forever', confirmLabel: 'Delete Forever' })) {
+        return;
+    }
+    
+    try {
+        await purgeTrash(entries.map(entry => entry.id));
+        await loadTrash();
+        await pruneReceipts();
+        
+        renderTrash();
+        showNotification(entries.length === 1 ? 'Transaction deleted forever.' : 'Trash emptied.', 'success');
+    } catch (error) {
+        console.error('Error emptying the trash:', error);
+        showNotification('Error deleting transactions. Please try again.', 'error');
+    }
+}
+
+// Save how long deleted transactions are kept
+async function saveTrashRetention() {
+    try {
+        await saveSetting('trashRetentionDays', parseInt(trashRetentionInput.value, 10));
+        await purgeExpiredTrash();
+        await pruneReceipts();
+        renderTrash();
+    } catch (error) {
+        console.error('Error saving trash setting:', error);
+        showNotification('Error saving trash setting. Please try again.', 'error');
+    }
+}
+
+// Remove transactions that have been in the trash longer than the retention period
+async function purgeExpiredTrash() {
+    const retentionDays = getSetting('trashRetentionDays', DEFAULT_TRASH_RETENTION_DAYS);
+    if (retentionDays <= 0) return;
+    
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const expiredIds = trash.filter(entry => new Date(entry.deletedAt).getTime() < cutoff).map(entry => entry.id);
+    
+    if (expiredIds.length === 0) return;
+    
+    try {
+        await purgeTrash(expiredIds);
+        trash = trash.filter(entry => !expiredIds.includes(entry.id));
+    } catch (error) {
+        console.error('Error removing expired trash:', error);
+    }
+}
+
+// Store a full backup on this device, encrypted with the passcode if one is set
+async function saveSnapshot(reason) {
+    const backup = await createBackup();
+    const snapshots = await getAllFromStore(SNAPSHOT_STORE_NAME);
+    const snapshot = {
+        id: `snapshot-${Date.now()}`,
+        createdAt: backup.exportedAt,
+        reason,
+        count: backup.data[STORE_NAME].length,
+        backup: await sealValue(backup)
+    };
+    
+    // Keep only the newest snapshots, counting the one being added
+    const staleIds = snapshots
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(SNAPSHOT_LIMIT - 1)
+        .map(stale => stale.id);
+    
+    await saveSnapshots([snapshot], staleIds);
+}
+
+// List the snapshots in the backup modal, newest first
+async function renderSnapshots() {
+    const snapshots = await getAllFromStore(SNAPSHOT_STORE_NAME);
+    snapshots.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    
+    snapshotList.innerHTML = '';
+    emptySnapshotsText.style.display = snapshots.length === 0 ? 'block' : 'none';
+    
+    snapshots.forEach(snapshot => {
+        const item = document.createElement('div');
+        item.className = 'snapshot-item';
+        item.innerHTML = `
+            <div class="trash-details">
+                <strong class="snapshot-date"></strong>
+                <span class="trash-meta"></span>
+            </div>
+            <button class="btn-cancel snapshot-restore"><i class="fas fa-history" aria-hidden="true"></i> Restore</button>
+        `;
+        
+        item.querySelector('.snapshot-date').textContent = new Date(snapshot.createdAt).toLocaleString(getLocale());
+        item.querySelector('.trash-meta').textContent = `${snapshot.reason} · ${snapshot.count} transaction${snapshot.count === 1 ? '' : 's'}`;
+        item.querySelector('.snapshot-restore').addEventListener('click', () => restoreSnapshot(snapshot));
+        
+        snapshotList.appendChild(item);
+    });
+}
+
+// Decrypt and migrate a snapshot, then ask how to restore it like a backup file
+async function restoreSnapshot(snapshot) {
+    let backup;
+    
+    try {
+        backup = migrateBackup(await openValue(snapshot.backup));
+        validateBackup(backup);
+    } catch (error) {
+        console.error('Invalid snapshot:', error);
+        resetRestore();
+        showNotification(`Cannot restore this snapshot: ${error.message}`, 'error');
+        return;
+    }
+    
+    previewRestore(backup, `Snapshot from ${new Date(snapshot.createdAt).toLocaleString(getLocale())}`);
+}
+
+// =============== Sync Functions ===============
+
+// Background Sync tag the service worker pushes queued changes under
+const SYNC_TAG = 'sync-changes';
+
+// Wait after a change before pushing, so a burst of edits goes up together
+const SYNC_DELAY = 2000;
+
+// Settings for this device's sync connection
+const SYNC_SETTING_KEYS = ['syncUrl', 'syncToken', 'syncDeviceId', 'syncCursor', 'syncLastAt'];
+
+// Fields shown for a transaction deleted on one side of a conflict
+const SYNC_SUMMARY_FIELDS = ['name', 'amount', 'date', 'category'];
+
+let syncTimer = null;
+let syncRunning = null;
+let syncAgain = false;
+
+// Whether this device is connected to a sync server
+function isSyncEnabled() {
+    return Boolean(getSetting('syncUrl', ''));
+}
+
+// Generate an id for a change in the sync log
+function createSyncChangeId() {
+    return `chg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Generate an id for this device, used to tell its own changes apart on the server
+function createSyncDeviceId() {
+    return `dev-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Change log entry for one transaction; base is the version it replaced, if any
+function createSyncChange(op, recordId, record, base) {
+    return {
+        id: createSyncChangeId(),
+        deviceId: getSetting('syncDeviceId'),
+        entity: 'transaction',
+        op,
+        recordId,
+        record,
+        base,
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Compare two field values, including arrays and objects such as tags and splits
+function isSameSyncValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Net effect of the queued changes for each record: the version before the first and after the last
+function groupQueuedChanges(queued) {
+    const pending = new Map();
+    
+    queued.forEach(change => {
+        const entry = pending.get(change.recordId) || { base: change.base, queuedKeys: [] };
+        entry.record = change.op === 'delete' ? null : change.record;
+        entry.queuedKeys.push(change.queued);
+        pending.set(change.recordId, entry);
+    });
+    
+    return pending;
+}
+
+// Three-way merge of one transaction changed both here and elsewhere. Fields changed on one side only
+// are combined and matching edits agree; the same field changed differently on both sides, or an edit
+// on one side and a delete on the other, cannot be merged. A null record means both sides deleted it.
+function mergeTransactionVersions(base, local, remote) {
+    if (!local || !remote) {
+        return !local && !remote ? { record: null } : { conflict: true, fields: [] };
+    }
+    
+    const record = {};
+    const fields = [];
+    
+    new Set([...Object.keys(local), ...Object.keys(remote)]).forEach(key => {
+        const mine = local[key];
+        const theirs = remote[key];
+        const original = base ? base[key] : undefined;
+        
+        if (isSameSyncValue(mine, theirs) || isSameSyncValue(theirs, original)) {
+            if (mine !== undefined) record[key] = mine;
+        } else if (isSameSyncValue(mine, original)) {
+            if (theirs !== undefined) record[key] = theirs;
+        } else {
+            fields.push(key);
+        }
+    });
+    
+    return fields.length > 0 ? { conflict: true, fields } : { record };
+}
+
+// Send a request to the sync server and parse its JSON reply. Failed responses throw with their status.
+async function syncRequest(path, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    const token = getSetting('syncToken', '');
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+    
+    // no-store keeps the service worker's cache out of the way
+    const response = await fetch(`${getSetting('syncUrl').replace(/\/+$/, '')}${path}`, { ...options, headers, cache: 'no-store' });
+    
+    if (!response.ok) {
+        const error = new Error(`Sync server responded ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    
+    return response.json();
+}
+
+// Apply changes pulled from the server. Records with nothing queued here take the latest remote version;
+// records changed on both sides are merged, or become conflicts when they cannot be.
+// Resolves with the number of transactions changed or set aside.
+async function mergePulledChanges(remoteChanges) {
+    const deviceId = getSetting('syncDeviceId');
+    
+    // Only the last change to each record matters; if it came from this device we already have it.
+    // Devices on older versions send numeric ids.
+    const latest = new Map();
+    remoteChanges.forEach(change => latest.set(String(change.recordId), change));
+    
+    const pending = groupQueuedChanges(await getSyncQueue());
+    const result = { puts: [], deleteIds: [], queued: [], dequeued: [], conflicts: [] };
+    
+    latest.forEach((change, recordId) => {
+        if (change.deviceId === deviceId) return;
+        
+        const remote = change.op === 'delete' ? null : fromStoredTransaction(change.record);
+        const conflict = syncConflicts.find(item => item.recordId === recordId);
+        const local = pending.get(recordId);
+        
+        // Still waiting on the user; keep their choice up to date with the newest remote version
+        if (conflict) {
+            result.conflicts.push({ ...conflict, remote });
+            return;
+        }
+        
+        if (!local) {
+            if (remote) {
+                result.puts.push(remote);
+            } else {
+                result.deleteIds.push(recordId);
+            }
+            return;
+        }
+        
+        const merged = mergeTransactionVersions(local.base, local.record, remote);
+        result.dequeued.push(...local.queuedKeys);
+        
+        if (merged.conflict) {
+            result.conflicts.push({
+                recordId,
+                base: local.base,
+                local: local.record,
+                remote,
+                fields: merged.fields,
+                detectedAt: new Date().toISOString()
+            });
+        } else if (merged.record === null) {
+            result.deleteIds.push(recordId);
+        } else {
+            result.puts.push(merged.record);
+            
+            // Send the combined version on, based on what the other device has
+            if (!isSameSyncValue(merged.record, remote)) {
+                result.queued.push(createSyncChange('update', recordId, merged.record, remote));
+            }
+        }
+    });
+    
+    const count = result.puts.length + result.deleteIds.length + result.conflicts.length;
+    if (count > 0) {
+        await saveSyncResult(result);
+    }
+    
+    return count;
+}
+
+// Queued sync changes, decrypted
+async function getSyncQueue() {
+    return Promise.all((await getAllFromStore(SYNC_CHANGE_STORE_NAME)).map(openSyncChange));
+}
+
+// Pull and merge, then push what is queued. The server refuses a push when other devices pushed
+// since the last pull, so pull and merge again before retrying.
+async function runSync(attempt = 0) {
+    const pulled = await syncRequest(`/changes?since=${encodeURIComponent(getSetting('syncCursor', 0))}`);
+    let changed = await mergePulledChanges(pulled.changes);
+    let cursor = pulled.cursor;
+    
+    const queued = await getSyncQueue();
+    
+    if (queued.length > 0) {
+        try {
+            const pushed = await syncRequest('/changes', {
+                method: 'POST',
+                body: JSON.stringify({
+                    deviceId: getSetting('syncDeviceId'),
+                    since: pulled.cursor,
+                    changes: queued.map(({ queued, ...change }) => change)
+                })
+            });
+            
+            cursor = pushed.cursor;
+            await saveSyncResult({ dequeued: queued.map(change => change.queued) });
+        } catch (error) {
+            if (error.status === 409 && attempt < 2) {
+                await saveSetting('syncCursor', pulled.cursor);
+                return changed + await runSync(attempt + 1);
+            }
+            throw error;
+        }
+    }
+    
+    await saveSetting('syncCursor', cursor);
+    await saveSetting('syncLastAt', new Date().toISOString());
+    
+    return changed;
+}
+
+// Sync now, or join a sync already running. Refreshes the views when anything came in.
+async function syncNow(showResult = false) {
+    if (!isSyncEnabled() || isLocked()) return;
+    
+    if (syncRunning) {
+        syncAgain = true;
+        return syncRunning;
+    }
+    
+    clearTimeout(syncTimer);
+    syncTimer = null;
+    syncStatusText.textContent = 'Syncing...';
+    
+    syncRunning = (async () => {
+        try {
+            const changed = await runSync();
+            
+            if (changed > 0) {
+                await loadTransactions();
+                await loadSyncConflicts();
+                refreshAfterSync();
+            }
+            
+            if (changed > 0 && syncConflicts.length > 0) {
+                showNotification(`${syncConflicts.length} transaction${syncConflicts.length === 1 ? '' : 's'} changed on two devices need${syncConflicts.length === 1 ? 's' : ''} a decision.`, 'warning', {
+                    label: 'Review',
+                    handler: openSyncModal
+                });
+            } else if (showResult) {
+                showNotification(changed > 0 ? `Synced. ${changed} transaction${changed === 1 ? '' : 's'} updated.` : 'Everything is in sync.', 'success');
+            }
+        } catch (error) {
+            console.error('Error syncing:', error);
+            
+            // Let the service worker push the queue once the connection is back
+            registerBackgroundSync();
+            
+            if (showResult) {
+                showNotification(navigator.onLine ? `Sync failed: ${error.message}.` : 'You are offline. Changes will sync when back online.', 'error');
+            }
+        } finally {
+            syncRunning = null;
+            updateSyncStatus();
+            
+            if (syncAgain) {
+                syncAgain = false;
+                scheduleSync();
+            }
+        }
+    })();
+    
+    return syncRunning;
+}
+
+// Push soon after a local change
+function scheduleSync() {
+    if (!isSyncEnabled()) return;
+    
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(() => syncNow(), SYNC_DELAY);
+}
+
+// Ask the browser to wake the service worker to push queued changes when it is back online
+async function registerBackgroundSync() {
+    if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+    
+    const registration = await navigator.serviceWorker.ready;
+    if (!('sync' in registration)) return;
+    
+    try {
+        await registration.sync.register(SYNC_TAG);
+    } catch (error) {
+        console.log('Background sync unavailable:', error.message);
+    }
+}
+
+// Redraw everything that shows transactions after sync changed them
+function refreshAfterSync() {
+    renderPayeeOptions();
+    filterTransactions();
+    updateBalance();
+    updateSpendingSummary();
+    renderBills();
+    renderSyncConflicts();
+    
+    // Undo would restore versions other devices have moved on from
+    clearHistory();
+}
+
+// Open the sync settings
+function openSyncModal() {
+    syncUrlInput.value = getSetting('syncUrl', '');
+    syncTokenInput.value = getSetting('syncToken', '');
+    
+    updateSyncStatus();
+    renderSyncConflicts();
+    syncModal.classList.add('active');
+}
+
+// Close the sync settings
+function closeSyncModal() {
+    syncModal.classList.remove('active');
+}
+
+// Show when this device last synced and what is waiting
+async function updateSyncStatus() {
+    const enabled = isSyncEnabled();
+    
+    syncNowButton.style.display = enabled ? '' : 'none';
+    syncDisconnectButton.style.display = enabled ? '' : 'none';
+    syncButton.classList.toggle('has-conflicts', syncConflicts.length > 0);
+    
+    if (!enabled) {
+        syncStatusText.textContent = 'Not connected. Transactions are only stored on this device.';
+        return;
+    }
+    
+    if (syncRunning) return;
+    
+    const queued = await getAllFromStore(SYNC_CHANGE_STORE_NAME);
+    const lastAt = getSetting('syncLastAt', null);
+    const parts = [lastAt
+        ? `Last synced ${new Date(lastAt).toLocaleString(getLocale(), { dateStyle: 'medium', timeStyle: 'short' })}.`
+        : 'Not synced yet.'];
+    
+    if (queued.length > 0) {
+        parts.push(`${queued.length} change${queued.length === 1 ? '' : 's'} waiting to be sent.`);
+    }
+    if (syncConflicts.length > 0) {
+        parts.push(`${syncConflicts.length} conflict${syncConflicts.length === 1 ? '' : 's'} to resolve.`);
+    }
+    
+    syncStatusText.textContent = parts.join(' ');
+}
+
+// Connect to a sync server. A new server gets a full copy of this device's transactions.
+async function connectSync(e) {
+    e.preventDefault();
+    
+    const url = syncUrlInput.value.trim();
+    let parsed = null;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        parsed = null;
+    }
+    
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        showNotification('Please enter the address of your sync server, starting with http:// or https://.', 'warning');
+        return;
+    }
+    
+    try {
+        const newServer = url !== getSetting('syncUrl', '');
+        
+        if (!getSetting('syncDeviceId', null)) {
+            await saveSetting('syncDeviceId', createSyncDeviceId());
+        }
+        await saveSetting('syncToken', syncTokenInput.value.trim());
+        
+        if (newServer) {
+            // Every transaction goes up to a new server
+            await transactionsLoaded;
+            const queued = await getAllFromStore(SYNC_CHANGE_STORE_NAME);
+            
+            await saveSetting('syncUrl', url);
+            await saveSetting('syncCursor', 0);
+            await saveSetting('syncLastAt', null);
+            await saveSyncResult({
+                dequeued: queued.map(change => change.queued),
+                queued: transactions.map(transaction => createSyncChange('create', transaction.id, transaction, null))
+            });
+        }
+        
+        await syncNow(true);
+    } catch (error) {
+        console.error('Error connecting to sync server:', error);
+        showNotification('Error saving sync settings. Please try again.', 'error');
+    }
+}
+
+// Stop syncing this device, dropping changes that were not sent yet
+async function disconnectSync() {
+    if (!await confirmDialog(
+        'Stop syncing this device? Transactions stay here, but changes not sent yet and unresolved conflicts are dropped.',
+        { title: 'Stop Syncing', confirmLabel: 'Disconnect' }
+    )) {
+        return;
+    }
+    
+    try {
+        const queued = await getAllFromStore(SYNC_CHANGE_STORE_NAME);
+        
+        clearTimeout(syncTimer);
+        await saveSetting('syncUrl', '');
+        await saveSetting('syncToken', '');
+        await saveSetting('syncCursor', 0);
+        await saveSyncResult({
+            dequeued: queued.map(change => change.queued),
+            resolvedIds: syncConflicts.map(conflict => conflict.recordId)
+        });
+        
+        syncConflicts = [];
+        syncUrlInput.value = '';
+        syncTokenInput.value = '';
+        renderSyncConflicts();
+        updateSyncStatus();
+        showNotification('Sync stopped.', 'success');
+    } catch (error) {
+        console.error('Error disconnecting sync:', error);
+        showNotification('Error stopping sync. Please try again.', 'error');
+    }
+}
+
+// Readable value of a transaction field for the conflict table
+function formatSyncValue(record, key) {
+    if (!record) return 'Deleted';
+    
+    const value = record[key];
+    if (value === undefined || value === null || value === '') return '—';
+    
+    switch (key) {
+        case 'amount':
+            return formatCurrency(value, getTransactionCurrency(record));
+        case 'date':
+            return formatShortDate(new Date(value));
+        case 'category':
+            return getCategoryLabel(value);
+        case 'account':
+        case 'toAccount':
+            return getAccountName(value);
+        case 'goal':
+            return getGoalName(value);
+        case 'tags':
+            return value.join(', ') || '—';
+        default:
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+// List the conflicts with both versions of each differing field
+function renderSyncConflicts() {
+    syncConflictList.innerHTML = '';
+    syncConflictSection.style.display = syncConflicts.length > 0 ? 'block' : 'none';
+    syncButton.classList.toggle('has-conflicts', syncConflicts.length > 0);
+    
+    syncConflicts.forEach(conflict => {
+        const { local, remote } = conflict;
+        const fields = local && remote ? conflict.fields : SYNC_SUMMARY_FIELDS;
+        
+        const item = document.createElement('div');
+        item.className = 'sync-conflict';
+        item.innerHTML = `
+            <div class="sync-conflict-header">
+                <strong class="sync-conflict-name"></strong>
+                <span class="sync-conflict-reason"></span>
+            </div>
+            <table class="import-table">
+                <thead><tr><th></th><th>This device</th><th>Other device</th></tr></thead>
+                <tbody></tbody>
+            </table>
+            <div class="modal-actions">
+                <button class="btn-cancel sync-use-theirs">Use other device's</button>
+                <button class="btn-primary sync-keep-mine">Keep this device's</button>
+            </div>
+        `;
+        
+        item.querySelector('.sync-conflict-name').textContent = (local || remote).name;
+        item.querySelector('.sync-conflict-reason').textContent = !local
+            ? 'Deleted here, edited on another device'
+            : (!remote ? 'Edited here, deleted on another device' : 'Edited on both devices');
+        
+        const body = item.querySelector('tbody');
+        fields.forEach(key => {
+            const row = document.createElement('tr');
+            [key, formatSyncValue(local, key), formatSyncValue(remote, key)].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+        
+        item.querySelector('.sync-keep-mine').addEventListener('click', () => resolveSyncConflict(conflict, 'mine'));
+        item.querySelector('.sync-use-theirs').addEventListener('click', () => resolveSyncConflict(conflict, 'theirs'));
+        
+        syncConflictList.appendChild(item);
+    });
+}
+
+// Settle a conflict with this device's version (sent on to the others) or the other device's
+async function resolveSyncConflict(conflict, keep) {
+    const { recordId, local, remote } = conflict;
+    const result = { resolvedIds: [recordId] };
+    
+    if (keep === 'theirs') {
+        result.puts = remote ? [remote] : [];
+        result.deleteIds = remote ? [] : [recordId];
+    } else {
+        // This device already shows its own version
+        result.queued = [createSyncChange(local ? (remote ? 'update' : 'create') : 'delete', recordId, local, remote)];
+    }
+    
+    try {
+        await saveSyncResult(result);
+        syncConflicts = syncConflicts.filter(item => item.recordId !== recordId);
+        
+        if (keep === 'theirs') {
+            await loadTransactions();
+        }
+        
+        refreshAfterSync();
+        updateSyncStatus();
+        scheduleSync();
+    } catch (error) {
+        console.error('Error resolving sync conflict:', error);
+        showNotification('Error saving your choice. Please try again.', 'error');
+    }
+}
+
+// Settings records without this device's own settings, plus the current ones, so a restore
+// neither copies another device's sync connection or passcode nor drops this one's
+function keepDeviceSettings(settingList) {
+    return [
+        ...settingList.filter(setting => !DEVICE_SETTING_KEYS.includes(setting.key)),
+        ...DEVICE_SETTING_KEYS.filter(key => settings[key] !== undefined).map(key => ({ key, value: settings[key] }))
+    ];
+}
+
+// =============== Security Functions ===============
+
+// PBKDF2 rounds for turning a passcode into a key; slow on purpose to resist guessing
+const PASSCODE_ITERATIONS = 600000;
+
+// Shortest passcode accepted
+const PASSCODE_MIN_LENGTH = 4;
+
+// Minutes without activity before the app locks itself, unless changed
+const DEFAULT_LOCK_MINUTES = 5;
+
+// How often inactivity is checked
+const LOCK_CHECK_INTERVAL = 15000;
+
+// Known text encrypted with the key, to tell a right passcode from a wrong one
+const PASSCODE_CHECK_TEXT = 'zenbudget';
+
+// Settings that belong to this device; they are never backed up or restored
+const DEVICE_SETTING_KEYS = [...SYNC_SETTING_KEYS, 'encryption', 'lockAfterMinutes'];
+
+let encryptionKey = null;
+let lastActivityAt = Date.now();
+let unlockWaiters = [];
+
+// Whether a passcode protects this device's transactions
+function isEncryptionEnabled() {
+    return Boolean(getSetting('encryption', null));
+}
+
+// Whether the passcode is set but has not been entered since the last lock
+function isLocked() {
+    return isEncryptionEnabled() && !encryptionKey;
+}
+
+// Derive the AES-GCM key for a passcode and salt
+async function derivePasscodeKey(passcode, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passcode), 'PBKDF2', false, ['deriveKey']);
+    
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Encrypt a value as JSON with a fresh IV
+async function encryptValue(value, key) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return { iv, data };
+}
+
+// Decrypt a value encrypted with encryptValue; throws if the key is wrong or the data was altered
+async function decryptValue({ iv, data }, key) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// Encrypt a value for storage when a passcode is set. The id stays readable as the store's key.
+async function sealValue(value) {
+    if (!value || value.encrypted || !isEncryptionEnabled()) return value;
+    if (!encryptionKey) throw new Error('ZenBudget is locked');
+    
+    return { id: value.id, encrypted: true, ...await encryptValue(value, encryptionKey) };
+}
+
+// Decrypt a stored value; values saved before the passcode was set are returned as they are
+async function openValue(value) {
+    if (!value || !value.encrypted) return value;
+    if (!encryptionKey) throw new Error('ZenBudget is locked');
+    
+    return decryptValue(value, encryptionKey);
+}
+
+// Put a transaction in its stored form, encrypted when a passcode is set
+async function sealRecord(record) {
+    return sealValue(toStoredTransaction(record));
+}
+
+// Read a stored transaction back into the form the app works with
+async function openRecord(record) {
+    return fromStoredTransaction(await openValue(record));
+}
+
+// Encrypt a list of transactions for storage
+async function sealRecords(recordList) {
+    return Promise.all(recordList.map(sealRecord));
+}
+
+// Decrypt a list of stored transactions
+async function openRecords(recordList) {
+    return Promise.all(recordList.map(openRecord));
+}
+
+// Queued sync change with its transaction versions encrypted
+async function sealSyncChange(change) {
+    return { ...change, record: await sealRecord(change.record), base: await sealRecord(change.base) };
+}
+
+// Queued sync change with its transaction versions decrypted
+async function openSyncChange(change) {
+    return { ...change, record: await openRecord(change.record), base: await openRecord(change.base) };
+}
+
+// Sync conflict with every version encrypted
+async function sealSyncConflict(conflict) {
+    return {
+        ...conflict,
+        base: await sealRecord(conflict.base),
+        local: await sealRecord(conflict.local),
+        remote: await sealRecord(conflict.remote)
+    };
+}
+
+// Sync conflict with every version decrypted
+async function openSyncConflict(conflict) {
+    return {
+        ...conflict,
+        base: await openRecord(conflict.base),
+        local: await openRecord(conflict.local),
+        remote: await openRecord(conflict.remote)
+    };
+}
+
+// Pass every stored transaction, queued sync change, sync conflict, trashed transaction and
+// snapshot through a transform (sealValue or openValue) and write back the ones it changes, in
+// one transaction. Values already encrypted (or already plain, in the current stored form) are
+// left alone, so unlocking only touches what was added while locked. Encrypting is done first,
+// since IndexedDB transactions cannot wait on WebCrypto. Transactions still in an older stored
+// form are brought up to the current one on the way.
+async function rewriteProtectedStores(transform) {
+    const [records, changes, conflicts, trashed, snapshots] = await Promise.all([
+        getAllFromStore(STORE_NAME),
+        getAllFromStore(SYNC_CHANGE_STORE_NAME),
+        getAllFromStore(SYNC_CONFLICT_STORE_NAME),
+        getAllFromStore(TRASH_STORE_NAME),
+        getAllFromStore(SNAPSHOT_STORE_NAME)
+    ]);
+    
+    const sealing = transform === sealValue;
+    const isDone = value => !value || (Boolean(value.encrypted) === sealing && (value.encrypted || value.amount === undefined));
+    const rewrite = async record => isDone(record) ? record : transform(toStoredTransaction(await openRecord(record)));
+    
+    // An entry with the transactions in these fields rewritten, or null when none of them needs it
+    const rewriteEntry = async (entry, fields) => {
+        if (fields.every(field => isDone(entry[field]))) return null;
+        
+        const updated = { ...entry };
+        for (const field of fields) {
+            updated[field] = await rewrite(entry[field]);
+        }
+        return updated;
+    };
+    
+    const rewritten = {
+        [STORE_NAME]: await Promise.all(records.filter(record => !isDone(record)).map(rewrite)),
+        [SYNC_CHANGE_STORE_NAME]: await Promise.all(changes.map(change => rewriteEntry(change, ['record', 'base']))),
+        [SYNC_CONFLICT_STORE_NAME]: await Promise.all(conflicts.map(conflict => rewriteEntry(conflict, ['base', 'local', 'remote']))),
+        [TRASH_STORE_NAME]: await Promise.all(trashed.map(entry => rewriteEntry(entry, ['record']))),
+        [SNAPSHOT_STORE_NAME]: await Promise.all(snapshots.map(async snapshot => isDone(snapshot.backup)
+            ? null
+            : { ...snapshot, backup: await transform(snapshot.backup) }))
+    };
+    
+    // Nothing to write, so no write transaction either
+    Object.keys(rewritten).forEach(storeName => {
+        rewritten[storeName] = rewritten[storeName].filter(Boolean);
+    });
+    const storeNames = Object.keys(rewritten).filter(storeName => rewritten[storeName].length > 0);
+    if (storeNames.length === 0) return;
+    
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            console.error('IndexedDB not initialized');
+            reject('IndexedDB not initialized');
+            return;
+        }
+        
+        const dbTransaction = db.transaction(storeNames, 'readwrite');
+        
+        storeNames.forEach(storeName => {
+            const store = dbTransaction.objectStore(storeName);
+            rewritten[storeName].forEach(record => store.put(record));
+        });
+        
+        dbTransaction.oncomplete = () => {
+            console.log(`${rewritten[STORE_NAME].length} transactions rewritten in IndexedDB`);
+            resolve();
+        };
+        
+        dbTransaction.onerror = (event) => {
+            console.error('Error rewriting transactions in IndexedDB:', event.target.error);
+            reject(event.target.error);
+        };
+        
+        dbTransaction.onabort = (event) => {
+            reject(event.target.error || 'Transaction aborted');
+        };
+    });
+}
+
+// Open the passcode settings
+function openSecurityModal() {
+    const enabled = isEncryptionEnabled();
+    
+    encryptionForm.reset();
+    securityOffSection.style.display = enabled ? 'none' : 'block';
+    securityOnSection.style.display = enabled ? 'block' : 'none';
+    lockAfterInput.value = getSetting('lockAfterMinutes', DEFAULT_LOCK_MINUTES);
+    
+    securityModal.classList.add('active');
+}
+
+// Close the passcode settings
+function closeSecurityModal() {
+    securityModal.classList.remove('active');
+    encryptionForm.reset();
+}
+
+// Set a passcode and encrypt everything already stored
+async function enableEncryption(e) {
+    e.preventDefault();
+    
+    const passcode = encryptionForm.elements['new-passcode'].value;
+    const confirmation = encryptionForm.elements['confirm-passcode'].value;
+    
+    if (passcode.length < PASSCODE_MIN_LENGTH) {
+        showNotification(`Use a passcode of at least ${PASSCODE_MIN_LENGTH} characters.`, 'warning');
+        return;
+    }
+    
+    if (passcode !== confirmation) {
+        showNotification('The passcodes do not match.', 'warning');
+        return;
+    }
+    
+    try {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await derivePasscodeKey(passcode, salt, PASSCODE_ITERATIONS);
+        const check = await encryptValue(PASSCODE_CHECK_TEXT, key);
+        
+        // Saved before encrypting: if that is interrupted, unlocking finishes it
+        encryptionKey = key;
+        await saveSetting('encryption', { salt, iterations: PASSCODE_ITERATIONS, check });
+        await rewriteProtectedStores(sealValue);
+        
+        lastActivityAt = Date.now();
+        closeSecurityModal();
+        showNotification('Passcode set. Your transactions are now encrypted on this device.', 'success');
+    } catch (error) {
+        console.error('Error turning on encryption:', error);
+        showNotification('Error encrypting your data. Please try again.', 'error');
+    }
+}
+
+// Remove the passcode and store everything unencrypted again
+async function disableEncryption() {
+    if (!await confirmDialog(
+        'Turn off the passcode? Your transactions will be stored unencrypted on this device.',
+        { title: 'Turn Off Passcode', confirmLabel: 'Turn Off' }
+    )) {
+        return;
+    }
+    
+    try {
+        await rewriteProtectedStores(openValue);
+        await saveSetting('encryption', null);
+        encryptionKey = null;
+        
+        closeSecurityModal();
+        showNotification('Passcode removed.', 'success');
+    } catch (error) {
+        console.error('Error turning off encryption:', error);
+        showNotification('Error decrypting your data. Please try again.', 'error');
+    }
+}
+
+// Save how long the app waits before locking itself
+async function saveLockAfter() {
+    try {
+        await saveSetting('lockAfterMinutes', parseInt(lockAfterInput.value, 10));
+    } catch (error) {
+        console.error('Error saving auto-lock setting:', error);
+        showNotification('Error saving auto-lock setting. Please try again.', 'error');
+    }
+}
+
+// Watch for activity and lock after the chosen time without any
+function setupLockScreen() {
+    lockForm.addEventListener('submit', unlockFromForm);
+    
+    ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+        document.addEventListener(type, () => {
+            lastActivityAt = Date.now();
+        }, { passive: true });
+    });
+    
+    setInterval(checkAutoLock, LOCK_CHECK_INTERVAL);
+}
+
+// Lock if there has been no activity for long enough; returns whether it locked
+function checkAutoLock() {
+    const minutes = getSetting('lockAfterMinutes', DEFAULT_LOCK_MINUTES);
+    
+    if (!encryptionKey || minutes <= 0 || Date.now() - lastActivityAt < minutes * 60 * 1000) {
+        return false;
+    }
+    
+    lockApp();
+    return true;
+}
+
+// Show the lock screen over everything
+function showLockScreen() {
+    lockForm.reset();
+    lockErrorText.textContent = '';
+    document.body.classList.add('locked');
+    lockScreen.style.display = 'flex';
+    lockPasscodeInput.focus();
+}
+
+// Show the lock screen and wait for the passcode, for startup
+function waitForUnlock() {
+    showLockScreen();
+    return new Promise(resolve => unlockWaiters.push(resolve));
+}
+
+// Forget the key and every decrypted transaction, and hide the dashboard behind the lock screen
+function lockApp() {
+    if (!encryptionKey) return;
+    
+    encryptionKey = null;
+    transactions = [];
+    filteredTransactions = [];
+    syncConflicts = [];
+    trash = [];
+    clearHistory();
+    
+    document.querySelectorAll('.modal-overlay.active').forEach(modal => modal.classList.remove('active'));
+    renderTransactions();
+    updateBalance();
+    updateSpendingSummary();
+    renderSyncConflicts();
+    
+    showLockScreen();
+}
+
+// Check the passcode, then finish encrypting anything stored without it and show the dashboard
+async function unlockFromForm(e) {
+    e.preventDefault();
+    
+    const { salt, iterations, check } = getSetting('encryption', null);
+    let key;
+    
+    try {
+        key = await derivePasscodeKey(lockPasscodeInput.value, salt, iterations);
+        await decryptValue(check, key);
+    } catch (error) {
+        lockErrorText.textContent = 'Wrong passcode. Please try again.';
+        lockPasscodeInput.select();
+        return;
+    }
+    
+    encryptionKey = key;
+    lastActivityAt = Date.now();
+    
+    try {
+        // Seal anything still stored without encryption, such as records an interrupted setup left behind
+        await rewriteProtectedStores(sealValue);
+    } catch (error) {
+        console.error('Error encrypting new records:', error);
+    }
+    
+    document.body.classList.remove('locked');
+    lockScreen.style.display = 'none';
+    lockForm.reset();
+    
+    // Startup continues loading by itself; after an auto-lock everything is reloaded here
+    if (unlockWaiters.length > 0) {
+        unlockWaiters.forEach(resolve => resolve());
+        unlockWaiters = [];
+        return;
+    }
+    
+    try {
+        await loadBills();
+        await loadTransactions();
+        await loadSyncConflicts();
+        
+        renderPayeeOptions();
+        filterTransactions();
+        updateBalance();
+        updateSpendingSummary();
+        renderBills();
+        renderSyncConflicts();
+        syncNow();
+        
+        await payPendingBill();
+    } catch (error) {
+        console.error('Error reloading after unlock:', error);
+        showNotification('Error loading your data. Please reload the app.', 'error');
+    }
+}
+
+// =============== Quick Add Functions ===============
+
+// Words that make an entry repeat, mapped to recurring frequencies
+const QUICK_ADD_REPEATS = {
+    'daily': 'daily',
+    'every day': 'daily',
+    'weekly': 'weekly',
+    'every week': 'weekly',
+    'biweekly': 'biweekly',
+    'bi-weekly': 'biweekly',
+    'fortnightly': 'biweekly',
+    'every 2 weeks': 'biweekly',
+    'every other week': 'biweekly',
+    'monthly': 'monthly',
+    'every month': 'monthly',
+    'yearly': 'yearly',
+    'annually': 'yearly',
+    'every year': 'yearly'
+};
+
+const QUICK_ADD_WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const QUICK_ADD_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Take the first match of a pattern out of the text; returns the match, or null
+function takeQuickAddPart(parsed, pattern) {
+    const match = parsed.rest.match(pattern);
+    if (match) {
+        parsed.rest = `${parsed.rest.slice(0, match.index)} ${parsed.rest.slice(match.index + match[0].length)}`;
+    }
+    return match;
+}
+
+// Date key for a day of the year, or null when there is no such day
+function getQuickAddDateKey(year, monthIndex, day) {
+    const date = new Date(year, monthIndex, day, 12);
+    return date.getMonth() === monthIndex && date.getDate() === day ? getDateKey(date) : null;
+}
+
+// Read a quick-add phrase such as "coffee 4.50 yesterday #food", "+3500 salary on 1st" or
+// "rent 1200 monthly". Amounts are expenses unless marked with +. A #word picks the category
+// with that name, or becomes a tag; without one the category is suggested from the name.
+function parseQuickAdd(text) {
+    const parsed = { rest: ` ${text} `, amount: null, date: getDateKey(new Date()), frequency: '', category: '', tags: [], suggested: false };
+    const today = new Date();
+    
+    const repeat = takeQuickAddPart(parsed, new RegExp(`\\s(${Object.keys(QUICK_ADD_REPEATS).join('|')})(?=\\s)`, 'i'));
+    if (repeat) {
+        parsed.frequency = QUICK_ADD_REPEATS[repeat[1].toLowerCase().replace(/\s+/g, ' ')];
+    }
+    
+    let tag;
+    while ((tag = takeQuickAddPart(parsed, /\s#([^\s#]+)(?=\s)/))) {
+        const [categoryId] = parsed.category ? [] : findCategoryIds(tag[1].replace(/[-_]/g, ' '));
+        if (categoryId) {
+            parsed.category = categoryId;
+        } else {
+            parsed.tags.push(tag[1]);
+        }
+    }
+    
+    // Dates go before the amount so "jan 5" or "on 1st" is not read as a price. The first pattern that matches wins.
+    const month = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)(?:uary|ruary|ch|il|e|y|ust|t|tember|ober|ember)?\\.?';
+    const monthIndex = name => QUICK_ADD_MONTHS.indexOf(name.toLowerCase());
+    const dayFromToday = offset => getDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset, 12));
+    const datePatterns = [
+        [/\s(today|yesterday|tomorrow)(?=\s)/i, match => dayFromToday({ today: 0, yesterday: -1, tomorrow: 1 }[match[1].toLowerCase()])],
+        [/\s(?:on\s+)?(\d{4})-(\d{2})-(\d{2})(?=\s)/, match => getQuickAddDateKey(Number(match[1]), Number(match[2]) - 1, Number(match[3]))],
+        [new RegExp(`\\s(?:on\\s+)?${month}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?=\\s)`, 'i'), match => getQuickAddDateKey(today.getFullYear(), monthIndex(match[1]), Number(match[2]))],
+        [new RegExp(`\\s(?:on\\s+)?(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+${month}(?=\\s)`, 'i'), match => getQuickAddDateKey(today.getFullYear(), monthIndex(match[2]), Number(match[1]))],
+        // A day of this month: "on 1st", "the 15th"
+        [/\s(?:on\s+)?(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)(?=\s)/i, match => getQuickAddDateKey(today.getFullYear(), today.getMonth(), Number(match[1]))],
+        // The most recent weekday of that name, counting today
+        [/\s(?:on\s+|last\s+)?(sun|mon|tue|wed|thu|fri|sat)(?:day|sday|nesday|rsday|urday)?(?=\s)/i,
+            match => dayFromToday(-((today.getDay() - QUICK_ADD_WEEKDAYS.indexOf(match[1].toLowerCase()) + 7) % 7))]
+    ];
+    
+    for (const [pattern, getDate] of datePatterns) {
+        const match = takeQuickAddPart(parsed, pattern);
+        if (match) {
+            parsed.date = getDate(match) || parsed.date;
+            break;
+        }
     }
+    
+    const amount = takeQuickAddPart(parsed, /\s([+-]?)\s?[$€£¥]?(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:[.,]\d+)?)(?=\s)/);
+    if (amount) {
+        const size = parseFloat(amount[2].includes('.') ? amount[2].replace(/,/g, '') : amount[2].replace(',', '.'));
+        parsed.amount = amount[1] === '+' ? size : -size;
+    }
+    
+    const name = parsed.rest.replace(/\s+/g, ' ').replace(/^[\s,:;-]+|[\s,:;-]+$/g, '');
+    parsed.name = name.charAt(0).toUpperCase() + name.slice(1);
+    delete parsed.rest;
+    
+    if (!parsed.category && parsed.amount !== null) {
+        const suggestion = getCategorySuggestion({ name: parsed.name, payee: '', amount: parsed.amount });
+        parsed.category = (suggestion && suggestion.category) || getFallbackCategoryId(parsed.amount);
+        parsed.suggested = true;
+    }
+    
+    return parsed;
 }
 
-// Filter transactions based on search input
-function filterTransactions() {
-    const searchTerm = searchInput.value.toLowerCase().trim();
+// Show what the quick-add phrase will be saved as, while it is typed
+function renderQuickAddPreview() {
+    quickAddPreview.innerHTML = '';
+    
+    const text = quickAddInput.value.trim();
+    if (!text) return;
+    
+    const parsed = parseQuickAdd(text);
+    const addPart = (label, value, className = '') => {
+        const part = document.createElement('span');
+        part.className = `quick-add-part ${className}`.trim();
+        part.title = label;
+        part.textContent = value;
+        quickAddPreview.appendChild(part);
+    };
+    
+    addPart('Name', parsed.name || 'No name yet', parsed.name ? '' : 'missing');
     
-    if (!searchTerm) {
-        filteredTransactions = [...transactions];
+    if (parsed.amount === null) {
+        addPart('Amount', 'Add an amount, e.g. 4.50', 'missing');
     } else {
-        filteredTransactions = transactions.filter(transaction => 
-            transaction.name.toLowerCase().includes(searchTerm) ||
-            transaction.category.toLowerCase().includes(searchTerm) ||
-            transaction.type.toLowerCase().includes(searchTerm)
-        );
+        const type = getTransactionType(parsed.amount);
+        addPart('Amount', formatTransactionAmount(parsed.amount, type, getAccountCurrency(transactionAccountInput.value)), type);
     }
     
-    renderTransactions();
+    addPart('Date', formatShortDate(getDateFromInput(parsed.date)));
+    
+    if (parsed.category) {
+        addPart(parsed.suggested ? 'Suggested category' : 'Category', getCategoryLabel(parsed.category), parsed.suggested ? 'suggested' : '');
+    }
+    
+    if (parsed.frequency) {
+        addPart('Repeats', RECURRING_FREQUENCIES[parsed.frequency]);
+    }
+    
+    parsed.tags.forEach(tag => addPart('Tag', `#${tag}`));
 }
 
-// Render transactions list
-function renderTransactions() {
-    // Clear the list
-    transactionsList.innerHTML = '';
+// Save the quick-add phrase by filling the add form and submitting it, so it is checked and
+// saved exactly like a transaction entered field by field
+async function submitQuickAdd(e) {
+    e.preventDefault();
     
-    if (filteredTransactions.length === 0) {
-        emptyListText.style.display = 'block';
-        transactionsList.appendChild(emptyListText);
+    const parsed = parseQuickAdd(quickAddInput.value.trim());
+    
+    if (!parsed.name || parsed.amount === null) {
+        showNotification('Type a name and an amount, e.g. "coffee 4.50".', 'warning');
         return;
     }
     
-    emptyListText.style.display = 'none';
+    resetTransactionForm();
+    transactionNameInput.value = parsed.name;
+    transactionAmountInput.value = parsed.amount;
+    transactionCategoryInput.value = parsed.category;
+    transactionDateInput.value = parsed.date;
+    transactionRepeatInput.value = parsed.frequency;
+    transactionTagsInput.value = parsed.tags.join(', ');
+    updateRecurrenceOptions();
     
-    // Create transaction items
-    filteredTransactions.forEach(transaction => {
-        const transactionElement = createTransactionElement(transaction);
-        
-        // Add delete button to each transaction
-        const deleteButton = document.createElement('button');
-        deleteButton.className = 'delete-transaction';
-        deleteButton.innerHTML = '<i class="fas fa-trash"></i>';
-        deleteButton.addEventListener('click', async () => {
-            if (confirm('Are you sure you want to delete this transaction?')) {
-                try {
-                    await deleteTransaction(transaction.id);
-                    
-                    // Remove from arrays
-                    transactions = transactions.filter(t => t.id !== transaction.id);
-                    filteredTransactions = filteredTransactions.filter(t => t.id !== transaction.id);
-                    
-                    // Update UI
-                    renderTransactions();
-                    updateBalance();
-                    updateSpendingSummary();
-                    
-                    showNotification('Transaction deleted successfully!', 'success');
-                } catch (error) {
-                    console.error('Error deleting transaction:', error);
-                    showNotification('Error deleting transaction. Please try again.', 'error');
-                }
-            }
-        });
-        
-        transactionElement.appendChild(deleteButton);
-        transactionsList.appendChild(transactionElement);
-    });
+    await addTransaction(e);
+    
+    // The form is cleared once the transaction is saved; otherwise it is left to fix by hand
+    if (!transactionNameInput.value) {
+        quickAddInput.value = '';
+        renderQuickAddPreview();
+        quickAddInput.focus();
+    }
 }
 
-// Create a transaction element
-function createTransactionElement(transaction) {
-    const transactionElement = document.createElement('div');
-    transactionElement.className = `transaction-item ${transaction.type}`;
-    transactionElement.dataset.id = transaction.id;
-    
-    // Format date
-    const date = new Date(transaction.date);
-    const formattedDate = date.toLocaleDateString('en-US', {
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-    });
+// =============== Launch Functions ===============
+
+// Cache the service worker keeps shared content in until the page picks it up
+const SHARE_CACHE_NAME = 'zenbudget-share';
+
+// Statement formats the import flow reads
+const IMPORT_EXTENSIONS = ['csv', 'ofx', 'qfx', 'qif', 'txt'];
+
+// Act on the launch URL: ?add from shortcuts and deep links, ?share-target from the share sheet,
+// and backup files opened with ZenBudget. The query string is cleared so a reload does not repeat it.
+async function handleLaunch() {
+    const params = new URLSearchParams(window.location.search);
     
-    // Format amount with proper color
-    const formattedAmount = formatCurrency(Math.abs(transaction.amount));
-    const amountClass = transaction.type === 'income' ? 'income' : 'expense';
-    const amountSign = transaction.type === 'income' ? '+' : '-';
+    if ('launchQueue' in window) {
+        window.launchQueue.setConsumer(handleLaunchFiles);
+    }
     
-    transactionElement.innerHTML = `
-        <div class="transaction-info">
-            <div class="transaction-name">${transaction.name}</div>
-            <div class="transaction-category">
-                <i class="fas fa-tag"></i> ${transaction.category}
-            </div>
-            <div class="transaction-date">${formattedDate}</div>
-        </div>
-        <div class="transaction-amount ${amountClass}">
-            ${amountSign}${formattedAmount}
-        </div>
-    `;
+    if (params.has('add')) {
+        prefillTransactionForm({
+            type: params.get('add'),
+            name: params.get('name'),
+            amount: params.get('amount'),
+            category: params.get('category'),
+            account: params.get('account'),
+            date: params.get('date'),
+            note: params.get('note')
+        });
+    } else if (params.has('share-target')) {
+        try {
+            await receiveShare();
+        } catch (error) {
+            console.error('Error reading shared content:', error);
+            showNotification('Could not read what was shared. Please try again.', 'error');
+        }
+    } else if (params.has('pay-bill')) {
+        await payBillFromReminder(params.get('pay-bill'), params.get('due'));
+    }
     
-    return transactionElement;
+    if (params.has('add') || params.has('share-target') || params.has('restore') || params.has('pay-bill')) {
+        window.history.replaceState(null, '', window.location.pathname);
+    }
 }
 
-// Update balance and totals
-function updateBalance() {
-    // Calculate totals using reduce()
-    const totals = transactions.reduce((acc, transaction) => {
-        if (transaction.type === 'income') {
-            acc.income += transaction.amount;
-        } else {
-            acc.expense += Math.abs(transaction.amount);
+// Fill the add form from a draft; values that do not match anything are left out.
+// The type is "expense" or "income" and sets the amount's sign.
+function prefillTransactionForm(draft) {
+    resetTransactionForm();
+    
+    if (draft.account) {
+        const [accountId] = findAccountIds(draft.account);
+        if (accountId) {
+            transactionAccountInput.value = accountId;
+            transactionAccountInput.dispatchEvent(new Event('change'));
         }
-        return acc;
-    }, { income: 0, expense: 0 });
+    }
     
-    const totalBalance = totals.income - totals.expense;
+    const amount = parseFloat(draft.amount);
+    if (!isNaN(amount)) {
+        const sign = draft.type === 'expense' ? -1 : draft.type === 'income' ? 1 : Math.sign(amount);
+        transactionAmountInput.value = sign * Math.abs(amount);
+    } else if (draft.type === 'expense') {
+        transactionAmountInput.placeholder = '-0.00';
+    }
     
-    // Update DOM elements
-    totalBalanceElement.textContent = formatCurrency(totalBalance);
-    totalIncomeElement.textContent = formatCurrency(totals.income);
-    totalExpenseElement.textContent = formatCurrency(totals.expense);
+    if (draft.name) {
+        transactionNameInput.value = draft.name.trim();
+        transactionNameInput.dispatchEvent(new Event('input'));
+    }
     
-    // Add color class to balance based on value
-    totalBalanceElement.className = 'balance-amount';
-    if (totalBalance > 0) {
-        totalBalanceElement.classList.add('positive');
-    } else if (totalBalance < 0) {
-        totalBalanceElement.classList.add('negative');
+    // A category given explicitly wins over the suggestion from the name
+    if (draft.category) {
+        const [categoryId] = findCategoryIds(draft.category);
+        if (categoryId) {
+            transactionCategoryInput.value = categoryId;
+            categorySuggestion.textContent = '';
+        }
     }
+    
+    if (/^\d{4}-\d{2}-\d{2}$/.test(draft.date || '')) {
+        transactionDateInput.value = draft.date;
+    }
+    
+    if (draft.note) {
+        transactionNoteInput.value = draft.note;
+        formDetails.open = true;
+    }
+    
+    transactionForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    (transactionNameInput.value ? transactionAmountInput : transactionNameInput).focus();
 }
 
-// Update spending summary with progress bars
-function updateSpendingSummary() {
-    // Clear the summary
-    categoryBarsContainer.innerHTML = '';
+// Draft transaction from shared text: the first amount in it, and the rest as the name.
+// Shared amounts are usually purchases, so they count as expenses unless marked with +.
+function parseSharedText(title, text) {
+    const body = [text, title].filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+    const match = body.match(/([+-]?)\s*[$€£¥]?\s*(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?(?!\d)/);
+    const draft = { name: title ? title.trim() : body };
     
-    // Get expense transactions only
-    const expenseTransactions = transactions.filter(t => t.type === 'expense');
+    if (match) {
+        draft.amount = parseFloat(match[2].replace(/,/g, '') + (match[3] || ''));
+        draft.type = match[1] === '+' ? 'income' : 'expense';
+        
+        if (!title) {
+            draft.name = body.replace(match[0], ' ').replace(/\s+/g, ' ').replace(/^[\s:,-]+|[\s:,-]+$/g, '');
+        }
+    }
     
-    if (expenseTransactions.length === 0) {
-        emptySummaryText.style.display = 'block';
-        categoryBarsContainer.appendChild(emptySummaryText);
+    draft.name = (draft.name || '').slice(0, 100);
+    return draft;
+}
+
+// Pick up what the service worker saved from the share sheet. Backups go to the restore flow,
+// statements to import, and images become receipts on a draft built from the shared text.
+async function receiveShare() {
+    const cache = await caches.open(SHARE_CACHE_NAME);
+    const response = await cache.match('share-target');
+    if (!response) return;
+    
+    const shared = await response.json();
+    const files = await Promise.all(shared.files.map(async ({ key, name, type }) => {
+        const blob = await (await cache.match(key)).blob();
+        return new File([blob], name, { type });
+    }));
+    await caches.delete(SHARE_CACHE_NAME);
+    
+    const getExtension = file => file.name.split('.').pop().toLowerCase();
+    const backupFile = files.find(file => getExtension(file) === 'json');
+    const statementFile = files.find(file => IMPORT_EXTENSIONS.includes(getExtension(file)));
+    const images = files.filter(file => file.type.startsWith('image/'));
+    
+    if (backupFile) {
+        await openBackupModal();
+        await readRestoreFile(backupFile);
         return;
     }
     
-    emptySummaryText.style.display = 'none';
+    if (statementFile) {
+        await openImportFile(statementFile);
+        return;
+    }
     
-    // Calculate total expenses
-    const totalExpenses = expenseTransactions.reduce((sum, transaction) => {
-        return sum + Math.abs(transaction.amount);
-    }, 0);
+    // A shared link is kept as the note rather than searched for an amount
+    const draft = parseSharedText(shared.title, shared.text);
+    draft.note = shared.url;
+    prefillTransactionForm(draft);
     
-    // Group expenses by category
-    const categories = {};
-    expenseTransactions.forEach(transaction => {
-        const category = transaction.category;
-        const amount = Math.abs(transaction.amount);
-        
-        if (!categories[category]) {
-            categories[category] = 0;
-        }
-        
-        categories[category] += amount;
-    });
+    if (images.length > 0) {
+        pendingReceiptFiles.push(...images);
+        renderPendingReceipts();
+    }
+}
+
+// A backup file opened with ZenBudget goes straight to the restore preview
+async function handleLaunchFiles(launchParams) {
+    if (!launchParams.files || launchParams.files.length === 0) return;
     
-    // Create progress bars for each category
-    Object.entries(categories).forEach(([category, amount]) => {
-        const percentage = totalExpenses > 0 ? (amount / totalExpenses) * 100 : 0;
-        
-        const categoryElement = document.createElement('div');
-        categoryElement.className = 'category-item';
-        
-        // Assign color based on category
-        const color = getCategoryColor(category);
-        
-        categoryElement.innerHTML = `
-            <div class="category-header">
-                <div class="category-name">
-                    <i class="fas fa-${getCategoryIcon(category)}"></i>
-                    ${category}
-                </div>
-                <div class="category-amount">${formatCurrency(amount)}</div>
-            </div>
-            <div class="progress-bar">
-                <div class="progress-fill" style="width: ${percentage}%; background: ${color};"></div>
-                <span class="category-percentage">${percentage.toFixed(1)}%</span>
-            </div>
-        `;
-        
-        categoryBarsContainer.appendChild(categoryElement);
+    const file = await launchParams.files[0].getFile();
+    await openBackupModal();
+    await readRestoreFile(file);
+}
+
+// =============== Dialog Functions ===============
+
+// Elements that can be reached with Tab, for moving focus into a modal and keeping it there
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), summary, [tabindex]:not([tabindex="-1"])';
+
+let dialogResolver = null;
+let openModals = [];
+let currentFocus = null;
+let previousFocus = null;
+
+// Show the confirmation modal and resolve with whether it was confirmed.
+// Without a cancel label it is a message with a single button.
+function showDialog({ title = 'Are you sure?', message, confirmLabel = 'OK', cancelLabel = 'Cancel', danger = true }) {
+    // A question still open is answered "no" before the modal is reused
+    if (dialogResolver) {
+        dialogResolver(false);
+    }
+    
+    confirmationTitle.textContent = title;
+    confirmationMessage.textContent = message;
+    confirmationConfirmButton.textContent = confirmLabel;
+    confirmationConfirmButton.classList.toggle('neutral', !danger);
+    confirmationCancelButton.textContent = cancelLabel || '';
+    confirmationCancelButton.style.display = cancelLabel ? '' : 'none';
+    
+    confirmationModal.classList.add('active');
+    
+    return new Promise(resolve => {
+        dialogResolver = resolve;
     });
 }
 
-// Get color for a category
-function getCategoryColor(category) {
-    const colors = {
-        'Food': '#10b981',
-        'Rent': '#6366f1',
-        'Fun': '#8b5cf6',
-        'Income': '#06b6d4',
-        'Other': '#f59e0b'
-    };
+// Close the confirmation modal with the user's answer
+function closeDialog(confirmed) {
+    const resolve = dialogResolver;
+    
+    dialogResolver = null;
+    confirmationModal.classList.remove('active');
     
-    return colors[category] || '#94a3b8';
+    if (resolve) {
+        resolve(confirmed);
+    }
 }
 
-// Get icon for a category
-function getCategoryIcon(category) {
-    const icons = {
-        'Food': 'utensils',
-        'Rent': 'home',
-        'Fun': 'gamepad',
-        'Income': 'money-bill-wave',
-        'Other': 'shopping-bag'
-    };
+// Ask before doing something; stands in for confirm()
+function confirmDialog(message, options = {}) {
+    return showDialog({ ...options, message });
+}
+
+// Tell the user something that only needs acknowledging; stands in for alert()
+function alertDialog(message, title = 'Please check') {
+    return showDialog({ title, message, cancelLabel: null, danger: false });
+}
+
+// Focusable elements in a container that are currently shown
+function getFocusableElements(container) {
+    return [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter(element => element.getClientRects().length > 0);
+}
+
+// Move focus into a modal that just opened, unless the code opening it already did
+function handleModalOpened(overlay) {
+    const opener = overlay.contains(document.activeElement) ? previousFocus : document.activeElement;
+    openModals.push({ overlay, opener });
     
-    return icons[category] || 'tag';
+    if (!overlay.contains(document.activeElement)) {
+        // Start on the first field or button rather than the close button in the header
+        const [first] = getFocusableElements(overlay.querySelector('.modal-body') || overlay);
+        (first || overlay.querySelector('.modal')).focus();
+    }
 }
 
-// Format currency
-function formatCurrency(amount) {
-    return new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'USD',
-        minimumFractionDigits: 2
-    }).format(amount);
+// Give focus back to whatever opened a modal that just closed
+function handleModalClosed(overlay) {
+    const entry = openModals.find(modal => modal.overlay === overlay);
+    openModals = openModals.filter(modal => modal !== entry);
+    
+    const focusLeft = overlay.contains(document.activeElement) || document.activeElement === document.body;
+    if (focusLeft && entry.opener && entry.opener.isConnected) {
+        entry.opener.focus();
+    }
 }
 
-// Clear all transactions
-async function clearAllTransactions() {
-    try {
-        // Clear from IndexedDB
-        await clearAllTransactionsFromDB();
-        
-        // Clear transactions array
-        transactions = [];
-        filteredTransactions = [];
-        
-        // Update UI
-        renderTransactions();
-        updateBalance();
-        updateSpendingSummary();
-        
-        // Close modal
-        closeModal();
-        
-        // Show confirmation message
-        showNotification('All transactions have been cleared.', 'success');
-    } catch (error) {
-        console.error('Error clearing transactions:', error);
-        showNotification('Error clearing transactions. Please try again.', 'error');
+// Keep Tab inside the top modal and close it with Escape
+function handleModalKeydown(e) {
+    const top = openModals[openModals.length - 1];
+    if (!top || e.defaultPrevented) return;
+    
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        top.overlay.querySelector('.close-modal').click();
+        return;
+    }
+    
+    if (e.key !== 'Tab') return;
+    
+    const focusable = getFocusableElements(top.overlay);
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    
+    if (!first) {
+        e.preventDefault();
+    } else if (!top.overlay.contains(document.activeElement)) {
+        e.preventDefault();
+        (e.shiftKey ? last : first).focus();
+    } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
     }
 }
 
+// Every modal opens and closes by toggling "active", so watching the class covers them all
+function setupModalKeyboard() {
+    const observer = new MutationObserver(mutations => {
+        mutations.forEach(({ target }) => {
+            const isOpen = openModals.some(modal => modal.overlay === target);
+            
+            if (target.classList.contains('active') && !isOpen) {
+                handleModalOpened(target);
+            } else if (!target.classList.contains('active') && isOpen) {
+                handleModalClosed(target);
+            }
+        });
+    });
+    
+    document.querySelectorAll('.modal-overlay').forEach(overlay => {
+        overlay.querySelector('.modal').tabIndex = -1;
+        observer.observe(overlay, { attributes: true, attributeFilter: ['class'] });
+    });
+    
+    // Remember where focus was, for modals whose opener moved it inside already
+    document.addEventListener('focusin', (e) => {
+        previousFocus = currentFocus;
+        currentFocus = e.target;
+    });
+    
+    document.addEventListener('keydown', handleModalKeydown);
+}
+
 // =============== PWA Functions ===============
 
+// Installed service worker waiting to replace the running one
+let waitingWorker = null;
+let updateRequested = false;
+
 // PWA Initialization
 function initPWA() {
     // Register Service Worker
@@ -547,12 +11109,10 @@ function initPWA() {
             navigator.serviceWorker.register('sw.js')
                 .then((registration) => {
                     console.log('Service Worker registered with scope:', registration.scope);
+                    watchForUpdates(registration);
                     
-                    // Check for updates
-                    registration.addEventListener('updatefound', () => {
-                        const newWorker = registration.installing;
-                        console.log('New Service Worker found:', newWorker);
-                    });
+                    // Remind about bills now, in case periodic background sync is not available
+                    requestBillCheck();
                 })
                 .catch((error) => {
                     console.error('Service Worker registration failed:', error);
@@ -560,6 +11120,23 @@ function initPWA() {
         });
     }
     
+    // Bills marked paid from a notification, and changes the service worker pushed
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+        
+        // The new version took over because the user asked for it; load its files
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (updateRequested) {
+                window.location.reload();
+            }
+        });
+    }
+    
+    updateReloadButton.addEventListener('click', applyUpdate);
+    updateDismissButton.addEventListener('click', () => {
+        updateBanner.style.display = 'none';
+    });
+    
     // Install prompt
     let deferredPrompt;
     
@@ -609,6 +11186,7 @@ function initPWA() {
             offlineIndicator.style.display = 'none';
         }
         showNotification('You are back online!', 'success');
+        syncNow();
     });
     
     window.addEventListener('offline', () => {
@@ -616,7 +11194,9 @@ function initPWA() {
         if (offlineIndicator) {
             offlineIndicator.style.display = 'inline-flex';
         }
-        showNotification('You are offline. Changes will sync when back online.', 'warning');
+        showNotification(isSyncEnabled()
+            ? 'You are offline. Changes will sync when back online.'
+            : 'You are offline. Your changes are saved on this device.', 'warning');
     });
     
     // Check initial network status
@@ -630,14 +11210,56 @@ function initPWA() {
     }
 }
 
+// Offer to reload when a new version of the app has installed and is waiting.
+// A version found on the first visit takes over by itself, so there is nothing to offer then.
+function watchForUpdates(registration) {
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(registration.waiting);
+    }
+    
+    registration.addEventListener('updatefound', () => {
+        const newWorker = registration.installing;
+        console.log('New Service Worker found:', newWorker);
+        
+        newWorker.addEventListener('statechange', () => {
+            if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdateBanner(newWorker);
+            }
+        });
+    });
+    
+    // Look for a new version whenever the app comes back to the foreground
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            registration.update().catch(error => console.log('Update check failed:', error.message));
+        }
+    });
+}
+
+// Show the "new version available" banner for a waiting service worker
+function showUpdateBanner(worker) {
+    waitingWorker = worker;
+    updateBanner.style.display = 'flex';
+}
+
+// Tell the waiting service worker to take over; the page reloads when it has
+function applyUpdate() {
+    if (!waitingWorker) return;
+    
+    updateRequested = true;
+    updateReloadButton.disabled = true;
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
 // Enhanced showNotification function with PWA support
-function showNotification(message, type = 'info') {
+// An optional action ({ label, handler }) adds a button such as "Undo" to the toast
+function showNotification(message, type = 'info', action = null) {
     // If we have Notification API permission and app is in background
     if ('Notification' in window && Notification.permission === 'granted' && document.hidden) {
         const notification = new Notification('ZenBudget', {
             body: message,
-            icon: '/icons/icon-192x192.png',
-            badge: '/icons/icon-96x96.png'
+            icon: './icons/icon-192x192.png',
+            badge: './icons/icon-96x96.png'
         });
         
         notification.onclick = () => {
@@ -646,72 +11268,83 @@ function showNotification(message, type = 'info') {
         };
     }
     
-    // Also show in-app notification
+    // Also show in-app notification; errors interrupt a screen reader, the rest wait their turn
     const notification = document.createElement('div');
     notification.className = `notification notification-${type}`;
-    notification.textContent = message;
+    if (type === 'error') {
+        notification.setAttribute('role', 'alert');
+    }
     
-    // Set colors based on notification type
-    let backgroundColor;
-    switch(type) {
-        case 'success':
-            backgroundColor = '#10b981';
-            break;
-        case 'warning':
-            backgroundColor = '#f59e0b';
-            break;
-        case 'error':
-            backgroundColor = '#ef4444';
-            break;
-        default:
-            backgroundColor = 'var(--glass-bg)';
-    }
-    
-    notification.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        background: ${backgroundColor};
-        backdrop-filter: blur(10px);
-        border: 1px solid var(--glass-border);
-        padding: 15px 25px;
-        border-radius: var(--radius-md);
-        box-shadow: var(--glass-shadow);
-        z-index: 1001;
-        transform: translateX(150%);
-        transition: transform 0.3s ease;
-        color: white;
-        max-width: 300px;
-        word-wrap: break-word;
-    `;
+    const text = document.createElement('span');
+    text.className = 'notification-message';
+    text.textContent = message;
+    notification.appendChild(text);
+    
+    if (action) {
+        const actionButton = document.createElement('button');
+        actionButton.className = 'notification-action';
+        actionButton.textContent = action.label;
+        actionButton.addEventListener('click', () => {
+            dismiss();
+            action.handler();
+        });
+        notification.appendChild(actionButton);
+    }
     
-    document.body.appendChild(notification);
+    const closeButton = document.createElement('button');
+    closeButton.className = 'notification-close';
+    closeButton.setAttribute('aria-label', 'Dismiss notification');
+    closeButton.innerHTML = '&times;';
+    closeButton.addEventListener('click', () => dismiss());
+    notification.appendChild(closeButton);
+    
+    notificationRegion.appendChild(notification);
     
     // Animate in
     setTimeout(() => {
-        notification.style.transform = 'translateX(0)';
+        notification.classList.add('visible');
     }, 10);
     
-    // Animate out and remove after 3 seconds
-    setTimeout(() => {
-        notification.style.transform = 'translateX(150%)';
-        setTimeout(() => {
-            if (notification.parentNode) {
-                document.body.removeChild(notification);
-            }
-        }, 300);
-    }, 3000);
+    // Animate out and remove
+    function dismiss() {
+        clearTimeout(dismissTimer);
+        notification.classList.remove('visible');
+        setTimeout(() => notification.remove(), 300);
+    }
+    
+    // Leave actionable toasts up long enough to reach the button
+    const delay = action ? 6000 : 3000;
+    let dismissTimer = setTimeout(dismiss, delay);
+    
+    // Hold the toast while the pointer or keyboard focus is on it
+    const hold = () => clearTimeout(dismissTimer);
+    const release = () => {
+        if (notification.matches(':hover') || notification.contains(document.activeElement)) return;
+        clearTimeout(dismissTimer);
+        dismissTimer = setTimeout(dismiss, delay);
+    };
+    notification.addEventListener('mouseenter', hold);
+    notification.addEventListener('focusin', hold);
+    notification.addEventListener('mouseleave', release);
+    notification.addEventListener('focusout', () => setTimeout(release));
 }
 
-// Request notification permission (call this from a user action, like a button)
-function requestNotificationPermission() {
-    if ('Notification' in window && Notification.permission === 'default') {
-        Notification.requestPermission().then((permission) => {
-            if (permission === 'granted') {
-                showNotification('Notifications enabled!', 'success');
-            }
-        });
+// Request notification permission (call this from a user action, like a button).
+// Resolves with 'granted', 'denied', 'default' or 'unsupported'.
+async function requestNotificationPermission() {
+    if (!('Notification' in window)) {
+        return 'unsupported';
+    }
+    
+    if (Notification.permission === 'default') {
+        const permission = await Notification.requestPermission();
+        if (permission === 'granted') {
+            showNotification('Notifications enabled!', 'success');
+        }
+        return permission;
     }
+    
+    return Notification.permission;
 }
 
 // Stress test: Add sample data
@@ -720,14 +11353,14 @@ async function addSampleData() {
     if (transactions.length > 0) return;
     
     const sampleTransactions = [
-        { name: 'Salary', amount: 3500, category: 'Income', date: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString() },
-        { name: 'Rent', amount: -1200, category: 'Rent', date: new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString() },
-        { name: 'Groceries', amount: -150, category: 'Food', date: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString() },
-        { name: 'Concert Tickets', amount: -85, category: 'Fun', date: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString() },
-        { name: 'Freelance Work', amount: 800, category: 'Income', date: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString() },
-        { name: 'Restaurant', amount: -65, category: 'Food', date: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString() },
-        { name: 'Netflix Subscription', amount: -15.99, category: 'Fun', date: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString() },
-        { name: 'Coffee Shop', amount: -12.5, category: 'Food', date: new Date().toISOString() }
+        { name: 'Salary', amount: 3500, category: 'cat-income', date: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString() },
+        { name: 'Rent', amount: -1200, category: 'cat-rent', date: new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString() },
+        { name: 'Groceries', amount: -150, category: 'cat-food', date: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString() },
+        { name: 'Concert Tickets', amount: -85, category: 'cat-fun', date: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000).toISOString() },
+        { name: 'Freelance Work', amount: 800, category: 'cat-income', date: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString() },
+        { name: 'Restaurant', amount: -65, category: 'cat-food', date: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString() },
+        { name: 'Netflix Subscription', amount: -15.99, category: 'cat-fun', date: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString() },
+        { name: 'Coffee Shop', amount: -12.5, category: 'cat-food', date: new Date().toISOString() }
     ];
     
     try {
@@ -735,17 +11368,19 @@ async function addSampleData() {
         for (const transaction of sampleTransactions) {
             const fullTransaction = {
                 ...transaction,
-                id: Date.now() + Math.random(),
-                type: transaction.amount >= 0 ? 'income' : 'expense'
+                id: createRecordId(),
+                account: getActiveAccounts()[0].id,
+                currency: getActiveAccounts()[0].currency,
+                type: getTransactionType(transaction.amount)
             };
             
             await saveTransaction(fullTransaction);
             transactions.push(fullTransaction);
         }
         
-        filteredTransactions = [...transactions];
+        transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
         
-        renderTransactions();
+        filterTransactions();
         updateBalance();
         updateSpendingSummary();
         
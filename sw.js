@@ -1,44 +1,82 @@
 // ZenBudget Service Worker - GitHub Pages Version
-const CACHE_NAME = 'zenbudget-v1.0.1';
-const STATIC_CACHE_NAME = `zenbudget-static-${CACHE_NAME}`;
+// Bump CACHE_VERSION with every release so the page can offer the update
+const CACHE_VERSION = 'v1.2.0';
+const PRECACHE_NAME = `zenbudget-precache-${CACHE_VERSION}`;
+const RUNTIME_CACHE_NAME = `zenbudget-runtime-${CACHE_VERSION}`;
 
-// Assets to cache on install - Use relative paths for GitHub Pages
-const STATIC_ASSETS = [
+// App shell - Use relative paths for GitHub Pages. Icons are added from manifest.json.
+const APP_SHELL = [
   './',
   './index.html',
   './style.css',
   './script.js',
-  './manifest.json',
-  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
-  'https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;500;600;700&family=Inter:wght@300;400;500&display=swap',
-  './icons/icon-192x192.png',
-  './icons/icon-512x512.png'
+  './manifest.json'
 ];
 
-// Install event - cache static assets
+// Fonts and icons are served from here, so the app looks the same offline
+const FONT_ASSETS = [
+  './fonts/fonts.css',
+  './fonts/poppins-latin-300-normal.woff2',
+  './fonts/poppins-latin-400-normal.woff2',
+  './fonts/poppins-latin-500-normal.woff2',
+  './fonts/poppins-latin-600-normal.woff2',
+  './fonts/poppins-latin-700-normal.woff2',
+  './fonts/poppins-latin-ext-300-normal.woff2',
+  './fonts/poppins-latin-ext-400-normal.woff2',
+  './fonts/poppins-latin-ext-500-normal.woff2',
+  './fonts/poppins-latin-ext-600-normal.woff2',
+  './fonts/poppins-latin-ext-700-normal.woff2',
+  './fonts/inter-latin-300-normal.woff2',
+  './fonts/inter-latin-400-normal.woff2',
+  './fonts/inter-latin-500-normal.woff2',
+  './fonts/inter-latin-ext-300-normal.woff2',
+  './fonts/inter-latin-ext-400-normal.woff2',
+  './fonts/inter-latin-ext-500-normal.woff2',
+  './fonts/fontawesome/css/all.min.css',
+  './fonts/fontawesome/webfonts/fa-brands-400.woff2',
+  './fonts/fontawesome/webfonts/fa-regular-400.woff2',
+  './fonts/fontawesome/webfonts/fa-solid-900.woff2',
+  './fonts/fontawesome/webfonts/fa-v4compatibility.woff2'
+];
+
+// Shown for images that cannot be loaded offline
+const FALLBACK_ICON = './icons/icon-192x192.png';
+
+// Content shared to the app waits here until the page reads it
+const SHARE_CACHE_NAME = 'zenbudget-share';
+
+// Everything to precache: the app shell, the fonts and every icon manifest.json lists, so the list
+// cannot drift from the files that are actually there
+async function getPrecacheList() {
+  const response = await fetch('./manifest.json', { cache: 'no-store' });
+  const manifest = await response.json();
+  const icons = (manifest.icons || []).map((icon) => icon.src);
+  return [...new Set([...APP_SHELL, ...FONT_ASSETS, ...icons])];
+}
+
+// Install event - precache this version. It then waits until the page asks it to take over.
 self.addEventListener('install', (event) => {
   console.log('[Service Worker] Installing...');
-  event.waitUntil(
-    caches.open(STATIC_CACHE_NAME)
-      .then((cache) => {
-        console.log('[Service Worker] Caching static assets');
-        return cache.addAll(STATIC_ASSETS);
-      })
-      .then(() => {
-        console.log('[Service Worker] Install completed');
-        return self.skipWaiting();
-      })
-  );
+  event.waitUntil((async () => {
+    const cache = await caches.open(PRECACHE_NAME);
+
+    // Skip the HTTP cache so a new version never precaches old files
+    const assets = await getPrecacheList();
+    await cache.addAll(assets.map((url) => new Request(url, { cache: 'reload' })));
+    console.log('[Service Worker] Precached', assets.length, 'assets');
+  })());
 });
 
-// Activate event - clean up old caches
+// Activate event - clean up caches from earlier versions
 self.addEventListener('activate', (event) => {
   console.log('[Service Worker] Activating...');
+  const currentCaches = [PRECACHE_NAME, RUNTIME_CACHE_NAME, SHARE_CACHE_NAME];
+
   event.waitUntil(
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames.map((cacheName) => {
-          if (cacheName !== STATIC_CACHE_NAME) {
+          if (!currentCaches.includes(cacheName)) {
             console.log('[Service Worker] Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
@@ -51,59 +89,521 @@ self.addEventListener('activate', (event) => {
   );
 });
 
-// Fetch event - cache-first strategy
+// Response for requests that fail with nothing cached
+function offlineResponse(request) {
+  if (request.destination === 'image') {
+    return caches.match(FALLBACK_ICON);
+  }
+
+  return new Response('You are offline. Please check your internet connection.', {
+    status: 503,
+    statusText: 'Service Unavailable',
+    headers: new Headers({
+      'Content-Type': 'text/plain'
+    })
+  });
+}
+
+// Network first, so a reload always gets the latest page when online; the cached copy offline
+async function networkFirst(request, cacheName) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    // Links with a query string, like shortcuts, still open the cached app
+    return (await caches.match(request, { ignoreSearch: true })) ||
+      (await caches.match('./index.html')) ||
+      offlineResponse(request);
+  }
+}
+
+// Cached copy straight away while a fresh one is fetched for next time
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cachedResponse = await cache.match(event.request, { ignoreSearch: true }) || await caches.match(event.request);
+
+  const update = fetch(event.request)
+    .then(async (response) => {
+      if (response.ok) {
+        await cache.put(event.request, response.clone());
+      }
+      return response;
+    });
+
+  if (cachedResponse) {
+    event.waitUntil(update.catch((error) => {
+      console.log('[Service Worker] Revalidation failed:', event.request.url, error.message);
+    }));
+    return cachedResponse;
+  }
+
+  return update.catch(() => offlineResponse(event.request));
+}
+
+// Cache first, for files that do not change at the same URL
+async function cacheFirst(request, cacheName) {
+  const cachedResponse = await caches.match(request);
+  if (cachedResponse) {
+    return cachedResponse;
+  }
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    console.error('[Service Worker] Fetch failed:', error);
+    return offlineResponse(request);
+  }
+}
+
+// Keep what the share sheet posted, then open the app to pick it up. Only the latest share is kept.
+async function saveSharedContent(request) {
+  const formData = await request.formData();
+  await caches.delete(SHARE_CACHE_NAME);
+  const cache = await caches.open(SHARE_CACHE_NAME);
+
+  const files = await Promise.all(formData.getAll('files')
+    .filter((file) => typeof file !== 'string')
+    .map(async (file, index) => {
+      const key = `share-file-${index}`;
+      await cache.put(key, new Response(file));
+      return { key, name: file.name, type: file.type };
+    }));
+
+  await cache.put('share-target', new Response(JSON.stringify({
+    title: formData.get('title') || '',
+    text: formData.get('text') || '',
+    url: formData.get('url') || '',
+    files
+  })));
+
+  return Response.redirect('./?share-target', 303);
+}
+
+// Fetch event - pick a caching strategy by what is requested
 self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  // Content shared from another app, posted to the manifest's share_target
+  if (request.method === 'POST' && new URL(request.url).searchParams.has('share-target')) {
+    event.respondWith(saveSharedContent(request));
+    return;
+  }
+
   // Skip non-GET requests
-  if (event.request.method !== 'GET') {
+  if (request.method !== 'GET') {
     return;
   }
 
-  event.respondWith(
-    caches.match(event.request)
-      .then((cachedResponse) => {
-        if (cachedResponse) {
-          console.log('[Service Worker] Serving from cache:', event.request.url);
-          return cachedResponse;
+  // Skip requests the page asked not to cache, like pulls from the sync server
+  if (request.cache === 'no-store') {
+    return;
+  }
+
+  const url = new URL(request.url);
+
+  // Requests to other origins goes straight to the network
+  if (url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate' || request.destination === 'document') {
+    event.respondWith(networkFirst(request, PRECACHE_NAME));
+  } else if (request.destination === 'script' || request.destination === 'style' || /\.(js|css)$/.test(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, PRECACHE_NAME));
+  } else {
+    event.respondWith(cacheFirst(request, RUNTIME_CACHE_NAME));
+  }
+});
+
+// App database, shared with the page for bill reminders
+const DB_NAME = 'ZenBudgetDB';
+const BILL_STORE_NAME = 'bills';
+const TRANSACTION_STORE_NAME = 'transactions';
+const SETTINGS_STORE_NAME = 'settings';
+const SYNC_CHANGE_STORE_NAME = 'syncChanges';
+const BILL_SYNC_TAG = 'bill-reminders';
+const SYNC_TAG = 'sync-changes';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Open the app database at whatever version the page created.
+// Resolves null before the page has set up bills, so the worker never creates or upgrades it.
+function openAppDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME);
+
+    request.onupgradeneeded = () => {
+      request.transaction.abort();
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(BILL_STORE_NAME)) {
+        db.close();
+        resolve(null);
+        return;
+      }
+
+      // Let the page upgrade the database
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      // An aborted first-time open means there is no database yet
+      if (request.error && request.error.name === 'AbortError') {
+        resolve(null);
+        return;
+      }
+      reject(request.error);
+    };
+  });
+}
+
+// Read every record in a store
+function getAllRecords(db, storeName) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Read the app settings into a key/value object
+async function getSettings(db) {
+  const settings = {};
+  (await getAllRecords(db, SETTINGS_STORE_NAME)).forEach((record) => {
+    settings[record.key] = record.value;
+  });
+  return settings;
+}
+
+// Local calendar day as YYYY-MM-DD
+function getDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Digits after the decimal point for a currency, as the page stores amounts in minor units
+function getCurrencyExponent(currency) {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch (error) {
+    return 2;
+  }
+}
+
+// A stored transaction as it is sent to other devices, with amounts in whole currency units
+function fromStoredTransaction(record) {
+  if (!record || record.amountMinor === undefined) {
+    return record;
+  }
+
+  const { amountMinor, currencyExponent, ...transaction } = record;
+  transaction.amount = amountMinor / 10 ** currencyExponent;
+  if (record.splits) {
+    transaction.splits = record.splits.map(({ amountMinor: splitMinor, ...split }) => ({
+      ...split,
+      amount: splitMinor / 10 ** currencyExponent
+    }));
+  }
+  return transaction;
+}
+
+// Date a bill is next due, counted from its start date the same way the page does
+function getBillDueDate(bill) {
+  const [year, month, day] = bill.startDate.split('-').map(Number);
+  const index = bill.nextIndex;
+
+  switch (bill.frequency) {
+    case 'weekly':
+      return new Date(year, month - 1, day + 7 * index, 12);
+    case 'biweekly':
+      return new Date(year, month - 1, day + 14 * index, 12);
+    case 'monthly': {
+      const lastDay = new Date(year, month - 1 + index + 1, 0).getDate();
+      return new Date(year, month - 1 + index, Math.min(day, lastDay), 12);
+    }
+    case 'yearly': {
+      const lastDay = new Date(year + index, month, 0).getDate();
+      return new Date(year + index, month - 1, Math.min(day, lastDay), 12);
+    }
+    default:
+      return new Date(year, month - 1, day, 12);
+  }
+}
+
+// Show a notification for every bill coming due that has not been reminded about yet
+async function checkBillReminders() {
+  if (self.Notification && Notification.permission !== 'granted') {
+    return;
+  }
+
+  const db = await openAppDatabase();
+  if (!db) {
+    return;
+  }
+
+  try {
+    const settings = await getSettings(db);
+
+    if (!settings.billReminders) {
+      return;
+    }
+
+    const today = new Date();
+    today.setHours(12, 0, 0, 0);
+
+    const bills = await getAllRecords(db, BILL_STORE_NAME);
+    const reminded = [];
+
+    for (const bill of bills) {
+      const due = getBillDueDate(bill);
+      const dueKey = getDateKey(due);
+      const daysLeft = Math.round((due - today) / DAY_MS);
+
+      if (daysLeft > bill.remindDays || bill.notifiedFor === dueKey) {
+        continue;
+      }
+
+      const amount = new Intl.NumberFormat(settings.locale || undefined, {
+        style: 'currency',
+        currency: bill.currency
+      }).format(bill.amount);
+      let when = `due in ${daysLeft} days`;
+      if (daysLeft < 0) when = 'overdue';
+      else if (daysLeft === 0) when = 'due today';
+      else if (daysLeft === 1) when = 'due tomorrow';
+
+      await self.registration.showNotification(`${bill.name} ${when}`, {
+        body: `${amount} on ${due.toLocaleDateString(settings.locale || undefined, { weekday: 'short', month: 'short', day: 'numeric' })}`,
+        icon: './icons/icon-192x192.png',
+        badge: './icons/icon-96x96.png',
+        tag: `bill-${bill.id}`,
+        data: { billId: bill.id, dueKey },
+        actions: [{ action: 'mark-paid', title: 'Mark paid' }]
+      });
+
+      reminded.push({ ...bill, notifiedFor: dueKey });
+    }
+
+    if (reminded.length > 0) {
+      await new Promise((resolve, reject) => {
+        const transaction = db.transaction(BILL_STORE_NAME, 'readwrite');
+        reminded.forEach((bill) => transaction.objectStore(BILL_STORE_NAME).put(bill));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+    }
+  } finally {
+    db.close();
+  }
+}
+
+// Add the expense for a bill and move it to its next due date, as the page's "mark paid" does.
+// Nothing happens if the bill was already paid or changed since the reminder.
+async function markBillPaid(billId, dueKey) {
+  const db = await openAppDatabase();
+  if (!db) {
+    return;
+  }
+
+  try {
+    const settings = await getSettings(db);
+
+    // With a passcode set, transactions may only be stored encrypted, and only the app has the key
+    if (settings.encryption) {
+      await openAppToPayBill(billId, dueKey);
+      return;
+    }
+
+    const logChanges = Boolean(settings.syncUrl) && db.objectStoreNames.contains(SYNC_CHANGE_STORE_NAME);
+    const storeNames = logChanges
+      ? [BILL_STORE_NAME, TRANSACTION_STORE_NAME, SYNC_CHANGE_STORE_NAME]
+      : [BILL_STORE_NAME, TRANSACTION_STORE_NAME];
+
+    const bill = await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, 'readwrite');
+      const billStore = transaction.objectStore(BILL_STORE_NAME);
+      let paid = null;
+
+      billStore.get(billId).onsuccess = (event) => {
+        const record = event.target.result;
+        if (!record || getDateKey(getBillDueDate(record)) !== dueKey) {
+          return;
         }
 
-        // If not in cache, fetch from network
-        return fetch(event.request)
-          .then((fetchResponse) => {
-            // Don't cache external resources
-            if (!event.request.url.startsWith('http')) {
-              return fetchResponse;
-            }
-            
-            // Cache the response for future use
-            const responseClone = fetchResponse.clone();
-            caches.open(STATIC_CACHE_NAME).then((cache) => {
-              cache.put(event.request, responseClone);
-            });
-            return fetchResponse;
-          })
-          .catch((error) => {
-            console.error('[Service Worker] Fetch failed:', error);
-            
-            // Return a fallback for navigation requests
-            if (event.request.mode === 'navigate') {
-              return caches.match('./index.html');
-            }
-            
-            // For images, return a fallback icon
-            if (event.request.destination === 'image') {
-              return caches.match('./icons/icon-192x192.png');
-            }
-            
-            return new Response('You are offline. Please check your internet connection.', {
-              status: 503,
-              statusText: 'Service Unavailable',
-              headers: new Headers({
-                'Content-Type': 'text/plain'
-              })
-            });
+        // Stored the way the page stores transactions: a string id and the amount in minor units
+        const exponent = getCurrencyExponent(record.currency);
+        const expense = {
+          id: crypto.randomUUID(),
+          name: record.name,
+          amountMinor: -Math.round(Number((record.amount * 10 ** exponent).toPrecision(15))),
+          currencyExponent: exponent,
+          currency: record.currency,
+          category: record.category,
+          account: record.account,
+          date: new Date().toISOString(),
+          type: 'expense',
+          billId: record.id
+        };
+        transaction.objectStore(TRANSACTION_STORE_NAME).put(expense);
+
+        // Queue the expense for other devices, like the page does for its own changes
+        if (logChanges) {
+          transaction.objectStore(SYNC_CHANGE_STORE_NAME).add({
+            id: `chg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            deviceId: settings.syncDeviceId,
+            entity: 'transaction',
+            op: 'create',
+            recordId: expense.id,
+            record: expense,
+            base: null,
+            timestamp: expense.date
           });
+        }
+
+        if (record.frequency) {
+          billStore.put({ ...record, nextIndex: record.nextIndex + 1, notifiedFor: null });
+        } else {
+          billStore.delete(record.id);
+        }
+        paid = record;
+      };
+
+      transaction.oncomplete = () => resolve(paid);
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    if (bill) {
+      const clientList = await clients.matchAll({ type: 'window' });
+      clientList.forEach((client) => client.postMessage({ type: 'bill-paid', billId, name: bill.name }));
+    }
+  } finally {
+    db.close();
+  }
+
+  // Best effort; Background Sync or the app pushes it later otherwise
+  try {
+    await pushSyncChanges();
+  } catch (error) {
+    console.log('[Service Worker] Sync push deferred:', error.message);
+  }
+}
+
+// Have the app record a bill payment: an open window is asked to, or the app opens for it
+async function openAppToPayBill(billId, dueKey) {
+  const clientList = await clients.matchAll({ type: 'window' });
+
+  if (clientList.length > 0) {
+    clientList[0].postMessage({ type: 'pay-bill', billId, dueKey });
+    if ('focus' in clientList[0]) {
+      await clientList[0].focus();
+    }
+    return;
+  }
+
+  if (clients.openWindow) {
+    await clients.openWindow(`./?pay-bill=${encodeURIComponent(billId)}&due=${encodeURIComponent(dueKey)}`);
+  }
+}
+
+// Push the changes the app queued while offline to the sync server. Pulling and merging need the
+// app (conflicts may need the user), so if other devices pushed first this leaves the queue for it.
+// Throws on network errors so Background Sync retries later.
+async function pushSyncChanges() {
+  const db = await openAppDatabase();
+  if (!db) {
+    return;
+  }
+
+  try {
+    if (!db.objectStoreNames.contains(SYNC_CHANGE_STORE_NAME)) {
+      return;
+    }
+
+    // With a passcode set the queue is encrypted, and only the unlocked app can read it
+    const settings = await getSettings(db);
+    const queued = await getAllRecords(db, SYNC_CHANGE_STORE_NAME);
+    if (!settings.syncUrl || settings.encryption || queued.length === 0) {
+      return;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.syncToken) {
+      headers.Authorization = `Bearer ${settings.syncToken}`;
+    }
+
+    const response = await fetch(`${settings.syncUrl.replace(/\/+$/, '')}/changes`, {
+      method: 'POST',
+      headers,
+      cache: 'no-store',
+      body: JSON.stringify({
+        deviceId: settings.syncDeviceId,
+        since: settings.syncCursor || 0,
+        changes: queued.map(({ queued: key, ...change }) => ({
+          ...change,
+          record: fromStoredTransaction(change.record),
+          base: fromStoredTransaction(change.base)
+        }))
       })
-  );
+    });
+
+    if (response.status === 409) {
+      console.log('[Service Worker] Sync server has newer changes; the app will merge them');
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(`Sync server responded ${response.status}`);
+    }
+
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(SYNC_CHANGE_STORE_NAME, 'readwrite');
+      queued.forEach((change) => transaction.objectStore(SYNC_CHANGE_STORE_NAME).delete(change.queued));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    const clientList = await clients.matchAll({ type: 'window' });
+    clientList.forEach((client) => client.postMessage({ type: 'sync-pushed' }));
+  } finally {
+    db.close();
+  }
+}
+
+// Background Sync - push queued changes once the connection is back
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(pushSyncChanges());
+  }
+});
+
+// Periodic background sync - check bills while the app is closed
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === BILL_SYNC_TAG) {
+    event.waitUntil(checkBillReminders());
+  }
+});
+
+// Messages from the page - it asks for a bill check when it opens, and tells a waiting
+// version to take over when the user chooses to reload
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'check-bills') {
+    event.waitUntil(checkBillReminders());
+  }
+
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
 });
 
 // Push notification event
@@ -130,6 +630,13 @@ self.addEventListener('notificationclick', (event) => {
   
   event.notification.close();
 
+  // "Mark paid" on a bill reminder records the expense without opening the app, unless it is encrypted
+  if (event.action === 'mark-paid' && event.notification.data && event.notification.data.billId) {
+    const { billId, dueKey } = event.notification.data;
+    event.waitUntil(markBillPaid(billId, dueKey));
+    return;
+  }
+
   event.waitUntil(
     clients.matchAll({ type: 'window' }).then((clientList) => {
       for (const client of clientList) {
@@ -0,0 +1,157 @@
+// ZenBudget Sync Server - a minimal stand-in for self-hosting and local testing
+//
+// Run with Node (no dependencies):
+//
+//   node sync-server.js [port] [data-file]
+//
+// Port defaults to 8787 and data is kept in zenbudget-sync.json next to this file.
+// Set SYNC_TOKEN to require "Authorization: Bearer <token>" on every request.
+//
+// Protocol
+// --------
+// The server keeps one append-only log of changes. Each change gets a sequence number (seq) when it
+// is accepted; a device's cursor is the last seq it has seen. Changes look like:
+//
+//   {
+//     "id": "chg-...",             unique per change; a change pushed twice is stored once
+//     "deviceId": "dev-...",       device that made the change
+//     "entity": "transaction",
+//     "op": "create" | "update" | "delete",
+//     "recordId": "0b8f1c2e-...",
+//     "record": { ... } | null,    the transaction after the change, null for deletes
+//     "base": { ... } | null,      the transaction before the change, null for creates
+//     "timestamp": "2024-01-01T00:00:00.000Z"
+//   }
+//
+// GET /changes?since=<seq>
+//   200 { "changes": [ ...changes with "seq" greater than since, oldest first ], "cursor": <latest seq> }
+//
+// POST /changes   body { "deviceId": "...", "since": <seq>, "changes": [ ... ] }
+//   200 { "cursor": <latest seq> }
+//   409 { "error": "..." } when another device pushed after "since"; the client pulls, merges
+//       and pushes again. This keeps every accepted push based on everything before it.
+//
+// Conflicts are resolved by the clients, so the server never looks inside records.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2]) || 8787;
+const DATA_FILE = process.argv[3] || path.join(__dirname, 'zenbudget-sync.json');
+const TOKEN = process.env.SYNC_TOKEN || '';
+
+// Load the change log saved by an earlier run
+function loadLog() {
+  try {
+    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  } catch (error) {
+    return [];
+  }
+}
+
+const log = loadLog();
+
+// Latest sequence number handed out
+function getCursor() {
+  return log.length > 0 ? log[log.length - 1].seq : 0;
+}
+
+// Send a JSON reply with the CORS headers a browser app on another origin needs
+function sendJSON(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+// Read and parse a JSON request body
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    request.on('data', (chunk) => {
+      text += chunk;
+    });
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(text || '{}'));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+// Append accepted changes, skipping ones already stored, and save the log
+function appendChanges(changes) {
+  const known = new Set(log.map((change) => change.id));
+
+  changes.forEach((change) => {
+    if (!known.has(change.id)) {
+      log.push({ ...change, seq: getCursor() + 1 });
+      known.add(change.id);
+    }
+  });
+
+  fs.writeFileSync(DATA_FILE, JSON.stringify(log));
+}
+
+const server = http.createServer(async (request, response) => {
+  const url = new URL(request.url, `http://${request.headers.host}`);
+
+  if (request.method === 'OPTIONS') {
+    sendJSON(response, 204);
+    return;
+  }
+
+  if (TOKEN && request.headers.authorization !== `Bearer ${TOKEN}`) {
+    sendJSON(response, 401, { error: 'Missing or wrong access token' });
+    return;
+  }
+
+  if (url.pathname !== '/changes') {
+    sendJSON(response, 404, { error: 'Not found' });
+    return;
+  }
+
+  if (request.method === 'GET') {
+    const since = Number(url.searchParams.get('since')) || 0;
+    sendJSON(response, 200, { changes: log.filter((change) => change.seq > since), cursor: getCursor() });
+    return;
+  }
+
+  if (request.method === 'POST') {
+    let body;
+    try {
+      body = await readBody(request);
+    } catch (error) {
+      sendJSON(response, 400, { error: 'Body is not valid JSON' });
+      return;
+    }
+
+    if (typeof body.deviceId !== 'string' || !Array.isArray(body.changes)) {
+      sendJSON(response, 400, { error: 'Expected deviceId and changes' });
+      return;
+    }
+
+    const since = Number(body.since) || 0;
+    if (log.some((change) => change.seq > since && change.deviceId !== body.deviceId)) {
+      sendJSON(response, 409, { error: 'Other devices have pushed changes since your last pull' });
+      return;
+    }
+
+    appendChanges(body.changes);
+    sendJSON(response, 200, { cursor: getCursor() });
+    return;
+  }
+
+  sendJSON(response, 405, { error: 'Method not allowed' });
+});
+
+server.listen(PORT, () => {
+  console.log(`ZenBudget sync server listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,295 @@
+// ZenBudget database migration tests
+//
+// Run with Node 18 or later (no dependencies):
+//
+//   node --test tests/
+//
+// script.js is loaded into a sandbox with just enough of a DOM for its top level to run, and
+// the migration steps are run against an in-memory stand-in for an IndexedDB upgrade transaction.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+
+// An object that accepts any property access or call, standing in for DOM elements
+function createStub() {
+  return new Proxy(function () {}, {
+    get: (target, key) => (key === Symbol.toPrimitive ? () => '' : createStub()),
+    apply: () => createStub(),
+    construct: () => createStub()
+  });
+}
+
+// Load script.js into a fresh sandbox and return it
+function loadApp() {
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error() {} },
+    crypto: globalThis.crypto,
+    document: {
+      getElementById: createStub,
+      querySelector: createStub,
+      querySelectorAll: () => [],
+      addEventListener() {}
+    },
+    window: {},
+    navigator: {}
+  });
+
+  vm.runInContext(SOURCE, context);
+  return context;
+}
+
+// In-memory object store with the parts of IDBObjectStore the migrations use.
+// Requests succeed asynchronously, like real ones.
+class FakeStore {
+  constructor(database, { keyPath, autoIncrement = false } = {}) {
+    this.database = database;
+    this.keyPath = keyPath;
+    this.autoIncrement = autoIncrement;
+    this.records = new Map();
+    this.indexes = new Map();
+    this.nextKey = 1;
+  }
+
+  request(getResult) {
+    const request = {};
+    this.database.pending++;
+    setImmediate(() => {
+      request.result = getResult();
+      this.database.pending--;
+      if (request.onsuccess) request.onsuccess({ target: request });
+    });
+    return request;
+  }
+
+  getAll() {
+    return this.request(() => [...this.records.values()].map(record => structuredClone(record)));
+  }
+
+  put(record) {
+    let key = record[this.keyPath];
+    if (key === undefined && this.autoIncrement) {
+      key = this.nextKey++;
+      record = { ...record, [this.keyPath]: key };
+    }
+    this.records.set(key, structuredClone(record));
+  }
+
+  delete(key) {
+    this.records.delete(key);
+  }
+
+  createIndex(name, keyPath, options) {
+    this.indexes.set(name, { keyPath, multiEntry: Boolean(options && options.multiEntry) });
+  }
+
+  deleteIndex(name) {
+    assert.ok(this.indexes.has(name), `index ${name} exists before it is deleted`);
+    this.indexes.delete(name);
+  }
+}
+
+// In-memory database; it is both the `db` the steps create stores on and their upgrade transaction
+class FakeDatabase {
+  constructor() {
+    this.stores = new Map();
+    this.pending = 0;
+  }
+
+  createObjectStore(name, options) {
+    assert.ok(!this.stores.has(name), `store ${name} is created once`);
+    const store = new FakeStore(this, options);
+    this.stores.set(name, store);
+    return store;
+  }
+
+  objectStore(name) {
+    assert.ok(this.stores.has(name), `store ${name} exists`);
+    return this.stores.get(name);
+  }
+
+  // Stores with their key paths and indexes, for comparing schemas
+  describe() {
+    return [...this.stores.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([name, store]) => ({
+      name,
+      keyPath: store.keyPath,
+      autoIncrement: store.autoIncrement,
+      indexes: [...store.indexes.entries()].sort(([a], [b]) => a.localeCompare(b))
+    }));
+  }
+}
+
+// Wait until every queued request has succeeded and nothing new was queued
+async function settle(database) {
+  do {
+    await new Promise(resolve => setImmediate(resolve));
+  } while (database.pending > 0);
+}
+
+// Run the steps after fromVersion, recording which versions ran
+async function migrate(app, database, fromVersion) {
+  const ran = [];
+  const steps = vm.runInContext('DB_MIGRATIONS', app);
+  const original = { ...steps };
+
+  Object.keys(steps).forEach(version => {
+    steps[version] = (upgradeTransaction, next) => {
+      ran.push(Number(version));
+      original[version](upgradeTransaction, next);
+    };
+  });
+
+  app.fakeDatabase = database;
+  vm.runInContext('db = fakeDatabase', app);
+  app.runMigrations(database, fromVersion);
+  await settle(database);
+
+  Object.assign(steps, original);
+  return ran;
+}
+
+// A database as it was at the given version, with no records
+async function createDatabaseAt(version) {
+  const app = loadApp();
+  const database = new FakeDatabase();
+  const steps = vm.runInContext('DB_MIGRATIONS', app);
+
+  app.fakeDatabase = database;
+  vm.runInContext('db = fakeDatabase', app);
+  for (let step = 1; step <= version; step++) {
+    steps[step](database, () => {});
+    await settle(database);
+  }
+
+  return database;
+}
+
+test('there is one step for every version up to DB_VERSION', () => {
+  const app = loadApp();
+  const versions = Object.keys(vm.runInContext('DB_MIGRATIONS', app)).map(Number);
+  const latest = vm.runInContext('DB_VERSION', app);
+
+  assert.deepEqual(versions, Array.from({ length: latest }, (_, index) => index + 1));
+});
+
+test('steps run in order from any starting version and reach the same schema', async () => {
+  const app = loadApp();
+  const latest = vm.runInContext('DB_VERSION', app);
+  const fresh = new FakeDatabase();
+  await migrate(app, fresh, 0);
+
+  for (let start = 0; start < latest; start++) {
+    const database = await createDatabaseAt(start);
+    const ran = await migrate(loadApp(), database, start);
+
+    assert.deepEqual(ran, Array.from({ length: latest - start }, (_, index) => start + index + 1), `from version ${start}`);
+    assert.deepEqual(database.describe(), fresh.describe(), `schema after upgrading from version ${start}`);
+  }
+});
+
+test('a database already at DB_VERSION runs no steps', async () => {
+  const app = loadApp();
+  const latest = vm.runInContext('DB_VERSION', app);
+  const database = await createDatabaseAt(latest);
+
+  assert.deepEqual(await migrate(app, database, latest), []);
+});
+
+test('version 2 swaps category names on transactions for category ids', async () => {
+  const database = await createDatabaseAt(1);
+  database.objectStore('transactions').put({ id: 1, name: 'Lunch', amount: -12, category: 'Food', type: 'expense' });
+  database.objectStore('transactions').put({ id: 2, name: 'Gift', amount: -30, category: 'Presents', type: 'expense' });
+
+  await migrate(loadApp(), database, 1);
+
+  const categories = [...database.objectStore('categories').records.values()];
+  const transactions = database.objectStore('transactions').records;
+  const food = categories.find(category => category.name === 'Food');
+  const presents = categories.find(category => category.name === 'Presents');
+
+  assert.ok(food && presents, 'a category exists for every name in use');
+  assert.equal(transactions.get('1').category, food.id);
+  assert.equal(transactions.get('2').category, presents.id);
+});
+
+test('version 6 puts transactions and recurring rules in the default account', async () => {
+  const database = await createDatabaseAt(5);
+  database.objectStore('transactions').put({ id: 1, name: 'Rent', amount: -900, category: 'cat-rent', type: 'expense' });
+  database.objectStore('recurring').put({ id: 7, name: 'Rent', amount: -900, category: 'cat-rent', frequency: 'monthly' });
+
+  await migrate(loadApp(), database, 5);
+
+  const accounts = [...database.objectStore('accounts').records.values()];
+  assert.equal(accounts.length, 1);
+  assert.equal(database.objectStore('transactions').records.get('1').account, accounts[0].id);
+  assert.equal(database.objectStore('recurring').records.get('7').account, accounts[0].id);
+});
+
+test('version 15 gives every record a string id and stores amounts in minor units', async () => {
+  const database = await createDatabaseAt(14);
+  const lunch = { id: 1700000000000, name: 'Lunch', amount: -12.34, category: 'cat-food', account: 'acct-main', date: '2024-01-01T12:00:00.000Z', type: 'expense' };
+  const sushi = { id: 1700000000001, name: 'Sushi', amount: -1500, currency: 'JPY', category: 'cat-food', account: 'acct-main', date: '2024-01-02T12:00:00.000Z', type: 'expense' };
+  const fee = { id: 1700000000002, name: 'Fee', amount: -1.005, category: 'cat-fees', account: 'acct-kwd', date: '2024-01-03T12:00:00.000Z', type: 'expense' };
+
+  database.objectStore('accounts').put({ id: 'acct-main', name: 'Checking', currency: 'USD' });
+  database.objectStore('accounts').put({ id: 'acct-kwd', name: 'Kuwait', currency: 'KWD' });
+  [lunch, sushi, fee].forEach(record => database.objectStore('transactions').put(record));
+  database.objectStore('recurring').put({ id: 42, name: 'Rent', amount: -900, frequency: 'monthly' });
+  database.objectStore('receipts').put({ id: 'rcpt-1', transactionId: lunch.id, name: 'lunch.jpg' });
+  database.objectStore('trash').put({ id: 1600000000000, deletedAt: '2024-01-04T00:00:00.000Z', record: { ...lunch, id: 1600000000000 } });
+  database.objectStore('syncChanges').put({ recordId: lunch.id, op: 'update', record: lunch, base: { ...lunch, amount: -10 } });
+  database.objectStore('syncConflicts').put({ recordId: sushi.id, base: sushi, local: sushi, remote: { ...sushi, amount: -1800 } });
+
+  await migrate(loadApp(), database, 14);
+
+  const transactions = database.objectStore('transactions');
+  assert.deepEqual([...transactions.records.keys()].sort(), ['1700000000000', '1700000000001', '1700000000002']);
+  assert.ok(!transactions.indexes.has('amount'), 'the float amount index is gone');
+  assert.deepEqual(transactions.indexes.get('amountMinor'), { keyPath: 'amountMinor', multiEntry: false });
+
+  const storedLunch = transactions.records.get('1700000000000');
+  assert.equal(storedLunch.id, '1700000000000');
+  assert.equal(storedLunch.amountMinor, -1234);
+  assert.equal(storedLunch.currencyExponent, 2);
+  assert.ok(!('amount' in storedLunch), 'the float amount is not kept');
+
+  const storedSushi = transactions.records.get('1700000000001');
+  assert.equal(storedSushi.amountMinor, -1500);
+  assert.equal(storedSushi.currencyExponent, 0);
+
+  // Without a currency of its own, a transaction uses its account's
+  const storedFee = transactions.records.get('1700000000002');
+  assert.equal(storedFee.amountMinor, -1005);
+  assert.equal(storedFee.currencyExponent, 3);
+
+  assert.deepEqual([...database.objectStore('recurring').records.keys()], ['42']);
+  assert.equal(database.objectStore('receipts').records.get('rcpt-1').transactionId, '1700000000000');
+
+  const trashed = database.objectStore('trash').records;
+  assert.deepEqual([...trashed.keys()], ['1600000000000']);
+  assert.equal(trashed.get('1600000000000').record.amountMinor, -1234);
+
+  const [change] = database.objectStore('syncChanges').records.values();
+  assert.equal(change.recordId, '1700000000000');
+  assert.equal(change.record.amountMinor, -1234);
+  assert.equal(change.base.amountMinor, -1000);
+
+  const conflicts = database.objectStore('syncConflicts').records;
+  assert.deepEqual([...conflicts.keys()], ['1700000000001']);
+  assert.equal(conflicts.get('1700000000001').remote.amountMinor, -1800);
+  assert.equal(conflicts.get('1700000000001').remote.currencyExponent, 0);
+});
+
+test('version 15 leaves the contents of encrypted records alone', async () => {
+  const database = await createDatabaseAt(14);
+  const sealed = { id: 5, encrypted: true, iv: new Uint8Array([1, 2, 3]), data: new Uint8Array([4, 5, 6]) };
+  database.objectStore('transactions').put(sealed);
+
+  await migrate(loadApp(), database, 14);
+
+  assert.deepEqual(database.objectStore('transactions').records.get('5'), { ...sealed, id: '5' });
+});